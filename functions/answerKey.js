@@ -0,0 +1,73 @@
+// Question IDs for the answer key, computed from sheet rows the same way the
+// app does. Kept free of firebase imports so functions/answerKey.test.js can
+// check it against the client parser on the same rows.
+
+// Keep in sync with SHEET_URL / QUESTION_SOURCES in src/services/questionBankService.js
+const ANSWER_KEY_SHEET_URL = 'https://docs.google.com/spreadsheets/d/e/2PACX-1vTK36yaUN-NMCkQNT-DAHgc6FMZPjUc0Yv3nYEK4TA9W2qE9V1TqVD10Tq98-wXQoAvKOZlwGWRSDkU/pub?gid=1182550140&single=true&output=csv';
+// Keep in sync with the school source's id in QUESTION_SOURCES (namespaceQuestions)
+const ANSWER_KEY_SCHOOL_PREFIX = 'school:';
+
+const ANSWER_LETTERS = ['A', 'B', 'C', 'D'];
+
+// Keep in sync with hashString / computeContentHash / buildStableQuestionId in src/utils/questionId.js
+function hashString(str, seed = 0) {
+  let h1 = 0xdeadbeef ^ seed;
+  let h2 = 0x41c6ce57 ^ seed;
+  for (let i = 0; i < str.length; i++) {
+    const ch = str.charCodeAt(i);
+    h1 = Math.imul(h1 ^ ch, 2654435761);
+    h2 = Math.imul(h2 ^ ch, 1597334677);
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+  return 4294967296 * (2097151 & h2) + (h1 >>> 0);
+}
+
+function computeContentHash(parts) {
+  const canonical = parts.map((text) => String(text || '').replace(/\s+/g, ' ').trim()).join('␟');
+  return hashString(canonical).toString(36).padStart(10, '0').slice(-10);
+}
+
+// Keep in sync with getRowValue / stripWrappingQuotes / removePrefix /
+// formatQuestionRows in src/utils/questionParser.js
+function questionRowValue(row, name) {
+  const key = Object.keys(row || {}).find((k) => k.trim().toLowerCase() === name.toLowerCase());
+  const value = key !== undefined ? row[key] : null;
+  return value === null || value === undefined ? '' : String(value);
+}
+
+function stripWrappingQuotes(text) {
+  const s = String(text || '');
+  return s.length >= 2 && s.startsWith('"') && s.endsWith('"') ? s.slice(1, -1) : s;
+}
+
+// [questionId, correctOption] for each non-blank row, with the app's `~n`
+// suffix on repeated IDs
+function answerKeyEntries(rows, prefix = '') {
+  const seenIds = new Map();
+  return rows
+    .filter((row) => Object.values(row || {}).join('').trim().length > 0)
+    .map((row) => {
+      const value = (name) => questionRowValue(row, name);
+      const question = stripWrappingQuotes(value('Question') || value('QuestionText'));
+      const options = ['OptionA', 'OptionB', 'OptionC', 'OptionD']
+        .map((name) => stripWrappingQuotes(value(name)).replace(/^[A-D]\.\s*/i, ''));
+      const sheetId = value('ID').trim();
+      const hash = computeContentHash([question, ...options]);
+      const baseId = sheetId ? `${sheetId}-${hash}` : `q-${hash}`;
+
+      const count = (seenIds.get(baseId) || 0) + 1;
+      seenIds.set(baseId, count);
+      const id = count > 1 ? `${baseId}~${count}` : baseId;
+      return [`${prefix}${id}`, value('CorrectOption').toUpperCase().trim()];
+    })
+    .filter(([, correct]) => ANSWER_LETTERS.includes(correct));
+}
+
+module.exports = {
+  ANSWER_KEY_SHEET_URL,
+  ANSWER_KEY_SCHOOL_PREFIX,
+  hashString,
+  computeContentHash,
+  answerKeyEntries,
+};
@@ -0,0 +1,74 @@
+import { describe, it, expect, vi } from 'vitest';
+import { createRequire } from 'node:module';
+import { formatQuestionRows } from '../src/utils/questionParser';
+import { hashString as clientHashString } from '../src/utils/questionId';
+
+vi.mock('../src/firebase/config', () => ({ default: {}, db: {} }));
+vi.mock('firebase/firestore', () => ({}));
+
+const { parseCsv, namespaceQuestions, SHEET_URL, QUESTION_SOURCES } = await import('../src/services/questionBankService');
+
+// The functions package is CommonJS, so load it the way Node will
+const require = createRequire(import.meta.url);
+const {
+  ANSWER_KEY_SHEET_URL,
+  ANSWER_KEY_SCHOOL_PREFIX,
+  hashString,
+  answerKeyEntries
+} = require('./answerKey');
+
+// Rows that exercise every step of the ID: lettered and quoted options,
+// whitespace, blank rows, no sheet ID, repeated content and a row whose
+// answer is not a letter.
+const CSV = [
+  'ID,Topic,Question,OptionA,OptionB,OptionC,OptionD,CorrectOption',
+  'Q1,Acids,What is the pH of pure water?,A. 0,B. 7,C. 14,D. 1,b',
+  '',
+  'Q2,Acids,"Which is a ""strong"" acid?",HCl,CH3COOH,H2CO3,"""HF""",A',
+  'Q3,Bonding,"Which has\na  double bond?",  O2 ,N2,Cl2,H2,A ',
+  ',,,,,,,',
+  ',Bonding,No sheet ID?,a,b,c,d,D',
+  'Q4,Moles,Same row twice,a,b,c,d,C',
+  'Q4,Moles,Same row twice,a,b,c,d,C',
+  'Q5,Moles,Answer missing,a,b,c,d,',
+  'Q6,Moles,Answer not a letter,a,b,c,d,E',
+  ''
+].join('\n');
+
+const SCHOOL_ROWS = [
+  { ID: 'doc1', Question: 'School question?', OptionA: 'a', OptionB: 'b', OptionC: 'c', OptionD: 'd', CorrectOption: 'A', order: 1 },
+  { ID: 'doc2', Question: 'School question?', OptionA: 'a', OptionB: 'b', OptionC: 'c', OptionD: 'd', CorrectOption: 'd', order: 2 }
+];
+
+const clientKey = questions => questions
+  .filter(q => ['A', 'B', 'C', 'D'].includes(q.CorrectOption))
+  .map(q => [q.ID, q.CorrectOption]);
+
+describe('answer key question IDs', () => {
+  it('match the app for the same sheet rows', async () => {
+    const rows = await parseCsv(CSV);
+    const expected = clientKey(formatQuestionRows(rows));
+
+    expect(expected).toHaveLength(6);
+    expect(answerKeyEntries(rows)).toEqual(expected);
+  });
+
+  it('match the app for the namespaced school source', () => {
+    const school = QUESTION_SOURCES.findIndex(source => `${source.id}:` === ANSWER_KEY_SCHOOL_PREFIX);
+    expect(school).toBeGreaterThan(0);
+
+    const expected = clientKey(namespaceQuestions(formatQuestionRows(SCHOOL_ROWS), QUESTION_SOURCES[school], school));
+    expect(answerKeyEntries(SCHOOL_ROWS, ANSWER_KEY_SCHOOL_PREFIX)).toEqual(expected);
+  });
+
+  it('hash like the app', () => {
+    ['', 'abc', 'H₂SO₄ ␟ 中文', 'x'.repeat(500)].forEach(text => {
+      expect(hashString(text)).toBe(clientHashString(text));
+    });
+  });
+
+  it('are built from the sheet the app loads', () => {
+    expect(ANSWER_KEY_SHEET_URL).toBe(SHEET_URL);
+    expect(QUESTION_SOURCES[0].url).toBe(SHEET_URL);
+  });
+});
@@ -4,6 +4,15 @@ const { onDocumentCreated, onDocumentUpdated, onDocumentDeleted } = require('fir
 const { onCall, HttpsError } = require('firebase-functions/v2/https');
 const { defineSecret } = require('firebase-functions/params');
 const algoliasearch = require('algoliasearch');
+const Papa = require('papaparse');
+const { ANSWER_KEY_SHEET_URL, ANSWER_KEY_SCHOOL_PREFIX, answerKeyEntries } = require('./answerKey');
+const {
+  scoreAttempt,
+  computeQuizBonus,
+  computeCorrectAnswerTokens,
+  computeMillionaireReward,
+} = require('./rewards');
+const { mergeSrsCardGroup } = require('./srsCards');
 
 admin.initializeApp();
 
@@ -230,6 +239,749 @@ exports.rebuildSrsDailySummaries = onCall(
   }
 );
 
+// === Question ID migration ===
+// Remaps every stored reference to a question ID (SRS cards, review attempts,
+// mistake index, comments, attempts' answer maps, performance stats) after the
+// question bank re-keys its questions. Admins (custom claim `admin`) remap
+// every user, or one user with `userId`; anyone else only remaps their own
+// data, which is what the client does when a bank refresh re-keys questions.
+// Shared data (comments and their stats) is only remapped in an all-users run.
+
+const REMAP_IN_CHUNK = 10;
+const REMAP_BATCH_SIZE = 400;
+const REMAP_MAX_USER_ENTRIES = 500;
+
+function chunkArray(arr, size) {
+  const out = [];
+  for (let i = 0; i < arr.length; i += size) out.push(arr.slice(i, i + size));
+  return out;
+}
+
+function remapKeys(obj, remap) {
+  if (!obj || typeof obj !== 'object') return { value: obj, changed: false };
+  let changed = false;
+  const next = {};
+  for (const [key, value] of Object.entries(obj)) {
+    const newKey = remap[key] || key;
+    if (newKey !== key) changed = true;
+    next[newKey] = value;
+  }
+  return { value: next, changed };
+}
+
+// Collects writes into batches of REMAP_BATCH_SIZE; in dry-run mode only counts them.
+function createBatchWriter(db, dryRun) {
+  let batch = db.batch();
+  let pending = 0;
+  const writer = {
+    total: 0,
+    async add(fn) {
+      writer.total += 1;
+      if (dryRun) return;
+      fn(batch);
+      pending += 1;
+      if (pending >= REMAP_BATCH_SIZE) await writer.flush();
+    },
+    async flush() {
+      if (dryRun || pending === 0) return;
+      await batch.commit();
+      batch = db.batch();
+      pending = 0;
+    },
+  };
+  return writer;
+}
+
+async function remapQuestionIdField(db, writer, query, remap, field = 'questionId') {
+  const oldIds = Object.keys(remap);
+  let updated = 0;
+  for (const chunk of chunkArray(oldIds, REMAP_IN_CHUNK)) {
+    const snap = await query.where(field, 'in', chunk).get();
+    for (const docSnap of snap.docs) {
+      const oldId = docSnap.get(field);
+      await writer.add((batch) => batch.update(docSnap.ref, {
+        [field]: remap[oldId],
+        previousQuestionId: oldId,
+      }));
+      updated += 1;
+    }
+  }
+  return updated;
+}
+
+async function remapMistakeDocs(db, writer, remap, userId) {
+  const mistakes = userId
+    ? db.collection('users').doc(userId).collection('mistakes')
+    : db.collectionGroup('mistakes');
+  let moved = 0;
+  for (const chunk of chunkArray(Object.keys(remap), REMAP_IN_CHUNK)) {
+    const snap = await mistakes.where('questionId', 'in', chunk).get();
+    for (const docSnap of snap.docs) {
+      const data = docSnap.data() || {};
+      const newId = remap[data.questionId];
+      const targetRef = docSnap.ref.parent.doc(String(newId));
+      const targetSnap = await targetRef.get();
+      const target = targetSnap.exists ? (targetSnap.data() || {}) : {};
+
+      await writer.add((batch) => {
+        batch.set(targetRef, {
+          ...data,
+          ...target,
+          ID: newId,
+          questionId: newId,
+          attemptCount: Number(data.attemptCount || 0) + Number(target.attemptCount || 0),
+          previousQuestionId: data.questionId,
+          updatedAt: new Date().toISOString(),
+        }, { merge: true });
+        batch.delete(docSnap.ref);
+      });
+      moved += 1;
+    }
+  }
+  return moved;
+}
+
+async function remapCommentStats(db, writer, remap) {
+  let moved = 0;
+  for (const [oldId, newId] of Object.entries(remap)) {
+    const oldRef = db.collection('comment_question_stats').doc(oldId);
+    const oldSnap = await oldRef.get();
+    if (!oldSnap.exists) continue;
+    const data = oldSnap.data() || {};
+    const newRef = db.collection('comment_question_stats').doc(newId);
+
+    await writer.add((batch) => {
+      batch.set(newRef, {
+        questionId: newId,
+        commentCount: admin.firestore.FieldValue.increment(Number(data.commentCount || 0)),
+        lastActivity: data.lastActivity || '',
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      }, { merge: true });
+      batch.delete(oldRef);
+    });
+    moved += 1;
+  }
+  return moved;
+}
+
+// attempts store answers/questionTimes keyed by question ID, which can't be
+// queried, so page through every attempt.
+async function remapAttempts(db, writer, attemptsQuery, remap) {
+  const pageSize = 300;
+  let last = null;
+  let updated = 0;
+
+  while (true) {
+    let q = attemptsQuery.orderBy(admin.firestore.FieldPath.documentId()).limit(pageSize);
+    if (last) q = q.startAfter(last);
+    const snap = await q.get();
+    if (snap.empty) break;
+
+    for (const docSnap of snap.docs) {
+      const data = docSnap.data() || {};
+      const answers = remapKeys(data.answers, remap);
+      const times = remapKeys(data.questionTimes, remap);
+      let questionsChanged = false;
+      const questions = Array.isArray(data.questions)
+        ? data.questions.map((question) => {
+          const newId = question && remap[question.ID];
+          if (!newId) return question;
+          questionsChanged = true;
+          return { ...question, ID: newId };
+        })
+        : data.questions;
+
+      if (!answers.changed && !times.changed && !questionsChanged) continue;
+
+      const patch = {};
+      if (answers.changed) patch.answers = answers.value;
+      if (times.changed) patch.questionTimes = times.value;
+      if (questionsChanged) patch.questions = questions;
+      await writer.add((batch) => batch.update(docSnap.ref, patch));
+      updated += 1;
+    }
+
+    last = snap.docs[snap.docs.length - 1];
+    if (snap.size < pageSize) break;
+  }
+  return updated;
+}
+
+// Card docs are keyed card_{uid}_{questionId}, so a remapped card moves to
+// its new key (merging into a card the user already has for the new ID) and
+// review attempts / calendar events are re-pointed at it.
+async function remapSrsCards(db, writer, cardsQuery, remap) {
+  const cards = db.collection('spaced_repetition_cards');
+  const idMap = {};
+  const written = new Map(); // cardId → card written this run (batches may not be committed yet)
+  let moved = 0;
+
+  for (const chunk of chunkArray(Object.keys(remap), REMAP_IN_CHUNK)) {
+    const snap = await cardsQuery.where('questionId', 'in', chunk).get();
+    for (const docSnap of snap.docs) {
+      const data = docSnap.data() || {};
+      const oldQuestionId = data.questionId;
+      const questionId = remap[oldQuestionId];
+      const cardId = `card_${data.userId}_${questionId}`;
+      const card = { ...data, id: docSnap.id, questionId, previousQuestionId: oldQuestionId };
+
+      let target = written.get(cardId) || null;
+      if (!target) {
+        const targetSnap = await cards.doc(cardId).get();
+        if (targetSnap.exists) target = { ...(targetSnap.data() || {}), id: cardId };
+      }
+      const next = target ? mergeSrsCardGroup([target, card], cardId) : { ...card, id: cardId };
+      written.set(cardId, next);
+
+      await writer.add((batch) => {
+        batch.set(cards.doc(cardId), next);
+        if (docSnap.id !== cardId) batch.delete(docSnap.ref);
+      });
+      if (docSnap.id !== cardId) idMap[docSnap.id] = cardId;
+      moved += 1;
+    }
+  }
+
+  return {
+    moved,
+    reviewAttemptCards: await repointCardIds(writer, db.collection('review_attempts'), 'cardId', idMap),
+    calendarEvents: await repointCardIds(writer, db.collectionGroup('calendar_events'), 'srsCardId', idMap),
+  };
+}
+
+async function remapPerformanceSubtopics(db, writer, remap, userId) {
+  const subtopics = userId
+    ? db.collection('user_performance').doc(userId).collection('subtopics')
+    : db.collectionGroup('subtopics');
+  const seen = new Set();
+  let updated = 0;
+  for (const chunk of chunkArray(Object.keys(remap), REMAP_IN_CHUNK)) {
+    const snap = await subtopics.where('questionsSeen', 'array-contains-any', chunk).get();
+    for (const docSnap of snap.docs) {
+      if (seen.has(docSnap.ref.path)) continue;
+      seen.add(docSnap.ref.path);
+      const list = docSnap.get('questionsSeen') || [];
+      const next = Array.from(new Set(list.map((id) => remap[id] || id)));
+      await writer.add((batch) => batch.update(docSnap.ref, { questionsSeen: next }));
+      updated += 1;
+    }
+  }
+  return updated;
+}
+
+exports.remapQuestionIds = onCall(
+  {
+    region: 'asia-east1',
+    timeoutSeconds: 540,
+    memory: '1GiB',
+  },
+  async (request) => {
+    if (!request.auth?.uid) {
+      throw new HttpsError('unauthenticated', 'Must be signed in');
+    }
+
+    const rawRemap = request.data?.remap;
+    if (!rawRemap || typeof rawRemap !== 'object') {
+      throw new HttpsError('invalid-argument', 'remap must be an object of { oldId: newId }');
+    }
+
+    const isAdmin = request.auth.token?.admin === true;
+    const userId = isAdmin ? safeString(request.data?.userId) : request.auth.uid;
+    if (!isAdmin && Object.keys(rawRemap).length > REMAP_MAX_USER_ENTRIES) {
+      throw new HttpsError('invalid-argument', `remap is limited to ${REMAP_MAX_USER_ENTRIES} IDs`);
+    }
+
+    const remap = {};
+    for (const [oldId, newId] of Object.entries(rawRemap)) {
+      const from = safeString(oldId);
+      const to = safeString(newId);
+      if (from && to && from !== to) remap[from] = to;
+    }
+
+    const dryRun = request.data?.dryRun !== false;
+    const db = admin.firestore();
+    const writer = createBatchWriter(db, dryRun);
+
+    const ownedBy = (ref) => (userId ? ref.where('userId', '==', userId) : ref);
+
+    const srs = await remapSrsCards(db, writer, ownedBy(db.collection('spaced_repetition_cards')), remap);
+    const counts = {
+      srsCards: srs.moved,
+      srsReviewAttemptCards: srs.reviewAttemptCards,
+      srsCalendarEvents: srs.calendarEvents,
+      reviewAttempts: await remapQuestionIdField(db, writer, ownedBy(db.collection('review_attempts')), remap),
+      mistakes: await remapMistakeDocs(db, writer, remap, userId),
+      attempts: await remapAttempts(db, writer, ownedBy(db.collection('attempts')), remap),
+      performanceSubtopics: await remapPerformanceSubtopics(db, writer, remap, userId),
+    };
+    if (!userId) {
+      counts.comments = await remapQuestionIdField(db, writer, db.collection('comments'), remap);
+      counts.commentReplies = await remapQuestionIdField(db, writer, db.collection('comment_replies'), remap);
+      counts.commentStats = await remapCommentStats(db, writer, remap);
+    }
+
+    await writer.flush();
+
+    return {
+      ok: true,
+      dryRun,
+      userId: userId || null,
+      remapped: Object.keys(remap).length,
+      counts,
+      writes: writer.total,
+    };
+  }
+);
+
+// === SRS card deduplication ===
+// Cards used to be keyed per quiz (card_{uid}_{questionId}_{sessionId}), so a
+// question missed in three quizzes had three independent schedules. This
+// folds every user+question group into the canonical card_{uid}_{questionId}:
+// the most recently used card's schedule wins, counters are summed, the other
+// cards' creations are kept as mergedMistakes, and their review_attempts and
+// calendar events are re-pointed before the duplicates are deleted.
+// Admin-only; a dry run unless dryRun === false. See srsCards.js for the merge.
+
+async function repointCardIds(writer, query, field, idMap) {
+  let updated = 0;
+  for (const chunk of chunkArray(Object.keys(idMap), REMAP_IN_CHUNK)) {
+    const snap = await query.where(field, 'in', chunk).get();
+    for (const docSnap of snap.docs) {
+      const oldId = docSnap.get(field);
+      await writer.add((batch) => batch.update(docSnap.ref, {
+        [field]: idMap[oldId],
+        previousCardId: oldId,
+      }));
+      updated += 1;
+    }
+  }
+  return updated;
+}
+
+exports.mergeDuplicateSrsCards = onCall(
+  {
+    region: 'asia-east1',
+    timeoutSeconds: 540,
+    memory: '1GiB',
+  },
+  async (request) => {
+    if (!request.auth?.uid) {
+      throw new HttpsError('unauthenticated', 'Must be signed in');
+    }
+    if (request.auth.token?.admin !== true) {
+      throw new HttpsError('permission-denied', 'Admin only');
+    }
+
+    const onlyUserId = safeString(request.data?.userId);
+    const dryRun = request.data?.dryRun !== false;
+    const db = admin.firestore();
+    const writer = createBatchWriter(db, dryRun);
+
+    const cardsQuery = onlyUserId
+      ? db.collection('spaced_repetition_cards').where('userId', '==', onlyUserId)
+      : db.collection('spaced_repetition_cards');
+
+    const groups = new Map();
+    await forEachDocPage(cardsQuery, 500, (docSnap) => {
+      const card = { ...(docSnap.data() || {}), id: docSnap.id };
+      if (!card.userId || card.questionId == null) return;
+      const key = `${card.userId}::${card.questionId}`;
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(card);
+    });
+
+    const idMap = {};
+    let groupsMerged = 0;
+    for (const cards of groups.values()) {
+      if (cards.length < 2) continue;
+      const { userId, questionId } = cards[0];
+      const canonicalId = `card_${userId}_${questionId}`;
+      const merged = mergeSrsCardGroup(cards, canonicalId);
+
+      await writer.add((batch) => batch.set(db.collection('spaced_repetition_cards').doc(canonicalId), merged));
+      cards.forEach((card) => {
+        if (card.id !== canonicalId) idMap[card.id] = canonicalId;
+      });
+      groupsMerged += 1;
+    }
+
+    const counts = {
+      groupsMerged,
+      cardsRemoved: Object.keys(idMap).length,
+      reviewAttempts: await repointCardIds(writer, db.collection('review_attempts'), 'cardId', idMap),
+      calendarEvents: await repointCardIds(writer, db.collectionGroup('calendar_events'), 'srsCardId', idMap),
+    };
+
+    for (const oldId of Object.keys(idMap)) {
+      await writer.add((batch) => batch.delete(db.collection('spaced_repetition_cards').doc(oldId)));
+    }
+
+    await writer.flush();
+
+    return {
+      ok: true,
+      dryRun,
+      counts,
+      writes: writer.total,
+    };
+  }
+);
+
+// === Question difficulty stats ===
+// question_stats/{questionId} holds running sums from every quiz attempt and
+// SRS review that touched the question. Triggers only increment the sums;
+// the derived fields (pValue, discrimination, avgTimeMs, difficulty) are
+// recomputed nightly by refreshQuestionStats, or from scratch by the admin
+// callable rebuildQuestionStats (e.g. after remapQuestionIds).
+//
+// answerCountA–D record which option quiz takers picked (the Millionaire
+// "Ask the Audience" lifeline shows them).
+//
+// Events can be delivered more than once, so each trigger batch also creates
+// processed_events/{eventId}_{n}; a redelivered event fails that create and
+// its increments are skipped. Markers carry expireAt for a Firestore TTL
+// policy on processed_events.
+//
+// Clients don't read question_stats directly: each refresh / rebuild also
+// writes the derived fields for every question into a few
+// question_stats_summary/part_{n} docs (QUESTION_STATS_SUMMARY_PART_SIZE
+// questions each, well under Firestore's 1 MiB doc limit), so loading the
+// app costs a handful of reads instead of one per question.
+//
+// Discrimination is the point-biserial correlation between getting this
+// question right and the attempt's score on the *other* questions, so it's
+// only collected from attempts with at least QUESTION_STATS_MIN_ATTEMPT_SIZE
+// questions.
+
+const QUESTION_STATS_COLLECTION = 'question_stats';
+const QUESTION_STATS_MIN_RESPONSES = 20;
+const QUESTION_STATS_MIN_ATTEMPT_SIZE = 5;
+const QUESTION_STATS_BATCH_SIZE = 400;
+const QUESTION_STATS_SUMMARY_COLLECTION = 'question_stats_summary';
+const PROCESSED_EVENTS_COLLECTION = 'processed_events';
+const PROCESSED_EVENT_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const GRPC_ALREADY_EXISTS = 6;
+const QUESTION_STATS_SUMMARY_PART_SIZE = 2000;
+
+const SUM_FIELDS = [
+  'quizResponses', 'quizCorrect', 'quizTimeMs', 'quizTimedResponses',
+  'reviewResponses', 'reviewCorrect', 'reviewTimeMs', 'reviewTimedResponses',
+  'discN', 'discSumX', 'discSumY', 'discSumY2', 'discSumXY',
+  'answerCountA', 'answerCountB', 'answerCountC', 'answerCountD',
+];
+
+const ANSWER_LETTERS = ['A', 'B', 'C', 'D'];
+
+function isValidStatsId(questionId) {
+  return Boolean(questionId) && !questionId.includes('/') && questionId !== '.' && questionId !== '..';
+}
+
+function difficultyFromPValue(pValue) {
+  if (pValue == null) return null;
+  if (pValue >= 0.7) return 'easy';
+  if (pValue >= 0.4) return 'medium';
+  return 'hard';
+}
+
+function round(value, digits = 3) {
+  if (value == null || !Number.isFinite(value)) return null;
+  const f = 10 ** digits;
+  return Math.round(value * f) / f;
+}
+
+function deriveQuestionStats(sums) {
+  const n = (key) => Number(sums[key] || 0);
+
+  const quizResponses = n('quizResponses');
+  const reviewResponses = n('reviewResponses');
+  const pValue = quizResponses > 0 ? n('quizCorrect') / quizResponses : null;
+  const reviewPValue = reviewResponses > 0 ? n('reviewCorrect') / reviewResponses : null;
+
+  const timed = n('quizTimedResponses') + n('reviewTimedResponses');
+  const avgTimeMs = timed > 0 ? (n('quizTimeMs') + n('reviewTimeMs')) / timed : null;
+
+  let discrimination = null;
+  const dn = n('discN');
+  if (dn >= QUESTION_STATS_MIN_RESPONSES) {
+    const sx = n('discSumX');
+    const sy = n('discSumY');
+    const varX = dn * sx - sx * sx; // x is 0/1 so Σx² = Σx
+    const varY = dn * n('discSumY2') - sy * sy;
+    if (varX > 0 && varY > 0) {
+      discrimination = (dn * n('discSumXY') - sx * sy) / Math.sqrt(varX * varY);
+    }
+  }
+
+  // Review answers skew low (cards only exist for questions someone got
+  // wrong), so difficulty is graded on first-pass quiz answers only.
+  const difficulty = quizResponses >= QUESTION_STATS_MIN_RESPONSES ? difficultyFromPValue(pValue) : null;
+
+  return {
+    responses: quizResponses + reviewResponses,
+    pValue: round(pValue),
+    reviewPValue: round(reviewPValue),
+    discrimination: round(discrimination),
+    avgTimeMs: avgTimeMs == null ? null : Math.round(avgTimeMs),
+    difficulty,
+  };
+}
+
+// Per-question sum deltas for one quiz attempt: Map<questionId, { field: delta }>
+function collectAttemptDeltas(attempt) {
+  const deltas = new Map();
+  const questions = Array.isArray(attempt.questions) ? attempt.questions : [];
+  const answers = attempt.answers && typeof attempt.answers === 'object' ? attempt.answers : {};
+  const times = attempt.questionTimes && typeof attempt.questionTimes === 'object' ? attempt.questionTimes : {};
+
+  const graded = questions
+    .filter((q) => q && isValidStatsId(safeString(q.ID)) && q.CorrectOption)
+    .map((q) => ({
+      id: safeString(q.ID),
+      picked: answers[q.ID],
+      correct: answers[q.ID] != null && answers[q.ID] === q.CorrectOption ? 1 : 0,
+      time: Number(times[q.ID] || 0),
+    }));
+
+  const totalCorrect = graded.reduce((sum, g) => sum + g.correct, 0);
+  const useForDiscrimination = graded.length >= QUESTION_STATS_MIN_ATTEMPT_SIZE;
+
+  for (const g of graded) {
+    const d = { quizResponses: 1, quizCorrect: g.correct };
+    if (ANSWER_LETTERS.includes(g.picked)) {
+      d[`answerCount${g.picked}`] = 1;
+    }
+    if (g.time > 0) {
+      d.quizTimeMs = g.time;
+      d.quizTimedResponses = 1;
+    }
+    if (useForDiscrimination) {
+      const rest = (totalCorrect - g.correct) / (graded.length - 1);
+      d.discN = 1;
+      d.discSumX = g.correct;
+      d.discSumY = rest;
+      d.discSumY2 = rest * rest;
+      d.discSumXY = g.correct * rest;
+    }
+    deltas.set(g.id, d);
+  }
+  return deltas;
+}
+
+function collectReviewDelta(reviewAttempt) {
+  const questionId = safeString(reviewAttempt.questionId);
+  if (!isValidStatsId(questionId) || typeof reviewAttempt.wasCorrect !== 'boolean') return null;
+  const time = Number(reviewAttempt.timeSpent || 0);
+  const d = { reviewResponses: 1, reviewCorrect: reviewAttempt.wasCorrect ? 1 : 0 };
+  if (time > 0) {
+    d.reviewTimeMs = time;
+    d.reviewTimedResponses = 1;
+  }
+  return { questionId, delta: d };
+}
+
+async function applyQuestionStatsDeltas(db, deltas, eventId) {
+  const entries = Array.from(deltas.entries());
+  let applied = 0;
+  for (let i = 0; i < entries.length; i += QUESTION_STATS_BATCH_SIZE) {
+    const batch = db.batch();
+    batch.create(db.collection(PROCESSED_EVENTS_COLLECTION).doc(`${eventId}_${i / QUESTION_STATS_BATCH_SIZE}`), {
+      kind: 'question_stats',
+      processedAt: admin.firestore.FieldValue.serverTimestamp(),
+      expireAt: admin.firestore.Timestamp.fromMillis(Date.now() + PROCESSED_EVENT_TTL_MS),
+    });
+    for (const [questionId, delta] of entries.slice(i, i + QUESTION_STATS_BATCH_SIZE)) {
+      const patch = { questionId, updatedAt: admin.firestore.FieldValue.serverTimestamp() };
+      for (const [field, value] of Object.entries(delta)) {
+        if (value) patch[field] = admin.firestore.FieldValue.increment(value);
+      }
+      batch.set(db.collection(QUESTION_STATS_COLLECTION).doc(questionId), patch, { merge: true });
+    }
+    try {
+      await batch.commit();
+      applied += 1;
+    } catch (error) {
+      if (error?.code !== GRPC_ALREADY_EXISTS) throw error;
+      console.log(`↩️ Skipping already-counted question stats (event ${eventId}, batch ${i / QUESTION_STATS_BATCH_SIZE})`);
+    }
+  }
+  return applied;
+}
+
+exports.aggregateQuestionStatsOnAttemptCreate = onDocumentCreated(
+  {
+    document: 'attempts/{attemptId}',
+    region: 'asia-east1',
+  },
+  async (event) => {
+    const snap = event.data;
+    if (!snap) return;
+    const deltas = collectAttemptDeltas(snap.data() || {});
+    if (deltas.size === 0) return;
+    await applyQuestionStatsDeltas(admin.firestore(), deltas, event.id);
+  }
+);
+
+exports.aggregateQuestionStatsOnReviewAttemptCreate = onDocumentCreated(
+  {
+    document: 'review_attempts/{attemptId}',
+    region: 'asia-east1',
+  },
+  async (event) => {
+    const snap = event.data;
+    if (!snap) return;
+    const entry = collectReviewDelta(snap.data() || {});
+    if (!entry) return;
+    await applyQuestionStatsDeltas(admin.firestore(), new Map([[entry.questionId, entry.delta]]), event.id);
+  }
+);
+
+async function writeDerivedQuestionStats(db, docs) {
+  let written = 0;
+  for (let i = 0; i < docs.length; i += QUESTION_STATS_BATCH_SIZE) {
+    const batch = db.batch();
+    for (const { ref, sums } of docs.slice(i, i + QUESTION_STATS_BATCH_SIZE)) {
+      batch.set(ref, {
+        ...deriveQuestionStats(sums),
+        derivedAt: admin.firestore.FieldValue.serverTimestamp(),
+      }, { merge: true });
+    }
+    await batch.commit();
+    written += Math.min(QUESTION_STATS_BATCH_SIZE, docs.length - i);
+  }
+  return written;
+}
+
+// Writes [key, value] entries as part_{n} docs holding up to `partSize` of
+// them under `field`, then deletes parts left over from a larger run.
+async function writeMapParts(collectionRef, entries, partSize, field) {
+  const parts = chunkArray(entries, partSize);
+  const written = new Set();
+  for (let i = 0; i < parts.length; i += 1) {
+    const id = `part_${i}`;
+    await collectionRef.doc(id).set({
+      part: i,
+      parts: parts.length,
+      [field]: Object.fromEntries(parts[i]),
+      generatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    written.add(id);
+  }
+
+  const existing = await collectionRef.listDocuments();
+  await Promise.all(existing.filter((ref) => !written.has(ref.id)).map((ref) => ref.delete()));
+  return parts.length;
+}
+
+async function writeQuestionStatsSummary(db, docs) {
+  const entries = docs.map(({ ref, sums }) => {
+    const derived = deriveQuestionStats(sums);
+    return [ref.id, {
+      responses: derived.responses,
+      pValue: derived.pValue,
+      discrimination: derived.discrimination,
+      avgTimeMs: derived.avgTimeMs,
+      difficulty: derived.difficulty,
+      answerCounts: Object.fromEntries(ANSWER_LETTERS.map((letter) => [letter, Number(sums[`answerCount${letter}`] || 0)])),
+    }];
+  });
+
+  return writeMapParts(db.collection(QUESTION_STATS_SUMMARY_COLLECTION), entries, QUESTION_STATS_SUMMARY_PART_SIZE, 'stats');
+}
+
+exports.refreshQuestionStats = onSchedule(
+  {
+    schedule: '30 3 * * *',
+    timeZone: 'Asia/Hong_Kong',
+    region: 'asia-east1',
+    timeoutSeconds: 540,
+  },
+  async () => {
+    const db = admin.firestore();
+    const snap = await db.collection(QUESTION_STATS_COLLECTION).get();
+    const docs = snap.docs.map((docSnap) => ({ ref: docSnap.ref, sums: docSnap.data() || {} }));
+    const written = await writeDerivedQuestionStats(db, docs);
+    const parts = await writeQuestionStatsSummary(db, docs);
+    console.log(`📊 Question stats refreshed: ${written} questions, ${parts} summary part(s)`);
+  }
+);
+
+async function forEachDocPage(query, pageSize, fn) {
+  let last = null;
+  while (true) {
+    let q = query.orderBy(admin.firestore.FieldPath.documentId()).limit(pageSize);
+    if (last) q = q.startAfter(last);
+    const snap = await q.get();
+    if (snap.empty) break;
+    snap.docs.forEach(fn);
+    last = snap.docs[snap.docs.length - 1];
+    if (snap.size < pageSize) break;
+  }
+}
+
+exports.rebuildQuestionStats = onCall(
+  {
+    region: 'asia-east1',
+    timeoutSeconds: 540,
+    memory: '1GiB',
+  },
+  async (request) => {
+    if (!request.auth?.uid) {
+      throw new HttpsError('unauthenticated', 'Must be signed in');
+    }
+    if (request.auth.token?.admin !== true) {
+      throw new HttpsError('permission-denied', 'Admin only');
+    }
+
+    const db = admin.firestore();
+    const totals = new Map();
+    const addDelta = (questionId, delta) => {
+      const sums = totals.get(questionId) || {};
+      for (const [field, value] of Object.entries(delta)) {
+        sums[field] = (sums[field] || 0) + value;
+      }
+      totals.set(questionId, sums);
+    };
+
+    let attempts = 0;
+    await forEachDocPage(db.collection('attempts'), 300, (docSnap) => {
+      attempts += 1;
+      collectAttemptDeltas(docSnap.data() || {}).forEach((delta, questionId) => addDelta(questionId, delta));
+    });
+
+    let reviewAttempts = 0;
+    await forEachDocPage(db.collection('review_attempts'), 500, (docSnap) => {
+      reviewAttempts += 1;
+      const entry = collectReviewDelta(docSnap.data() || {});
+      if (entry) addDelta(entry.questionId, entry.delta);
+    });
+
+    // Overwrite the sums (not increment) so the rebuild is idempotent.
+    const docs = Array.from(totals.entries()).map(([questionId, sums]) => {
+      const full = {};
+      SUM_FIELDS.forEach((field) => { full[field] = sums[field] || 0; });
+      return { ref: db.collection(QUESTION_STATS_COLLECTION).doc(questionId), sums: { questionId, ...full } };
+    });
+
+    for (let i = 0; i < docs.length; i += QUESTION_STATS_BATCH_SIZE) {
+      const batch = db.batch();
+      for (const { ref, sums } of docs.slice(i, i + QUESTION_STATS_BATCH_SIZE)) {
+        batch.set(ref, { ...sums, updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+      }
+      await batch.commit();
+    }
+    const written = await writeDerivedQuestionStats(db, docs);
+    const summaryParts = await writeQuestionStatsSummary(db, docs);
+
+    return {
+      ok: true,
+      attempts,
+      reviewAttempts,
+      questions: written,
+      summaryParts,
+    };
+  }
+);
+
 // Maintain SRS daily summaries (cheap calendar counts)
 exports.updateSrsDailySummaryOnCardCreate = onDocumentCreated(
   {
@@ -507,6 +1259,396 @@ exports.weeklyLeaderboardPayout = onSchedule(
   }
 );
 
+// === Answer key ===
+// Quiz rewards are graded against answer_key/part_{n} ({ answers: { [questionId]:
+// correctOption } }), a server-only copy of the bank's correct options, rather
+// than the CorrectOption the client wrote into the attempt. It is rebuilt
+// every hour from the same sources the app loads (the master sheet, then the
+// `questions` collection namespaced as `school:`), computing question IDs the
+// same way the app does (see answerKey.js); admins can force a rebuild after
+// editing the sheet.
+
+const ANSWER_KEY_COLLECTION = 'answer_key';
+const ANSWER_KEY_PART_SIZE = 10000;
+const ANSWER_KEY_CACHE_MS = 5 * 60 * 1000;
+
+async function buildAnswerKey(db) {
+  const res = await fetch(ANSWER_KEY_SHEET_URL);
+  if (!res.ok) throw new Error(`Failed to fetch the question sheet (${res.status})`);
+  const sheet = Papa.parse(await res.text(), { header: true, skipEmptyLines: false, newline: '' });
+
+  const schoolSnap = await db.collection('questions').get();
+  const schoolRows = schoolSnap.docs
+    .map((docSnap) => ({ ID: docSnap.id, ...docSnap.data() }))
+    .sort((a, b) => Number(a.order ?? 0) - Number(b.order ?? 0));
+
+  const entries = [
+    ...answerKeyEntries(sheet.data || []),
+    ...answerKeyEntries(schoolRows, ANSWER_KEY_SCHOOL_PREFIX),
+  ];
+  if (entries.length === 0) throw new Error('Question sheet has no gradable rows');
+
+  const parts = await writeMapParts(db.collection(ANSWER_KEY_COLLECTION), entries, ANSWER_KEY_PART_SIZE, 'answers');
+  return { questions: entries.length, parts };
+}
+
+let answerKeyCache = null;
+
+async function loadAnswerKey(db) {
+  if (answerKeyCache && Date.now() - answerKeyCache.loadedAt < ANSWER_KEY_CACHE_MS) {
+    return answerKeyCache.answers;
+  }
+  const snap = await db.collection(ANSWER_KEY_COLLECTION).get();
+  const answers = new Map();
+  snap.docs.forEach((docSnap) => {
+    Object.entries(docSnap.get('answers') || {}).forEach(([questionId, correct]) => answers.set(questionId, correct));
+  });
+  if (answers.size === 0) {
+    throw new HttpsError('unavailable', 'Answer key is not built yet');
+  }
+  answerKeyCache = { answers, loadedAt: Date.now() };
+  return answers;
+}
+
+exports.refreshAnswerKey = onSchedule(
+  {
+    schedule: '5 * * * *',
+    timeZone: 'Asia/Hong_Kong',
+    region: 'asia-east1',
+    timeoutSeconds: 300,
+  },
+  async () => {
+    const { questions, parts } = await buildAnswerKey(admin.firestore());
+    console.log(`🔑 Answer key refreshed: ${questions} questions, ${parts} part(s)`);
+  }
+);
+
+exports.rebuildAnswerKey = onCall(
+  {
+    region: 'asia-east1',
+    timeoutSeconds: 300,
+  },
+  async (request) => {
+    if (!request.auth?.uid) {
+      throw new HttpsError('unauthenticated', 'Must be signed in');
+    }
+    if (request.auth.token?.admin !== true) {
+      throw new HttpsError('permission-denied', 'Admin only');
+    }
+    return { ok: true, ...(await buildAnswerKey(admin.firestore())) };
+  }
+);
+
+// === Token economy ===
+// Every change to users/{uid}.tokens, .inventory and .equipped goes through
+// these callables; firestore.rules rejects client writes to those fields.
+// Quiz rewards are recomputed here from the stored attempt's answers, graded
+// against the answer key (see rewards.js), rather than taken from the client.
+// Each attempt can be rewarded once per reward kind, only within
+// ATTEMPT_REWARD_WINDOW_MS of the attempt doc's creation, and a daily cap
+// limits what scripted attempts can earn.
+
+const WELCOME_TOKENS = 100;
+const DAILY_REWARD_TOKENS = 5;
+const TOKEN_HISTORY_KEEP = 8;
+const ATTEMPT_REWARD_WINDOW_MS = 2 * 60 * 60 * 1000;
+const MAX_REWARDED_ATTEMPTS_PER_DAY = 30;
+
+// Keep in sync with src/utils/storeItems.js (id → { price, category })
+const STORE_CATALOG = {
+  flask_blue: { price: 0, category: 'profilePic' },
+  atom_green: { price: 50, category: 'profilePic' },
+  molecule: { price: 100, category: 'profilePic' },
+  fire: { price: 150, category: 'profilePic' },
+  lightning: { price: 200, category: 'profilePic' },
+  crystal: { price: 250, category: 'profilePic' },
+  explosion: { price: 300, category: 'profilePic' },
+  star: { price: 400, category: 'profilePic' },
+  crown: { price: 500, category: 'profilePic' },
+  trophy: { price: 1000, category: 'profilePic' },
+  beginner: { price: 0, category: 'badge' },
+  scholar: { price: 200, category: 'badge' },
+  expert: { price: 500, category: 'badge' },
+  default: { price: 0, category: 'theme' },
+  forest: { price: 150, category: 'theme' },
+  sunset: { price: 200, category: 'theme' },
+  royal: { price: 300, category: 'theme' },
+};
+
+function requireUid(request) {
+  const uid = request.auth?.uid;
+  if (!uid) {
+    throw new HttpsError('unauthenticated', 'Must be signed in');
+  }
+  return uid;
+}
+
+function getHKDateKey(dateObj = new Date()) {
+  return toHongKongDate(dateObj).toISOString().slice(0, 10);
+}
+
+// Apply a balance change inside a transaction and log it to tokenHistory.
+function applyTokenChange(tx, userRef, userData, amount, reason, metadata = {}) {
+  const balanceAfter = Number(userData.tokens || 0) + amount;
+  tx.update(userRef, {
+    tokens: balanceAfter,
+    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+  tx.set(userRef.collection('tokenHistory').doc(), {
+    amount,
+    reason,
+    type: amount >= 0 ? 'gain' : 'spend',
+    timestamp: admin.firestore.FieldValue.serverTimestamp(),
+    balanceAfter,
+    metadata,
+  });
+  return balanceAfter;
+}
+
+async function trimTokenHistory(userRef) {
+  const snap = await userRef.collection('tokenHistory').orderBy('timestamp', 'desc').get();
+  if (snap.size <= TOKEN_HISTORY_KEEP) return;
+  const batch = admin.firestore().batch();
+  snap.docs.slice(TOKEN_HISTORY_KEEP).forEach((docSnap) => batch.delete(docSnap.ref));
+  await batch.commit();
+}
+
+/**
+ * Grant a reward computed from one of the caller's attempts, once.
+ * `compute(attempt, answerKey)` returns { tokens, reason, metadata }.
+ */
+async function rewardFromAttempt(request, kind, compute) {
+  const uid = requireUid(request);
+  const attemptId = safeString(request.data?.attemptId);
+  if (!attemptId || attemptId.includes('/')) {
+    throw new HttpsError('invalid-argument', 'attemptId is required');
+  }
+
+  const db = admin.firestore();
+  const answerKey = await loadAnswerKey(db);
+  const userRef = db.collection('users').doc(uid);
+  const attemptRef = db.collection('attempts').doc(attemptId);
+  const claimRef = userRef.collection('rewardClaims').doc(`${kind}_${attemptId}`);
+  const dayRef = userRef.collection('rewardClaims').doc(`day_${getHKDateKey()}`);
+
+  const result = await db.runTransaction(async (tx) => {
+    const [attemptSnap, userSnap, claimSnap, daySnap] = await Promise.all([
+      tx.get(attemptRef),
+      tx.get(userRef),
+      tx.get(claimRef),
+      tx.get(dayRef),
+    ]);
+
+    if (!attemptSnap.exists || attemptSnap.get('userId') !== uid) {
+      throw new HttpsError('not-found', 'Attempt not found');
+    }
+    if (!userSnap.exists) {
+      throw new HttpsError('failed-precondition', 'User profile missing');
+    }
+    if (claimSnap.exists) {
+      return { success: false, alreadyClaimed: true, tokensAwarded: 0 };
+    }
+
+    // The server-set creation time, not the client-written `timestamp`
+    const attempt = attemptSnap.data() || {};
+    const attemptedAt = attemptSnap.createTime.toMillis();
+    if (Date.now() - attemptedAt > ATTEMPT_REWARD_WINDOW_MS) {
+      throw new HttpsError('failed-precondition', 'Attempt is too old to be rewarded');
+    }
+
+    const rewardedToday = Number(daySnap.exists ? daySnap.get('count') : 0);
+    if (rewardedToday >= MAX_REWARDED_ATTEMPTS_PER_DAY) {
+      throw new HttpsError('resource-exhausted', 'Daily reward limit reached');
+    }
+
+    const { tokens, reason, metadata } = compute(attempt, answerKey);
+
+    tx.set(claimRef, {
+      kind,
+      attemptId,
+      tokens,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    tx.set(dayRef, {
+      count: admin.firestore.FieldValue.increment(1),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    }, { merge: true });
+
+    if (tokens <= 0) {
+      return { success: true, tokensAwarded: 0, balance: Number(userSnap.get('tokens') || 0) };
+    }
+
+    const balance = applyTokenChange(tx, userRef, userSnap.data() || {}, tokens, reason, {
+      ...metadata,
+      attemptId,
+    });
+    return { success: true, tokensAwarded: tokens, balance };
+  });
+
+  if (result.tokensAwarded > 0) await trimTokenHistory(userRef);
+  return result;
+}
+
+exports.rewardMCQCompletion = onCall({ region: 'asia-east1' }, (request) => (
+  rewardFromAttempt(request, 'mcq_completion', (attempt, answerKey) => {
+    const { totalQuestions, correctCount, percentage } = scoreAttempt(attempt, answerKey);
+    const { tokens, tier } = computeQuizBonus({ totalQuestions, percentage });
+    return {
+      tokens,
+      reason: `MCQ Completed (${percentage}%) - ${tier}`,
+      metadata: { category: 'quiz_bonus', percentage, totalQuestions, correctAnswers: correctCount },
+    };
+  })
+));
+
+exports.rewardQuizQuestionTokens = onCall({ region: 'asia-east1' }, (request) => (
+  rewardFromAttempt(request, 'quiz_correct_answers', (attempt, answerKey) => {
+    const { correctCount } = scoreAttempt(attempt, answerKey);
+    const tokens = computeCorrectAnswerTokens(correctCount);
+    return {
+      tokens,
+      reason: `Quiz Correct Answers: ${correctCount} correct (${tokens} tokens)`,
+      metadata: { category: 'quiz_correct_answers', correctCount, quizMode: safeString(request.data?.quizMode) || 'practice' },
+    };
+  })
+));
+
+exports.rewardMillionaire = onCall({ region: 'asia-east1' }, (request) => (
+  rewardFromAttempt(request, 'millionaire', (attempt, answerKey) => {
+    if (attempt.mode !== 'millionaire') {
+      throw new HttpsError('failed-precondition', 'Not a Millionaire attempt');
+    }
+    const { passed, tokens } = computeMillionaireReward(attempt, answerKey);
+    return {
+      tokens,
+      reason: `Millionaire Game: Completed Q${passed}`,
+      metadata: { category: 'millionaire', levelReached: passed },
+    };
+  })
+));
+
+exports.claimDailyReward = onCall({ region: 'asia-east1' }, async (request) => {
+  const uid = requireUid(request);
+  const db = admin.firestore();
+  const rewardKey = `daily_reward_${getHKDateKey()}`;
+  const userRef = db.collection('users').doc(uid);
+  const cooldownRef = userRef.collection('rewardCooldowns').doc(rewardKey);
+
+  const result = await db.runTransaction(async (tx) => {
+    const [userSnap, cooldownSnap] = await Promise.all([tx.get(userRef), tx.get(cooldownRef)]);
+    if (!userSnap.exists) {
+      throw new HttpsError('failed-precondition', 'User profile missing');
+    }
+    if (cooldownSnap.exists) {
+      return { success: false, alreadyClaimed: true, tokensAwarded: 0 };
+    }
+
+    tx.set(cooldownRef, {
+      lastClaimed: admin.firestore.FieldValue.serverTimestamp(),
+      cooldownHours: 24,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    const balance = applyTokenChange(tx, userRef, userSnap.data() || {}, DAILY_REWARD_TOKENS, 'Daily Reward', {
+      category: 'daily_reward',
+      rewardKey,
+    });
+    return { success: true, tokensAwarded: DAILY_REWARD_TOKENS, balance };
+  });
+
+  if (result.success) await trimTokenHistory(userRef);
+  return result;
+});
+
+exports.initializeUserTokens = onCall({ region: 'asia-east1' }, async (request) => {
+  const uid = requireUid(request);
+  const db = admin.firestore();
+  const userRef = db.collection('users').doc(uid);
+
+  return db.runTransaction(async (tx) => {
+    const userSnap = await tx.get(userRef);
+    if (!userSnap.exists) {
+      throw new HttpsError('failed-precondition', 'User profile missing');
+    }
+    const userData = userSnap.data() || {};
+    if (userData.tokens != null) {
+      return { success: true, alreadyInitialized: true, balance: Number(userData.tokens || 0) };
+    }
+
+    tx.update(userRef, { inventory: [], equipped: {} });
+    const balance = applyTokenChange(tx, userRef, { tokens: 0 }, WELCOME_TOKENS, 'Welcome to ChemLeung! 🎉', {
+      category: 'welcome_bonus',
+    });
+    return { success: true, tokensAwarded: WELCOME_TOKENS, balance };
+  });
+});
+
+exports.purchaseItem = onCall({ region: 'asia-east1' }, async (request) => {
+  const uid = requireUid(request);
+  const itemId = safeString(request.data?.itemId);
+  const item = STORE_CATALOG[itemId];
+  if (!item) {
+    throw new HttpsError('invalid-argument', 'Unknown item');
+  }
+
+  const db = admin.firestore();
+  const userRef = db.collection('users').doc(uid);
+
+  const result = await db.runTransaction(async (tx) => {
+    const userSnap = await tx.get(userRef);
+    if (!userSnap.exists) {
+      throw new HttpsError('failed-precondition', 'User profile missing');
+    }
+    const userData = userSnap.data() || {};
+    const inventory = Array.isArray(userData.inventory) ? userData.inventory : [];
+
+    if (inventory.includes(itemId)) {
+      return { success: false, error: 'You already own this item' };
+    }
+    if (Number(userData.tokens || 0) < item.price) {
+      return { success: false, error: 'Not enough tokens' };
+    }
+
+    const newInventory = [...inventory, itemId];
+    tx.update(userRef, { inventory: newInventory });
+    const newBalance = applyTokenChange(tx, userRef, userData, -item.price, `Purchased: ${itemId}`, {
+      itemId,
+      category: 'store_purchase',
+    });
+    return { success: true, newBalance, newInventory };
+  });
+
+  if (result.success) await trimTokenHistory(userRef);
+  return result;
+});
+
+exports.equipItem = onCall({ region: 'asia-east1' }, async (request) => {
+  const uid = requireUid(request);
+  const itemId = safeString(request.data?.itemId);
+  const item = STORE_CATALOG[itemId];
+  if (!item) {
+    throw new HttpsError('invalid-argument', 'Unknown item');
+  }
+
+  const db = admin.firestore();
+  const userRef = db.collection('users').doc(uid);
+  const userSnap = await userRef.get();
+  if (!userSnap.exists) {
+    throw new HttpsError('failed-precondition', 'User profile missing');
+  }
+
+  const inventory = userSnap.get('inventory') || [];
+  // Free items (the defaults) never need buying
+  if (item.price > 0 && !inventory.includes(itemId)) {
+    return { success: false, error: 'Item not owned' };
+  }
+
+  await userRef.update({
+    [`equipped.${item.category}`]: itemId,
+    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+  return { success: true };
+});
+
 // === Algolia search sync for forum_posts ===
 
 // Helper: prepare Algolia record from Firestore doc
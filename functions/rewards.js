@@ -0,0 +1,93 @@
+// Quiz reward maths for the token callables in index.js. Pure functions of
+// the stored attempt and the answer key (Map of questionId → correct letter),
+// so functions/rewards.test.js can cover them without Firestore.
+
+const QUIZ_BONUS_MIN_QUESTIONS = 10;
+// Keep in sync with MAX_QUESTIONS in src/pages/PracticeModeSelection.jsx
+const QUIZ_MAX_QUESTIONS = 40;
+const QUIZ_BONUS = { perfect: 20, high: 15, pass: 10 };
+
+// Keep in sync with LADDER_TOKENS / computeFailReward in src/pages/MillionaireQuiz.jsx
+const MILLIONAIRE_LADDER = [1, 2, 3, 4, 5, 7, 9, 11, 14, 17, 21, 25, 30, 35, 42, 50, 60, 72, 85, 100];
+
+function safeString(value) {
+  return value == null ? '' : String(value);
+}
+
+// The attempt's first `max` distinct questions, each marked right or wrong
+// against the answer key. Only the question IDs and chosen letters are taken
+// from the attempt; a question missing from the key counts as wrong.
+function gradeAttemptQuestions(attempt, answerKey, max) {
+  const questions = Array.isArray(attempt.questions) ? attempt.questions : [];
+  const answers = attempt.answers && typeof attempt.answers === 'object' ? attempt.answers : {};
+  const seen = new Set();
+  const graded = [];
+  for (const q of questions) {
+    const id = safeString(q?.ID);
+    if (!id || seen.has(id)) continue;
+    seen.add(id);
+    const chosen = String(answers[id] || '').toUpperCase();
+    graded.push({ id, correct: Boolean(chosen) && chosen === answerKey.get(id) });
+    if (graded.length >= max) break;
+  }
+  return graded;
+}
+
+function scoreAttempt(attempt, answerKey) {
+  const graded = gradeAttemptQuestions(attempt, answerKey, QUIZ_MAX_QUESTIONS);
+  const correctCount = graded.filter((g) => g.correct).length;
+  const totalQuestions = graded.length;
+  const percentage = totalQuestions > 0 ? Math.round((correctCount / totalQuestions) * 100) : 0;
+  return { totalQuestions, correctCount, percentage };
+}
+
+// Completion bonus for a scored practice attempt
+function computeQuizBonus({ totalQuestions, percentage }) {
+  if (totalQuestions < QUIZ_BONUS_MIN_QUESTIONS) {
+    return { tokens: 0, tier: `No Bonus (min ${QUIZ_BONUS_MIN_QUESTIONS} questions)` };
+  }
+  if (percentage === 100) return { tokens: QUIZ_BONUS.perfect, tier: '100% Bonus' };
+  if (percentage >= 80) return { tokens: QUIZ_BONUS.high, tier: '80% Bonus' };
+  if (percentage >= 50) return { tokens: QUIZ_BONUS.pass, tier: '50% Bonus' };
+  return { tokens: 0, tier: 'No Bonus' };
+}
+
+// 1 token per 2 correct answers
+function computeCorrectAnswerTokens(correctCount) {
+  return Math.floor(correctCount / 2);
+}
+
+function computeMillionaireReward(attempt, answerKey) {
+  // Levels passed = answers correct in a row from Q1
+  let passed = 0;
+  for (const g of gradeAttemptQuestions(attempt, answerKey, MILLIONAIRE_LADDER.length)) {
+    if (!g.correct) break;
+    passed += 1;
+  }
+
+  if (passed >= MILLIONAIRE_LADDER.length) {
+    return { passed, tokens: MILLIONAIRE_LADDER[MILLIONAIRE_LADDER.length - 1] };
+  }
+
+  // Wrong answer, time-up or cash-out on level `passed + 1`: fall back to the
+  // last safety net (Q5 / Q10 / Q15 / Q17).
+  const level = passed + 1;
+  let tokens = 0;
+  if (level >= 6 && level <= 10) tokens = 5;
+  else if (level >= 11 && level <= 14) tokens = 14;
+  else if (level >= 15 && level <= 17) tokens = 42;
+  else if (level >= 18) tokens = 60;
+  return { passed, tokens };
+}
+
+module.exports = {
+  QUIZ_BONUS_MIN_QUESTIONS,
+  QUIZ_MAX_QUESTIONS,
+  QUIZ_BONUS,
+  MILLIONAIRE_LADDER,
+  gradeAttemptQuestions,
+  scoreAttempt,
+  computeQuizBonus,
+  computeCorrectAnswerTokens,
+  computeMillionaireReward,
+};
@@ -0,0 +1,135 @@
+import { describe, it, expect } from 'vitest';
+import { createRequire } from 'node:module';
+
+const require = createRequire(import.meta.url);
+const {
+  QUIZ_MAX_QUESTIONS,
+  MILLIONAIRE_LADDER,
+  gradeAttemptQuestions,
+  scoreAttempt,
+  computeQuizBonus,
+  computeCorrectAnswerTokens,
+  computeMillionaireReward
+} = require('./rewards');
+
+// An answer key of `size` questions (Q1..Qn, all answered A) and an attempt
+// that answers the first `correct` of them right and the rest wrong.
+function makeGame(size, correct, { answered = size } = {}) {
+  const answerKey = new Map();
+  const questions = [];
+  const answers = {};
+  for (let i = 1; i <= size; i++) {
+    const id = `Q${i}-hash`;
+    answerKey.set(id, 'A');
+    questions.push({ ID: id, CorrectOption: 'A' });
+    if (i <= answered) answers[id] = i <= correct ? 'A' : 'B';
+  }
+  return { answerKey, attempt: { questions, answers } };
+}
+
+describe('gradeAttemptQuestions', () => {
+  it('grades against the answer key, not the attempt', () => {
+    const answerKey = new Map([['Q1', 'A'], ['Q2', 'B']]);
+    const attempt = {
+      // The client claims C and D are correct and picked them
+      questions: [{ ID: 'Q1', CorrectOption: 'C' }, { ID: 'Q2', CorrectOption: 'D' }],
+      answers: { Q1: 'C', Q2: 'b' }
+    };
+    expect(gradeAttemptQuestions(attempt, answerKey, 10)).toEqual([
+      { id: 'Q1', correct: false },
+      { id: 'Q2', correct: true }
+    ]);
+  });
+
+  it('counts repeated, unknown and unanswered questions fairly', () => {
+    const answerKey = new Map([['Q1', 'A'], ['Q2', 'A']]);
+    const attempt = {
+      questions: [{ ID: 'Q1' }, { ID: 'Q1' }, { ID: 'NOT-IN-KEY' }, { ID: 'Q2' }, null, {}],
+      answers: { Q1: 'A', 'NOT-IN-KEY': 'A' }
+    };
+    expect(gradeAttemptQuestions(attempt, answerKey, 10)).toEqual([
+      { id: 'Q1', correct: true },
+      { id: 'NOT-IN-KEY', correct: false },
+      { id: 'Q2', correct: false }
+    ]);
+  });
+
+  it('stops at the limit and survives a malformed attempt', () => {
+    const { answerKey, attempt } = makeGame(5, 5);
+    expect(gradeAttemptQuestions(attempt, answerKey, 3)).toHaveLength(3);
+    expect(gradeAttemptQuestions({ questions: 'x', answers: null }, answerKey, 3)).toEqual([]);
+  });
+});
+
+describe('practice rewards', () => {
+  it('score at most QUIZ_MAX_QUESTIONS questions', () => {
+    const { answerKey, attempt } = makeGame(QUIZ_MAX_QUESTIONS + 10, QUIZ_MAX_QUESTIONS + 10);
+    expect(scoreAttempt(attempt, answerKey)).toEqual({
+      totalQuestions: QUIZ_MAX_QUESTIONS,
+      correctCount: QUIZ_MAX_QUESTIONS,
+      percentage: 100
+    });
+  });
+
+  it('round the percentage', () => {
+    const { answerKey, attempt } = makeGame(3, 2);
+    expect(scoreAttempt(attempt, answerKey)).toEqual({ totalQuestions: 3, correctCount: 2, percentage: 67 });
+    expect(scoreAttempt({}, answerKey)).toEqual({ totalQuestions: 0, correctCount: 0, percentage: 0 });
+  });
+
+  it.each([
+    [10, 10, 20, '100% Bonus'],
+    [10, 9, 15, '80% Bonus'],
+    [10, 8, 15, '80% Bonus'],
+    [10, 7, 10, '50% Bonus'],
+    [10, 5, 10, '50% Bonus'],
+    [10, 4, 0, 'No Bonus'],
+    [20, 19, 15, '80% Bonus'],
+    [9, 9, 0, 'No Bonus (min 10 questions)']
+  ])('pays the bonus tier for %i questions with %i correct', (size, correct, tokens, tier) => {
+    const { answerKey, attempt } = makeGame(size, correct);
+    expect(computeQuizBonus(scoreAttempt(attempt, answerKey))).toEqual({ tokens, tier });
+  });
+
+  it('pays 1 token per 2 correct answers', () => {
+    expect([0, 1, 2, 3, 7, 40].map(computeCorrectAnswerTokens)).toEqual([0, 0, 1, 1, 3, 20]);
+
+    const { answerKey, attempt } = makeGame(12, 9);
+    expect(computeCorrectAnswerTokens(scoreAttempt(attempt, answerKey).correctCount)).toBe(4);
+  });
+});
+
+describe('computeMillionaireReward', () => {
+  it('pays the top of the ladder for a full win', () => {
+    const { answerKey, attempt } = makeGame(20, 20);
+    expect(computeMillionaireReward(attempt, answerKey)).toEqual({ passed: 20, tokens: 100 });
+    expect(MILLIONAIRE_LADDER).toHaveLength(20);
+  });
+
+  it.each([
+    [0, 0],
+    [4, 0],
+    [5, 5],
+    [9, 5],
+    [10, 14],
+    [13, 14],
+    [14, 42],
+    [16, 42],
+    [17, 60],
+    [19, 60]
+  ])('falls back to the safety net after %i correct', (correct, tokens) => {
+    const { answerKey, attempt } = makeGame(20, correct, { answered: correct + 1 });
+    expect(computeMillionaireReward(attempt, answerKey)).toEqual({ passed: correct, tokens });
+  });
+
+  it('treats a cash-out (no answer on the next rung) like a miss', () => {
+    const { answerKey, attempt } = makeGame(20, 12, { answered: 12 });
+    expect(computeMillionaireReward(attempt, answerKey)).toEqual({ passed: 12, tokens: 14 });
+  });
+
+  it('stops counting at the first wrong answer', () => {
+    const { answerKey, attempt } = makeGame(20, 20);
+    attempt.answers['Q3-hash'] = 'D';
+    expect(computeMillionaireReward(attempt, answerKey)).toEqual({ passed: 2, tokens: 0 });
+  });
+});
@@ -0,0 +1,50 @@
+// Folding several SRS cards for the same user + question into one, used by
+// mergeDuplicateSrsCards and remapQuestionIds in index.js. No firebase
+// imports, so functions/srsCards.test.js can run it directly.
+
+function safeString(value) {
+  return value == null ? '' : String(value);
+}
+
+function srsCardLastUsed(card) {
+  return safeString(card.lastReviewedAt || card.createdAt);
+}
+
+// The most recently used card's schedule wins, counters are summed and the
+// other cards' creations are kept as mergedMistakes
+function mergeSrsCardGroup(cards, canonicalId) {
+  const latest = cards.reduce((best, card) => (srsCardLastUsed(card) > srsCardLastUsed(best) ? card : best));
+  const byCreation = [...cards].sort((a, b) => safeString(a.createdAt).localeCompare(safeString(b.createdAt)));
+  const first = byCreation[0];
+  const sum = (field) => cards.reduce((total, card) => total + Number(card[field] || 0), 0);
+
+  const mergedMistakes = byCreation.slice(1).map((card) => ({
+    at: card.createdAt || null,
+    sessionId: card.sessionId || null,
+    attemptId: card.createdFromAttemptId || null,
+  }));
+  cards.forEach((card) => {
+    if (Array.isArray(card.mergedMistakes)) mergedMistakes.push(...card.mergedMistakes);
+  });
+  mergedMistakes.sort((a, b) => safeString(a?.at).localeCompare(safeString(b?.at)));
+
+  return {
+    ...latest,
+    id: canonicalId,
+    sessionId: first.sessionId || null,
+    createdFromAttemptId: first.createdFromAttemptId || null,
+    createdAt: first.createdAt || latest.createdAt || null,
+    currentAttemptNumber: sum('currentAttemptNumber'),
+    totalAttempts: sum('totalAttempts'),
+    successfulAttempts: sum('successfulAttempts'),
+    failedAttempts: sum('failedAttempts'),
+    lapses: sum('lapses'),
+    mergedMistakes,
+    mergedCardIds: cards.map((card) => card.id).filter((id) => id !== canonicalId),
+    updatedAt: new Date().toISOString(),
+  };
+}
+
+module.exports = {
+  mergeSrsCardGroup,
+};
@@ -0,0 +1,85 @@
+import { describe, it, expect } from 'vitest';
+import { createRequire } from 'node:module';
+
+const require = createRequire(import.meta.url);
+const { mergeSrsCardGroup } = require('./srsCards');
+
+const CANONICAL = 'card_u1_Q1-abc';
+
+const card = (id, extra = {}) => ({
+  id,
+  userId: 'u1',
+  questionId: 'Q1-abc',
+  interval: 1,
+  nextReviewDate: '2026-03-01',
+  totalAttempts: 1,
+  successfulAttempts: 0,
+  failedAttempts: 1,
+  currentAttemptNumber: 1,
+  lapses: 0,
+  ...extra
+});
+
+describe('mergeSrsCardGroup', () => {
+  const first = card('card_u1_Q1-abc_quiz-1', {
+    sessionId: 'quiz-1',
+    createdFromAttemptId: 'attempt-1',
+    createdAt: '2026-01-01T00:00:00.000Z',
+    lastReviewedAt: '2026-01-20T00:00:00.000Z',
+    interval: 6
+  });
+  const second = card('card_u1_Q1-abc_quiz-2', {
+    sessionId: 'quiz-2',
+    createdFromAttemptId: 'attempt-2',
+    createdAt: '2026-01-10T00:00:00.000Z',
+    lastReviewedAt: '2026-02-15T00:00:00.000Z',
+    interval: 15,
+    nextReviewDate: '2026-03-02',
+    totalAttempts: 4,
+    successfulAttempts: 3,
+    lapses: 1
+  });
+  const third = card('card_u1_Q1-abc_quiz-3', {
+    sessionId: 'quiz-3',
+    createdFromAttemptId: 'attempt-3',
+    createdAt: '2026-02-01T00:00:00.000Z',
+    mergedMistakes: [{ at: '2026-02-05T00:00:00.000Z', sessionId: 'quiz-4', attemptId: 'attempt-4' }]
+  });
+
+  const merged = mergeSrsCardGroup([third, first, second], CANONICAL);
+
+  it('keeps the most recently used schedule under the canonical ID', () => {
+    expect(merged).toMatchObject({ id: CANONICAL, interval: 15, nextReviewDate: '2026-03-02' });
+  });
+
+  it('dates the card from the first quiz that created it', () => {
+    expect(merged).toMatchObject({
+      sessionId: 'quiz-1',
+      createdFromAttemptId: 'attempt-1',
+      createdAt: '2026-01-01T00:00:00.000Z'
+    });
+  });
+
+  it('sums the counters', () => {
+    expect(merged).toMatchObject({
+      totalAttempts: 6,
+      successfulAttempts: 3,
+      failedAttempts: 3,
+      currentAttemptNumber: 3,
+      lapses: 1
+    });
+  });
+
+  it('keeps every later mistake in order', () => {
+    expect(merged.mergedMistakes).toEqual([
+      { at: '2026-01-10T00:00:00.000Z', sessionId: 'quiz-2', attemptId: 'attempt-2' },
+      { at: '2026-02-01T00:00:00.000Z', sessionId: 'quiz-3', attemptId: 'attempt-3' },
+      { at: '2026-02-05T00:00:00.000Z', sessionId: 'quiz-4', attemptId: 'attempt-4' }
+    ]);
+  });
+
+  it('lists the cards it replaced', () => {
+    expect(merged.mergedCardIds).toEqual([third.id, first.id, second.id]);
+    expect(mergeSrsCardGroup([card(CANONICAL), first], CANONICAL).mergedCardIds).toEqual([first.id]);
+  });
+});
@@ -20,16 +20,22 @@ import MistakeNotebookPage from './pages/MistakeNotebookPage';
 import FirebaseTestPage from './pages/FirebaseTestPage';
 import DebugDashboard from './pages/DebugDashboard';
 import SRSReviewPage from './pages/SRSReviewPage';
+import SRSAnalyticsPage from './pages/SRSAnalyticsPage';
+import LeechClinicPage from './pages/LeechClinicPage';
+import PastPaperPage from './pages/PastPaperPage';
+import QuestionBankReportPage from './pages/QuestionBankReportPage';
 import { useQuizData } from './hooks/useQuizData';
+import { QUESTION_SOURCES } from './services/questionBankService';
 import ChemistryLoading from './components/ChemistryLoading';
+import QuestionBankStatus from './components/QuestionBankStatus';
+import SRSOfflineSync from './components/SRSOfflineSync';
+import DisplaySettingsSync from './components/DisplaySettingsSync';
 import ChemStore from './components/ChemStore';
 import TokenLog from './components/TokenLog';
 
-const SHEET_URL = 'https://docs.google.com/spreadsheets/d/e/2PACX-1vTK36yaUN-NMCkQNT-DAHgc6FMZPjUc0Yv3nYEK4TA9W2qE9V1TqVD10Tq98-wXQoAvKOZlwGWRSDkU/pub?gid=1182550140&single=true&output=csv';
-
 function AppContent() {
   const location = useLocation();
-  const { questions, loading, error } = useQuizData(SHEET_URL);
+  const { questions, loading, error, refreshError, lastUpdate, statsLoaded } = useQuizData(QUESTION_SOURCES);
   const isNotebookRoute = location.pathname === '/notebook';
   const noShellRoutes = new Set(['/dashboard', '/login', '/register', '/millionaire']);
   const useNoShell = noShellRoutes.has(location.pathname);
@@ -58,6 +64,9 @@ function AppContent() {
   return (
     <>
       {showHeader && <Header />}
+      <QuestionBankStatus refreshError={refreshError} lastUpdate={lastUpdate} />
+      <SRSOfflineSync />
+      <DisplaySettingsSync />
       <div className={useNoShell ? '' : isNotebookRoute ? '' : 'container mx-auto px-4 py-6'}>
         <Routes>
           {/* Public Routes */}
@@ -126,7 +135,7 @@ function AppContent() {
             path="/millionaire"
             element={
               <PrivateRoute>
-                <MillionaireQuiz questions={questions} />
+                <MillionaireQuiz questions={questions} statsLoaded={statsLoaded} />
               </PrivateRoute>
             }
           />
@@ -177,6 +186,33 @@ function AppContent() {
             }
           />
           
+          <Route
+            path="/srs-analytics"
+            element={
+              <PrivateRoute>
+                <SRSAnalyticsPage />
+              </PrivateRoute>
+            }
+          />
+
+          <Route
+            path="/leech-clinic"
+            element={
+              <PrivateRoute>
+                <LeechClinicPage questions={questions} />
+              </PrivateRoute>
+            }
+          />
+
+          <Route
+            path="/past-papers"
+            element={
+              <PrivateRoute>
+                <PastPaperPage questions={questions} />
+              </PrivateRoute>
+            }
+          />
+
           <Route
             path="/forum"
             element={
@@ -221,7 +257,17 @@ function AppContent() {
             path="/debug"
             element={
               <PrivateRoute>
-                <DebugDashboard />
+                <DebugDashboard questions={questions} />
+              </PrivateRoute>
+            }
+          />
+
+          {/* Question bank validation report - admin tooling */}
+          <Route
+            path="/question-bank-report"
+            element={
+              <PrivateRoute>
+                <QuestionBankReportPage />
               </PrivateRoute>
             }
           />
@@ -1,13 +1,22 @@
-import React, { useState } from 'react';
+import React, { useMemo, useState } from 'react';
 import { X, CheckCircle2, XCircle, Clock, Info, Share2, BarChart3, MessageSquare } from 'lucide-react';
 import ShareableReport from './ShareableReport';
 import QuestionForum from './QuestionForum';
+import { sanitizeQuestions } from '../utils/sanitizeHtml';
+import { toDisplayKey } from '../utils/optionShuffle';
 
 export default function AttemptDetailModal({ attempt, onClose }) {
   const [showShareReport, setShowShareReport] = useState(false);
   const [forumQuestion, setForumQuestion] = useState(null);
 
-  const { questions, answers, questionTimes, correctAnswers, totalQuestions, percentage, topics, timestamp, timeSpent } = attempt;
+  const { questions: storedQuestions, answers, questionTimes, correctAnswers, totalQuestions, percentage, topics, timestamp, timeSpent, optionOrders } = attempt;
+
+  // Attempts carry their own copy of the question HTML (written by the client),
+  // so sanitize it again rather than trusting what's in Firestore.
+  const questions = useMemo(
+    () => (storedQuestions ? sanitizeQuestions(storedQuestions) : storedQuestions),
+    [storedQuestions]
+  );
 
   // If attempt doesn't have questions stored, show a limited view
   const hasFullData = questions && questions.length > 0 && answers;
@@ -224,6 +233,8 @@ export default function AttemptDetailModal({ attempt, onClose }) {
                           {opts.map((opt) => {
                             const isSelected = selected === opt.key;
                             const isCorrectOpt = q.CorrectOption === opt.key;
+                            // Options are listed in sheet order; note the letter shown in a shuffled quiz
+                            const shownAs = toDisplayKey(optionOrders?.[q.ID], opt.key);
                             return (
                               <div
                                 key={opt.key}
@@ -242,6 +253,11 @@ export default function AttemptDetailModal({ attempt, onClose }) {
                                   className="flex-1 whitespace-pre-wrap prose prose-slate max-w-none"
                                   dangerouslySetInnerHTML={{ __html: String(opt.text) }}
                                 />
+                                {shownAs !== opt.key && (
+                                  <span className="flex-shrink-0 text-[10px] font-bold text-slate-400 uppercase">
+                                    Shown as {shownAs}
+                                  </span>
+                                )}
                               </div>
                             );
                           })}
@@ -42,7 +42,7 @@ export default function ChemStore() {
     setPurchasing(item.id);
 
     try {
-      const result = await purchaseItem(currentUser.uid, item.id, item.price);
+      const result = await purchaseItem(item.id);
       
       if (result.success) {
         showNotification(t('store.purchased').replace('{name}', item.name), 'success');
@@ -59,8 +59,7 @@ export default function ChemStore() {
   // Handle equip
   const handleEquip = async (item) => {
     try {
-      const slot = item.category;
-      const result = await equipItem(currentUser.uid, item.id, slot);
+      const result = await equipItem(item.id);
       
       if (result.success) {
         showNotification(t('store.equipped').replace('{name}', item.name), 'success');
@@ -0,0 +1,98 @@
+import React, { useState } from 'react';
+import { Contrast, Type } from 'lucide-react';
+import { useAuth } from '../contexts/AuthContext';
+import { useLanguage } from '../contexts/LanguageContext';
+import {
+  TEXT_SIZES,
+  normalizeDisplaySettings,
+  saveDisplaySettings
+} from '../services/displaySettingsService';
+
+// Profile card for the readability preferences: high contrast and text size.
+export default function DisplaySettings() {
+  const { currentUser, userProfile, loadUserProfile } = useAuth();
+  const { t } = useLanguage();
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const settings = normalizeDisplaySettings(userProfile?.displaySettings);
+
+  async function update(patch) {
+    if (!currentUser?.uid) return;
+    setSaving(true);
+    setError(null);
+    try {
+      await saveDisplaySettings(currentUser.uid, settings, patch);
+      await loadUserProfile(currentUser.uid);
+    } catch (err) {
+      console.error('Error saving display settings:', err);
+      setError(t('displaySettings.saveFailed'));
+    }
+    setSaving(false);
+  }
+
+  return (
+    <div className="bg-white rounded-2xl shadow-xl border border-slate-200 overflow-hidden">
+      <div className="p-6 border-b bg-slate-50">
+        <h2 className="text-lg font-black text-slate-800 flex items-center gap-2">
+          <Type size={20} className="text-lab-blue" />
+          {t('displaySettings.title')}
+        </h2>
+        <p className="text-xs text-slate-500 mt-1">{t('displaySettings.subtitle')}</p>
+      </div>
+
+      <div className="p-6 space-y-5">
+        <div className="flex items-center justify-between gap-4">
+          <div className="flex items-center gap-3">
+            <Contrast size={20} className="text-lab-blue" />
+            <div>
+              <h3 id="display-high-contrast" className="font-bold text-slate-800">{t('displaySettings.highContrast')}</h3>
+              <p className="text-xs text-slate-500">{t('displaySettings.highContrastHint')}</p>
+            </div>
+          </div>
+          <button
+            type="button"
+            role="switch"
+            aria-checked={settings.highContrast}
+            aria-labelledby="display-high-contrast"
+            disabled={saving}
+            onClick={() => update({ highContrast: !settings.highContrast })}
+            className={`relative w-14 h-8 rounded-full transition-all shrink-0 ${
+              settings.highContrast ? 'bg-chemistry-green' : 'bg-slate-300'
+            }`}
+          >
+            <div className={`absolute top-1 left-1 w-6 h-6 bg-white rounded-full transition-transform ${
+              settings.highContrast ? 'translate-x-6' : 'translate-x-0'
+            }`} />
+          </button>
+        </div>
+
+        <div>
+          <h3 id="display-text-size" className="font-bold text-slate-800 mb-2">{t('displaySettings.textSize')}</h3>
+          <div role="radiogroup" aria-labelledby="display-text-size" className="grid grid-cols-3 gap-3">
+            {TEXT_SIZES.map((size) => (
+              <button
+                key={size}
+                type="button"
+                role="radio"
+                aria-checked={settings.textSize === size}
+                disabled={saving}
+                onClick={() => size !== settings.textSize && update({ textSize: size })}
+                className={`py-3 rounded-xl border-2 font-bold transition-all ${
+                  settings.textSize === size
+                    ? 'border-lab-blue bg-blue-50 text-lab-blue'
+                    : 'border-slate-200 text-slate-600 hover:border-slate-300'
+                }`}
+              >
+                {t(`displaySettings.textSize_${size}`)}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        {error && (
+          <div className="text-sm font-semibold rounded-lg px-3 py-2 bg-red-50 text-red-700">{error}</div>
+        )}
+      </div>
+    </div>
+  );
+}
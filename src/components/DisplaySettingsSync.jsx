@@ -0,0 +1,19 @@
+import { useEffect } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import {
+  applyDisplaySettings,
+  getLocalDisplaySettings
+} from '../services/displaySettingsService';
+
+// Applies the signed-in user's high-contrast / text-size preference to the
+// whole app; until the profile loads, the copy saved on this device is used.
+export default function DisplaySettingsSync() {
+  const { userProfile } = useAuth();
+  const profileSettings = userProfile?.displaySettings;
+
+  useEffect(() => {
+    applyDisplaySettings(profileSettings || getLocalDisplaySettings());
+  }, [profileSettings]);
+
+  return null;
+}
@@ -1,6 +1,6 @@
 import React, { useEffect, useRef, useState } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
-import { Clock, Infinity, Sparkles, Heart, Settings, ChevronLeft, ChevronRight, Play, BarChart3, Percent, PhoneCall, Layers, Shield, Coins } from 'lucide-react';
+import { Clock, Infinity, Sparkles, Heart, Settings, ChevronLeft, ChevronRight, Play, BarChart3, Percent, PhoneCall, Layers, Shield, Coins, FileText } from 'lucide-react';
 import { useLanguage } from '../contexts/LanguageContext';
 
 const MODES = [
@@ -40,6 +40,18 @@ const MODES = [
     textColor: 'text-blue-700',
     iconColor: 'text-blue-600',
   },
+  {
+    id: 'mock-paper',
+    titleKey: 'practiceModeCarousel.mockPaperTitle',
+    subtitleKey: 'practiceModeCarousel.mockPaperSubtitle',
+    descriptionKey: 'practiceModeCarousel.mockPaperDesc',
+    icon: FileText,
+    gradient: 'from-slate-700 to-slate-900',
+    bgColor: 'bg-slate-50',
+    borderColor: 'border-slate-300',
+    textColor: 'text-slate-800',
+    iconColor: 'text-slate-700',
+  },
   {
     id: 'ai-daily',
     titleKey: 'practiceModeCarousel.aiDailyTitle',
@@ -0,0 +1,54 @@
+import React from 'react';
+import { FileText } from 'lucide-react';
+import { useLanguage } from '../contexts/LanguageContext';
+import { estimateDseLevel, DSE_LEVEL_BANDS, MOCK_PAPER_SOURCES } from '../services/mockPaperService';
+
+// Estimated DSE level band shown above the results of a mock paper
+export default function MockPaperLevel({ mockPaper, questions, userAnswers }) {
+  const { t, tf } = useLanguage();
+
+  const correct = questions.filter(q => userAnswers[q.ID] === q.CorrectOption).length;
+  const estimate = estimateDseLevel(correct, questions.length);
+  const min = Math.round(estimate.min * 100);
+  const paperLabel = mockPaper.source === MOCK_PAPER_SOURCES.PAST_PAPER
+    ? tf('mockPaper.pastPaperLabel', { year: mockPaper.year })
+    : t('mockPaper.generatedLabel');
+
+  return (
+    <div className="bg-white rounded-2xl shadow-xl border border-slate-200 p-6 mb-8 flex flex-col md:flex-row md:items-center gap-6">
+      <div className="flex items-center gap-4">
+        <div className="w-24 h-24 rounded-2xl bg-slate-900 text-white flex items-center justify-center text-4xl font-black shrink-0">
+          {estimate.level}
+        </div>
+        <div>
+          <div className="flex items-center gap-2 text-xs font-black text-slate-500 uppercase tracking-widest">
+            <FileText size={14} />
+            {paperLabel}
+          </div>
+          <div className="text-xl font-black text-slate-800">{t('mockPaper.estimatedLevel')}</div>
+          <div className="text-sm text-slate-600">
+            {estimate.max === null
+              ? tf('mockPaper.levelRangeTop', { min })
+              : tf('mockPaper.levelRange', { min, max: Math.round(estimate.max * 100) - 1 })}
+          </div>
+        </div>
+      </div>
+
+      <div className="flex-1 space-y-2">
+        <div className="flex gap-1">
+          {[...DSE_LEVEL_BANDS].reverse().map(band => (
+            <div
+              key={band.level}
+              className={`flex-1 py-1 rounded text-center text-xs font-black ${
+                band.level === estimate.level ? 'bg-slate-900 text-white' : 'bg-slate-100 text-slate-400'
+              }`}
+            >
+              {band.level}
+            </div>
+          ))}
+        </div>
+        <p className="text-xs text-slate-500">{t('mockPaper.levelDisclaimer')}</p>
+      </div>
+    </div>
+  );
+}
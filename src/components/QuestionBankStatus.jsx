@@ -0,0 +1,45 @@
+import React, { useState } from 'react';
+import { useLanguage } from '../contexts/LanguageContext';
+import { WifiOff, RefreshCw, X } from 'lucide-react';
+
+// Small non-blocking notice for the background question-bank refresh:
+// either "you're on the cached copy" (refresh failed) or "N questions changed".
+export default function QuestionBankStatus({ refreshError, lastUpdate }) {
+  const { t, tf } = useLanguage();
+  const [dismissedKey, setDismissedKey] = useState(null);
+
+  const hasChanges = lastUpdate
+    && (lastUpdate.added.length + lastUpdate.changed.length + lastUpdate.removed.length) > 0;
+
+  const key = refreshError ? `error:${refreshError}` : hasChanges ? `update:${lastUpdate.at}` : null;
+  if (!key || dismissedKey === key) return null;
+
+  return (
+    <div className="fixed bottom-24 md:bottom-6 left-1/2 -translate-x-1/2 z-50 flex items-center gap-3 bg-white/95 backdrop-blur border border-slate-200 rounded-full pl-4 pr-2 py-2 shadow-lg text-sm text-slate-600">
+      {refreshError ? (
+        <>
+          <WifiOff size={16} className="text-amber-500" />
+          <span>{t('questionBank.offlineCached')}</span>
+        </>
+      ) : (
+        <>
+          <RefreshCw size={16} className="text-lab-blue" />
+          <span>
+            {tf('questionBank.bankUpdated', {
+              added: lastUpdate.added.length,
+              changed: lastUpdate.changed.length,
+              removed: lastUpdate.removed.length
+            })}
+          </span>
+        </>
+      )}
+      <button
+        onClick={() => setDismissedKey(key)}
+        className="p-1 rounded-full text-slate-400 hover:text-slate-600 hover:bg-slate-100"
+        aria-label={t('common.close')}
+      >
+        <X size={14} />
+      </button>
+    </div>
+  );
+}
@@ -1,6 +1,7 @@
-import React, { useEffect, useLayoutEffect, useMemo, useRef, useState } from 'react';
+import React, { useEffect, useId, useLayoutEffect, useMemo, useRef, useState } from 'react';
 import { HelpCircle, MessageSquare } from 'lucide-react';
 import QuestionForum from './QuestionForum';
+import { OPTION_KEYS } from '../utils/optionShuffle';
 
 const QuestionCard = React.memo(function QuestionCard({
   question,
@@ -10,10 +11,25 @@ const QuestionCard = React.memo(function QuestionCard({
   showTopic = true,
   showSubtopic = true,
   showDseCode = true,
+  optionOrder = null,
 }) {
   const [showForum, setShowForum] = useState(false);
   const [lightboxSrc, setLightboxSrc] = useState(null);
   const richContentRootRef = useRef(null);
+  const optionRefs = useRef([]);
+  const questionTextId = useId();
+
+  // Escape closes the enlarged image
+  useEffect(() => {
+    if (!lightboxSrc) return undefined;
+    const handleKeyDown = (e) => {
+      if (e.key !== 'Escape') return;
+      e.stopPropagation();
+      setLightboxSrc(null);
+    };
+    window.addEventListener('keydown', handleKeyDown, true);
+    return () => window.removeEventListener('keydown', handleKeyDown, true);
+  }, [lightboxSrc]);
 
   const normalizeLiteralNewlinesToBr = (html) => {
     if (!html) return '';
@@ -82,13 +98,13 @@ const QuestionCard = React.memo(function QuestionCard({
     );
   }
 
-  // We use the keys defined in our useQuizData.js mapping
-  const options = [
-    { key: 'A', text: normalizeLiteralNewlinesToBr(question.OptionA) },
-    { key: 'B', text: normalizeLiteralNewlinesToBr(question.OptionB) },
-    { key: 'C', text: normalizeLiteralNewlinesToBr(question.OptionC) },
-    { key: 'D', text: normalizeLiteralNewlinesToBr(question.OptionD) },
-  ];
+  // `key` is the sheet letter (what selectedOption / onSelect use); `label`
+  // is the letter shown, which differs when the options are shuffled
+  const options = (optionOrder || OPTION_KEYS).map((key, index) => ({
+    key,
+    label: OPTION_KEYS[index],
+    text: normalizeLiteralNewlinesToBr(question[`Option${key}`]),
+  }));
 
   const questionHtml = useMemo(
     () => normalizeLiteralNewlinesToBr(question.Question),
@@ -156,6 +172,28 @@ const QuestionCard = React.memo(function QuestionCard({
     }
   };
 
+  // Arrow keys move between options (radio group pattern); Space/Enter picks.
+  // Left/Right are left to the quiz page for changing question.
+  const handleOptionKeyDown = (e, index) => {
+    if (e.key === 'Enter') {
+      // Enter means "next question" on the quiz page, not "toggle this option"
+      e.preventDefault();
+      return;
+    }
+    const last = options.length - 1;
+    const target = {
+      ArrowDown: index === last ? 0 : index + 1,
+      ArrowUp: index === 0 ? last : index - 1,
+      Home: 0,
+      End: last,
+    }[e.key];
+    if (target === undefined) return;
+    e.preventDefault();
+    optionRefs.current[target]?.focus();
+  };
+
+  const focusableIndex = Math.max(0, options.findIndex(opt => opt.key === selectedOption));
+
   return (
     <>
       {lightboxSrc && (
@@ -164,6 +202,7 @@ const QuestionCard = React.memo(function QuestionCard({
           onClick={() => setLightboxSrc(null)}
           role="dialog"
           aria-modal="true"
+          aria-label="Enlarged diagram"
         >
           <div
             className="relative max-w-5xl w-full"
@@ -171,6 +210,7 @@ const QuestionCard = React.memo(function QuestionCard({
           >
             <button
               type="button"
+              autoFocus
               onClick={() => setLightboxSrc(null)}
               className="absolute -top-10 right-0 text-white/90 hover:text-white text-sm font-bold"
             >
@@ -226,6 +266,7 @@ const QuestionCard = React.memo(function QuestionCard({
           {/* Question Text - with whitespace-pre-wrap for line breaks */}
           <div className="mb-8">
             <div 
+              id={questionTextId}
               className="text-lg md:text-xl font-semibold leading-relaxed text-slate-800 prose prose-slate max-w-none whitespace-pre-wrap"
               onClick={handleRichContentClick}
               dangerouslySetInnerHTML={{ __html: questionHtml }}
@@ -233,27 +274,35 @@ const QuestionCard = React.memo(function QuestionCard({
           </div>
 
           {/* MCQ Options Grid */}
-          <div className="grid grid-cols-1 gap-3">
-            {options.map((opt) => (
+          <div className="grid grid-cols-1 gap-3" role="radiogroup" aria-labelledby={questionTextId}>
+            {options.map((opt, index) => (
               <button
                 key={opt.key}
+                ref={(el) => { optionRefs.current[index] = el; }}
+                type="button"
+                role="radio"
+                aria-checked={selectedOption === opt.key}
+                tabIndex={index === focusableIndex ? 0 : -1}
                 onMouseDown={(e) => e.preventDefault()}
                 onClick={() => handleOptionClick(opt.key)}
-                className={`group flex items-center text-left p-4 rounded-xl border-2 transition-all duration-200 ${
+                onKeyDown={(e) => handleOptionKeyDown(e, index)}
+                className={`group flex items-center text-left p-4 rounded-xl border-2 transition-all duration-200 focus:outline-none focus-visible:ring-2 focus-visible:ring-offset-2 focus-visible:ring-lab-blue ${
                   selectedOption === opt.key
                     ? 'border-lab-blue bg-blue-50/50 ring-1 ring-lab-blue'
                     : 'border-slate-100 hover:border-slate-300 hover:bg-slate-50'
                 }`}
               >
                 {/* Option Letter Bubble */}
-                <div className={`w-10 h-10 flex-shrink-0 flex items-center justify-center rounded-lg font-bold mr-4 transition-colors ${
+                <div aria-hidden="true" className={`w-10 h-10 flex-shrink-0 flex items-center justify-center rounded-lg font-bold mr-4 transition-colors ${
                   selectedOption === opt.key
                     ? 'bg-lab-blue text-white'
                     : 'bg-slate-100 text-slate-500 group-hover:bg-slate-200'
                 }`}>
-                  {opt.key}
+                  {opt.label}
                 </div>
 
+                <span className="sr-only">{`Option ${opt.label}: `}</span>
+
                 {/* Option Text - with whitespace-pre-wrap for line breaks */}
                 <div 
                   className={`text-base md:text-lg whitespace-pre-wrap [&_img]:max-h-[120px] [&_img]:max-w-[calc(100%-3rem)] [&_img]:w-auto [&_img]:object-contain [&_img]:my-2 ${
@@ -271,7 +320,7 @@ const QuestionCard = React.memo(function QuestionCard({
         <div className="px-6 py-4 bg-slate-50/50 border-t border-slate-100 flex items-center gap-2">
           <HelpCircle size={14} className="text-slate-400" />
           <span className="text-[11px] text-slate-400 font-medium italic">
-            Select the most appropriate answer. Click again to deselect. All chemical equations should be assumed to occur at r.t.p. unless stated otherwise.
+            Select the most appropriate answer. Click again to deselect. Use the arrow keys to move between options and Space to choose. All chemical equations should be assumed to occur at r.t.p. unless stated otherwise.
           </span>
         </div>
       </div>
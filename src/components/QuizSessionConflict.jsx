@@ -0,0 +1,46 @@
+import React from 'react';
+import { AlertTriangle } from 'lucide-react';
+import { useLanguage } from '../contexts/LanguageContext';
+import { CONFLICT_TYPES } from '../services/inProgressSessionService';
+
+// Shown on the quiz page when the saved copy of this quiz moved on in
+// another tab or device (see useSessionCheckpoint).
+export default function QuizSessionConflict({ conflict, onLoadRemote, onKeepLocal, onLeave }) {
+  const { t, tf } = useLanguage();
+  if (!conflict) return null;
+
+  const isNewer = conflict.type === CONFLICT_TYPES.NEWER;
+  const answered = Object.values(conflict.remote?.answers || {}).filter(Boolean).length;
+
+  return (
+    <div className="fixed top-20 left-1/2 -translate-x-1/2 z-[60] w-[min(32rem,calc(100vw-2rem))] bg-white border-2 border-amber-300 rounded-2xl shadow-2xl p-4 space-y-3">
+      <div className="flex items-start gap-3">
+        <AlertTriangle size={20} className="text-amber-500 shrink-0 mt-0.5" />
+        <div>
+          <div className="font-black text-slate-800">{t(`quizSession.conflictTitle_${conflict.type}`)}</div>
+          <div className="text-sm text-slate-600">
+            {isNewer
+              ? tf('quizSession.conflictBody_newer', { count: answered })
+              : t(`quizSession.conflictBody_${conflict.type}`)}
+          </div>
+        </div>
+      </div>
+      <div className="flex flex-wrap justify-end gap-2">
+        <button
+          type="button"
+          onClick={onKeepLocal}
+          className="px-4 py-2 rounded-xl border-2 border-slate-200 font-black text-sm text-slate-700 hover:bg-slate-50"
+        >
+          {t('quizSession.keepThisCopy')}
+        </button>
+        <button
+          type="button"
+          onClick={isNewer ? onLoadRemote : onLeave}
+          className="px-4 py-2 rounded-xl bg-amber-500 text-white font-black text-sm hover:bg-amber-600"
+        >
+          {isNewer ? t('quizSession.loadLatest') : t('quizSession.leaveQuiz')}
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -2,8 +2,9 @@ import React, { useState } from 'react';
 import { CheckCircle2, XCircle, BarChart3, RotateCcw, Info, Clock, Share2, MessageSquare } from 'lucide-react';
 import ShareableReport from './ShareableReport';
 import QuestionForum from './QuestionForum';
+import { toDisplayKey } from '../utils/optionShuffle';
 
-export default function ResultsSummary({ questions, userAnswers, questionTimes, onRestart }) {
+export default function ResultsSummary({ questions, userAnswers, questionTimes, optionOrders = {}, onRestart }) {
   const [showShareReport, setShowShareReport] = useState(false);
   const [forumQuestion, setForumQuestion] = useState(null);
   const [showChineseExplanation, setShowChineseExplanation] = useState(() => ({}));
@@ -184,10 +185,10 @@ export default function ResultsSummary({ questions, userAnswers, questionTimes,
               
               <div className="grid grid-cols-1 md:grid-cols-2 gap-2 mb-4">
                 <div className={`p-3 rounded-lg text-sm border ${userAnswers[q.ID] === q.CorrectOption ? 'bg-green-50 border-green-200 text-green-800' : 'bg-red-50 border-red-200 text-red-800'}`}>
-                  <strong>Your Answer:</strong> {userAnswers[q.ID] || 'None'}
+                  <strong>Your Answer:</strong> {toDisplayKey(optionOrders[q.ID], userAnswers[q.ID]) || 'None'}
                 </div>
                 <div className="p-3 rounded-lg bg-blue-50 border border-blue-200 text-blue-800 text-sm">
-                  <strong>Correct Answer:</strong> {q.CorrectOption}
+                  <strong>Correct Answer:</strong> {toDisplayKey(optionOrders[q.ID], q.CorrectOption)}
                 </div>
               </div>
 
@@ -0,0 +1,72 @@
+import React, { useState } from 'react';
+import { CalendarRange } from 'lucide-react';
+import { useLanguage } from '../contexts/LanguageContext';
+import { recoverBacklog } from '../services/srsService';
+
+const SPREAD_OPTIONS = [3, 5, 7, 14];
+
+// Offers to re-spread an overdue backlog over the next few days (most
+// forgotten cards first) instead of leaving it all due today.
+export default function SRSBacklogRecovery({ userId, overdueCount, onRecovered }) {
+  const { t, tf } = useLanguage();
+  const [days, setDays] = useState(7);
+  const [working, setWorking] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  if (!userId || !(overdueCount > 0)) {
+    return message ? <div className="text-xs font-bold text-green-700">{message}</div> : null;
+  }
+
+  async function handleSpread() {
+    setWorking(true);
+    setMessage(null);
+    try {
+      const result = await recoverBacklog(userId, days);
+      setMessage(tf('srs.backlogSpread', { count: result.count, days }));
+      if (typeof onRecovered === 'function') onRecovered(result);
+    } catch (error) {
+      console.error('Error spreading SRS backlog:', error);
+      setMessage(t('srs.backlogSpreadFailed'));
+    }
+    setWorking(false);
+  }
+
+  return (
+    <div className="rounded-xl border-2 border-amber-200 bg-amber-50 p-4 space-y-3">
+      <div className="flex items-start gap-2">
+        <CalendarRange size={18} className="text-amber-600 shrink-0 mt-0.5" />
+        <div>
+          <div className="text-sm font-black text-slate-800">
+            {tf('srs.backlogTitle', { count: overdueCount })}
+          </div>
+          <div className="text-xs text-slate-600">{t('srs.backlogHint')}</div>
+        </div>
+      </div>
+      <div className="flex flex-wrap items-center gap-2">
+        <select
+          value={days}
+          onChange={(e) => setDays(Number(e.target.value))}
+          disabled={working}
+          aria-label={t('srs.backlogDaysLabel')}
+          className="px-3 py-2 rounded-xl border-2 border-amber-200 bg-white font-bold text-slate-800 text-sm"
+        >
+          {SPREAD_OPTIONS.map((n) => (
+            <option key={n} value={n}>{tf('srs.backlogOverDays', { days: n })}</option>
+          ))}
+        </select>
+        <button
+          type="button"
+          onClick={handleSpread}
+          disabled={working}
+          className="px-4 py-2 rounded-xl bg-amber-500 text-white font-black text-sm hover:bg-amber-600 disabled:bg-slate-300"
+        >
+          {working ? t('srs.backlogSpreading') : t('srs.backlogSpreadButton')}
+        </button>
+        <span className="text-xs text-slate-500">
+          {tf('srs.backlogPerDay', { count: Math.ceil(overdueCount / days) })}
+        </span>
+      </div>
+      {message && <div className="text-xs font-bold text-slate-700">{message}</div>}
+    </div>
+  );
+}
@@ -0,0 +1,168 @@
+import React, { useMemo, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Filter, Play } from 'lucide-react';
+import { useLanguage } from '../contexts/LanguageContext';
+import { quizStorage } from '../utils/quizStorage';
+import { getCustomStudyCards, CUSTOM_STUDY_MODES } from '../services/srsService';
+
+const EASE_OPTIONS = [2.0, 1.8, 1.5];
+const DUE_WITHIN_OPTIONS = [0, 3, 7, 14];
+const DEFAULT_COUNT = 20;
+const MAX_COUNT = 100;
+
+function getQuestionId(question) {
+  return String(question?.ID ?? question?.id ?? '');
+}
+
+// Study SRS cards outside the due queue: a topic, the hardest cards, or
+// whatever is coming up soon. Cram sessions leave the schedule alone;
+// review-ahead sessions are submitted with early-review credit.
+export default function SRSCustomStudy({ userId, questions }) {
+  const navigate = useNavigate();
+  const { t, tf } = useLanguage();
+  const [topic, setTopic] = useState('');
+  const [maxEase, setMaxEase] = useState('');
+  const [dueWithin, setDueWithin] = useState('');
+  const [mode, setMode] = useState(CUSTOM_STUDY_MODES.CRAM);
+  const [count, setCount] = useState(DEFAULT_COUNT);
+  const [working, setWorking] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  const topics = useMemo(
+    () => [...new Set((questions || []).map(q => q.Topic).filter(Boolean))].sort(),
+    [questions]
+  );
+
+  async function handleStart() {
+    setWorking(true);
+    setMessage(null);
+    try {
+      const questionById = new Map((questions || []).map(q => [getQuestionId(q), q]));
+      const cards = (await getCustomStudyCards(userId, {
+        topics: topic ? [topic] : null,
+        maxEase: maxEase === '' ? null : Number(maxEase),
+        dueWithinDays: dueWithin === '' ? null : Number(dueWithin)
+      }))
+        .filter(card => questionById.has(String(card.questionId)))
+        .slice(0, count);
+
+      if (cards.length === 0) {
+        setMessage(t('srsCustomStudy.noCards'));
+        setWorking(false);
+        return;
+      }
+
+      localStorage.setItem('quiz_mode', 'spaced-repetition');
+      localStorage.setItem('quiz_review_mode', 'batch');
+      localStorage.setItem('quiz_srs_cards', JSON.stringify(cards.map(card => ({
+        id: card.id,
+        questionId: String(card.questionId),
+        interval: card.interval,
+        easeFactor: card.easeFactor,
+        lastReviewedAt: card.lastReviewedAt || null,
+      }))));
+      localStorage.removeItem('quiz_event_ids');
+
+      quizStorage.clearQuizData();
+      quizStorage.saveSelectedQuestions(cards.map(card => questionById.get(String(card.questionId))));
+      quizStorage.saveSrsStudyMode(mode);
+      localStorage.setItem('quiz_timer_enabled', 'true');
+      localStorage.setItem('quiz_is_timed_mode', 'true');
+
+      navigate('/quiz');
+    } catch (error) {
+      console.error('Error starting custom study:', error);
+      setMessage(t('srsCustomStudy.startFailed'));
+      setWorking(false);
+    }
+  }
+
+  if (!userId) return null;
+
+  const selectClass = 'w-full px-3 py-2 rounded-xl border-2 border-slate-200 bg-white text-sm font-bold text-slate-800';
+
+  return (
+    <div className="rounded-2xl border-2 border-slate-200 bg-white p-4 space-y-4">
+      <div className="flex items-start gap-2">
+        <Filter size={18} className="text-indigo-600 shrink-0 mt-0.5" />
+        <div>
+          <div className="text-sm font-black text-slate-800">{t('srsCustomStudy.title')}</div>
+          <div className="text-xs text-slate-600">{t('srsCustomStudy.hint')}</div>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-3">
+        <label className="block text-xs font-black text-slate-600 space-y-1">
+          <span>{t('srsCustomStudy.topic')}</span>
+          <select value={topic} onChange={(e) => setTopic(e.target.value)} className={selectClass}>
+            <option value="">{t('srsCustomStudy.allTopics')}</option>
+            {topics.map(name => (
+              <option key={name} value={name}>{name}</option>
+            ))}
+          </select>
+        </label>
+        <label className="block text-xs font-black text-slate-600 space-y-1">
+          <span>{t('srsCustomStudy.ease')}</span>
+          <select value={maxEase} onChange={(e) => setMaxEase(e.target.value)} className={selectClass}>
+            <option value="">{t('srsCustomStudy.anyEase')}</option>
+            {EASE_OPTIONS.map(ease => (
+              <option key={ease} value={ease}>{tf('srsCustomStudy.easeBelow', { ease: ease.toFixed(1) })}</option>
+            ))}
+          </select>
+        </label>
+        <label className="block text-xs font-black text-slate-600 space-y-1">
+          <span>{t('srsCustomStudy.due')}</span>
+          <select value={dueWithin} onChange={(e) => setDueWithin(e.target.value)} className={selectClass}>
+            <option value="">{t('srsCustomStudy.anyDueDate')}</option>
+            {DUE_WITHIN_OPTIONS.map(days => (
+              <option key={days} value={days}>
+                {days === 0 ? t('srsCustomStudy.dueToday') : tf('srsCustomStudy.dueWithinDays', { count: days })}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="block text-xs font-black text-slate-600 space-y-1">
+          <span>{t('srsCustomStudy.count')}</span>
+          <input
+            type="number"
+            min="1"
+            max={MAX_COUNT}
+            value={count}
+            onChange={(e) => setCount(Math.min(MAX_COUNT, Math.max(1, parseInt(e.target.value, 10) || 1)))}
+            className={selectClass}
+          />
+        </label>
+      </div>
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+        {[CUSTOM_STUDY_MODES.CRAM, CUSTOM_STUDY_MODES.EARLY].map(value => (
+          <button
+            key={value}
+            type="button"
+            onClick={() => setMode(value)}
+            aria-pressed={mode === value}
+            className={`text-left p-3 rounded-xl border-2 transition-colors ${
+              mode === value ? 'border-indigo-500 bg-indigo-50' : 'border-slate-200 hover:bg-slate-50'
+            }`}
+          >
+            <div className="text-sm font-black text-slate-800">{t(`srsCustomStudy.mode_${value}`)}</div>
+            <div className="text-xs text-slate-600">{t(`srsCustomStudy.modeHint_${value}`)}</div>
+          </button>
+        ))}
+      </div>
+
+      <div className="flex items-center justify-between gap-3">
+        {message ? <div className="text-xs font-bold text-red-600">{message}</div> : <div />}
+        <button
+          type="button"
+          onClick={handleStart}
+          disabled={working}
+          className="inline-flex items-center gap-2 px-4 py-2 rounded-xl bg-indigo-600 text-white font-black text-sm hover:bg-indigo-700 disabled:opacity-50"
+        >
+          <Play size={16} fill="currentColor" />
+          {working ? t('srsCustomStudy.finding') : t('srsCustomStudy.start')}
+        </button>
+      </div>
+    </div>
+  );
+}
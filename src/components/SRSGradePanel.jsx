@@ -0,0 +1,86 @@
+import React from 'react';
+import { CheckCircle2, XCircle } from 'lucide-react';
+import { useLanguage } from '../contexts/LanguageContext';
+import { SRS_GRADES, suggestGrade } from '../services/srsAlgorithm';
+import { toDisplayKey } from '../utils/optionShuffle';
+
+const GRADE_BUTTONS = [
+  { grade: SRS_GRADES.AGAIN, labelKey: 'srs.gradeAgain', hintKey: 'srs.gradeAgainHint', className: 'bg-red-500 hover:bg-red-600', ring: 'ring-red-300' },
+  { grade: SRS_GRADES.HARD, labelKey: 'srs.gradeHard', hintKey: 'srs.gradeHardHint', className: 'bg-amber-500 hover:bg-amber-600', ring: 'ring-amber-300' },
+  { grade: SRS_GRADES.GOOD, labelKey: 'srs.gradeGood', hintKey: 'srs.gradeGoodHint', className: 'bg-chemistry-green hover:opacity-90', ring: 'ring-green-300' },
+  { grade: SRS_GRADES.EASY, labelKey: 'srs.gradeEasy', hintKey: 'srs.gradeEasyHint', className: 'bg-lab-blue hover:bg-blue-800', ring: 'ring-blue-300' }
+];
+
+// Check-then-grade strip shown under the question in spaced-repetition
+// reviews. Wrong answers can only be graded Again; right answers pick
+// Hard / Good / Easy (or Again for a lucky guess). Keys 1–4 also grade.
+export default function SRSGradePanel({
+  question,
+  selectedOption,
+  revealed,
+  grade,
+  responseTimeMs,
+  onReveal,
+  onGrade,
+  optionOrder = null
+}) {
+  const { t, tf } = useLanguage();
+
+  if (!question || !selectedOption) return null;
+
+  if (!revealed) {
+    return (
+      <div className="flex justify-center">
+        <button
+          type="button"
+          onClick={onReveal}
+          className="px-6 py-3 rounded-xl bg-purple-600 text-white font-black shadow-lg hover:bg-purple-700 transition-all active:scale-95"
+        >
+          {t('srs.checkAnswer')}
+        </button>
+      </div>
+    );
+  }
+
+  const wasCorrect = selectedOption === question.CorrectOption;
+  const suggested = suggestGrade(wasCorrect, responseTimeMs, question);
+  const buttons = wasCorrect ? GRADE_BUTTONS : GRADE_BUTTONS.filter(b => b.grade === SRS_GRADES.AGAIN);
+
+  return (
+    <div className={`rounded-2xl border-2 p-4 ${wasCorrect ? 'bg-green-50 border-green-200' : 'bg-red-50 border-red-200'}`}>
+      <div className="flex items-center gap-2 font-black text-slate-800">
+        {wasCorrect
+          ? <CheckCircle2 size={20} className="text-green-600" />
+          : <XCircle size={20} className="text-red-600" />}
+        <span>{wasCorrect ? t('srs.youGotItRight') : t('srs.youGotItWrong')}</span>
+      </div>
+      {!wasCorrect && (
+        <div className="mt-1 text-sm font-bold text-slate-600">
+          {tf('srs.correctAnswerIs', { option: toDisplayKey(optionOrder, question.CorrectOption) })}
+        </div>
+      )}
+
+      <div className={`mt-4 grid gap-2 ${wasCorrect ? 'grid-cols-2 md:grid-cols-4' : 'grid-cols-1'}`}>
+        {buttons.map(({ grade: value, labelKey, hintKey, className, ring }) => {
+          const isChosen = grade === value;
+          const isSuggested = grade == null && suggested === value;
+          return (
+            <button
+              key={value}
+              type="button"
+              onClick={() => onGrade(value)}
+              aria-pressed={isChosen}
+              className={`flex flex-col items-center px-3 py-2 rounded-xl text-white font-black transition-all active:scale-95 ${className} ${isChosen || isSuggested ? `ring-4 ${ring}` : ''} ${grade != null && !isChosen ? 'opacity-50' : ''}`}
+            >
+              <span>
+                <kbd className="mr-1 text-xs opacity-75 font-mono">{value}</kbd>
+                {t(labelKey)}
+              </span>
+              <span className="text-[11px] font-semibold opacity-90">{t(hintKey)}</span>
+            </button>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,107 @@
+import React, { useEffect, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Download, WifiOff } from 'lucide-react';
+import { useLanguage } from '../contexts/LanguageContext';
+import { quizStorage } from '../utils/quizStorage';
+import { getOfflinePack, isOnline, prefetchOfflineReviews } from '../services/srsOfflineService';
+
+// Download today's (and tomorrow's) due cards to the device, then run a
+// review session from that copy with no connection. Finished sessions are
+// queued and synced by SRSOfflineSync.
+export default function SRSOfflinePack({ userId, questions }) {
+  const navigate = useNavigate();
+  const { t, tf } = useLanguage();
+  const [pack, setPack] = useState(null);
+  const [working, setWorking] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    if (!userId) return undefined;
+    getOfflinePack(userId).then((saved) => {
+      if (!cancelled) setPack(saved);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [userId]);
+
+  async function handleDownload() {
+    setWorking(true);
+    setMessage(null);
+    try {
+      setPack(await prefetchOfflineReviews(userId, questions));
+    } catch (error) {
+      console.error('Error saving offline reviews:', error);
+      setMessage(t('srsOffline.downloadFailed'));
+    }
+    setWorking(false);
+  }
+
+  function handleStart() {
+    if (!pack?.cards?.length) return;
+
+    localStorage.setItem('quiz_mode', 'spaced-repetition');
+    localStorage.setItem('quiz_review_mode', 'batch');
+    localStorage.setItem('quiz_srs_cards', JSON.stringify(pack.cards.map(card => ({
+      id: card.id,
+      questionId: String(card.questionId),
+      interval: card.interval,
+      easeFactor: card.easeFactor,
+      lastReviewedAt: card.lastReviewedAt || null,
+    }))));
+    localStorage.removeItem('quiz_event_ids');
+
+    quizStorage.clearQuizData();
+    quizStorage.saveSelectedQuestions(pack.questions);
+    localStorage.setItem('quiz_timer_enabled', 'true');
+    localStorage.setItem('quiz_is_timed_mode', 'true');
+
+    navigate('/quiz');
+  }
+
+  if (!userId) return null;
+
+  const count = pack?.cards?.length || 0;
+  const online = isOnline();
+
+  return (
+    <div className="rounded-2xl border-2 border-slate-200 bg-white p-4 space-y-3">
+      <div className="flex items-start gap-2">
+        <WifiOff size={18} className="text-slate-500 shrink-0 mt-0.5" />
+        <div>
+          <div className="text-sm font-black text-slate-800">{t('srsOffline.title')}</div>
+          <div className="text-xs text-slate-600">
+            {count > 0
+              ? tf('srsOffline.packReady', {
+                count,
+                date: new Date(pack.fetchedAt).toLocaleString()
+              })
+              : t('srsOffline.hint')}
+          </div>
+        </div>
+      </div>
+      <div className="flex flex-wrap gap-2">
+        <button
+          type="button"
+          onClick={handleDownload}
+          disabled={working || !online}
+          className="inline-flex items-center gap-2 px-4 py-2 rounded-xl border-2 border-slate-200 font-black text-sm text-slate-700 hover:bg-slate-50 disabled:opacity-50"
+        >
+          <Download size={16} />
+          {working ? t('srsOffline.downloading') : count > 0 ? t('srsOffline.refresh') : t('srsOffline.download')}
+        </button>
+        {count > 0 && (
+          <button
+            type="button"
+            onClick={handleStart}
+            className="px-4 py-2 rounded-xl bg-slate-800 text-white font-black text-sm hover:bg-slate-900"
+          >
+            {tf('srsOffline.start', { count })}
+          </button>
+        )}
+      </div>
+      {message && <div className="text-xs font-bold text-red-600">{message}</div>}
+    </div>
+  );
+}
@@ -0,0 +1,86 @@
+import React, { useEffect, useState } from 'react';
+import { CloudOff, CloudUpload, X } from 'lucide-react';
+import { useAuth } from '../contexts/AuthContext';
+import { useLanguage } from '../contexts/LanguageContext';
+import {
+  flushReviewQueue,
+  getQueuedReviews,
+  isOnline,
+  OFFLINE_QUEUE_EVENT
+} from '../services/srsOfflineService';
+
+// Replays SRS reviews queued while offline as soon as the connection is
+// back (and on app start), with a small notice while reviews are waiting
+// or when some had to be dropped because the card changed elsewhere.
+export default function SRSOfflineSync() {
+  const { currentUser } = useAuth();
+  const { t, tf } = useLanguage();
+  const [pending, setPending] = useState(0);
+  const [result, setResult] = useState(null);
+  const [dismissed, setDismissed] = useState(false);
+  const userId = currentUser?.uid;
+
+  useEffect(() => {
+    if (!userId) return undefined;
+    let cancelled = false;
+
+    const sync = async () => {
+      const queued = await getQueuedReviews(userId);
+      if (cancelled) return;
+      setPending(queued.length);
+      if (queued.length === 0 || !isOnline()) return;
+
+      const flushed = await flushReviewQueue(userId);
+      if (cancelled) return;
+      setPending(flushed.remaining);
+      if (flushed.submitted > 0 || flushed.conflicts.length > 0) {
+        setResult(flushed);
+        setDismissed(false);
+      }
+    };
+
+    const handleQueueChanged = (e) => {
+      if (e.detail?.userId !== userId) return;
+      setPending(e.detail.pending);
+      setDismissed(false);
+    };
+
+    sync();
+    window.addEventListener('online', sync);
+    window.addEventListener(OFFLINE_QUEUE_EVENT, handleQueueChanged);
+    return () => {
+      cancelled = true;
+      window.removeEventListener('online', sync);
+      window.removeEventListener(OFFLINE_QUEUE_EVENT, handleQueueChanged);
+    };
+  }, [userId]);
+
+  if (!userId || dismissed || (pending === 0 && !result)) return null;
+
+  return (
+    <div className="fixed top-20 left-1/2 -translate-x-1/2 z-50 flex items-center gap-3 bg-white/95 backdrop-blur border border-slate-200 rounded-full pl-4 pr-2 py-2 shadow-lg text-sm text-slate-600">
+      {pending > 0 ? (
+        <>
+          <CloudOff size={16} className="text-amber-500" />
+          <span>{tf('srsOffline.pending', { count: pending })}</span>
+        </>
+      ) : (
+        <>
+          <CloudUpload size={16} className="text-green-600" />
+          <span>
+            {result.conflicts.length > 0
+              ? tf('srsOffline.syncedWithConflicts', { count: result.submitted, skipped: result.conflicts.length })
+              : tf('srsOffline.synced', { count: result.submitted })}
+          </span>
+        </>
+      )}
+      <button
+        onClick={() => setDismissed(true)}
+        className="p-1 rounded-full text-slate-400 hover:text-slate-600 hover:bg-slate-100"
+        aria-label={t('common.close')}
+      >
+        <X size={14} />
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,109 @@
+import React, { useEffect, useState } from 'react';
+import { RotateCcw, X } from 'lucide-react';
+import { useLanguage } from '../contexts/LanguageContext';
+import QuestionCard from './QuestionCard';
+import SRSGradePanel from './SRSGradePanel';
+import { SRS_CONFIG, SRS_GRADES } from '../services/srsAlgorithm';
+import { toCanonicalKey } from '../utils/optionShuffle';
+
+// Full-screen relearning step for a card graded Again earlier in the session.
+// Owns its own answer / reveal state so the main quiz answers (which decide
+// the score) are never touched; keys A–D, Enter and 1–4 work as in the quiz.
+// Options keep the order they had in the quiz (optionOrder).
+export default function SRSRelearnCard({ question, entry, optionOrder = null, onGrade, onClose }) {
+  const { t, tf } = useLanguage();
+  const [answer, setAnswer] = useState(null);
+  const [revealed, setRevealed] = useState(false);
+  const [startedAt] = useState(() => Date.now());
+  const [responseTimeMs, setResponseTimeMs] = useState(0);
+
+  const totalSteps = SRS_CONFIG.RELEARNING_STEPS_MINUTES.length;
+  const minutesEarly = entry?.dueAt ? Math.ceil((entry.dueAt - startedAt) / 60000) : 0;
+
+  const reveal = () => {
+    setResponseTimeMs(Date.now() - startedAt);
+    setRevealed(true);
+  };
+
+  const grade = (value) => {
+    onGrade(value, { answer, timeSpent: responseTimeMs });
+  };
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      const key = e.key.toUpperCase();
+      if (!revealed && ['A', 'B', 'C', 'D'].includes(key)) {
+        e.preventDefault();
+        const picked = toCanonicalKey(optionOrder, key);
+        setAnswer(prev => (prev === picked ? null : picked));
+        return;
+      }
+      if (!revealed && e.key === 'Enter' && answer) {
+        e.preventDefault();
+        reveal();
+        return;
+      }
+      if (revealed && ['1', '2', '3', '4'].includes(e.key)) {
+        const wasCorrect = answer === question.CorrectOption;
+        if (!wasCorrect && Number(e.key) !== SRS_GRADES.AGAIN) return;
+        e.preventDefault();
+        grade(Number(e.key));
+        return;
+      }
+      if (e.key === 'Escape') {
+        onClose();
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  });
+
+  if (!question) return null;
+
+  return (
+    <div className="fixed inset-0 z-50 bg-slate-900/40 overflow-y-auto" role="dialog" aria-modal="true" aria-label={t('srs.relearningTitle')}>
+      <div className="max-w-4xl mx-auto px-4 py-8 space-y-4">
+        <div className="flex items-center justify-between gap-3 bg-white rounded-xl border-2 border-purple-200 px-4 py-3 shadow-lg">
+          <div className="flex items-center gap-2 min-w-0">
+            <RotateCcw size={18} className="text-purple-600 shrink-0" />
+            <div className="min-w-0">
+              <div className="font-black text-slate-800">
+                {tf('srs.relearningStep', { step: Math.min((entry?.step || 0) + 1, totalSteps), total: totalSteps })}
+              </div>
+              {minutesEarly > 0 && (
+                <div className="text-xs font-semibold text-slate-500">{tf('srs.relearningEarly', { minutes: minutesEarly })}</div>
+              )}
+            </div>
+          </div>
+          <button
+            type="button"
+            onClick={onClose}
+            className="p-2 rounded-full text-slate-400 hover:text-slate-600 hover:bg-slate-100"
+            aria-label={t('srs.relearnLater')}
+            title={t('srs.relearnLater')}
+          >
+            <X size={18} />
+          </button>
+        </div>
+
+        <QuestionCard
+          question={question}
+          selectedOption={answer}
+          onSelect={(opt) => !revealed && setAnswer(opt)}
+          optionOrder={optionOrder}
+        />
+
+        <SRSGradePanel
+          question={question}
+          selectedOption={answer}
+          revealed={revealed}
+          grade={null}
+          responseTimeMs={responseTimeMs}
+          onReveal={reveal}
+          onGrade={grade}
+          optionOrder={optionOrder}
+        />
+      </div>
+    </div>
+  );
+}
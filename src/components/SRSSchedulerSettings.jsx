@@ -0,0 +1,330 @@
+import React, { useEffect, useState } from 'react';
+import { Brain, Bug, Palmtree, Sparkles } from 'lucide-react';
+import { useLanguage } from '../contexts/LanguageContext';
+import { SRS_ALGORITHMS, LEECH_ACTIONS } from '../services/srsAlgorithm';
+import { FSRS_CONFIG } from '../services/fsrsAlgorithm';
+import {
+  getSrsSettings,
+  saveSrsSettings,
+  optimizeFsrsForUser,
+  MAX_DAILY_LIMIT,
+  MIN_LEECH_THRESHOLD,
+  MAX_LEECH_THRESHOLD
+} from '../services/srsSettingsService';
+import { startVacation, endVacation } from '../services/srsService';
+import { formatHKDateKey } from '../utils/hkTime';
+import { getNow } from '../utils/timeTravel';
+
+// Profile card for choosing the review scheduler (SM-2 / FSRS), the FSRS
+// target retention, fitting FSRS weights to the user's own history, the
+// daily new / review caps, leech handling, and vacation mode.
+export default function SRSSchedulerSettings({ userId }) {
+  const { t, tf } = useLanguage();
+  const [settings, setSettings] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [optimizing, setOptimizing] = useState(false);
+  const [message, setMessage] = useState(null);
+  const [vacationStart, setVacationStart] = useState(() => formatHKDateKey(getNow()));
+  const [vacationEnd, setVacationEnd] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+    if (!userId) return undefined;
+    getSrsSettings(userId, { force: true }).then((loaded) => {
+      if (!cancelled) setSettings(loaded);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [userId]);
+
+  async function update(patch) {
+    setSaving(true);
+    setMessage(null);
+    try {
+      setSettings(await saveSrsSettings(userId, patch));
+    } catch (error) {
+      console.error('Error saving SRS settings:', error);
+      setMessage({ type: 'error', text: t('srsSettings.saveFailed') });
+    }
+    setSaving(false);
+  }
+
+  async function handleOptimize() {
+    setOptimizing(true);
+    setMessage(null);
+    try {
+      const result = await optimizeFsrsForUser(userId);
+      if (result.optimized) {
+        setSettings(await getSrsSettings(userId));
+        setMessage({
+          type: 'success',
+          text: tf('srsSettings.optimized', {
+            count: result.reviewCount,
+            before: result.lossBefore.toFixed(3),
+            after: result.lossAfter.toFixed(3)
+          })
+        });
+      } else {
+        setMessage({
+          type: 'info',
+          text: tf('srsSettings.notEnoughReviews', {
+            count: result.reviewCount,
+            min: FSRS_CONFIG.MIN_REVIEWS_FOR_OPTIMIZATION
+          })
+        });
+      }
+    } catch (error) {
+      console.error('Error optimizing FSRS weights:', error);
+      setMessage({ type: 'error', text: t('srsSettings.optimizeFailed') });
+    }
+    setOptimizing(false);
+  }
+
+  async function handleStartVacation() {
+    setSaving(true);
+    setMessage(null);
+    try {
+      const shifted = await startVacation(userId, { start: vacationStart, end: vacationEnd });
+      setSettings(await getSrsSettings(userId));
+      setMessage({ type: 'success', text: tf('srsSettings.vacationStarted', { count: shifted }) });
+    } catch (error) {
+      console.error('Error starting vacation:', error);
+      setMessage({ type: 'error', text: t('srsSettings.vacationFailed') });
+    }
+    setSaving(false);
+  }
+
+  async function handleEndVacation() {
+    setSaving(true);
+    setMessage(null);
+    try {
+      setSettings(await endVacation(userId));
+    } catch (error) {
+      console.error('Error ending vacation:', error);
+      setMessage({ type: 'error', text: t('srsSettings.saveFailed') });
+    }
+    setSaving(false);
+  }
+
+  if (!settings) return null;
+
+  const isFsrs = settings.algorithm === SRS_ALGORITHMS.FSRS;
+  const leechOptions = [
+    { id: LEECH_ACTIONS.TAG, label: t('srsSettings.leechTag') },
+    { id: LEECH_ACTIONS.SUSPEND, label: t('srsSettings.leechSuspend') },
+    { id: LEECH_ACTIONS.CLINIC, label: t('srsSettings.leechClinic') }
+  ];
+  const options = [
+    { id: SRS_ALGORITHMS.SM2, label: t('srsSettings.sm2'), hint: t('srsSettings.sm2Hint') },
+    { id: SRS_ALGORITHMS.FSRS, label: t('srsSettings.fsrs'), hint: t('srsSettings.fsrsHint') }
+  ];
+
+  return (
+    <div className="bg-white rounded-2xl shadow-xl border border-slate-200 overflow-hidden">
+      <div className="p-6 border-b bg-gradient-to-r from-purple-50 to-pink-50">
+        <h2 className="text-lg font-black text-slate-800 flex items-center gap-2">
+          <Brain size={20} className="text-purple-600" />
+          {t('srsSettings.title')}
+        </h2>
+        <p className="text-xs text-slate-500 mt-1">{t('srsSettings.subtitle')}</p>
+      </div>
+
+      <div className="p-6 space-y-5">
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+          {options.map((opt) => (
+            <button
+              key={opt.id}
+              type="button"
+              disabled={saving}
+              onClick={() => opt.id !== settings.algorithm && update({ algorithm: opt.id })}
+              aria-pressed={settings.algorithm === opt.id}
+              className={`text-left p-4 rounded-xl border-2 transition-all ${
+                settings.algorithm === opt.id
+                  ? 'border-purple-500 bg-purple-50'
+                  : 'border-slate-200 hover:border-slate-300'
+              }`}
+            >
+              <div className="font-black text-slate-800">{opt.label}</div>
+              <div className="text-xs text-slate-500 mt-1">{opt.hint}</div>
+            </button>
+          ))}
+        </div>
+        <p className="text-xs text-slate-500">{t('srsSettings.switchNote')}</p>
+
+        {isFsrs && (
+          <>
+            <div>
+              <label className="block text-sm font-bold text-slate-700 mb-2">
+                {tf('srsSettings.targetRetention', { percent: Math.round(settings.requestRetention * 100) })}
+              </label>
+              <input
+                type="range"
+                min={FSRS_CONFIG.MIN_REQUEST_RETENTION}
+                max={FSRS_CONFIG.MAX_REQUEST_RETENTION}
+                step="0.01"
+                value={settings.requestRetention}
+                disabled={saving}
+                onChange={(e) => setSettings(prev => ({ ...prev, requestRetention: Number(e.target.value) }))}
+                onMouseUp={(e) => update({ requestRetention: Number(e.currentTarget.value) })}
+                onTouchEnd={(e) => update({ requestRetention: Number(e.currentTarget.value) })}
+                onKeyUp={(e) => update({ requestRetention: Number(e.currentTarget.value) })}
+                className="w-full h-2 bg-purple-200 rounded-lg appearance-none cursor-pointer"
+              />
+              <p className="text-xs text-slate-500 mt-1">{t('srsSettings.targetRetentionHint')}</p>
+            </div>
+
+            <div className="flex flex-col md:flex-row md:items-center gap-3">
+              <button
+                type="button"
+                onClick={handleOptimize}
+                disabled={optimizing || saving}
+                className="inline-flex items-center justify-center gap-2 px-4 py-2 rounded-xl bg-purple-600 text-white font-black disabled:bg-slate-300"
+              >
+                <Sparkles size={16} />
+                {optimizing ? t('srsSettings.optimizing') : t('srsSettings.optimize')}
+              </button>
+              <div className="text-xs text-slate-500">
+                {settings.fsrsOptimizedAt
+                  ? tf('srsSettings.lastOptimized', {
+                    date: new Date(settings.fsrsOptimizedAt).toLocaleDateString(),
+                    count: settings.fsrsReviewCount
+                  })
+                  : t('srsSettings.usingDefaults')}
+              </div>
+            </div>
+          </>
+        )}
+
+        <div className="border-t pt-5">
+          <h3 className="text-sm font-black text-slate-700 mb-3">{t('srsSettings.dailyLimitsTitle')}</h3>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+            {[
+              { field: 'dailyNewLimit', label: t('srsSettings.dailyNewLimit') },
+              { field: 'dailyReviewLimit', label: t('srsSettings.dailyReviewLimit') }
+            ].map(({ field, label }) => (
+              <label key={field} className="block">
+                <span className="block text-sm font-bold text-slate-700 mb-1">{label}</span>
+                <input
+                  type="number"
+                  min="0"
+                  max={MAX_DAILY_LIMIT}
+                  value={settings[field] ?? ''}
+                  placeholder={t('srsSettings.noDailyLimit')}
+                  disabled={saving}
+                  onChange={(e) => setSettings(prev => ({ ...prev, [field]: e.target.value }))}
+                  onBlur={(e) => update({ [field]: e.target.value })}
+                  className="w-full px-3 py-2 rounded-xl border-2 border-slate-200 font-bold text-slate-800"
+                />
+              </label>
+            ))}
+          </div>
+          <p className="text-xs text-slate-500 mt-2">{t('srsSettings.dailyLimitHint')}</p>
+          <p className="text-xs text-slate-500 mt-1">{t('srsSettings.loadBalanceNote')}</p>
+        </div>
+
+        <div className="border-t pt-5">
+          <h3 className="text-sm font-black text-slate-700 mb-1 flex items-center gap-2">
+            <Bug size={16} className="text-red-500" />
+            {t('srsSettings.leechTitle')}
+          </h3>
+          <p className="text-xs text-slate-500 mb-3">{t('srsSettings.leechHint')}</p>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+            <label className="block">
+              <span className="block text-sm font-bold text-slate-700 mb-1">{t('srsSettings.leechThreshold')}</span>
+              <input
+                type="number"
+                min={MIN_LEECH_THRESHOLD}
+                max={MAX_LEECH_THRESHOLD}
+                value={settings.leechThreshold ?? ''}
+                placeholder={t('srsSettings.leechOff')}
+                disabled={saving}
+                onChange={(e) => setSettings(prev => ({ ...prev, leechThreshold: e.target.value }))}
+                onBlur={(e) => update({ leechThreshold: e.target.value })}
+                className="w-full px-3 py-2 rounded-xl border-2 border-slate-200 font-bold text-slate-800"
+              />
+            </label>
+            <label className="block">
+              <span className="block text-sm font-bold text-slate-700 mb-1">{t('srsSettings.leechAction')}</span>
+              <select
+                value={settings.leechAction}
+                disabled={saving}
+                onChange={(e) => update({ leechAction: e.target.value })}
+                className="w-full px-3 py-2 rounded-xl border-2 border-slate-200 font-bold text-slate-800 bg-white"
+              >
+                {leechOptions.map(opt => (
+                  <option key={opt.id} value={opt.id}>{opt.label}</option>
+                ))}
+              </select>
+            </label>
+          </div>
+        </div>
+
+        <div className="border-t pt-5">
+          <h3 className="text-sm font-black text-slate-700 mb-1 flex items-center gap-2">
+            <Palmtree size={16} className="text-emerald-600" />
+            {t('srsSettings.vacationTitle')}
+          </h3>
+          <p className="text-xs text-slate-500 mb-3">{t('srsSettings.vacationHint')}</p>
+          {settings.vacation ? (
+            <div className="flex flex-col md:flex-row md:items-center gap-3">
+              <div className="text-sm font-bold text-emerald-700">
+                {tf('srsSettings.vacationActive', { start: settings.vacation.start, end: settings.vacation.end })}
+              </div>
+              <button
+                type="button"
+                onClick={handleEndVacation}
+                disabled={saving}
+                className="px-4 py-2 rounded-xl border-2 border-slate-200 font-black text-slate-700 hover:bg-slate-50 disabled:opacity-50"
+              >
+                {t('srsSettings.vacationEnd')}
+              </button>
+            </div>
+          ) : (
+            <div className="flex flex-col md:flex-row md:items-end gap-3">
+              <label className="block">
+                <span className="block text-xs font-bold text-slate-600 mb-1">{t('srsSettings.vacationFrom')}</span>
+                <input
+                  type="date"
+                  value={vacationStart}
+                  onChange={(e) => setVacationStart(e.target.value)}
+                  className="px-3 py-2 rounded-xl border-2 border-slate-200 font-bold text-slate-800"
+                />
+              </label>
+              <label className="block">
+                <span className="block text-xs font-bold text-slate-600 mb-1">{t('srsSettings.vacationTo')}</span>
+                <input
+                  type="date"
+                  value={vacationEnd}
+                  min={vacationStart}
+                  onChange={(e) => setVacationEnd(e.target.value)}
+                  className="px-3 py-2 rounded-xl border-2 border-slate-200 font-bold text-slate-800"
+                />
+              </label>
+              <button
+                type="button"
+                onClick={handleStartVacation}
+                disabled={saving || !vacationStart || !vacationEnd || vacationStart > vacationEnd}
+                className="px-4 py-2 rounded-xl bg-emerald-600 text-white font-black disabled:bg-slate-300"
+              >
+                {t('srsSettings.vacationStart')}
+              </button>
+            </div>
+          )}
+        </div>
+
+        {message && (
+          <div className={`text-sm font-semibold rounded-lg px-3 py-2 ${
+            message.type === 'error'
+              ? 'bg-red-50 text-red-700'
+              : message.type === 'success'
+                ? 'bg-green-50 text-green-700'
+                : 'bg-slate-50 text-slate-600'
+          }`}>
+            {message.text}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,98 @@
+import React, { useEffect, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { History, Play, Trash2 } from 'lucide-react';
+import { useLanguage } from '../../contexts/LanguageContext';
+import {
+  getInProgressSession,
+  clearInProgressSession,
+  restoreSessionLocally
+} from '../../services/inProgressSessionService';
+
+// "Resume your unfinished quiz" on the dashboard, for a quiz checkpointed
+// from this or another device.
+export default function ResumeQuizCard({ userId, questions }) {
+  const navigate = useNavigate();
+  const { t, tf } = useLanguage();
+  const [session, setSession] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    if (!userId) return undefined;
+
+    getInProgressSession(userId)
+      .then((saved) => {
+        if (!cancelled) setSession(saved);
+      })
+      .catch((error) => {
+        console.warn('⚠️ Could not load unfinished quiz:', error);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [userId]);
+
+  if (!session) return null;
+
+  const total = session.questionIds.length;
+  const answered = Object.values(session.answers || {}).filter(Boolean).length;
+  const bankLoaded = (questions || []).length > 0;
+
+  const handleResume = () => {
+    if (!restoreSessionLocally(session, questions)) {
+      setMessage(t('quizSession.questionsMissing'));
+      return;
+    }
+    navigate('/quiz');
+  };
+
+  const handleDiscard = async () => {
+    if (!window.confirm(t('quizSession.discardConfirm'))) return;
+    try {
+      await clearInProgressSession(userId, session.sessionId);
+      setSession(null);
+    } catch (error) {
+      console.error('Error discarding unfinished quiz:', error);
+      setMessage(t('quizSession.discardFailed'));
+    }
+  };
+
+  return (
+    <div className="bg-white border-2 border-lab-blue/40 rounded-2xl p-5 shadow-sm flex flex-col md:flex-row md:items-center gap-4">
+      <div className="flex items-start gap-3 flex-1 min-w-0">
+        <History size={22} className="text-lab-blue shrink-0 mt-0.5" />
+        <div className="min-w-0">
+          <div className="font-black text-slate-800">{t('quizSession.resumeTitle')}</div>
+          <div className="text-sm text-slate-600">
+            {tf('quizSession.resumeSummary', {
+              answered,
+              total,
+              date: new Date(session.updatedAt).toLocaleString()
+            })}
+          </div>
+          {message && <div className="text-xs font-bold text-red-600 mt-1">{message}</div>}
+        </div>
+      </div>
+      <div className="flex gap-2 shrink-0">
+        <button
+          type="button"
+          onClick={handleDiscard}
+          className="inline-flex items-center gap-2 px-4 py-2 rounded-xl border-2 border-slate-200 font-black text-sm text-slate-600 hover:bg-slate-50"
+        >
+          <Trash2 size={16} />
+          {t('quizSession.discard')}
+        </button>
+        <button
+          type="button"
+          onClick={handleResume}
+          disabled={!bankLoaded}
+          className="inline-flex items-center gap-2 px-4 py-2 rounded-xl bg-lab-blue text-white font-black text-sm hover:opacity-95 disabled:bg-slate-300"
+        >
+          <Play size={16} fill="currentColor" />
+          {t('quizSession.resume')}
+        </button>
+      </div>
+    </div>
+  );
+}
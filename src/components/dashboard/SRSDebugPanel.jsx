@@ -131,7 +131,7 @@ export default function SRSDebugPanel({ userId, questions = [] }) {
       const [reviewStats, allCards, dueCards, recentAttempts] = await Promise.all([
         srsService.getReviewStats(userId),
         srsService.getAllCards(userId),
-        srsService.getDueCards(userId),
+        srsService.getDueCards(userId, getNow(), { ignoreDailyLimits: true }),
         srsService.getRecentReviewAttempts(userId, 30)
       ]);
 
@@ -238,7 +238,7 @@ export default function SRSDebugPanel({ userId, questions = [] }) {
       // 1. Get current SRS status
       addLog('📊 Getting current SRS status...', 'info');
       const allCards = await srsService.getAllCards(userId);
-      const dueCards = await srsService.getDueCards(userId);
+      const dueCards = await srsService.getDueCards(userId, getNow(), { ignoreDailyLimits: true });
       addLog(`📋 Current: ${allCards.length} total cards, ${dueCards.length} due`, 'info');
       
       // 2. Create test cards if needed
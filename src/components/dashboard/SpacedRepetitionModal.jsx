@@ -6,6 +6,7 @@ import { srsService } from '../../services/srsService';
 import { quizStorage } from '../../utils/quizStorage';
 import { useLanguage } from '../../contexts/LanguageContext';
 import { getNow } from '../../utils/timeTravel';
+import SRSBacklogRecovery from '../SRSBacklogRecovery';
 
 /**
  * SpacedRepetitionModal - COMPLETE ENHANCED VERSION with SRS Service
@@ -48,6 +49,7 @@ export default function SpacedRepetitionModal({
   const [selectedCardIds, setSelectedCardIds] = useState(new Set());
   const [overdueCount, setOverdueCount] = useState(0);
   const [batchFiltersVisuallyCleared, setBatchFiltersVisuallyCleared] = useState(false);
+  const [reloadKey, setReloadKey] = useState(0);
 
   const didInitTopicFiltersRef = useRef(false);
   const didInitSubtopicFiltersRef = useRef(false);
@@ -94,7 +96,7 @@ export default function SpacedRepetitionModal({
     if (userId) {
       loadDueCards();
     }
-  }, [userId, initialCards]);
+  }, [userId, initialCards, reloadKey]);
 
   // Get all non-completed reviews
   const availableReviews = useMemo(() => {
@@ -300,7 +302,8 @@ export default function SpacedRepetitionModal({
       id: card.id,
       questionId: card.questionId,
       interval: card.interval,
-      easeFactor: card.easeFactor
+      easeFactor: card.easeFactor,
+      lastReviewedAt: card.lastReviewedAt || null
     }))));
 
     const eventIds = selectedCards
@@ -397,6 +400,12 @@ export default function SpacedRepetitionModal({
         </div>
 
         <div className="p-6 space-y-5 overflow-y-auto flex-1">
+          <SRSBacklogRecovery
+            userId={userId}
+            overdueCount={overdueCount}
+            onRecovered={() => setReloadKey(k => k + 1)}
+          />
+
           {/* Review Mode Selector */}
           <div>
             <label className="block text-sm font-black text-slate-700 uppercase tracking-wider mb-3">
@@ -803,12 +812,10 @@ export default function SpacedRepetitionModal({
                               )}
                             </div>
                             
-                            <div 
-                              className="text-sm text-slate-600 line-clamp-2"
-                              dangerouslySetInnerHTML={{ 
-                                __html: `${t('srs.questionIdLabel')}: ${card.questionId}<span class=\"text-slate-400\"> (${t('srs.questionIdHelp')})</span>` 
-                              }}
-                            />
+                            <div className="text-sm text-slate-600 line-clamp-2">
+                              {t('srs.questionIdLabel')}: {card.questionId}
+                              <span className="text-slate-400"> ({t('srs.questionIdHelp')})</span>
+                            </div>
                             
                             <div className="flex gap-4 mt-2 text-xs text-slate-500">
                               <span>📅 {t('srs.intervalLabel')}: {card.interval}</span>
@@ -2,40 +2,22 @@ import React, { useState, useEffect } from 'react';
 import { X, BarChart3 } from 'lucide-react';
 
 import { useLanguage } from '../../contexts/LanguageContext';
+import { buildAudienceDistribution } from '../../services/millionaireService';
 
-export default function ProbabilityModal({ correctOption, options, onClose }) {
+export default function ProbabilityModal({ correctOption, options, answerCounts = null, onClose }) {
   const { t, tf } = useLanguage();
   const [showChart, setShowChart] = useState(false);
   const [probabilities, setProbabilities] = useState({});
+  const [responseCount, setResponseCount] = useState(0);
 
   useEffect(() => {
-    // Generate probabilities with correct answer having 65-75% chance
-    const correctProb = 65 + Math.random() * 10; // 65-75%
-    const remaining = 100 - correctProb;
-    
-    // Distribute remaining percentage among wrong answers
-    const wrongOptions = options.filter(opt => opt !== correctOption);
-    const probs = {};
-    
-    let remainingProb = remaining;
-    wrongOptions.forEach((option, index) => {
-      if (index === wrongOptions.length - 1) {
-        // Last option gets whatever is left
-        probs[option] = remainingProb;
-      } else {
-        // Random distribution between 5-15%
-        const prob = 5 + Math.random() * 10;
-        probs[option] = Math.min(prob, remainingProb - 5); // Keep at least 5% for last option
-        remainingProb -= probs[option];
-      }
-    });
-    
-    probs[correctOption] = correctProb;
-    setProbabilities(probs);
+    const distribution = buildAudienceDistribution(correctOption, options, answerCounts);
+    setProbabilities(distribution.probabilities);
+    setResponseCount(distribution.responseCount);
 
     // Show chart after brief delay
     setTimeout(() => setShowChart(true), 500);
-  }, [correctOption, options]);
+  }, [correctOption, options, answerCounts]);
 
   const maxProb = Math.max(...Object.values(probabilities));
 
@@ -48,7 +30,9 @@ export default function ProbabilityModal({ correctOption, options, onClose }) {
             <BarChart3 className="text-white" size={28} />
             <div>
               <h3 className="text-white font-black text-xl">{t('millionaire.probability.title')}</h3>
-              <p className="text-purple-200 text-sm">{t('millionaire.probability.subtitle')}</p>
+              <p className="text-purple-200 text-sm">
+                {responseCount > 0 ? t('millionaire.probability.subtitleAudience') : t('millionaire.probability.subtitle')}
+              </p>
             </div>
           </div>
           <button
@@ -63,7 +47,9 @@ export default function ProbabilityModal({ correctOption, options, onClose }) {
         <div className="p-8">
           <div className="mb-6 text-center">
             <p className="text-purple-300 text-sm">
-              {t('millionaire.probability.basedOn')}
+              {responseCount > 0
+                ? tf('millionaire.probability.basedOnResponses', { count: responseCount })
+                : t('millionaire.probability.basedOn')}
             </p>
           </div>
 
@@ -108,7 +94,7 @@ export default function ProbabilityModal({ correctOption, options, onClose }) {
 
           <div className="mt-6 p-4 bg-amber-900/30 border border-amber-500/50 rounded-xl">
             <p className="text-amber-300 text-sm text-center">
-              {t('millionaire.probability.warning')}
+              {responseCount > 0 ? t('millionaire.probability.warningAudience') : t('millionaire.probability.warning')}
             </p>
           </div>
         </div>
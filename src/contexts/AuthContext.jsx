@@ -33,7 +33,8 @@ export function AuthProvider({ children }) {
       displayName: displayName
     });
 
-    // Create user profile in Firestore with token initialization
+    // Create user profile in Firestore. tokens / inventory / equipped are
+    // server-owned, so the welcome balance comes from initializeUserTokens.
     await setDoc(doc(db, 'users', userCredential.user.uid), {
       uid: userCredential.user.uid,
       email: email,
@@ -41,14 +42,11 @@ export function AuthProvider({ children }) {
       createdAt: new Date().toISOString(),
       totalAttempts: 0,
       totalQuestions: 0,
-      totalCorrect: 0,
-      tokens: 100,        // Initial token balance
-      inventory: [],      // Owned items
-      equipped: {}        // Currently equipped items
+      totalCorrect: 0
     });
 
-    // Initialize token system (creates welcome bonus entry)
-    await initializeUserTokens(userCredential.user.uid, 100);
+    // Initialize token system (welcome balance + history entry)
+    await initializeUserTokens();
 
     return userCredential;
   }
@@ -257,6 +257,184 @@ const translations = {
       startBatchReviewCount: "Start Batch Review ({count} Question{plural})",
       
       overdueReviewsNotShown: "You have {count} overdue review{plural} (not shown here)",
+
+      checkAnswer: "Check answer",
+      correctAnswerIs: "Correct answer: {option}",
+      youGotItRight: "Correct! How well did you know it?",
+      youGotItWrong: "Not quite — this card will come back later in this session.",
+      gradeAgain: "Again",
+      gradeHard: "Hard",
+      gradeGood: "Good",
+      gradeEasy: "Easy",
+      gradeAgainHint: "Forgot / guessed",
+      gradeHardHint: "Right, but struggled",
+      gradeGoodHint: "Right with some thought",
+      gradeEasyHint: "Knew it instantly",
+      gradeThisCard: "Grade this card to continue",
+      gradingLegendTitle: "How grading works",
+      gradingLegendBody: "After each answer you grade the card. Again brings it back in a few minutes until you get it right, then tomorrow; Hard, Good and Easy push it further out and adjust how quickly its interval grows.",
+      relearningTitle: "Relearning",
+      relearningStep: "Relearning · step {step} of {total}",
+      relearningEarly: "Scheduled in {minutes} min — reviewing early",
+      relearnLater: "Later",
+      relearnPending: "{count} card(s) to relearn",
+      relearnNow: "Relearn ({count})",
+      dailyLimitReached: "You've reached today's review limit. Change it in your profile's scheduler settings.",
+      backlogTitle: "{count} overdue review(s)",
+      backlogHint: "Spread them over the next few days instead of doing them all at once — the ones you're most likely to have forgotten come first.",
+      backlogDaysLabel: "Days to spread over",
+      backlogOverDays: "Over {days} days",
+      backlogPerDay: "≈ {count} per day",
+      backlogSpreadButton: "Spread my backlog",
+      backlogSpreading: "Spreading...",
+      backlogSpread: "Moved {count} review(s) over the next {days} days.",
+      backlogSpreadFailed: "Could not reschedule the backlog. Please try again.",
+    },
+
+    leechClinic: {
+      title: "Leech Clinic",
+      subtitle: "Go through the cards you keep forgetting, one at a time",
+      backToNotebook: "Back to Mistake Notebook",
+      progress: "Card {current} of {total}",
+      noLeeches: "You have no leeches right now.",
+      allDone: "Clinic finished. These cards are back in your reviews.",
+      lapses: "{count} lapses",
+      heldForClinic: "Held for clinic",
+      theQuestion: "The question",
+      discussion: "Discussion thread",
+      explanation: "Explanation:",
+      showChinese: "Show Chinese explanation",
+      hideChinese: "Hide Chinese explanation",
+      check: "Check answer",
+      correct: "Correct!",
+      correctAnswer: "Correct answer:",
+      relatedTitle: "More from {subtopic}",
+      skip: "Skip",
+      next: "Next card",
+      returnToReviews: "Done, back to reviews",
+      finishFailed: "Could not put this card back into reviews. Please try again.",
+    },
+
+    srsOffline: {
+      title: "Offline reviews",
+      hint: "Save today's and tomorrow's due cards on this device to review without a connection, e.g. on the MTR.",
+      packReady: "{count} card(s) saved on this device ({date}).",
+      download: "Save for offline",
+      refresh: "Update offline copy",
+      downloading: "Saving…",
+      downloadFailed: "Could not save reviews on this device.",
+      start: "Start offline review ({count})",
+      pending: "{count} review(s) saved offline, waiting for a connection",
+      synced: "Synced {count} offline review(s).",
+      syncedWithConflicts: "Synced {count} offline review(s); {skipped} skipped because the card changed on another device.",
+    },
+
+    srsCustomStudy: {
+      title: "Custom study",
+      hint: "Pick cards by topic, difficulty or due date, whether or not they're due, e.g. before a test.",
+      topic: "Topic",
+      allTopics: "All topics",
+      ease: "Difficulty",
+      anyEase: "Any ease",
+      easeBelow: "Ease below {ease}",
+      due: "Due",
+      anyDueDate: "Any due date",
+      dueToday: "Due today or overdue",
+      dueWithinDays: "Due in the next {count} days",
+      count: "Cards",
+      mode_cram: "Cram",
+      modeHint_cram: "Practice only: your review schedule doesn't change.",
+      mode_early: "Review ahead",
+      modeHint_early: "Counts as a review. Cards not due yet get partial credit, less the earlier you are.",
+      start: "Start custom study",
+      finding: "Finding cards…",
+      noCards: "No cards match these filters.",
+      startFailed: "Could not start custom study.",
+    },
+
+    srsAnalytics: {
+      title: "SRS Analytics",
+      subtitle: "Upcoming workload, how well you remember, and where reviews go wrong",
+      backToNotebook: "Back to Mistake Notebook",
+      refresh: "Refresh",
+      loadFailed: "Could not load SRS analytics: {reason}",
+      activeCards: "Active Cards",
+      trueRetention: "True Retention",
+      totalLapses: "Lapses",
+      avgTimePerReview: "Avg Time / Review",
+      forecastTitle: "Due Forecast",
+      forecastSubtitle: "Reviews due each day. Today's bar includes everything already overdue.",
+      days: "{count} days",
+      due: "Due",
+      overdue: "Overdue",
+      retentionTitle: "Retention by Interval",
+      retentionSubtitle: "Share of reviews answered correctly, grouped by how long since the previous review (first looks excluded).",
+      reviewsCount: "{count} reviews",
+      easeTitle: "Ease Distribution",
+      easeSubtitle: "Active cards per ease factor. Low ease means a card keeps being hard.",
+      cards: "Cards",
+      lapsesTitle: "Lapses by Topic",
+      lapsesSubtitle: "Times a learnt card was forgotten, per topic.",
+      lapsesOfCards: "{lapses} / {cards} cards",
+      noData: "No cards yet.",
+      timeTitle: "Time per Review",
+      timeSubtitle: "Median {median} · total {total} over the last year",
+      noTimedReviews: "No timed reviews yet.",
+    },
+
+    displaySettings: {
+      title: "Display",
+      subtitle: "Make questions easier to read. Saved to your profile and used on every device.",
+      highContrast: "High contrast",
+      highContrastHint: "Darker text and borders, and a bold outline on the focused control",
+      textSize: "Text size",
+      textSize_normal: "Normal",
+      textSize_large: "Large",
+      textSize_larger: "Extra large",
+      saveFailed: "Could not save display settings. Please try again.",
+    },
+
+    srsSettings: {
+      title: "Review Scheduler",
+      subtitle: "How spaced-repetition reviews are spaced out",
+      sm2: "SM-2 (classic)",
+      sm2Hint: "Fixed steps of 1 and 6 days, then intervals grow by each card's ease.",
+      fsrs: "FSRS (adaptive)",
+      fsrsHint: "Models how stable each memory is and schedules reviews just before you'd forget.",
+      switchNote: "Switching is safe: existing cards carry over and continue from their current interval.",
+      targetRetention: "Target retention: {percent}%",
+      targetRetentionHint: "Higher means more frequent reviews and fewer forgotten cards.",
+      optimize: "Optimize from my reviews",
+      optimizing: "Optimizing...",
+      optimized: "Fitted to {count} reviews (prediction loss {before} → {after}).",
+      notEnoughReviews: "Only {count} reviews so far — at least {min} are needed to personalise FSRS.",
+      lastOptimized: "Personalised on {date} from {count} reviews",
+      usingDefaults: "Using the default FSRS parameters",
+      saveFailed: "Could not save scheduler settings.",
+      optimizeFailed: "Optimization failed. Please try again.",
+      dailyLimitsTitle: "Daily limits",
+      dailyNewLimit: "New cards per day",
+      dailyReviewLimit: "Reviews per day",
+      noDailyLimit: "No limit",
+      dailyLimitHint: "Leave empty for no limit. Cards over the limit wait until tomorrow.",
+      loadBalanceNote: "Review dates are spread over nearby days so no single day piles up.",
+      vacationTitle: "Vacation mode",
+      vacationHint: "Pause reviews over exams or holidays. Cards due during the break move back by its length, so nothing piles up while you're away.",
+      vacationFrom: "From",
+      vacationTo: "To",
+      vacationStart: "Start vacation",
+      vacationEnd: "End vacation",
+      vacationActive: "Reviews paused from {start} to {end}",
+      vacationStarted: "Vacation set — {count} review(s) moved after the break.",
+      vacationFailed: "Could not start vacation mode. Please try again.",
+      leechTitle: "Leeches",
+      leechHint: "A card you keep forgetting becomes a leech on its Nth lapse, and the action repeats every N/2 lapses after that. Leave the number empty to turn this off.",
+      leechThreshold: "Lapses before a card is a leech",
+      leechOff: "Off",
+      leechAction: "When a card becomes a leech",
+      leechTag: "Tag it and keep reviewing",
+      leechSuspend: "Suspend it from reviews",
+      leechClinic: "Hold it for the leech clinic",
     },
 
     practiceModeLegend: {
@@ -269,6 +447,7 @@ const translations = {
       aiDailyShort: "AI Daily",
       srsShort: "SRS",
       millionaireShort: "Millionaire",
+      mockPaperShort: "Mock",
     },
 
     practiceModeCarousel: {
@@ -301,12 +480,64 @@ const translations = {
       customTitle: "Custom Session",
       customSubtitle: "You decide",
       customDesc: "Choose topics and settings",
+      mockPaperTitle: "Mock Paper",
+      mockPaperSubtitle: "36 questions · 1 hour",
+      mockPaperDesc: "A full Paper 1A under exam conditions, with an estimated DSE level.",
 
       millionaireTitle: "Millionaire Mode",
       millionaireSubtitle: "15 questions ladder",
       millionaireDesc: "One wrong answer ends the run. Earn tokens by reaching higher questions.",
     },
 
+    mockPaper: {
+      configureTitle: "Mock Paper",
+      sourceLabel: "Paper",
+      sourceGenerated: "Generated paper",
+      sourceGeneratedDesc: "36 questions weighted by topic like the real Paper 1A",
+      sourcePastPaper: "Past paper",
+      sourcePastPaperDesc: "Replay an actual DSE paper by year",
+      yearLabel: "Exam year",
+      yearQuestions: "{count} questions",
+      noPastPapers: "No questions in the bank have a DSE year yet.",
+      learnedOnly: "Only topics I've learned",
+      learnedOnlyDesc: "Turn off to cover the full syllabus",
+      rules: "{count} questions in {minutes} minutes. Topics and answers stay hidden until you submit, and unanswered questions score zero.",
+      start: "Start Mock Paper",
+      submitWithBlanks: "{count} questions are unanswered and will score zero. Submit anyway?",
+      estimatedLevel: "Estimated DSE level",
+      levelRange: "Band: {min}–{max}% of marks",
+      levelRangeTop: "Band: {min}% of marks or above",
+      levelDisclaimer: "A rough guide based on typical MC cut-offs. Real cut-offs change every year.",
+      pastPaperLabel: "DSE {year} paper",
+      generatedLabel: "Generated mock paper",
+      browsePastPapers: "Browse past papers by question",
+    },
+
+    pastPapers: {
+      title: "Past Papers",
+      subtitle: "Every past-paper question in the bank by year and question number, with how everyone did and your own record.",
+      backToPractice: "Back to practice",
+      unplaced: "{count} questions have a DSE code without a year or question number and aren't shown.",
+      empty: "No questions in the bank have a DSE code with a year and question number yet.",
+      years: "Years",
+      allYears: "All",
+      year: "Year",
+      fromQuestion: "From Q",
+      toQuestion: "To Q",
+      startQuiz: "Start quiz ({count} questions)",
+      practiseYear: "Practise all {year} questions",
+      practiseQuestion: "Practise",
+      legendEasy: "70%+ of students correct",
+      legendMedium: "40–69% correct",
+      legendHard: "Under 40% correct",
+      legendMineCorrect: "You got it right last time",
+      legendMineWrong: "You got it wrong last time",
+      cohortRate: "{rate} of students correct ({count} answers)",
+      noCohortData: "Not enough answers for a cohort correct rate yet",
+      yourHistory: "You: {correct} of {attempts} correct",
+      notAttempted: "You haven't attempted this question",
+    },
+
     millionaire: {
       modeName: "Millionaire",
       questionLabel: "Question",
@@ -380,6 +611,9 @@ const translations = {
         basedOn: "Based on analysis patterns, here's the probability distribution:",
         optionLabel: "Option {option}",
         warning: "⚠️ This is a probability estimate, not a guarantee. Use your knowledge!",
+        subtitleAudience: "How past students answered",
+        basedOnResponses: "Based on {count} students who answered this question before:",
+        warningAudience: "⚠️ The crowd isn't always right — popular wrong answers are common misconceptions!",
         gotIt: "Got it!",
       },
 
@@ -424,6 +658,25 @@ const translations = {
     },
     
     // Quiz Interface
+    quizSession: {
+      resumeTitle: "Resume your unfinished quiz",
+      resumeSummary: "{answered} of {total} answered, last saved {date}.",
+      resume: "Resume",
+      discard: "Discard",
+      discardConfirm: "Discard this unfinished quiz? Its answers will be lost.",
+      discardFailed: "Could not discard the quiz. Please try again.",
+      questionsMissing: "Some questions in this quiz are no longer in the question bank, so it can't be resumed.",
+      conflictTitle_newer: "This quiz was continued elsewhere",
+      conflictBody_newer: "Another tab or device has newer progress ({count} answered).",
+      conflictTitle_replaced: "A different quiz was started elsewhere",
+      conflictBody_replaced: "Keep this quiz to carry on here, or leave it and resume the other one from the dashboard.",
+      conflictTitle_finished: "This quiz was finished elsewhere",
+      conflictBody_finished: "It was submitted or discarded in another tab or device.",
+      loadLatest: "Load latest progress",
+      keepThisCopy: "Keep this copy",
+      leaveQuiz: "Leave this quiz",
+    },
+
     quiz: {
       question: "Question",
       questionPrefix: "Q",
@@ -464,6 +717,20 @@ const translations = {
       timedMode: "Timed Mode",
       countdownTimer: "Countdown with time limit",
       timeUp: "Time's up! Your quiz will be submitted now.",
+      questionPosition: "Question {current} of {total}",
+      allShortcuts: "all shortcuts",
+      keyboardShortcuts: "Keyboard shortcuts",
+      shortcutSelect: "Choose or clear an answer",
+      shortcutMoveOption: "Move between answer options",
+      shortcutChooseOption: "Choose the focused option",
+      shortcutPrevNext: "Previous / next question",
+      shortcutEnter: "Next question, or submit on the last one",
+      shortcutEnterSrs: "Check the answer, then next question",
+      shortcutGrade: "Grade the card (Again / Hard / Good / Easy)",
+      shortcutFlag: "Flag or unflag the question",
+      shortcutOverview: "Open the question overview",
+      shortcutClose: "Close the open panel",
+      shortcutHelp: "Show this list",
     },
     
     // Results
@@ -483,6 +750,8 @@ const translations = {
       savingToProfile: "Saving to your profile...",
       savedToProfile: "Saved to your profile!",
       reviewsSaved: "Reviews saved!",
+      reviewsQueuedOffline: "Offline: reviews saved on this device and will sync when you're back online.",
+      cramSaved: "Cram session saved. Your review schedule hasn't changed.",
       saveFailed: "Save Failed",
       continueAnyway: "Continue Anyway",
       resultsSavingLeaveConfirm: "Your quiz results are still being saved. Are you sure you want to leave?",
@@ -934,7 +1203,7 @@ const translations = {
       noQuestionsFound: "No questions match your filters",
       tryAdjustFilters: "Try adjusting your filter settings",
       noArchivedYet: "No archived questions yet",
-      archiveInstructions: "Archive has two types: Mastery (SRS) and Overdue (auto-cleanup)",
+      archiveInstructions: "Archive has two types: Mastery (SRS) and Overdue (older auto-cleanup)",
       archiveSubtabMastery: "Mastery",
       archiveSubtabOverdue: "Overdue",
       archiveSubtabCount: "Showing {count}",
@@ -942,7 +1211,7 @@ const translations = {
       archiveMasteryHowTitle: "Mastery archive (SRS)",
       archiveMasteryHowBody: "A question enters Mastery archive when it reaches 5 successful SRS reviews. The schedule is: 1st correct → 1 day, 2nd correct → 6 days, then future intervals grow by interval × ease factor. If you answer wrong, the progress resets (repetition count back to 0) and it returns to 1-day review.",
       archiveOverdueHowTitle: "Overdue archive (auto-cleanup)",
-      archiveOverdueHowBody: "If a question is due on its next review date but you do not review it for more than 14 days after that due date, it will be auto-archived to reduce noise. You can always restore it from here.",
+      archiveOverdueHowBody: "Overdue reviews are no longer archived. Questions archived earlier for being more than 14 days overdue can be restored here, or brought back with \"Spread my backlog\" in the review panel.",
 
       noMasteryArchives: "No mastery archives yet",
       noMasteryArchivesHint: "Keep reviewing with SRS until it graduates (5 successful reviews).",
@@ -981,6 +1250,19 @@ const translations = {
       
       // Retention Dashboard
       retentionDashboard: "Retention Dashboard",
+      openSrsAnalytics: "Open full SRS analytics",
+      leeches: "Leeches",
+      leechesHowTitle: "Cards you keep forgetting",
+      leechesHowBody: "A card becomes a leech after too many lapses (set the number and what happens in Profile → Review Scheduler). Work through them in the leech clinic: the explanation, the discussion thread and related questions from the same subtopic.",
+      startLeechClinic: "Start leech clinic",
+      noLeeches: "No leeches. Nothing keeps slipping away.",
+      leechLapses: "{count} lapses",
+      leechInClinic: "Waiting for clinic",
+      leechSuspended: "Suspended",
+      leechInReviews: "In reviews",
+      openInClinic: "Open in clinic",
+      unsuspendLeech: "Unsuspend",
+      unmarkLeech: "Not a leech",
       addedThisWeek: "Added (7d)",
       masteredThisWeek: "Mastered (7d)",
       decayRate: "Decay Rate",
@@ -1257,6 +1539,30 @@ const translations = {
       noQuestionsFound: "No questions found for this selection.",
       tryBroaderFilters: "Try broader filters!",
     },
+
+    // Question Bank Admin
+    questionBank: {
+      reportTitle: "Question Bank Report",
+      reportSubtitle: "Validate question rows before students see them",
+      source: "Question Source",
+      runValidation: "Run Validation",
+      validating: "Validating...",
+      loadFailed: "Failed to load source: {reason}",
+      rowsChecked: "Rows Checked",
+      errors: "Errors",
+      warnings: "Warnings",
+      inRows: "in {count} rows",
+      cleanRows: "Clean Rows",
+      filter_all: "All Issues",
+      filter_errors: "Errors",
+      filter_warnings: "Warnings Only",
+      noIssues: "No issues found for this filter.",
+      row: "Row",
+      dseCode: "DSE Code",
+      issues: "Issues",
+      offlineCached: "Offline — showing saved questions",
+      bankUpdated: "Question bank updated: +{added} new, {changed} changed, {removed} removed",
+    },
   },
   
   zh: {
@@ -1492,6 +1798,184 @@ const translations = {
       startBatchReviewCount: "開始批次重溫（{count} 題）",
 
       overdueReviewsNotShown: "你有 {count} 個逾期重溫（未在此顯示）",
+
+      checkAnswer: "核對答案",
+      correctAnswerIs: "正確答案：{option}",
+      youGotItRight: "答對了！你有多熟悉這題？",
+      youGotItWrong: "答錯了——這張卡稍後會在本次重溫中再出現。",
+      gradeAgain: "重來",
+      gradeHard: "困難",
+      gradeGood: "良好",
+      gradeEasy: "簡單",
+      gradeAgainHint: "忘記／估中",
+      gradeHardHint: "答對但很吃力",
+      gradeGoodHint: "想了一會答對",
+      gradeEasyHint: "一看就知道",
+      gradeThisCard: "請先為此卡評分",
+      gradingLegendTitle: "評分方式",
+      gradingLegendBody: "每答一題後為卡片評分。「重來」會讓它在幾分鐘後再出現，直至答對，然後明天再重溫；「困難」、「良好」、「簡單」會把下次重溫推後，並調整間隔增長的速度。",
+      relearningTitle: "重新學習",
+      relearningStep: "重新學習 · 第 {step}/{total} 步",
+      relearningEarly: "原定 {minutes} 分鐘後——提早重溫",
+      relearnLater: "稍後",
+      relearnPending: "{count} 張卡需要重新學習",
+      relearnNow: "重新學習（{count}）",
+      dailyLimitReached: "今日的重溫已達上限。可在個人檔案的排程設定中更改。",
+      backlogTitle: "{count} 個逾期重溫",
+      backlogHint: "把它們分散到未來數天，不必一次完成——最可能已忘記的會排在最前。",
+      backlogDaysLabel: "分散的天數",
+      backlogOverDays: "分散至 {days} 天",
+      backlogPerDay: "每日約 {count} 個",
+      backlogSpreadButton: "分散積壓重溫",
+      backlogSpreading: "正在重新排程...",
+      backlogSpread: "已把 {count} 個重溫分散到未來 {days} 天。",
+      backlogSpreadFailed: "無法重新排程積壓的重溫，請再試一次。",
+    },
+
+    leechClinic: {
+      title: "頑固卡診所",
+      subtitle: "逐一處理你一再遺忘的卡片",
+      backToNotebook: "返回錯題簿",
+      progress: "第 {current} / {total} 張",
+      noLeeches: "目前沒有頑固卡。",
+      allDone: "診所完成，這些卡片已回到重溫之中。",
+      lapses: "遺忘 {count} 次",
+      heldForClinic: "等待診所處理",
+      theQuestion: "題目",
+      discussion: "討論區",
+      explanation: "解說：",
+      showChinese: "顯示中文解說",
+      hideChinese: "隱藏中文解說",
+      check: "檢查答案",
+      correct: "答對了！",
+      correctAnswer: "正確答案：",
+      relatedTitle: "更多「{subtopic}」題目",
+      skip: "略過",
+      next: "下一張",
+      returnToReviews: "完成，放回重溫",
+      finishFailed: "無法把這張卡放回重溫，請再試一次。",
+    },
+
+    srsOffline: {
+      title: "離線重溫",
+      hint: "把今天及明天到期的卡片保存到此裝置，沒有網絡時（例如在港鐵上）也能重溫。",
+      packReady: "已在此裝置保存 {count} 張卡片（{date}）。",
+      download: "保存以供離線使用",
+      refresh: "更新離線副本",
+      downloading: "保存中…",
+      downloadFailed: "無法把重溫內容保存到此裝置。",
+      start: "開始離線重溫（{count}）",
+      pending: "{count} 個重溫記錄已離線保存，等待連線",
+      synced: "已同步 {count} 個離線重溫記錄。",
+      syncedWithConflicts: "已同步 {count} 個離線重溫記錄；{skipped} 個因卡片已在其他裝置更改而略過。",
+    },
+
+    srsCustomStudy: {
+      title: "自訂溫習",
+      hint: "按課題、難度或到期日揀選卡片，不論是否到期，例如測驗前使用。",
+      topic: "課題",
+      allTopics: "所有課題",
+      ease: "難度",
+      anyEase: "任何難易度",
+      easeBelow: "難易度低於 {ease}",
+      due: "到期",
+      anyDueDate: "任何到期日",
+      dueToday: "今天到期或已逾期",
+      dueWithinDays: "未來 {count} 天內到期",
+      count: "卡片數量",
+      mode_cram: "臨急溫習",
+      modeHint_cram: "只作練習，不會改變重溫時間表。",
+      mode_early: "提前重溫",
+      modeHint_early: "計作一次重溫。未到期的卡片只獲部分計算，越早重溫計算越少。",
+      start: "開始自訂溫習",
+      finding: "正在尋找卡片…",
+      noCards: "沒有卡片符合這些篩選條件。",
+      startFailed: "無法開始自訂溫習。",
+    },
+
+    srsAnalytics: {
+      title: "間隔重溫分析",
+      subtitle: "未來的重溫量、記憶保留情況，以及最常出錯的地方",
+      backToNotebook: "返回錯題簿",
+      refresh: "重新整理",
+      loadFailed: "無法載入重溫分析：{reason}",
+      activeCards: "使用中卡片",
+      trueRetention: "真實保留率",
+      totalLapses: "遺忘次數",
+      avgTimePerReview: "每次重溫平均用時",
+      forecastTitle: "到期預測",
+      forecastSubtitle: "每天到期的重溫數量。今天的數字包括所有已逾期的卡片。",
+      days: "{count} 天",
+      due: "到期",
+      overdue: "逾期",
+      retentionTitle: "按間隔劃分的保留率",
+      retentionSubtitle: "按距離上次重溫的日數分組，答對的重溫比例（不計首次重溫）。",
+      reviewsCount: "{count} 次重溫",
+      easeTitle: "難度係數分佈",
+      easeSubtitle: "各難度係數的使用中卡片數量。係數低代表該卡一直覺得困難。",
+      cards: "卡片",
+      lapsesTitle: "各課題遺忘次數",
+      lapsesSubtitle: "已學會的卡片被遺忘的次數（按課題）。",
+      lapsesOfCards: "{lapses} / {cards} 張卡",
+      noData: "暫時未有卡片。",
+      timeTitle: "每次重溫用時",
+      timeSubtitle: "中位數 {median} · 過去一年共 {total}",
+      noTimedReviews: "暫時未有計時的重溫。",
+    },
+
+    displaySettings: {
+      title: "顯示",
+      subtitle: "令題目更易閱讀。設定會儲存到個人檔案，並套用於所有裝置。",
+      highContrast: "高對比",
+      highContrastHint: "加深文字和邊框，並以粗框標示目前焦點",
+      textSize: "文字大小",
+      textSize_normal: "標準",
+      textSize_large: "大",
+      textSize_larger: "特大",
+      saveFailed: "無法儲存顯示設定，請再試一次。",
+    },
+
+    srsSettings: {
+      title: "重溫排程",
+      subtitle: "間隔重溫的排程方式",
+      sm2: "SM-2（經典）",
+      sm2Hint: "先以 1 天及 6 天為步距，之後按每張卡的難度係數延長間隔。",
+      fsrs: "FSRS（自適應）",
+      fsrsHint: "估算每個記憶的穩定度，在你快要忘記前安排重溫。",
+      switchNote: "可隨時切換：現有卡片會沿用目前的間隔繼續排程。",
+      targetRetention: "目標記憶率：{percent}%",
+      targetRetentionHint: "數值越高，重溫越頻密，忘記的卡片越少。",
+      optimize: "按我的重溫紀錄優化",
+      optimizing: "優化中...",
+      optimized: "已按 {count} 次重溫調整（預測誤差 {before} → {after}）。",
+      notEnoughReviews: "目前只有 {count} 次重溫——至少需要 {min} 次才能個人化 FSRS。",
+      lastOptimized: "於 {date} 按 {count} 次重溫個人化",
+      usingDefaults: "正在使用 FSRS 預設參數",
+      saveFailed: "無法儲存排程設定。",
+      optimizeFailed: "優化失敗，請再試一次。",
+      dailyLimitsTitle: "每日上限",
+      dailyNewLimit: "每日新卡數量",
+      dailyReviewLimit: "每日重溫數量",
+      noDailyLimit: "不設上限",
+      dailyLimitHint: "留空即不設上限。超出上限的卡片會留待明天。",
+      loadBalanceNote: "重溫日期會分散到鄰近數天，避免某一天積壓太多。",
+      vacationTitle: "假期模式",
+      vacationHint: "考試或假期期間暫停重溫。期間到期的卡片會按假期長度順延，離開期間不會積壓。",
+      vacationFrom: "由",
+      vacationTo: "至",
+      vacationStart: "開始假期",
+      vacationEnd: "結束假期",
+      vacationActive: "重溫已暫停：{start} 至 {end}",
+      vacationStarted: "已設定假期——{count} 個重溫已移至假期之後。",
+      vacationFailed: "無法啟用假期模式，請再試一次。",
+      leechTitle: "頑固卡（Leech）",
+      leechHint: "一張卡片第 N 次被遺忘時會成為頑固卡，之後每再遺忘 N/2 次會再次觸發。留空即可關閉此功能。",
+      leechThreshold: "遺忘多少次成為頑固卡",
+      leechOff: "關閉",
+      leechAction: "卡片成為頑固卡時",
+      leechTag: "加上標記，繼續重溫",
+      leechSuspend: "暫停重溫",
+      leechClinic: "留待頑固卡診所處理",
     },
 
     practiceModeLegend: {
@@ -1504,6 +1988,7 @@ const translations = {
       aiDailyShort: "AI 每日",
       srsShort: "SRS",
       millionaireShort: "百萬富翁",
+      mockPaperShort: "模擬卷",
     },
 
     practiceModeCarousel: {
@@ -1536,12 +2021,64 @@ const translations = {
       customTitle: "自訂練習",
       customSubtitle: "由你決定",
       customDesc: "選擇主題與設定",
+      mockPaperTitle: "模擬試卷",
+      mockPaperSubtitle: "36 題 · 1 小時",
+      mockPaperDesc: "以考試形式完成一份卷一甲，並估算 DSE 等級。",
 
       millionaireTitle: "百萬富翁",
       millionaireSubtitle: "15 題階梯",
       millionaireDesc: "一題答錯即結束。答對越多題可獲得更多代幣。",
     },
 
+    mockPaper: {
+      configureTitle: "模擬試卷",
+      sourceLabel: "試卷",
+      sourceGenerated: "自動組卷",
+      sourceGeneratedDesc: "36 題，按真實卷一甲的課題比重出題",
+      sourcePastPaper: "歷屆試題",
+      sourcePastPaperDesc: "按年份重做真實 DSE 試卷",
+      yearLabel: "考試年份",
+      yearQuestions: "{count} 題",
+      noPastPapers: "題庫中暫時沒有標有 DSE 年份的題目。",
+      learnedOnly: "只包括已學課題",
+      learnedOnlyDesc: "關閉以涵蓋整個課程",
+      rules: "{count} 題，限時 {minutes} 分鐘。交卷前不會顯示課題及答案，未作答的題目不計分。",
+      start: "開始模擬試卷",
+      submitWithBlanks: "尚有 {count} 題未作答，將不計分。確定交卷？",
+      estimatedLevel: "估算 DSE 等級",
+      levelRange: "等級範圍：{min}–{max}% 分數",
+      levelRangeTop: "等級範圍：{min}% 分數或以上",
+      levelDisclaimer: "根據一般選擇題分界估算，僅供參考。實際分界每年不同。",
+      pastPaperLabel: "DSE {year} 試卷",
+      generatedLabel: "自動組成的模擬試卷",
+      browsePastPapers: "按題號瀏覽歷屆試題",
+    },
+
+    pastPapers: {
+      title: "歷屆試題",
+      subtitle: "按年份及題號列出題庫中所有歷屆試題，顯示全體同學的表現及你的紀錄。",
+      backToPractice: "返回練習",
+      unplaced: "有 {count} 題的 DSE 編號缺少年份或題號，未有顯示。",
+      empty: "題庫中暫時沒有附年份及題號的 DSE 編號題目。",
+      years: "年份",
+      allYears: "全部",
+      year: "年份",
+      fromQuestion: "由第幾題",
+      toQuestion: "至第幾題",
+      startQuiz: "開始練習（{count} 題）",
+      practiseYear: "練習 {year} 年全部題目",
+      practiseQuestion: "練習",
+      legendEasy: "70% 或以上同學答對",
+      legendMedium: "40–69% 答對",
+      legendHard: "少於 40% 答對",
+      legendMineCorrect: "你上次答對",
+      legendMineWrong: "你上次答錯",
+      cohortRate: "{rate} 同學答對（{count} 次作答）",
+      noCohortData: "作答次數不足，暫未有答對率",
+      yourHistory: "你：{attempts} 次中答對 {correct} 次",
+      notAttempted: "你未曾作答此題",
+    },
+
     millionaire: {
       modeName: "Millionaire",
       questionLabel: "題目",
@@ -1616,6 +2153,9 @@ const translations = {
         basedOn: "根據分析結果，以下為各選項機率分佈：",
         optionLabel: "選項 {option}",
         warning: "⚠️ 這是機率估計，並非保證。請以你的知識作答！",
+        subtitleAudience: "過往同學的作答分佈",
+        basedOnResponses: "根據 {count} 位曾作答此題的同學：",
+        warningAudience: "⚠️ 多數人不一定正確——熱門的錯誤答案往往是常見誤解！",
         gotIt: "明白！",
       },
 
@@ -1660,6 +2200,25 @@ const translations = {
     },
     
     // 測驗介面
+    quizSession: {
+      resumeTitle: "繼續未完成的測驗",
+      resumeSummary: "已作答 {answered}/{total} 題，最後保存於 {date}。",
+      resume: "繼續",
+      discard: "放棄",
+      discardConfirm: "放棄這個未完成的測驗？已作答的內容將會遺失。",
+      discardFailed: "無法放棄測驗，請再試一次。",
+      questionsMissing: "此測驗部分題目已不在題庫中，因此無法繼續。",
+      conflictTitle_newer: "此測驗已在其他地方繼續進行",
+      conflictBody_newer: "另一個分頁或裝置有較新的進度（已作答 {count} 題）。",
+      conflictTitle_replaced: "已在其他地方開始了另一個測驗",
+      conflictBody_replaced: "保留此測驗以在這裡繼續，或離開並在主頁繼續另一個測驗。",
+      conflictTitle_finished: "此測驗已在其他地方完成",
+      conflictBody_finished: "它已在另一個分頁或裝置提交或放棄。",
+      loadLatest: "載入最新進度",
+      keepThisCopy: "保留此版本",
+      leaveQuiz: "離開此測驗",
+    },
+
     quiz: {
       question: "題目",
       questionPrefix: "第",
@@ -1700,6 +2259,20 @@ const translations = {
       timedMode: "限時模式",
       countdownTimer: "倒數計時並設時限",
       timeUp: "時間到！您的測驗將立即提交。",
+      questionPosition: "第 {current} 題，共 {total} 題",
+      allShortcuts: "所有快捷鍵",
+      keyboardShortcuts: "鍵盤快捷鍵",
+      shortcutSelect: "選擇或取消答案",
+      shortcutMoveOption: "在選項之間移動",
+      shortcutChooseOption: "選擇目前選項",
+      shortcutPrevNext: "上一題／下一題",
+      shortcutEnter: "下一題；最後一題時交卷",
+      shortcutEnterSrs: "核對答案，然後下一題",
+      shortcutGrade: "評分（重來／困難／良好／簡單）",
+      shortcutFlag: "標記或取消標記此題",
+      shortcutOverview: "打開題目概覽",
+      shortcutClose: "關閉目前面板",
+      shortcutHelp: "顯示此列表",
     },
     
     // 成績
@@ -1719,6 +2292,8 @@ const translations = {
       savingToProfile: "保存至您的個人資料...",
       savedToProfile: "已保存至您的個人資料！",
       reviewsSaved: "已保存重溫記錄！",
+      reviewsQueuedOffline: "離線中：重溫記錄已保存在此裝置，恢復連線後會自動同步。",
+      cramSaved: "臨急溫習已保存，重溫時間表不變。",
       saveFailed: "保存失敗",
       continueAnyway: "仍然繼續",
       resultsSavingLeaveConfirm: "您的測驗結果仍在保存中。確定要離開嗎？",
@@ -1949,7 +2524,7 @@ const translations = {
       noQuestionsFound: "沒有題目符合篩選條件",
       tryAdjustFilters: "嘗試調整篩選設定",
       noArchivedYet: "尚未有封存題目",
-      archiveInstructions: "封存分為兩種：精通（SRS）及逾期（自動整理）",
+      archiveInstructions: "封存分為兩種：精通（SRS）及逾期（舊有自動整理）",
       archiveSubtabMastery: "精通",
       archiveSubtabOverdue: "逾期",
       archiveSubtabCount: "顯示 {count} 題",
@@ -1957,7 +2532,7 @@ const translations = {
       archiveMasteryHowTitle: "精通封存（SRS）",
       archiveMasteryHowBody: "當題目在 SRS 中累積 5 次答對（成功複習）後，會進入「精通封存」。複習間隔：第 1 次答對 → 1 天、第 2 次答對 → 6 天，其後間隔會按「目前間隔 × 容易度」逐步拉長。若答錯，進度會重置（成功次數回到 0），並回到 1 天後再複習。",
       archiveOverdueHowTitle: "逾期封存（自動整理）",
-      archiveOverdueHowBody: "當題目到期（next review date）後仍未複習，並且逾期超過 14 天，系統會自動封存以減少提醒噪音。你可隨時在此還原。",
+      archiveOverdueHowBody: "逾期的重溫不會再被封存。以往因逾期超過 14 天而封存的題目，可在此還原，或在重溫面板使用「分散積壓重溫」重新排程。",
 
       noMasteryArchives: "暫未有精通封存",
       noMasteryArchivesHint: "持續按 SRS 複習，累積 5 次答對後就會畢業封存。",
@@ -1991,6 +2566,19 @@ const translations = {
       improved: "已改善 {count}",
 
       retentionDashboard: "記憶保留儀表板",
+      openSrsAnalytics: "查看完整重溫分析",
+      leeches: "頑固卡",
+      leechesHowTitle: "一再遺忘的卡片",
+      leechesHowBody: "卡片被遺忘太多次便會成為頑固卡（可在個人檔案 → 重溫排程設定次數及處理方式）。在頑固卡診所逐一處理：閱讀解說、討論區，以及同一子課題的相關題目。",
+      startLeechClinic: "進入頑固卡診所",
+      noLeeches: "沒有頑固卡，做得好！",
+      leechLapses: "遺忘 {count} 次",
+      leechInClinic: "等待診所處理",
+      leechSuspended: "已暫停",
+      leechInReviews: "重溫中",
+      openInClinic: "在診所打開",
+      unsuspendLeech: "恢復重溫",
+      unmarkLeech: "不是頑固卡",
       addedThisWeek: "新增（7 天）",
       masteredThisWeek: "精通（7 天）",
       decayRate: "遺忘率",
@@ -2431,6 +3019,30 @@ const translations = {
       generateExam: "開始練習",
       startPractice: "開始練習",
     },
+
+    // 題庫管理
+    questionBank: {
+      reportTitle: "題庫檢查報告",
+      reportSubtitle: "在學生看到題目前檢查題目資料",
+      source: "題目來源",
+      runValidation: "開始檢查",
+      validating: "檢查中...",
+      loadFailed: "無法載入來源：{reason}",
+      rowsChecked: "已檢查行數",
+      errors: "錯誤",
+      warnings: "警告",
+      inRows: "共 {count} 行",
+      cleanRows: "無問題行數",
+      filter_all: "所有問題",
+      filter_errors: "錯誤",
+      filter_warnings: "只顯示警告",
+      noIssues: "此篩選條件下沒有問題。",
+      row: "行",
+      dseCode: "DSE 編號",
+      issues: "問題",
+      offlineCached: "離線中 — 正在顯示已儲存的題目",
+      bankUpdated: "題庫已更新：新增 {added} 題，修改 {changed} 題，移除 {removed} 題",
+    },
   },
 };
 
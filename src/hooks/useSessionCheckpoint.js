@@ -0,0 +1,129 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { quizStorage } from '../utils/quizStorage';
+import {
+  buildSessionSnapshot,
+  checkpointSession,
+  clearInProgressSession
+} from '../services/inProgressSessionService';
+
+const CHECKPOINT_DELAY_MS = 1500;
+
+function createWriterId() {
+  return `tab_${Date.now()}_${Math.random().toString(36).slice(2, 9)}`;
+}
+
+/**
+ * Checkpoint the quiz in progress to Firestore (in_progress_sessions)
+ *
+ * Writes are debounced while the user answers, and flushed when the page
+ * is hidden or left. If the stored quiz moved on elsewhere, checkpoints
+ * stop and `conflict` is set until resolved with `overwrite()` (keep this
+ * tab's copy) or `acceptRemote()` (after loading the newer state).
+ *
+ * @param {string} userId - Signed-in user (nothing is saved without one)
+ * @param {Object} state - Quiz state, see buildSessionSnapshot
+ * @returns {{conflict: Object|null, overwrite: Function, acceptRemote: Function, finish: Function}}
+ */
+export function useSessionCheckpoint(userId, state) {
+  const [conflict, setConflict] = useState(null);
+  const [writerId] = useState(createWriterId);
+  const baseRevisionRef = useRef(quizStorage.getSessionRevision());
+  const stateRef = useRef(state);
+  const timerRef = useRef(null);
+  const finishedRef = useRef(false);
+  const blockedRef = useRef(false);
+  const dirtyRef = useRef(false);
+
+  const save = useCallback(async ({ force = false } = {}) => {
+    clearTimeout(timerRef.current);
+    timerRef.current = null;
+    if (!userId || finishedRef.current || (blockedRef.current && !force)) return;
+    if (!stateRef.current.questions?.length) return;
+    dirtyRef.current = false;
+
+    try {
+      const result = await checkpointSession(userId, buildSessionSnapshot(stateRef.current), {
+        writerId,
+        baseRevision: baseRevisionRef.current,
+        force
+      });
+      if (result.saved) {
+        baseRevisionRef.current = result.revision;
+        quizStorage.saveSessionRevision(result.revision);
+      } else {
+        blockedRef.current = true;
+        setConflict({ type: result.conflict, remote: result.remote });
+      }
+    } catch (error) {
+      // Offline or a failed transaction: keep the local copy, retry on the next change
+      dirtyRef.current = true;
+      console.warn('⚠️ Quiz checkpoint failed:', error);
+    }
+  }, [userId, writerId]);
+
+  useEffect(() => {
+    stateRef.current = state;
+  });
+
+  useEffect(() => {
+    if (!userId || finishedRef.current || blockedRef.current) return;
+    dirtyRef.current = true;
+    clearTimeout(timerRef.current);
+    timerRef.current = setTimeout(() => save(), CHECKPOINT_DELAY_MS);
+  }, [
+    userId,
+    save,
+    state.answers,
+    state.flagged,
+    state.currentIndex,
+    state.questionTimes,
+    state.srsGrades,
+    state.srsRelearn
+  ]);
+
+  // Don't lose the last few answers when the tab is hidden or closed
+  useEffect(() => {
+    const flush = () => {
+      if (dirtyRef.current) save();
+    };
+    const handleVisibility = () => {
+      if (document.visibilityState === 'hidden') flush();
+    };
+    document.addEventListener('visibilitychange', handleVisibility);
+    window.addEventListener('pagehide', flush);
+    return () => {
+      document.removeEventListener('visibilitychange', handleVisibility);
+      window.removeEventListener('pagehide', flush);
+      flush();
+    };
+  }, [save]);
+
+  // Keep this tab's copy, replacing whatever is stored
+  const overwrite = useCallback(() => {
+    blockedRef.current = false;
+    setConflict(null);
+    save({ force: true });
+  }, [save]);
+
+  // The caller loaded the stored state; carry on checkpointing from it
+  const acceptRemote = useCallback((remote) => {
+    baseRevisionRef.current = remote.revision;
+    quizStorage.saveSessionRevision(remote.revision);
+    blockedRef.current = false;
+    setConflict(null);
+  }, []);
+
+  // The quiz was submitted or abandoned: stop saving and remove the checkpoint
+  const finish = useCallback(() => {
+    finishedRef.current = true;
+    clearTimeout(timerRef.current);
+    if (!userId) return;
+    clearInProgressSession(userId, stateRef.current.sessionId).catch((error) => {
+      console.warn('⚠️ Could not remove quiz checkpoint:', error);
+    });
+  }, [userId]);
+
+  return { conflict, overwrite, acceptRemote, finish };
+}
+
+export default useSessionCheckpoint;
@@ -8,9 +8,10 @@ import AttemptDetailModal from '../components/AttemptDetailModal';
 import SmartMonthlyCalendar from '../components/dashboard/SmartMonthlyCalendar';
 import EventCreationModal from '../components/dashboard/EventCreationModal';
 import CompactAttemptsList from '../components/dashboard/CompactAttemptsList';
+import ResumeQuizCard from '../components/dashboard/ResumeQuizCard';
 import ChemistryLoading from '../components/ChemistryLoading';
 import { LogOut, AlertCircle, RefreshCw, X, Info, Gift, Target, Brain, TrendingUp, BarChart2, ChevronRight, Sparkles } from 'lucide-react';
-import { awardTokens, canClaimReward, recordRewardClaim } from '../services/tokenService';
+import { claimDailyReward } from '../services/tokenService';
 import { performanceService } from '../services/performanceService';
 import { calendarServiceOptimized } from '../services/calendarServiceOptimized';
 
@@ -149,34 +150,15 @@ export default function DashboardPage({ questions = [] }) {
     }
   }
 
-  function getDailyRewardKey(dateObj = new Date()) {
-    const yyyy = dateObj.getFullYear();
-    const mm = String(dateObj.getMonth() + 1).padStart(2, '0');
-    const dd = String(dateObj.getDate()).padStart(2, '0');
-    return `daily_reward_${yyyy}-${mm}-${dd}`;
-  }
-
   async function handleDailyReward() {
     if (!currentUser?.uid) return;
-    const rewardKey = getDailyRewardKey(new Date());
 
     setDailyClaiming(true);
     setDailyClaimMessage(null);
     try {
-      const check = await canClaimReward(currentUser.uid, rewardKey);
-      if (!check?.canClaim) {
-        setDailyClaimMessage(check?.message || 'Already claimed');
-        setDailyClaiming(false);
-        return;
-      }
-
-      const amount = 5;
-      await awardTokens(currentUser.uid, amount, 'Daily Reward', {
-        category: 'daily_reward',
-        rewardKey
-      });
-      await recordRewardClaim(currentUser.uid, rewardKey, 24);
-      setDailyClaimMessage(`+${amount} tokens!`);
+      // One claim per Hong Kong calendar day, enforced server-side
+      const result = await claimDailyReward();
+      setDailyClaimMessage(result?.success ? `+${result.tokensAwarded} tokens!` : 'Already claimed');
     } catch (e) {
       console.error(e);
       setDailyClaimMessage('Claim failed');
@@ -262,6 +244,9 @@ export default function DashboardPage({ questions = [] }) {
           </div>
         )}
 
+        {/* UNFINISHED QUIZ (any device) */}
+        <ResumeQuizCard userId={currentUser?.uid} questions={questions} />
+
         {/* BENTO GRID */}
         <div className="grid grid-cols-1 lg:grid-cols-12 gap-6 auto-rows-[minmax(140px,auto)]">
           <div className="lg:col-span-12 lg:row-span-2">
@@ -1,4 +1,5 @@
 import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
 import { useLanguage } from '../contexts/LanguageContext';
 import { quizService } from '../services/quizService';
@@ -6,8 +7,10 @@ import { collection, getDocs, query, where, orderBy, limit } from 'firebase/fire
 import { db } from '../firebase/config';
 import { CheckCircle, XCircle, AlertCircle, Database, RefreshCw } from 'lucide-react';
 import app from '../firebase/config';
+import { remapQuestionReferences } from '../services/questionBankService';
+import { buildLegacyIdRemap } from '../utils/questionId';
 
-export default function DebugDashboard() {
+export default function DebugDashboard({ questions = [] }) {
   const { currentUser, userProfile } = useAuth();
   const { t } = useLanguage();
   const [logs, setLogs] = useState([]);
@@ -64,6 +67,37 @@ export default function DebugDashboard() {
     }
   }
 
+  async function remapLegacyQuestionIds(dryRun) {
+    if (!currentUser) {
+      addLog('error', '❌ Must be logged in');
+      return;
+    }
+
+    const remap = buildLegacyIdRemap(questions);
+    const total = Object.keys(remap).length;
+    if (total === 0) {
+      addLog('warning', '⚠️ No legacy question IDs to remap');
+      return;
+    }
+
+    if (!dryRun && !window.confirm(`Remap ${total} question IDs across all users? This cannot be undone.`)) {
+      return;
+    }
+
+    setTesting(true);
+    addLog('info', `🔁 ${dryRun ? 'Dry run: ' : ''}remapping ${total} legacy question IDs...`);
+
+    try {
+      const res = await remapQuestionReferences(remap, { dryRun });
+      addLog('success', `✅ ${dryRun ? 'Dry run' : 'Remap'} complete: ${JSON.stringify(res)}`);
+    } catch (e) {
+      console.error('remapQuestionIds failed:', e);
+      addLog('error', `❌ Remap failed: ${e?.message || String(e)}`);
+    } finally {
+      setTesting(false);
+    }
+  }
+
   async function testEverything() {
     setLogs([]);
     setTesting(true);
@@ -280,6 +314,32 @@ export default function DebugDashboard() {
           <RefreshCw size={20} />
           Rebuild SRS Summaries
         </button>
+
+        <button
+          onClick={() => remapLegacyQuestionIds(true)}
+          disabled={testing}
+          className="py-6 bg-slate-700 text-white rounded-xl font-bold text-lg shadow-lg hover:bg-slate-800 disabled:bg-slate-300 transition-all flex items-center justify-center gap-2"
+        >
+          <Database size={20} />
+          Question ID Remap (Dry Run)
+        </button>
+
+        <button
+          onClick={() => remapLegacyQuestionIds(false)}
+          disabled={testing}
+          className="py-6 bg-red-600 text-white rounded-xl font-bold text-lg shadow-lg hover:bg-red-700 disabled:bg-slate-300 transition-all flex items-center justify-center gap-2"
+        >
+          <AlertCircle size={20} />
+          Apply Question ID Remap
+        </button>
+
+        <Link
+          to="/question-bank-report"
+          className="py-6 bg-amber-600 text-white rounded-xl font-bold text-lg shadow-lg hover:bg-amber-700 transition-all flex items-center justify-center gap-2"
+        >
+          <AlertCircle size={20} />
+          Question Bank Report
+        </Link>
       </div>
 
       {/* Console Output */}
@@ -4,6 +4,7 @@ import { useAuth } from '../contexts/AuthContext';
 import { useLanguage } from '../contexts/LanguageContext';
 import ChemistryLoading from '../components/ChemistryLoading';
 import { useQuizData } from '../hooks/useQuizData';
+import { QUESTION_SOURCES } from '../services/questionBankService';
 import { forumService, canEditComment, editTimeRemaining } from '../services/forumService';
 import {
   MessageSquare, ArrowLeft, Search, TrendingUp, Clock, MessageCircle,
@@ -13,8 +14,6 @@ import {
 import QuestionForum from '../components/QuestionForum';
 import Avatar from '../components/Avatar';
 
-const SHEET_URL = 'https://docs.google.com/spreadsheets/d/e/2PACX-1vTK36yaUN-NMCkQNT-DAHgc6FMZPjUc0Yv3nYEK4TA9W2qE9V1TqVD10Tq98-wXQoAvKOZlwGWRSDkU/pub?gid=1182550140&single=true&output=csv';
-
 const CATEGORIES = ['general', 'question', 'announcement'];
 
 function categoryLabel(t, cat) {
@@ -554,7 +553,7 @@ export default function ForumPage() {
   const navigate = useNavigate();
   const { currentUser } = useAuth();
   const { t, tf } = useLanguage();
-  const { questions, loading: questionsLoading } = useQuizData(SHEET_URL);
+  const { questions, loading: questionsLoading } = useQuizData(QUESTION_SOURCES);
 
   const [activeTab, setActiveTab] = useState('mcq'); // 'mcq' | 'general'
 
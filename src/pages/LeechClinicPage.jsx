@@ -0,0 +1,281 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import { Bug, CheckCircle2, ChevronLeft, ChevronRight, Info, MessageSquare, XCircle } from 'lucide-react';
+import { useAuth } from '../contexts/AuthContext';
+import { useLanguage } from '../contexts/LanguageContext';
+import ChemistryLoading from '../components/ChemistryLoading';
+import QuestionCard from '../components/QuestionCard';
+import QuestionForum from '../components/QuestionForum';
+import { getLeechCards, completeLeechClinic } from '../services/srsService';
+import { LEECH_ARCHIVE_REASONS, LEECH_ACTIONS } from '../services/srsAlgorithm';
+
+const RELATED_QUESTION_COUNT = 3;
+
+function Explanation({ question }) {
+  const { t } = useLanguage();
+  const [showChinese, setShowChinese] = useState(false);
+  if (!question?.Explanation) return null;
+
+  return (
+    <div className="p-4 bg-slate-100 rounded-lg text-sm border border-slate-200">
+      <strong className="block mb-2 text-slate-700 flex items-center gap-1">
+        <Info size={14} /> {t('leechClinic.explanation')}
+      </strong>
+      <div dangerouslySetInnerHTML={{ __html: question.Explanation }} className="leading-relaxed text-slate-600" />
+      {question.ChineseExplanation && (
+        <div className="mt-3">
+          <button
+            type="button"
+            onClick={() => setShowChinese(v => !v)}
+            className="px-3 py-2 rounded-lg bg-white border border-slate-200 text-slate-700 font-bold hover:bg-slate-50 transition-all"
+          >
+            {showChinese ? t('leechClinic.hideChinese') : t('leechClinic.showChinese')}
+          </button>
+          {showChinese && (
+            <div className="mt-3 p-3 rounded-lg bg-white border border-slate-200">
+              <div dangerouslySetInnerHTML={{ __html: question.ChineseExplanation }} className="leading-relaxed text-slate-700" />
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// One question answered in place; shows right / wrong and the explanation
+function PracticeQuestion({ question }) {
+  const { t } = useLanguage();
+  const [answer, setAnswer] = useState(null);
+  const [checked, setChecked] = useState(false);
+  const isCorrect = answer === question.CorrectOption;
+
+  return (
+    <div className="space-y-3">
+      <QuestionCard
+        question={question}
+        selectedOption={answer}
+        onSelect={(opt) => !checked && setAnswer(opt)}
+      />
+      {checked ? (
+        <>
+          <div className={`flex items-center gap-2 p-3 rounded-lg border text-sm font-bold ${
+            isCorrect ? 'bg-green-50 border-green-200 text-green-800' : 'bg-red-50 border-red-200 text-red-800'
+          }`}>
+            {isCorrect ? <CheckCircle2 size={18} /> : <XCircle size={18} />}
+            {isCorrect ? t('leechClinic.correct') : `${t('leechClinic.correctAnswer')} ${question.CorrectOption}`}
+          </div>
+          <Explanation question={question} />
+        </>
+      ) : (
+        <button
+          type="button"
+          onClick={() => setChecked(true)}
+          disabled={!answer}
+          className="px-4 py-2 rounded-xl bg-lab-blue text-white font-black disabled:bg-slate-300"
+        >
+          {t('leechClinic.check')}
+        </button>
+      )}
+    </div>
+  );
+}
+
+// Works through the user's leeches one at a time: the question itself with
+// its explanation, the discussion thread, and a few questions from the same
+// subtopic. Cards held for the clinic go back into reviews when done.
+export default function LeechClinicPage({ questions = [] }) {
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const { currentUser } = useAuth();
+  const { t, tf } = useLanguage();
+  const [cards, setCards] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [index, setIndex] = useState(0);
+  const [finishing, setFinishing] = useState(false);
+  const [showForum, setShowForum] = useState(false);
+  const focusCardId = searchParams.get('card');
+
+  useEffect(() => {
+    let cancelled = false;
+    if (!currentUser?.uid) return undefined;
+
+    getLeechCards(currentUser.uid)
+      .then((leeches) => {
+        if (cancelled) return;
+        // Cards held for the clinic first; everything else can be visited too
+        const waiting = leeches.filter(c => c.archiveReason === LEECH_ARCHIVE_REASONS[LEECH_ACTIONS.CLINIC]);
+        const ordered = [...waiting, ...leeches.filter(c => !waiting.includes(c))];
+        const focusIndex = focusCardId ? ordered.findIndex(c => c.id === focusCardId) : -1;
+        if (focusIndex > 0) ordered.unshift(...ordered.splice(focusIndex, 1));
+        setCards(ordered);
+      })
+      .catch((error) => {
+        console.error('Error loading leeches:', error);
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [currentUser?.uid, focusCardId]);
+
+  const questionById = useMemo(
+    () => new Map((questions || []).map(q => [String(q.ID), q])),
+    [questions]
+  );
+
+  const card = cards[index] || null;
+  const question = card ? questionById.get(String(card.questionId)) : null;
+
+  const related = useMemo(() => {
+    if (!question) return [];
+    return (questions || [])
+      .filter(q => q.Subtopic === question.Subtopic && String(q.ID) !== String(question.ID))
+      .slice(0, RELATED_QUESTION_COUNT);
+  }, [questions, question]);
+
+  const isHeldForClinic = card?.archiveReason === LEECH_ARCHIVE_REASONS[LEECH_ACTIONS.CLINIC];
+
+  const goNext = () => {
+    setShowForum(false);
+    setIndex(i => i + 1);
+    window.scrollTo({ top: 0, behavior: 'smooth' });
+  };
+
+  async function handleFinish() {
+    if (!card) return;
+    setFinishing(true);
+    try {
+      if (isHeldForClinic) {
+        const updated = await completeLeechClinic(card.id);
+        setCards(prev => prev.map(c => (c.id === card.id ? updated : c)));
+      }
+      goNext();
+    } catch (error) {
+      console.error('Error finishing leech clinic card:', error);
+      alert(t('leechClinic.finishFailed'));
+    }
+    setFinishing(false);
+  }
+
+  if (loading) return <ChemistryLoading />;
+
+  return (
+    <div className="max-w-4xl mx-auto space-y-6">
+      <button
+        onClick={() => navigate('/notebook')}
+        className="inline-flex items-center gap-2 text-slate-700 font-bold hover:text-slate-900"
+      >
+        <ChevronLeft size={18} />
+        {t('leechClinic.backToNotebook')}
+      </button>
+
+      <div className="bg-gradient-to-r from-red-500 to-orange-500 rounded-2xl shadow-xl p-6 text-white">
+        <h1 className="text-3xl font-black flex items-center gap-3">
+          <Bug size={28} />
+          {t('leechClinic.title')}
+        </h1>
+        <p className="text-red-50 mt-1">{t('leechClinic.subtitle')}</p>
+        {card && (
+          <div className="mt-3 text-sm font-bold">
+            {tf('leechClinic.progress', { current: index + 1, total: cards.length })}
+          </div>
+        )}
+      </div>
+
+      {cards.length === 0 && (
+        <div className="bg-white rounded-2xl border-2 border-slate-200 p-6 text-center text-slate-600 font-semibold">
+          {t('leechClinic.noLeeches')}
+        </div>
+      )}
+
+      {cards.length > 0 && !card && (
+        <div className="bg-white rounded-2xl border-2 border-green-200 p-6 text-center space-y-3">
+          <CheckCircle2 size={40} className="text-green-600 mx-auto" />
+          <div className="text-lg font-black text-slate-800">{t('leechClinic.allDone')}</div>
+          <button
+            onClick={() => navigate('/notebook')}
+            className="px-4 py-2 rounded-xl bg-slate-800 text-white font-black"
+          >
+            {t('leechClinic.backToNotebook')}
+          </button>
+        </div>
+      )}
+
+      {card && (
+        <div key={card.id} className="space-y-6">
+          <div className="flex flex-wrap items-center gap-2 text-xs font-bold">
+            <span className="px-2 py-1 rounded-full bg-red-100 text-red-700">
+              {tf('leechClinic.lapses', { count: card.lapses || 0 })}
+            </span>
+            <span className="px-2 py-1 rounded-full bg-slate-100 text-slate-600">{card.topic}</span>
+            {card.subtopic && (
+              <span className="px-2 py-1 rounded-full bg-slate-100 text-slate-600">{card.subtopic}</span>
+            )}
+            {isHeldForClinic && (
+              <span className="px-2 py-1 rounded-full bg-amber-100 text-amber-700">{t('leechClinic.heldForClinic')}</span>
+            )}
+          </div>
+
+          {question ? (
+            <div className="space-y-3">
+              <div className="flex items-center justify-between gap-3">
+                <h2 className="text-lg font-black text-slate-800">{t('leechClinic.theQuestion')}</h2>
+                <button
+                  type="button"
+                  onClick={() => setShowForum(true)}
+                  className="flex items-center gap-2 px-4 py-2 bg-purple-100 text-purple-700 rounded-lg font-bold hover:bg-purple-200 transition-all"
+                >
+                  <MessageSquare size={16} />
+                  {t('leechClinic.discussion')}
+                </button>
+              </div>
+              <PracticeQuestion question={question} />
+            </div>
+          ) : (
+            <div className="bg-red-50 border-2 border-red-200 rounded-xl p-4 text-red-700 font-semibold">
+              {t('calendar.questionsNotFound')}
+            </div>
+          )}
+
+          {related.length > 0 && (
+            <div className="space-y-4">
+              <h2 className="text-lg font-black text-slate-800">
+                {tf('leechClinic.relatedTitle', { subtopic: question.Subtopic })}
+              </h2>
+              {related.map(q => (
+                <PracticeQuestion key={q.ID} question={q} />
+              ))}
+            </div>
+          )}
+
+          <div className="flex flex-col sm:flex-row gap-3 justify-end border-t pt-4">
+            <button
+              type="button"
+              onClick={goNext}
+              disabled={finishing}
+              className="px-4 py-2 rounded-xl border-2 border-slate-200 font-black text-slate-700 hover:bg-slate-50"
+            >
+              {t('leechClinic.skip')}
+            </button>
+            <button
+              type="button"
+              onClick={handleFinish}
+              disabled={finishing}
+              className="inline-flex items-center justify-center gap-2 px-4 py-2 rounded-xl bg-green-600 text-white font-black disabled:bg-slate-300"
+            >
+              {isHeldForClinic ? t('leechClinic.returnToReviews') : t('leechClinic.next')}
+              <ChevronRight size={16} />
+            </button>
+          </div>
+        </div>
+      )}
+
+      {showForum && question && (
+        <QuestionForum question={question} onClose={() => setShowForum(false)} />
+      )}
+    </div>
+  );
+}
@@ -10,11 +10,19 @@ import { useAuth } from '../contexts/AuthContext';
 import { useLanguage } from '../contexts/LanguageContext';
 import ChemistryLoading from '../components/ChemistryLoading';
 import { quizService } from '../services/quizService';
-import { fetchMillionaireQuestionsFiltered, MILLIONAIRE_LEVELS } from '../services/millionaireService';
+import { rewardMillionaire } from '../services/rewardLogic';
+import {
+  fetchMillionaireQuestionsFiltered,
+  recordMillionaireAnswer,
+  buildMillionaireAttempt,
+  MILLIONAIRE_LEVELS,
+  MILLIONAIRE_SAFE_LEVELS
+} from '../services/millionaireService';
 import MoneyLadder from '../components/millionaire/MoneyLadder';
 import GameOverModal from '../components/millionaire/GameOverModal';
 import ChemLeungModal from '../components/millionaire/ChemLeungModal';
 import ProbabilityModal from '../components/millionaire/ProbabilityModal';
+import { applyOptionOrder, createOptionOrders } from '../utils/optionShuffle';
 
 const LADDER_TOKENS = [1, 2, 3, 4, 5, 7, 9, 11, 14, 17, 21, 25, 30, 35, 42, 50, 60, 72, 85, 100];
 
@@ -29,7 +37,7 @@ function computeFailReward(levelReached) {
   return 0;
 }
 
-export default function MillionaireQuiz({ questions: allQuestions = [] }) {
+export default function MillionaireQuiz({ questions: allQuestions = [], statsLoaded = true }) {
   const navigate = useNavigate();
   const { currentUser } = useAuth();
   const { t, tf } = useLanguage();
@@ -40,11 +48,14 @@ export default function MillionaireQuiz({ questions: allQuestions = [] }) {
 
   const [loading, setLoading] = useState(true);
   const [questions, setQuestions] = useState([]);
+  const [optionOrders, setOptionOrders] = useState({});
   const [currentIndex, setCurrentIndex] = useState(0);
 
   const [selectedOption, setSelectedOption] = useState(null);
   const [lockedOption, setLockedOption] = useState(null);
-  const [answers, setAnswers] = useState({});
+  // Read when the game ends, which can be in a timeout scheduled before the
+  // last answer's render, so keep answers in a ref rather than state
+  const answersRef = useRef({});
   const [revealState, setRevealState] = useState(null); // null | 'correct' | 'wrong'
   const [victoryOverlay, setVictoryOverlay] = useState(false);
   const [milestoneOverlay, setMilestoneOverlay] = useState(null); // null | { level, tokens }
@@ -90,11 +101,6 @@ export default function MillionaireQuiz({ questions: allQuestions = [] }) {
 
   const finalizeOnceRef = useRef(false);
 
-  const getQuestionKey = (q, idx) => {
-    if (!q) return String(idx ?? 'unknown');
-    return String(q.ID ?? q.Id ?? q.id ?? q.DSEcode ?? idx ?? 'unknown');
-  };
-
   const shuffle = (arr) => {
     const a = Array.isArray(arr) ? [...arr] : [];
     for (let i = a.length - 1; i > 0; i -= 1) {
@@ -104,7 +110,12 @@ export default function MillionaireQuiz({ questions: allQuestions = [] }) {
     return a;
   };
 
-  const currentQuestion = questions[currentIndex];
+  // The question as shown: options shuffled and relabelled, so letters below
+  // are display letters; answers are saved in sheet letters
+  const currentQuestion = useMemo(() => {
+    const q = questions[currentIndex];
+    return applyOptionOrder(q, optionOrders[q?.ID]);
+  }, [questions, currentIndex, optionOrders]);
   const level = currentIndex + 1;
   const currentBank = useMemo(() => {
     if (level <= 1) return 0;
@@ -115,7 +126,7 @@ export default function MillionaireQuiz({ questions: allQuestions = [] }) {
     return LADDER_TOKENS.map((amt, idx) => ({
       level: idx + 1,
       amount: amt,
-      safe: idx + 1 === 5 || idx + 1 === 10 || idx + 1 === 15 || idx + 1 === 17,
+      safe: MILLIONAIRE_SAFE_LEVELS.includes(idx + 1),
       isFireLevel: idx + 1 >= 16, // Q16-20 have fire effects
     }));
   }, []);
@@ -128,11 +139,19 @@ export default function MillionaireQuiz({ questions: allQuestions = [] }) {
     };
   }, []);
 
+  // The ladder is ranked by difficulty stats, so wait for them before
+  // dealing. The bank can still be re-delivered mid-game (background
+  // refresh); keep the ladder that was dealt at the start.
+  const ladderDealtRef = useRef(false);
+
   useEffect(() => {
+    if (ladderDealtRef.current || !statsLoaded) return;
     try {
       setLoading(true);
       const picked = fetchMillionaireQuestionsFiltered(allQuestions, [], MILLIONAIRE_LEVELS);
       setQuestions(picked);
+      setOptionOrders(createOptionOrders(picked));
+      ladderDealtRef.current = true;
     } catch (e) {
       console.error(e);
       alert(e.message || t('millionaire.errors.startFailed'));
@@ -140,7 +159,7 @@ export default function MillionaireQuiz({ questions: allQuestions = [] }) {
     } finally {
       setLoading(false);
     }
-  }, [allQuestions, navigate]);
+  }, [allQuestions, statsLoaded, navigate]);
 
   // Timer logic for Q16-20
   useEffect(() => {
@@ -191,70 +210,45 @@ export default function MillionaireQuiz({ questions: allQuestions = [] }) {
     setPendingBank(0);
   };
 
-  const awardTokensToUser = async (amount) => {
-    if (!currentUser?.uid || !amount || amount <= 0) return;
-    try {
-      const { awardTokens } = await import('../services/tokenService');
-      await awardTokens(currentUser.uid, amount, `Millionaire Game: Completed Q${level}`, {
-        category: 'millionaire',
-        level,
-        totalReward: amount
-      });
-    } catch (error) {
-      console.error('Error awarding tokens:', error);
-    }
-  };
-
   const finalizeGame = async ({ reward, reason }) => {
     if (finalizeOnceRef.current) return;
     finalizeOnceRef.current = true;
 
     setSavingReward(true);
+    let awarded = reward;
     try {
       if (currentUser?.uid) {
-        const attemptedQuestions = questions.slice(0, Math.min(currentIndex + 1, questions.length));
-        const correctAnswers = attemptedQuestions.reduce((acc, q, idx) => {
-          const key = getQuestionKey(q, idx);
-          const chosen = String(answers[key] || '').toUpperCase();
-          const correct = String(q.CorrectOption || '').toUpperCase();
-          return acc + (chosen && chosen === correct ? 1 : 0);
-        }, 0);
-
-        const totalQuestions = attemptedQuestions.length;
-        const percentage = totalQuestions > 0 ? Math.round((correctAnswers / totalQuestions) * 100) : 0;
-        const topics = [...new Set(attemptedQuestions.map(q => q.Topic))].filter(Boolean);
-
-        await quizService.saveAttempt(currentUser.uid, {
-          score: percentage,
-          totalQuestions,
-          correctAnswers,
-          percentage,
-          topics,
+        const attempt = buildMillionaireAttempt(questions, answersRef.current, currentIndex);
+
+        const attemptId = await quizService.saveAttempt(currentUser.uid, {
+          ...attempt,
+          score: attempt.percentage,
           timeSpent: null,
           questionTimes: null,
-          answers,
-          questions: attemptedQuestions,
+          optionOrders,
           mode: 'millionaire',
           millionaireLevelReached: level,
           millionaireFinalReward: reward,
           millionaireReason: reason,
           millionaireWin: reason === 'win',
         });
-      }
 
-      await awardTokensToUser(reward);
+        // The server re-scores the saved attempt; show what it actually paid.
+        const result = await rewardMillionaire(attemptId);
+        if (result.success) awarded = result.tokensAwarded;
+      }
     } catch (e) {
       console.error(e);
       alert(e.message || t('millionaire.errors.tokenUpdateFailed'));
     } finally {
-      setFinalReward(reward);
+      setFinalReward(awarded);
       setFinalReason(reason);
       setSavingReward(false);
       setGameOver(true);
       setVictoryOverlay(false);
       setMilestoneOverlay(null);
       setLadderOpenMobile(false);
-      console.log('Millionaire finalize:', { reward, reason });
+      console.log('Millionaire finalize:', { reward: awarded, reason });
     }
   };
 
@@ -274,7 +268,7 @@ export default function MillionaireQuiz({ questions: allQuestions = [] }) {
     setLockedOption(chosen);
     setShimmerOption(chosen);
     setLockInPending(true);
-    setAnswers(prev => ({ ...prev, [getQuestionKey(currentQuestion, currentIndex)]: chosen }));
+    answersRef.current = recordMillionaireAnswer(answersRef.current, currentQuestion, chosen, optionOrders[currentQuestion.ID]);
 
     const isCorrect = chosen === correct;
     setRevealState(isCorrect ? 'correct' : 'wrong');
@@ -286,7 +280,7 @@ export default function MillionaireQuiz({ questions: allQuestions = [] }) {
         const bankAfter = LADDER_TOKENS[passedLevel - 1] || 0;
         setPendingBank(bankAfter);
 
-        if (passedLevel === 5 || passedLevel === 10 || passedLevel === 15 || passedLevel === 17) {
+        if (MILLIONAIRE_SAFE_LEVELS.includes(passedLevel)) {
           setMilestoneOverlay({ level: passedLevel, tokens: bankAfter });
           return;
         }
@@ -1066,6 +1060,7 @@ export default function MillionaireQuiz({ questions: allQuestions = [] }) {
         <ProbabilityModal
           correctOption={correctOption}
           options={['A', 'B', 'C', 'D']}
+          answerCounts={currentQuestion?.AnswerCounts}
           onClose={() => setShowProbModal(false)}
         />
       )}
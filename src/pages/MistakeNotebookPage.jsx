@@ -16,18 +16,20 @@ import { db } from '../firebase/config';
 import { collection, getDocs, limit, orderBy, query, startAfter, where } from 'firebase/firestore';
 import { formatHKDateKey } from '../utils/hkTime';
 import { getNow } from '../utils/timeTravel';
+import { sanitizeQuestionHtml } from '../utils/sanitizeHtml';
 import {
   BookOpen, ArrowLeft, Play, AlertCircle, Target,
   CheckCircle, Filter, ChevronDown, Calendar, Hash, Tag,
   Clock, Zap, TrendingUp, Brain, BarChart2, Layers, X,
   AlertTriangle, Flame, Star, PlusCircle, Wand2, Eye, EyeOff, 
   Grid3x3, List as ListIcon, Command, Archive, Sparkles,
-  ChevronRight, Maximize2, Check, Activity, LineChart,
+  ChevronRight, Maximize2, Check, Activity, LineChart, Bug,
 } from 'lucide-react';
 
 // ADD THIS IMPORT:
 import { calendarService } from '../services/calendarService';
 import { srsService } from '../services/srsService';
+import { LEECH_ARCHIVE_REASONS, LEECH_ACTIONS } from '../services/srsAlgorithm';
 
 // ═══════════════════════════════════════════════════════════════════════════════
 // CONSTANTS
@@ -278,7 +280,7 @@ function FullQuestionModal({ mistake, errorTag, onTag, onClose }) {
             </h3>
             <div
               className="prose prose-slate max-w-none text-base bg-slate-50 p-4 rounded-xl border-2 border-slate-200"
-              dangerouslySetInnerHTML={{ __html: mistake.Question }}
+              dangerouslySetInnerHTML={{ __html: sanitizeQuestionHtml(mistake.Question) }}
             />
           </div>
 
@@ -357,7 +359,7 @@ function FullQuestionModal({ mistake, errorTag, onTag, onClose }) {
               </h3>
               <div
                 className="prose prose-slate max-w-none text-sm bg-blue-50 p-4 rounded-xl border-2 border-blue-200"
-                dangerouslySetInnerHTML={{ __html: mistake.Explanation }}
+                dangerouslySetInnerHTML={{ __html: sanitizeQuestionHtml(mistake.Explanation) }}
               />
             </div>
           )}
@@ -795,6 +797,7 @@ function ImprovementTrendChart({ cards, attempts }) {
  */
 function RetentionDashboard({ cards = [], attempts = [] }) {
   const { t, tf } = useLanguage();
+  const navigate = useNavigate();
   const [open, setOpen] = useState(true);
   
   const stats = useMemo(() => {
@@ -909,6 +912,15 @@ function RetentionDashboard({ cards = [], attempts = [] }) {
                   })}
                 </div>
               </div>
+
+              <button
+                onClick={() => navigate('/srs-analytics')}
+                className="w-full flex items-center justify-center gap-2 py-2 rounded-xl border-2 border-purple-200 bg-white text-purple-700 font-bold text-sm hover:bg-purple-50 transition-all"
+              >
+                <BarChart2 size={16} />
+                {t('notebook.openSrsAnalytics')}
+                <ChevronRight size={16} />
+              </button>
             </div>
           </motion.div>
         )}
@@ -1197,6 +1209,8 @@ export default function MistakeNotebookPage({ questions = [] }) {
   const [showHelpPanel, setShowHelpPanel] = useState(false);
   const [filterInfoOpen, setFilterInfoOpen] = useState(false);
   const [archivedLoaded, setArchivedLoaded] = useState(false);
+  const [leechCards, setLeechCards] = useState([]);
+  const [leechesLoaded, setLeechesLoaded] = useState(false);
   
   // Load data
   useEffect(() => { loadMistakes(); }, [currentUser]);
@@ -1235,6 +1249,8 @@ export default function MistakeNotebookPage({ questions = [] }) {
         const archivedByQuestionId = {};
 
         (archivedCards || []).forEach((c) => {
+          // Suspended / clinic leeches are listed on the Leeches tab
+          if (Object.values(LEECH_ARCHIVE_REASONS).includes(c.archiveReason)) return;
           const questionData = questionMap.get(c.questionId) || {};
           archivedByQuestionId[c.questionId] = {
             ...c,
@@ -1259,26 +1275,22 @@ export default function MistakeNotebookPage({ questions = [] }) {
     if (activeTab !== 'archive') return;
     setArchiveSubTab('mastery');
   }, [activeTab]);
-  
-  // Auto-archive overdue cards older than 14 days
+
+  // Lazy-load leeches only when the Leeches tab is opened
   useEffect(() => {
     if (!currentUser) return;
+    if (activeTab !== 'leeches') return;
+    if (leechesLoaded) return;
 
-    const runArchive = async () => {
-      try {
-        const archivedCount = await srsService.archiveOverdueCards(currentUser.uid);
-        if (archivedCount > 0) {
-          console.log(`🗄️ Auto-archived ${archivedCount} overdue cards`);
-          // Reload data to refresh the archive
-          loadMistakes();
-        }
-      } catch (error) {
-        console.error('Error auto-archiving overdue cards:', error);
-      }
-    };
-
-    runArchive();
-  }, [currentUser]);
+    srsService.getLeechCards(currentUser.uid)
+      .then((cards) => {
+        setLeechCards(cards || []);
+        setLeechesLoaded(true);
+      })
+      .catch((e) => {
+        console.error('Error loading leeches:', e);
+      });
+  }, [activeTab, leechesLoaded, currentUser]);
   
   async function loadMistakes() {
     if (!currentUser) { setLoading(false); return; }
@@ -1793,6 +1805,26 @@ export default function MistakeNotebookPage({ questions = [] }) {
       console.error('Error restoring card:', error);
     }
   };
+
+  const handleUnsuspendLeech = async (cardId) => {
+    try {
+      await srsService.restoreArchivedCard(cardId);
+      setLeechesLoaded(false);
+      loadMistakes();
+    } catch (error) {
+      console.error('Error unsuspending leech:', error);
+    }
+  };
+
+  const handleUnmarkLeech = async (cardId) => {
+    try {
+      await srsService.unmarkLeech(cardId);
+      setLeechCards((prev) => prev.filter((c) => c.id !== cardId));
+      loadMistakes();
+    } catch (error) {
+      console.error('Error unmarking leech:', error);
+    }
+  };
   
   const toggleTopic = useCallback((topic) => {
     setSelectedTopics((prev) =>
@@ -2202,6 +2234,17 @@ export default function MistakeNotebookPage({ questions = [] }) {
                 <Archive size={16} className="inline mr-2" />
                 {t('notebook.archive')} ({Object.keys(archivedMistakes).length})
               </button>
+              <button
+                onClick={() => setActiveTab('leeches')}
+                className={`px-3 sm:px-4 py-2 rounded-lg font-bold text-sm transition-all ${
+                  activeTab === 'leeches'
+                    ? 'bg-indigo-100 text-indigo-700 border-2 border-indigo-500'
+                    : 'bg-slate-100 text-slate-600 border-2 border-slate-200 hover:border-slate-300'
+                }`}
+              >
+                <Bug size={16} className="inline mr-2" />
+                {t('notebook.leeches')}{leechesLoaded ? ` (${leechCards.length})` : ''}
+              </button>
             </div>
             
             {activeTab === 'deck' && (
@@ -2600,6 +2643,106 @@ export default function MistakeNotebookPage({ questions = [] }) {
                 )}
               </motion.div>
             )}
+
+            {/* Tab 4: Leeches */}
+            {activeTab === 'leeches' && (
+              <motion.div
+                key="leeches"
+                initial={{ opacity: 0, x: -20 }}
+                animate={{ opacity: 1, x: 0 }}
+                exit={{ opacity: 0, x: 20 }}
+                className="space-y-4"
+              >
+                <div className="p-4 rounded-xl border-2 bg-red-50 border-red-200 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+                  <div>
+                    <div className="text-sm font-black text-slate-800 mb-1">{t('notebook.leechesHowTitle')}</div>
+                    <div className="text-xs text-slate-600 leading-relaxed">{t('notebook.leechesHowBody')}</div>
+                  </div>
+                  {leechCards.length > 0 && (
+                    <button
+                      type="button"
+                      onClick={() => navigate('/leech-clinic')}
+                      className="shrink-0 inline-flex items-center gap-2 px-4 py-2 rounded-xl bg-red-500 text-white font-black text-sm hover:bg-red-600 transition-all"
+                    >
+                      <Bug size={16} />
+                      {t('notebook.startLeechClinic')}
+                    </button>
+                  )}
+                </div>
+
+                {!leechesLoaded ? (
+                  <div className="text-center py-12 text-slate-400 font-semibold">{t('common.loading')}</div>
+                ) : leechCards.length === 0 ? (
+                  <div className="text-center py-12">
+                    <Bug className="w-16 h-16 text-slate-300 mx-auto mb-4" />
+                    <p className="text-slate-400 text-lg font-semibold">{t('notebook.noLeeches')}</p>
+                  </div>
+                ) : (
+                  <div className="space-y-3">
+                    {leechCards.map((card) => {
+                      const question = (questions || []).find((q) => String(q.ID) === String(card.questionId));
+                      const heldForClinic = card.archiveReason === LEECH_ARCHIVE_REASONS[LEECH_ACTIONS.CLINIC];
+                      const suspended = card.archiveReason === LEECH_ARCHIVE_REASONS[LEECH_ACTIONS.SUSPEND];
+                      return (
+                        <div key={card.id} className="p-4 rounded-lg bg-white border-2 border-red-200">
+                          <div className="flex items-start justify-between gap-3 mb-2">
+                            <div>
+                              <div className="text-xs font-bold text-red-700 uppercase">{card.topic}</div>
+                              <div className="text-xs text-red-600">{card.subtopic}</div>
+                            </div>
+                            <div className="flex flex-wrap justify-end gap-2 text-xs font-bold">
+                              <span className="px-2 py-1 rounded-full bg-red-100 text-red-700">
+                                {tf('notebook.leechLapses', { count: card.lapses || 0 })}
+                              </span>
+                              <span className={`px-2 py-1 rounded-full ${
+                                heldForClinic ? 'bg-amber-100 text-amber-700' : suspended ? 'bg-slate-200 text-slate-700' : 'bg-green-100 text-green-700'
+                              }`}>
+                                {heldForClinic
+                                  ? t('notebook.leechInClinic')
+                                  : suspended
+                                    ? t('notebook.leechSuspended')
+                                    : t('notebook.leechInReviews')}
+                              </span>
+                            </div>
+                          </div>
+                          <div className="text-sm text-slate-800 font-medium mb-3">
+                            {question?.Question?.replace(/<[^>]*>/g, '').substring(0, 120)}...
+                          </div>
+                          <div className="flex flex-wrap items-center gap-3 text-xs font-semibold">
+                            <button
+                              type="button"
+                              onClick={() => navigate(`/leech-clinic?card=${encodeURIComponent(card.id)}`)}
+                              className="text-red-600 hover:text-red-800 flex items-center gap-1"
+                            >
+                              <Bug size={12} />
+                              {t('notebook.openInClinic')}
+                            </button>
+                            {suspended && (
+                              <button
+                                type="button"
+                                onClick={() => handleUnsuspendLeech(card.id)}
+                                className="text-indigo-600 hover:text-indigo-800 flex items-center gap-1"
+                              >
+                                <PlusCircle size={12} />
+                                {t('notebook.unsuspendLeech')}
+                              </button>
+                            )}
+                            <button
+                              type="button"
+                              onClick={() => handleUnmarkLeech(card.id)}
+                              className="text-slate-500 hover:text-slate-700 flex items-center gap-1"
+                            >
+                              <X size={12} />
+                              {t('notebook.unmarkLeech')}
+                            </button>
+                          </div>
+                        </div>
+                      );
+                    })}
+                  </div>
+                )}
+              </motion.div>
+            )}
           </AnimatePresence>
         </div>
       </div>
@@ -0,0 +1,301 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Archive, CheckCircle2, ChevronLeft, Play, XCircle } from 'lucide-react';
+import { useAuth } from '../contexts/AuthContext';
+import { useLanguage } from '../contexts/LanguageContext';
+import { quizService } from '../services/quizService';
+import {
+  buildPastPaperIndex,
+  getCell,
+  selectPastPaperQuestions,
+  samplePastPaperQuestions,
+  getQuestionHistory
+} from '../services/pastPaperService';
+import { quizStorage } from '../utils/quizStorage';
+
+const MAX_QUESTIONS = 40;
+const HISTORY_ATTEMPTS = 200;
+
+// Cohort correct rate → cell colour
+function rateClass(rate) {
+  if (rate === null || rate === undefined) return 'bg-slate-100 text-slate-500';
+  if (rate >= 0.7) return 'bg-green-100 text-green-800';
+  if (rate >= 0.4) return 'bg-amber-100 text-amber-800';
+  return 'bg-red-100 text-red-800';
+}
+
+function formatRate(rate) {
+  return rate === null || rate === undefined ? '–' : `${Math.round(rate * 100)}%`;
+}
+
+// Year × question grid of the bank's past-paper questions, coloured by how
+// the whole cohort did, with the user's own record on each question.
+// Any year or question-number range can be launched as a quiz.
+export default function PastPaperPage({ questions = [] }) {
+  const navigate = useNavigate();
+  const { currentUser } = useAuth();
+  const { t, tf } = useLanguage();
+  const [history, setHistory] = useState({});
+  const [selectedYears, setSelectedYears] = useState(null);
+  const [rangeFrom, setRangeFrom] = useState(1);
+  const [rangeTo, setRangeTo] = useState(null);
+  const [activeCell, setActiveCell] = useState(null);
+
+  const index = useMemo(() => buildPastPaperIndex(questions), [questions]);
+  const lastQuestionNumber = index.questionNumbers[index.questionNumbers.length - 1] || 1;
+  const years = selectedYears || index.years;
+  const to = rangeTo ?? lastQuestionNumber;
+
+  useEffect(() => {
+    let cancelled = false;
+    if (!currentUser?.uid) return undefined;
+
+    quizService.getUserAttempts(currentUser.uid, HISTORY_ATTEMPTS)
+      .then((attempts) => {
+        if (!cancelled) setHistory(getQuestionHistory(attempts));
+      })
+      .catch((error) => {
+        console.warn('⚠️ Could not load attempt history:', error);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [currentUser?.uid]);
+
+  const selection = useMemo(
+    () => selectPastPaperQuestions(index, { years, from: rangeFrom, to }),
+    [index, years, rangeFrom, to]
+  );
+
+  const toggleYear = (year) => {
+    const next = years.includes(year) ? years.filter(y => y !== year) : [...years, year];
+    setSelectedYears(next);
+  };
+
+  const startQuiz = (selected) => {
+    if (selected.length === 0) {
+      alert(t('notebook.noQuestionsFound'));
+      return;
+    }
+    if (selected.length > MAX_QUESTIONS) {
+      alert(tf('notebook.sessionLimited', { max: MAX_QUESTIONS }));
+    }
+
+    quizStorage.clearQuizData();
+    quizStorage.saveSelectedQuestions(samplePastPaperQuestions(selected, MAX_QUESTIONS));
+
+    const showTimer = localStorage.getItem('practice_show_timer') !== 'false';
+    localStorage.setItem('quiz_mode', 'past-paper');
+    localStorage.setItem('quiz_timer_enabled', 'true');
+    localStorage.setItem('quiz_is_timed_mode', 'false');
+    localStorage.setItem('quiz_hide_timer_ui', (!showTimer).toString());
+
+    navigate('/quiz');
+  };
+
+  const activeQuestions = activeCell ? getCell(index, activeCell.year, activeCell.question) : [];
+
+  return (
+    <div className="max-w-6xl mx-auto space-y-6">
+      <button
+        onClick={() => navigate('/practice')}
+        className="inline-flex items-center gap-2 text-slate-700 font-bold hover:text-slate-900"
+      >
+        <ChevronLeft size={18} />
+        {t('pastPapers.backToPractice')}
+      </button>
+
+      <div className="bg-gradient-to-r from-slate-700 to-slate-900 rounded-2xl shadow-xl p-6 text-white">
+        <h1 className="text-3xl font-black flex items-center gap-3">
+          <Archive size={28} />
+          {t('pastPapers.title')}
+        </h1>
+        <p className="text-slate-200 mt-1">{t('pastPapers.subtitle')}</p>
+        {index.unplaced > 0 && (
+          <p className="text-xs text-slate-300 mt-2">{tf('pastPapers.unplaced', { count: index.unplaced })}</p>
+        )}
+      </div>
+
+      {index.years.length === 0 ? (
+        <div className="bg-white rounded-2xl border-2 border-slate-200 p-6 text-center text-slate-600 font-semibold">
+          {t('pastPapers.empty')}
+        </div>
+      ) : (
+        <>
+          {/* Quiz builder */}
+          <div className="bg-white rounded-2xl border-2 border-slate-200 p-5 space-y-4">
+            <div>
+              <div className="text-xs font-black text-slate-500 uppercase tracking-widest mb-2">
+                {t('pastPapers.years')}
+              </div>
+              <div className="flex flex-wrap gap-2">
+                <button
+                  type="button"
+                  onClick={() => setSelectedYears(years.length === index.years.length ? [] : null)}
+                  className="px-3 py-1.5 rounded-full text-xs font-black border-2 bg-white border-slate-200 text-slate-700 hover:border-slate-300"
+                >
+                  {t('pastPapers.allYears')}
+                </button>
+                {index.years.map(year => (
+                  <button
+                    key={year}
+                    type="button"
+                    onClick={() => toggleYear(year)}
+                    className={`px-3 py-1.5 rounded-full text-xs font-black border-2 transition-all ${
+                      years.includes(year)
+                        ? 'bg-lab-blue border-lab-blue text-white'
+                        : 'bg-white border-slate-200 text-slate-500 hover:border-slate-300'
+                    }`}
+                  >
+                    {year}
+                  </button>
+                ))}
+              </div>
+            </div>
+
+            <div className="flex flex-wrap items-end gap-4">
+              <label className="text-xs font-black text-slate-500 uppercase tracking-widest">
+                {t('pastPapers.fromQuestion')}
+                <input
+                  type="number"
+                  min={1}
+                  max={lastQuestionNumber}
+                  value={rangeFrom}
+                  onChange={(e) => setRangeFrom(Math.max(1, Number(e.target.value) || 1))}
+                  className="block mt-1 w-24 px-3 py-2 rounded-lg border-2 border-slate-200 text-slate-800 font-bold normal-case"
+                />
+              </label>
+              <label className="text-xs font-black text-slate-500 uppercase tracking-widest">
+                {t('pastPapers.toQuestion')}
+                <input
+                  type="number"
+                  min={1}
+                  max={lastQuestionNumber}
+                  value={to}
+                  onChange={(e) => setRangeTo(Math.max(1, Number(e.target.value) || 1))}
+                  className="block mt-1 w-24 px-3 py-2 rounded-lg border-2 border-slate-200 text-slate-800 font-bold normal-case"
+                />
+              </label>
+              <button
+                type="button"
+                onClick={() => startQuiz(selection)}
+                disabled={selection.length === 0}
+                className="ml-auto inline-flex items-center gap-2 px-5 py-3 rounded-xl bg-lab-blue text-white font-black hover:bg-blue-800 disabled:bg-slate-300"
+              >
+                <Play size={16} fill="currentColor" />
+                {tf('pastPapers.startQuiz', { count: Math.min(selection.length, MAX_QUESTIONS) })}
+              </button>
+            </div>
+          </div>
+
+          {/* Year × question grid */}
+          <div className="bg-white rounded-2xl border-2 border-slate-200 p-4 overflow-x-auto">
+            <table className="border-separate border-spacing-1 text-xs">
+              <thead>
+                <tr>
+                  <th className="sticky left-0 bg-white text-left px-2 font-black text-slate-500">
+                    {t('pastPapers.year')}
+                  </th>
+                  {index.questionNumbers.map(n => (
+                    <th key={n} className="w-9 font-black text-slate-500">Q{n}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {index.years.map(year => (
+                  <tr key={year}>
+                    <th className="sticky left-0 bg-white px-2 text-left">
+                      <button
+                        type="button"
+                        onClick={() => startQuiz(selectPastPaperQuestions(index, { years: [year] }))}
+                        title={tf('pastPapers.practiseYear', { year })}
+                        className="inline-flex items-center gap-1 font-black text-slate-800 hover:text-lab-blue"
+                      >
+                        {year}
+                        <Play size={10} fill="currentColor" />
+                      </button>
+                    </th>
+                    {index.questionNumbers.map((n) => {
+                      const cell = getCell(index, year, n);
+                      if (cell.length === 0) return <td key={n} className="w-9 h-9 rounded bg-slate-50" />;
+
+                      const rate = cell[0].PValue;
+                      const mine = history[cell[0].ID];
+                      const isActive = activeCell?.year === year && activeCell?.question === n;
+                      return (
+                        <td key={n} className="p-0">
+                          <button
+                            type="button"
+                            onClick={() => setActiveCell(isActive ? null : { year, question: n })}
+                            title={`${cell[0].DSEcode} · ${formatRate(rate)}`}
+                            className={`relative w-9 h-9 rounded font-bold ${rateClass(rate)} ${
+                              isActive ? 'ring-2 ring-lab-blue' : ''
+                            }`}
+                          >
+                            {formatRate(rate).replace('%', '')}
+                            {mine && (
+                              <span
+                                className={`absolute -top-1 -right-1 w-3 h-3 rounded-full border border-white ${
+                                  mine.lastCorrect ? 'bg-green-500' : 'bg-red-500'
+                                }`}
+                              />
+                            )}
+                          </button>
+                        </td>
+                      );
+                    })}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+
+            <div className="flex flex-wrap gap-4 mt-3 text-xs text-slate-600">
+              <span className="flex items-center gap-1"><span className="w-3 h-3 rounded bg-green-100" />{t('pastPapers.legendEasy')}</span>
+              <span className="flex items-center gap-1"><span className="w-3 h-3 rounded bg-amber-100" />{t('pastPapers.legendMedium')}</span>
+              <span className="flex items-center gap-1"><span className="w-3 h-3 rounded bg-red-100" />{t('pastPapers.legendHard')}</span>
+              <span className="flex items-center gap-1"><span className="w-3 h-3 rounded-full bg-green-500" />{t('pastPapers.legendMineCorrect')}</span>
+              <span className="flex items-center gap-1"><span className="w-3 h-3 rounded-full bg-red-500" />{t('pastPapers.legendMineWrong')}</span>
+            </div>
+          </div>
+
+          {/* Selected cell */}
+          {activeQuestions.map((q) => {
+            const mine = history[q.ID];
+            return (
+              <div key={q.ID} className="bg-white rounded-2xl border-2 border-lab-blue/40 p-5 flex flex-col md:flex-row md:items-center gap-4">
+                <div className="flex-1 min-w-0 space-y-1">
+                  <div className="font-black text-slate-800">{q.DSEcode}</div>
+                  <div className="text-sm text-slate-600 truncate">{q.Topic}{q.Subtopic ? ` · ${q.Subtopic}` : ''}</div>
+                  <div className="text-sm text-slate-600">
+                    {q.PValue === null || q.PValue === undefined
+                      ? t('pastPapers.noCohortData')
+                      : tf('pastPapers.cohortRate', { rate: formatRate(q.PValue), count: q.StatsResponses || 0 })}
+                  </div>
+                  <div className="text-sm text-slate-600 flex items-center gap-1">
+                    {mine ? (
+                      <>
+                        {mine.lastCorrect
+                          ? <CheckCircle2 size={14} className="text-green-600" />
+                          : <XCircle size={14} className="text-red-600" />}
+                        {tf('pastPapers.yourHistory', { correct: mine.correct, attempts: mine.attempts })}
+                      </>
+                    ) : t('pastPapers.notAttempted')}
+                  </div>
+                </div>
+                <button
+                  type="button"
+                  onClick={() => startQuiz([q])}
+                  className="inline-flex items-center gap-2 px-4 py-2 rounded-xl bg-lab-blue text-white font-black text-sm hover:bg-blue-800 shrink-0"
+                >
+                  <Play size={14} fill="currentColor" />
+                  {t('pastPapers.practiseQuestion')}
+                </button>
+              </div>
+            );
+          })}
+        </>
+      )}
+    </div>
+  );
+}
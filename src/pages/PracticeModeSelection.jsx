@@ -1,7 +1,7 @@
 import React, { useState, useMemo, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
-import { Clock, Settings, Play, Zap, BookOpen, Lock, Check, AlertCircle } from 'lucide-react';
+import { Clock, Settings, Play, Zap, BookOpen, Lock, Check, AlertCircle, FileText } from 'lucide-react';
 import FisheyeCarousel from '../components/FisheyeCarousel';
 import { quizStorage } from '../utils/quizStorage';
 import { useLanguage } from '../contexts/LanguageContext';
@@ -9,6 +9,13 @@ import { doc, updateDoc } from 'firebase/firestore';
 import { db } from '../firebase/config';
 import { quizService } from '../services/quizService';
 import * as srsService from '../services/srsService';
+import {
+  MOCK_PAPER_CONFIG,
+  MOCK_PAPER_SOURCES,
+  assembleMockPaper,
+  buildPastPaper,
+  getPastPaperYears
+} from '../services/mockPaperService';
 
 // Helper function for AI Daily Mission selection
 function calculateMasteryPriority(mistake, recentTopics = []) {
@@ -61,6 +68,7 @@ export default function PracticeModeSelection({ questions }) {
   const [selectedMode, setSelectedMode] = useState(null);
   const [questionCount, setQuestionCount] = useState(10);
   const [showCustom, setShowCustom] = useState(false);
+  const [showMockPaper, setShowMockPaper] = useState(false);
   const [showUpdateTopics, setShowUpdateTopics] = useState(false);
   const [loadingMistakes, setLoadingMistakes] = useState(false);
   const [activeCarouselModeId, setActiveCarouselModeId] = useState('timed');
@@ -112,6 +120,11 @@ export default function PracticeModeSelection({ questions }) {
   const [customTimerEnabled, setCustomTimerEnabled] = useState(() => showTimer);
   const [customIsTimed, setCustomIsTimed] = useState(false);
 
+  // Mock paper settings
+  const [mockSource, setMockSource] = useState(MOCK_PAPER_SOURCES.GENERATED);
+  const [mockYear, setMockYear] = useState(null);
+  const [mockLearnedOnly, setMockLearnedOnly] = useState(true);
+
   useEffect(() => {
     setTimedModeTimer(showTimer);
     setMarathonModeTimer(showTimer);
@@ -145,6 +158,8 @@ export default function PracticeModeSelection({ questions }) {
     });
   }, [allTopics, userProfile]);
 
+  const pastPaperYears = useMemo(() => getPastPaperYears(questions), [questions]);
+
   // For custom mode: determine which topics can be selected
   const customTopics = useMemo(() => {
     return allTopics.map(topic => {
@@ -278,6 +293,9 @@ export default function PracticeModeSelection({ questions }) {
       case 'custom':
         handleModeSelect('custom', 10);
         break;
+      case 'mock-paper':
+        setShowMockPaper(true);
+        break;
       case 'millionaire':
         navigate('/millionaire');
         break;
@@ -377,14 +395,40 @@ export default function PracticeModeSelection({ questions }) {
     startQuiz(finalSelection, 'custom', customTimerEnabled, customIsTimed);
   };
 
-  const startQuiz = (selectedQuestions, mode, timerEnabled, isTimed) => {
+  const handleMockPaperStart = () => {
+    const isPastPaper = mockSource === MOCK_PAPER_SOURCES.PAST_PAPER;
+    const year = mockYear ?? pastPaperYears[0]?.year;
+    const paper = isPastPaper
+      ? buildPastPaper(questions, year)
+      : assembleMockPaper(questions, {
+          topics: mockLearnedOnly && availableTopics.length > 0 ? availableTopics : null
+        });
+
+    if (paper.length === 0) {
+      alert(t('notebook.noQuestionsFound'));
+      return;
+    }
+
+    // Keep the real paper's pace when the bank can't fill all 36 questions
+    const durationMs = Math.round(
+      (paper.length / MOCK_PAPER_CONFIG.QUESTION_COUNT) * MOCK_PAPER_CONFIG.DURATION_MINUTES * 60 * 1000
+    );
+
+    startQuiz(paper, 'mock-paper', true, true, {
+      mockPaper: { source: mockSource, year: isPastPaper ? year : null, durationMs }
+    });
+  };
+
+  const startQuiz = (selectedQuestions, mode, timerEnabled, isTimed, { mockPaper = null } = {}) => {
     quizStorage.clearQuizData();
     quizStorage.saveSelectedQuestions(selectedQuestions);
+    if (mockPaper) quizStorage.saveMockPaper(mockPaper);
     
     localStorage.setItem('quiz_mode', mode);
     localStorage.setItem('quiz_timer_enabled', timerEnabled.toString());
     localStorage.setItem('quiz_is_timed_mode', isTimed.toString());
-    localStorage.setItem('quiz_hide_timer_ui', (!showTimer).toString());
+    // The countdown is part of a mock paper, so it stays on screen
+    localStorage.setItem('quiz_hide_timer_ui', (!showTimer && !mockPaper).toString());
     
     navigate('/quiz');
   };
@@ -486,6 +530,139 @@ export default function PracticeModeSelection({ questions }) {
     );
   }
 
+  // Mock paper configuration
+  if (showMockPaper) {
+    const isPastPaper = mockSource === MOCK_PAPER_SOURCES.PAST_PAPER;
+    const selectedYear = mockYear ?? pastPaperYears[0]?.year;
+    const paperCount = isPastPaper
+      ? pastPaperYears.find(entry => entry.year === selectedYear)?.count || 0
+      : MOCK_PAPER_CONFIG.QUESTION_COUNT;
+    const paperMinutes = Math.round(
+      (paperCount / MOCK_PAPER_CONFIG.QUESTION_COUNT) * MOCK_PAPER_CONFIG.DURATION_MINUTES
+    );
+    const sources = [
+      { id: MOCK_PAPER_SOURCES.GENERATED, titleKey: 'mockPaper.sourceGenerated', descKey: 'mockPaper.sourceGeneratedDesc' },
+      { id: MOCK_PAPER_SOURCES.PAST_PAPER, titleKey: 'mockPaper.sourcePastPaper', descKey: 'mockPaper.sourcePastPaperDesc' }
+    ];
+
+    return (
+      <div className="max-w-4xl mx-auto space-y-6 animate-in fade-in duration-500">
+        <div className="bg-white rounded-2xl shadow-xl border border-slate-200 overflow-hidden">
+          <div className="bg-slate-50 p-6 border-b flex justify-between items-center">
+            <h2 className="text-xl font-bold flex items-center gap-2 text-slate-800">
+              <FileText size={20} className="text-lab-blue" />
+              {t('mockPaper.configureTitle')}
+            </h2>
+            <button
+              onClick={() => setShowMockPaper(false)}
+              className="text-sm text-slate-600 hover:text-slate-800 hover:underline font-semibold"
+            >
+              ← {t('practiceMode.back')}
+            </button>
+          </div>
+
+          <div className="p-8 space-y-8">
+            <div>
+              <label className="block text-sm font-black text-slate-500 uppercase tracking-widest mb-4">
+                {t('mockPaper.sourceLabel')}
+              </label>
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+                {sources.map(source => (
+                  <button
+                    key={source.id}
+                    onClick={() => setMockSource(source.id)}
+                    className={`text-left p-4 rounded-xl border-2 transition-all ${
+                      mockSource === source.id
+                        ? 'border-lab-blue bg-blue-50 text-lab-blue shadow-sm'
+                        : 'border-slate-100 text-slate-600 hover:border-slate-200'
+                    }`}
+                  >
+                    <div className="font-bold">{t(source.titleKey)}</div>
+                    <div className="text-xs text-slate-500 mt-1">{t(source.descKey)}</div>
+                  </button>
+                ))}
+              </div>
+            </div>
+
+            {isPastPaper ? (
+              <div>
+                <label className="block text-sm font-black text-slate-500 uppercase tracking-widest mb-4">
+                  {t('mockPaper.yearLabel')}
+                </label>
+                {pastPaperYears.length > 0 ? (
+                  <div className="grid grid-cols-3 md:grid-cols-6 gap-3">
+                    {pastPaperYears.map(({ year, count }) => (
+                      <button
+                        key={year}
+                        onClick={() => setMockYear(year)}
+                        className={`py-3 rounded-xl border-2 font-bold transition-all ${
+                          selectedYear === year ? 'border-lab-blue bg-blue-50 text-lab-blue' : 'border-slate-100 text-slate-500'
+                        }`}
+                      >
+                        <div>{year}</div>
+                        <div className="text-[10px] font-semibold">{tf('mockPaper.yearQuestions', { count })}</div>
+                      </button>
+                    ))}
+                  </div>
+                ) : (
+                  <p className="text-sm text-amber-600 flex items-center gap-1">
+                    <AlertCircle size={14} />
+                    {t('mockPaper.noPastPapers')}
+                  </p>
+                )}
+                <button
+                  type="button"
+                  onClick={() => navigate('/past-papers')}
+                  className="mt-3 text-sm text-lab-blue font-bold hover:underline"
+                >
+                  {t('mockPaper.browsePastPapers')} →
+                </button>
+              </div>
+            ) : availableTopics.length > 0 && (
+              <div className="bg-slate-50 rounded-xl p-4 border-2 border-slate-200">
+                <div className="flex items-center justify-between">
+                  <div className="flex items-center gap-3">
+                    <BookOpen size={20} className="text-lab-blue" />
+                    <div>
+                      <h3 className="font-bold text-slate-800">{t('mockPaper.learnedOnly')}</h3>
+                      <p className="text-xs text-slate-500">{t('mockPaper.learnedOnlyDesc')}</p>
+                    </div>
+                  </div>
+                  <button
+                    onClick={() => setMockLearnedOnly(!mockLearnedOnly)}
+                    className={`relative w-14 h-8 rounded-full transition-all ${
+                      mockLearnedOnly ? 'bg-chemistry-green' : 'bg-slate-300'
+                    }`}
+                  >
+                    <div className={`absolute top-1 left-1 w-6 h-6 bg-white rounded-full transition-transform ${
+                      mockLearnedOnly ? 'translate-x-6' : 'translate-x-0'
+                    }`} />
+                  </button>
+                </div>
+              </div>
+            )}
+
+            <div className="bg-amber-50 rounded-xl p-4 border-2 border-amber-200 flex items-start gap-3">
+              <Clock size={20} className="text-amber-600 shrink-0" />
+              <p className="text-sm text-amber-900">
+                {tf('mockPaper.rules', { count: paperCount, minutes: paperMinutes })}
+              </p>
+            </div>
+
+            <button
+              disabled={paperCount === 0}
+              onClick={handleMockPaperStart}
+              className="w-full py-5 bg-lab-blue text-white rounded-2xl font-black text-lg shadow-lg hover:bg-blue-800 disabled:bg-slate-200 transition-all flex items-center justify-center gap-2 active:scale-95"
+            >
+              <Play fill="currentColor" size={18} />
+              {t('mockPaper.start')}
+            </button>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
   // Custom mode configuration
   if (showCustom) {
     return (
@@ -749,6 +926,7 @@ export default function PracticeModeSelection({ questions }) {
               timed: 'practiceModeCarousel.timedTitle',
               marathon: 'practiceModeCarousel.marathonTitle',
               custom: 'practiceModeCarousel.customTitle',
+              'mock-paper': 'practiceModeCarousel.mockPaperTitle',
               'ai-daily': 'practiceModeCarousel.aiDailyTitle',
               'srs-review': 'practiceModeCarousel.srsReviewTitle',
               'mistake-review': 'practiceModeCarousel.mistakeReviewTitle',
@@ -759,7 +937,7 @@ export default function PracticeModeSelection({ questions }) {
               {
                 id: 'regular',
                 titleKey: 'practiceModeLegend.regular',
-                modeIds: ['timed', 'marathon', 'custom'],
+                modeIds: ['timed', 'marathon', 'custom', 'mock-paper'],
               },
               {
                 id: 'mistake',
@@ -796,6 +974,7 @@ export default function PracticeModeSelection({ questions }) {
                         timed: 'practiceModeLegend.timedShort',
                         marathon: 'practiceModeLegend.untimedShort',
                         custom: 'practiceModeLegend.customShort',
+                        'mock-paper': 'practiceModeLegend.mockPaperShort',
                         'ai-daily': 'practiceModeLegend.aiDailyShort',
                         'srs-review': 'practiceModeLegend.srsShort',
                         'mistake-review': 'practiceModeLegend.customShort',
@@ -807,6 +986,7 @@ export default function PracticeModeSelection({ questions }) {
                         timed: 'bg-gradient-to-r from-red-500 to-orange-500 border-red-600 text-white shadow-sm',
                         marathon: 'bg-gradient-to-r from-purple-600 to-indigo-600 border-indigo-700 text-white shadow-sm',
                         custom: 'bg-gradient-to-r from-blue-600 to-cyan-600 border-blue-700 text-white shadow-sm',
+                        'mock-paper': 'bg-gradient-to-r from-slate-700 to-slate-900 border-slate-900 text-white shadow-sm',
                         'ai-daily': 'bg-gradient-to-r from-cyan-600 via-sky-600 to-indigo-600 border-cyan-700 text-white shadow-sm',
                         'srs-review': 'bg-gradient-to-r from-emerald-600 to-teal-600 border-emerald-700 text-white shadow-sm',
                         'mistake-review': 'bg-gradient-to-r from-rose-500 to-pink-500 border-rose-600 text-white shadow-sm',
@@ -7,16 +7,18 @@ import { doc, updateDoc } from 'firebase/firestore';
 import { db } from '../firebase/config';
 import { User, GraduationCap, Mail, Calendar, Save, ArrowLeft, Trophy, Target, BookOpen, Lock, Unlock } from 'lucide-react';
 import { useQuizData } from '../hooks/useQuizData';
+import { QUESTION_SOURCES } from '../services/questionBankService';
 import Avatar from '../components/Avatar';
 import { STORE_ITEMS } from '../utils/storeItems';
-
-const SHEET_URL = 'https://docs.google.com/spreadsheets/d/e/2PACX-1vTK36yaUN-NMCkQNT-DAHgc6FMZPjUc0Yv3nYEK4TA9W2qE9V1TqVD10Tq98-wXQoAvKOZlwGWRSDkU/pub?gid=1182550140&single=true&output=csv';
+import { equipItem } from '../services/tokenService';
+import SRSSchedulerSettings from '../components/SRSSchedulerSettings';
+import DisplaySettings from '../components/DisplaySettings';
 
 export default function ProfilePage() {
   const { currentUser, userProfile, loadUserProfile } = useAuth();
   const { t, isEnglish } = useLanguage();
   const navigate = useNavigate();
-  const { questions, loading: questionsLoading } = useQuizData(SHEET_URL);
+  const { questions, loading: questionsLoading } = useQuizData(QUESTION_SOURCES);
   
   const [displayName, setDisplayName] = useState(currentUser?.displayName || '');
   const [level, setLevel] = useState(userProfile?.level || 'S5');
@@ -97,14 +99,17 @@ export default function ProfilePage() {
         level: level,
         learnedUpTo: learnedUpTo,
         topicExceptions: topicExceptions,
-        equipped: {
-          ...(userProfile?.equipped || {}),
-          profilePic: selectedProfilePicId,
-          theme: selectedThemeId
-        },
         updatedAt: new Date().toISOString()
       });
 
+      // Equipped items are server-owned; only send the slots that changed
+      if (selectedProfilePicId !== (equipped.profilePic || 'flask_blue')) {
+        await equipItem(selectedProfilePicId);
+      }
+      if (selectedThemeId !== (equipped.theme || 'default')) {
+        await equipItem(selectedThemeId);
+      }
+
       // Reload user profile
       await loadUserProfile(currentUser.uid);
 
@@ -477,6 +482,10 @@ export default function ProfilePage() {
           </button>
         </div>
       </form>
+
+      <DisplaySettings />
+
+      <SRSSchedulerSettings userId={currentUser?.uid} />
     </div>
   );
 }
\ No newline at end of file
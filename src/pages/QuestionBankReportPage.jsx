@@ -0,0 +1,163 @@
+import React, { useState, useMemo } from 'react';
+import { useLanguage } from '../contexts/LanguageContext';
+import { QUESTION_SOURCES, loadQuestionSourceRows } from '../services/questionBankService';
+import { validateQuestionBank, SEVERITY } from '../utils/questionValidator';
+import { XCircle, AlertCircle, CheckCircle, RefreshCw, FileWarning } from 'lucide-react';
+
+export default function QuestionBankReportPage() {
+  const { t, tf } = useLanguage();
+  const [sourceId, setSourceId] = useState(QUESTION_SOURCES[0]?.id || '');
+  const [report, setReport] = useState(null);
+  const [running, setRunning] = useState(false);
+  const [loadError, setLoadError] = useState(null);
+  const [filter, setFilter] = useState('all'); // all | errors | warnings
+
+  async function runValidation() {
+    const source = QUESTION_SOURCES.find(s => s.id === sourceId);
+    if (!source) return;
+
+    setRunning(true);
+    setLoadError(null);
+    setReport(null);
+
+    try {
+      const rows = await loadQuestionSourceRows(source);
+      setReport(validateQuestionBank(rows));
+    } catch (err) {
+      console.error('Question bank validation failed:', err);
+      setLoadError(err?.message || String(err));
+    } finally {
+      setRunning(false);
+    }
+  }
+
+  const visibleRows = useMemo(() => {
+    if (!report) return [];
+    if (filter === 'errors') return report.rows.filter(r => r.errors > 0);
+    if (filter === 'warnings') return report.rows.filter(r => r.errors === 0 && r.warnings > 0);
+    return report.rows;
+  }, [report, filter]);
+
+  return (
+    <div className="max-w-6xl mx-auto space-y-6">
+      <div className="bg-gradient-to-r from-slate-700 to-slate-900 rounded-2xl shadow-xl p-6 text-white">
+        <h1 className="text-3xl font-black flex items-center gap-3">
+          <FileWarning size={28} />
+          {t('questionBank.reportTitle')}
+        </h1>
+        <p className="text-slate-300 mt-1">{t('questionBank.reportSubtitle')}</p>
+      </div>
+
+      <div className="bg-white rounded-2xl shadow-xl border border-slate-200 p-6 flex flex-col md:flex-row gap-4 md:items-end">
+        <label className="flex-1">
+          <span className="block text-sm font-bold text-slate-600 mb-1">{t('questionBank.source')}</span>
+          <select
+            value={sourceId}
+            onChange={(e) => setSourceId(e.target.value)}
+            className="w-full px-3 py-2 border-2 border-slate-200 rounded-lg"
+          >
+            {QUESTION_SOURCES.map(s => (
+              <option key={s.id} value={s.id}>{s.label || s.id}</option>
+            ))}
+          </select>
+        </label>
+        <button
+          onClick={runValidation}
+          disabled={running}
+          className="px-6 py-3 bg-lab-blue text-white rounded-xl font-bold shadow-lg hover:bg-blue-800 disabled:bg-slate-300 transition-all flex items-center justify-center gap-2"
+        >
+          <RefreshCw size={18} className={running ? 'animate-spin' : ''} />
+          {running ? t('questionBank.validating') : t('questionBank.runValidation')}
+        </button>
+      </div>
+
+      {loadError && (
+        <div className="bg-red-50 border-2 border-red-200 rounded-xl p-4 text-red-700">
+          {tf('questionBank.loadFailed', { reason: loadError })}
+        </div>
+      )}
+
+      {report && (
+        <>
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+            <div className="bg-white rounded-xl border border-slate-200 p-4">
+              <div className="text-xs text-slate-500">{t('questionBank.rowsChecked')}</div>
+              <div className="text-2xl font-black text-slate-800">{report.summary.rowsChecked}</div>
+            </div>
+            <div className="bg-white rounded-xl border border-red-200 p-4">
+              <div className="text-xs text-red-500">{t('questionBank.errors')}</div>
+              <div className="text-2xl font-black text-red-600">{report.summary.errors}</div>
+              <div className="text-xs text-slate-500">{tf('questionBank.inRows', { count: report.summary.rowsWithErrors })}</div>
+            </div>
+            <div className="bg-white rounded-xl border border-amber-200 p-4">
+              <div className="text-xs text-amber-600">{t('questionBank.warnings')}</div>
+              <div className="text-2xl font-black text-amber-600">{report.summary.warnings}</div>
+              <div className="text-xs text-slate-500">{tf('questionBank.inRows', { count: report.summary.rowsWithWarnings })}</div>
+            </div>
+            <div className="bg-white rounded-xl border border-green-200 p-4">
+              <div className="text-xs text-green-600">{t('questionBank.cleanRows')}</div>
+              <div className="text-2xl font-black text-green-600">{report.summary.rowsChecked - report.rows.length}</div>
+            </div>
+          </div>
+
+          <div className="flex gap-2">
+            {['all', 'errors', 'warnings'].map(key => (
+              <button
+                key={key}
+                onClick={() => setFilter(key)}
+                className={`px-4 py-2 rounded-lg font-bold text-sm transition-all ${filter === key ? 'bg-slate-800 text-white' : 'bg-white border border-slate-200 text-slate-600 hover:bg-slate-50'}`}
+              >
+                {t(`questionBank.filter_${key}`)}
+              </button>
+            ))}
+          </div>
+
+          <div className="bg-white rounded-2xl shadow-xl border border-slate-200 overflow-hidden">
+            {visibleRows.length === 0 ? (
+              <div className="p-8 text-center text-slate-500 flex flex-col items-center gap-2">
+                <CheckCircle className="text-green-500" size={32} />
+                {t('questionBank.noIssues')}
+              </div>
+            ) : (
+              <table className="w-full text-sm">
+                <thead className="bg-slate-50 text-slate-600 text-left">
+                  <tr>
+                    <th className="px-4 py-2 w-20">{t('questionBank.row')}</th>
+                    <th className="px-4 py-2 w-28">{t('questionBank.dseCode')}</th>
+                    <th className="px-4 py-2">{t('questionBank.issues')}</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {visibleRows.map(r => (
+                    <tr key={r.row} className="border-t border-slate-100 align-top">
+                      <td className="px-4 py-3 font-mono font-bold text-slate-700">
+                        {r.row}
+                        {r.id && <div className="text-xs font-normal text-slate-400">ID {r.id}</div>}
+                      </td>
+                      <td className="px-4 py-3 font-mono text-slate-600">{r.dseCode || '—'}</td>
+                      <td className="px-4 py-3">
+                        <ul className="space-y-1">
+                          {r.issues.map((i, idx) => (
+                            <li key={idx} className="flex items-start gap-2">
+                              {i.severity === SEVERITY.ERROR
+                                ? <XCircle className="text-red-500 flex-shrink-0 mt-0.5" size={14} />
+                                : <AlertCircle className="text-amber-500 flex-shrink-0 mt-0.5" size={14} />}
+                              <span>
+                                <span className="font-mono text-xs text-slate-400 mr-1">[{i.field}]</span>
+                                {i.message}
+                              </span>
+                            </li>
+                          ))}
+                        </ul>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -1,18 +1,31 @@
 import React, { useState, useEffect, useRef, useCallback } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useLanguage } from '../contexts/LanguageContext';
+import { useAuth } from '../contexts/AuthContext';
+import { useSessionCheckpoint } from '../hooks/useSessionCheckpoint';
 import QuestionCard from '../components/QuestionCard';
-import { ChevronLeft, ChevronRight, Send, Timer, FlaskConical, Flag, Clock, X, Home, Menu } from 'lucide-react';
+import SRSGradePanel from '../components/SRSGradePanel';
+import SRSRelearnCard from '../components/SRSRelearnCard';
+import { createOptionOrders, toCanonicalKey } from '../utils/optionShuffle';
+import QuizSessionConflict from '../components/QuizSessionConflict';
+import { SRS_GRADES, createRelearnEntry, advanceRelearnEntry, getNextRelearnId } from '../services/srsAlgorithm';
+import { ChevronLeft, ChevronRight, Send, Timer, FlaskConical, Flag, Clock, X, Home, Menu, RotateCcw } from 'lucide-react';
 import { quizStorage } from '../utils/quizStorage';
 
 export default function QuizPage() {
   const navigate = useNavigate();
-  const { t } = useLanguage();
+  const { t, tf } = useLanguage();
+  const { currentUser } = useAuth();
   
   const [questions] = useState(() => quizStorage.getSelectedQuestions());
+  const [sessionId] = useState(() => quizStorage.getSessionId());
   const practiceMode = localStorage.getItem('quiz_mode') || 'timed'; // timed, marathon, custom, mistakes
 
-  const isPracticeQuiz = ['timed', 'marathon', 'custom', 'mistakes'].includes(practiceMode);
+  const isPracticeQuiz = ['timed', 'marathon', 'custom', 'mistakes', 'past-paper'].includes(practiceMode);
+  const isSrsReview = practiceMode === 'spaced-repetition';
+  // Mock papers run like the exam: fixed countdown, no topic hints, blanks allowed
+  const isMockPaper = practiceMode === 'mock-paper';
+  const [mockPaper] = useState(() => (isMockPaper ? quizStorage.getMockPaper() : null));
   
   useEffect(() => {
     if (!questions || questions.length === 0) {
@@ -23,9 +36,20 @@ export default function QuizPage() {
   const [currentIndex, setCurrentIndex] = useState(() => quizStorage.getCurrentIndex());
   const [answers, setAnswers] = useState(() => quizStorage.getUserAnswers());
   const [flagged, setFlagged] = useState(() => quizStorage.getFlagged());
+  // SRS reviews: answers are checked one by one and graded Again/Hard/Good/Easy
+  const [srsGrades, setSrsGrades] = useState(() => quizStorage.getSrsGrades());
+  const [srsRevealed, setSrsRevealed] = useState(() => new Set(Object.keys(quizStorage.getSrsGrades())));
+  // Cards graded Again are relearned later in the same session
+  const [srsRelearn, setSrsRelearn] = useState(() => quizStorage.getSrsRelearn());
+  // Options are shuffled once per session; answers stay in sheet letters
+  const [optionOrders, setOptionOrders] = useState(() => createOptionOrders(questions, quizStorage.getOptionOrders()));
+  const [activeRelearnId, setActiveRelearnId] = useState(null);
   const [showPeriodicTable, setShowPeriodicTable] = useState(false);
   const [showQuestionPanel, setShowQuestionPanel] = useState(false);
   const [showMobileMenu, setShowMobileMenu] = useState(false);
+  const [showShortcuts, setShowShortcuts] = useState(false);
+  const questionRegionRef = useRef(null);
+  const hasMountedRef = useRef(false);
   const [timerEnabled, setTimerEnabled] = useState(() => {
     const saved = localStorage.getItem('quiz_timer_enabled');
     return saved === 'true';
@@ -69,7 +93,7 @@ export default function QuizPage() {
   }, [showDseCode]);
 
   // Calculate time limit for timed mode (questions × 75 seconds in milliseconds)
-  const timeLimit = isTimedMode ? questions.length * 75 * 1000 : 0;
+  const timeLimit = !isTimedMode ? 0 : mockPaper?.durationMs || questions.length * 75 * 1000;
 
   // Prevent accidental navigation away
   useEffect(() => {
@@ -82,82 +106,57 @@ export default function QuizPage() {
     return () => window.removeEventListener('beforeunload', handleBeforeUnload);
   }, []);
 
-  // Keyboard shortcuts
+  // Keyboard shortcuts. The listener is attached once and always calls the
+  // handler from the latest render (see handleKeyDown below), so it never acts
+  // on stale answers, grades or relearning state.
+  const keyHandlerRef = useRef(null);
   useEffect(() => {
-    const handleKeyDown = (e) => {
-      const activeElement = document.activeElement;
-      if (
-        activeElement &&
-        (activeElement.tagName === 'INPUT' || activeElement.tagName === 'TEXTAREA')
-      ) return;
-      if (showPeriodicTable || showMobileMenu) return;
-      if (!questions || questions.length === 0) return;
-
-      const currentQuestion = questions[currentIndex];
-      const key = e.key.toUpperCase();
-
-      if (['A', 'B', 'C', 'D'].includes(key)) {
-        e.preventDefault();
-        const currentAnswer = answers[currentQuestion.ID];
-        if (currentAnswer === key) {
-          setAnswers(prev => ({ ...prev, [currentQuestion.ID]: null }));
-        } else {
-          setAnswers(prev => ({ ...prev, [currentQuestion.ID]: key }));
-        }
-        return;
-      }
-
-      if (e.key === 'Enter') {
-        e.preventDefault();
-        if (currentIndex < questions.length - 1) {
-          nextQuestion();
-        } else if (allAnswered) {
-          handleComplete();
-        }
-        return;
-      }
-
-      if (e.key === 'ArrowRight' && currentIndex < questions.length - 1) {
-        e.preventDefault();
-        nextQuestion();
-        return;
-      }
-      if (e.key === 'ArrowLeft' && currentIndex > 0) {
-        e.preventDefault();
-        prevQuestion();
-        return;
-      }
-
-      if (key === 'F') {
-        e.preventDefault();
-        toggleFlag();
-        return;
-      }
-
-      if (key === 'O') {
-        e.preventDefault();
-        setShowQuestionPanel(prev => !prev);
-        return;
-      }
-    };
-
+    const handleKeyDown = (e) => keyHandlerRef.current?.(e);
     window.addEventListener('keydown', handleKeyDown);
     return () => window.removeEventListener('keydown', handleKeyDown);
-  }, [currentIndex, answers, showPeriodicTable, showQuestionPanel, showMobileMenu, questions]);
+  }, []);
+
+  // Moving to another question puts focus on it, so screen readers read the
+  // new question and Tab starts from its options
+  useEffect(() => {
+    if (!hasMountedRef.current) {
+      hasMountedRef.current = true;
+      return;
+    }
+    questionRegionRef.current?.focus({ preventScroll: true });
+  }, [currentIndex]);
 
   // Persist state to localStorage
   useEffect(() => { quizStorage.saveCurrentIndex(currentIndex); }, [currentIndex]);
   useEffect(() => { quizStorage.saveUserAnswers(answers); }, [answers]);
   useEffect(() => { quizStorage.saveFlagged(flagged); }, [flagged]);
+  useEffect(() => { if (isSrsReview) quizStorage.saveSrsGrades(srsGrades); }, [isSrsReview, srsGrades]);
+  useEffect(() => { if (isSrsReview) quizStorage.saveSrsRelearn(srsRelearn); }, [isSrsReview, srsRelearn]);
   useEffect(() => { quizStorage.saveQuestionTimes(questionTimes); }, [questionTimes]);
+  useEffect(() => { quizStorage.saveOptionOrders(optionOrders); }, [optionOrders]);
   useEffect(() => { if (sessionStartTime !== null) quizStorage.saveSessionStart(sessionStartTime); }, [sessionStartTime]);
 
+  // Checkpoint to Firestore so the quiz can be resumed on another device
+  const { conflict: sessionConflict, overwrite: keepLocalSession, acceptRemote, finish: finishSession } = useSessionCheckpoint(
+    currentUser?.uid,
+    { sessionId, questions, answers, flagged, currentIndex, questionTimes, srsGrades, srsRelearn, optionOrders, sessionStartTime }
+  );
+
   if (!questions || questions.length === 0) return null;
 
   const currentQuestion = questions[currentIndex];
   const totalQuestions = questions.length;
   const progress = ((currentIndex + 1) / totalQuestions) * 100;
-  const allAnswered = questions.every(q => answers[q.ID]);
+  const relearnPendingCount = Object.values(srsRelearn).filter(entry => entry && !entry.done).length;
+  const allGraded = questions.every(q => answers[q.ID] && srsGrades[q.ID]);
+  // SRS sessions can only be submitted once every relearning card is passed,
+  // so no failed card's next interval is saved before it's answered correctly
+  const allAnswered = isSrsReview
+    ? allGraded && relearnPendingCount === 0
+    : questions.every(q => answers[q.ID]);
+  const canStartRelearn = isSrsReview && allGraded && relearnPendingCount > 0;
+  const canSubmit = allAnswered || isMockPaper;
+  const unansweredCount = questions.filter(q => !answers[q.ID]).length;
 
   // Initialize timer on mount
   useEffect(() => {
@@ -188,10 +187,57 @@ export default function QuizPage() {
     }
   };
 
+  const isAnswerLocked = isSrsReview && srsRevealed.has(currentQuestion?.ID);
+
   const handleOptionSelect = useCallback((option) => {
-    if (!currentQuestion?.ID) return;
+    if (!currentQuestion?.ID || isAnswerLocked) return;
     setAnswers(prev => ({ ...prev, [currentQuestion.ID]: option }));
-  }, [currentQuestion?.ID]);
+  }, [currentQuestion?.ID, isAnswerLocked]);
+
+  const revealSrsAnswer = () => {
+    if (!currentQuestion?.ID) return;
+    setSrsRevealed(prev => new Set(prev).add(currentQuestion.ID));
+  };
+
+  const gradeSrsCard = (grade) => {
+    if (!currentQuestion?.ID) return;
+    const questionId = currentQuestion.ID;
+    setSrsGrades(prev => ({ ...prev, [questionId]: grade }));
+    setSrsRelearn(prev => {
+      const existing = prev[questionId];
+      if (grade === SRS_GRADES.AGAIN) {
+        return existing ? prev : { ...prev, [questionId]: createRelearnEntry() };
+      }
+      // Changed their mind before relearning started
+      if (existing && existing.history.length === 0) {
+        const next = { ...prev };
+        delete next[questionId];
+        return next;
+      }
+      return prev;
+    });
+  };
+
+  const openNextRelearn = (dueOnly = false) => {
+    const nextId = getNextRelearnId(srsRelearn, { dueOnly });
+    if (nextId) setActiveRelearnId(nextId);
+    return Boolean(nextId);
+  };
+
+  const handleRelearnGrade = (grade, details) => {
+    const questionId = activeRelearnId;
+    setSrsRelearn(prev => ({ ...prev, [questionId]: advanceRelearnEntry(prev[questionId], grade, details) }));
+    setActiveRelearnId(null);
+  };
+
+  const handleSubmitClick = () => {
+    if (canStartRelearn) {
+      openNextRelearn();
+      return;
+    }
+    if (unansweredCount > 0 && !window.confirm(tf('mockPaper.submitWithBlanks', { count: unansweredCount }))) return;
+    handleComplete();
+  };
 
   const toggleFlag = () => {
     const questionId = currentQuestion.ID;
@@ -206,6 +252,8 @@ export default function QuizPage() {
   const nextQuestion = () => {
     recordQuestionTime();
     if (currentIndex < totalQuestions - 1) setCurrentIndex(currentIndex + 1);
+    // Slot in any relearning card whose step has come due
+    if (isSrsReview) openNextRelearn(true);
   };
 
   const prevQuestion = () => {
@@ -213,6 +261,109 @@ export default function QuizPage() {
     if (currentIndex > 0) setCurrentIndex(currentIndex - 1);
   };
 
+  const handleKeyDown = (e) => {
+    const activeElement = document.activeElement;
+    if (
+      activeElement &&
+      (['INPUT', 'TEXTAREA', 'SELECT'].includes(activeElement.tagName) || activeElement.isContentEditable)
+    ) return;
+    // Leave browser shortcuts (Ctrl+C, Cmd+F ...) alone
+    if (e.ctrlKey || e.metaKey || e.altKey) return;
+
+    if (e.key === 'Escape') {
+      if (showShortcuts) setShowShortcuts(false);
+      else if (showPeriodicTable) setShowPeriodicTable(false);
+      else if (showQuestionPanel) setShowQuestionPanel(false);
+      else if (showMobileMenu) setShowMobileMenu(false);
+      else return;
+      e.preventDefault();
+      questionRegionRef.current?.focus({ preventScroll: true });
+      return;
+    }
+    if (e.key === '?') {
+      e.preventDefault();
+      setShowShortcuts(prev => !prev);
+      return;
+    }
+    if (showShortcuts || showPeriodicTable || showMobileMenu || activeRelearnId) return;
+    // Enter on a focused button or link activates it rather than moving on
+    // (answer options are radios and pass Enter through)
+    if (
+      e.key === 'Enter'
+      && activeElement instanceof HTMLElement
+      && activeElement.matches('button, a[href]')
+      && activeElement.getAttribute('role') !== 'radio'
+    ) return;
+    if (!currentQuestion) return;
+
+    const key = e.key.toUpperCase();
+
+    if (isSrsReview && srsRevealed.has(currentQuestion.ID)) {
+      const wasCorrect = answers[currentQuestion.ID] === currentQuestion.CorrectOption;
+      if (['1', '2', '3', '4'].includes(e.key) && (wasCorrect || e.key === '1')) {
+        e.preventDefault();
+        gradeSrsCard(Number(e.key));
+        return;
+      }
+      if (['A', 'B', 'C', 'D'].includes(key)) return; // answer is locked once checked
+    }
+
+    if (isSrsReview && e.key === 'Enter' && answers[currentQuestion.ID] && !srsRevealed.has(currentQuestion.ID)) {
+      e.preventDefault();
+      revealSrsAnswer();
+      return;
+    }
+
+    if (['A', 'B', 'C', 'D'].includes(key)) {
+      e.preventDefault();
+      const picked = toCanonicalKey(optionOrders[currentQuestion.ID], key);
+      const currentAnswer = answers[currentQuestion.ID];
+      if (currentAnswer === picked) {
+        setAnswers(prev => ({ ...prev, [currentQuestion.ID]: null }));
+      } else {
+        setAnswers(prev => ({ ...prev, [currentQuestion.ID]: picked }));
+      }
+      return;
+    }
+
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      if (currentIndex < questions.length - 1) {
+        nextQuestion();
+      } else if (canSubmit) {
+        handleSubmitClick();
+      } else if (canStartRelearn) {
+        openNextRelearn();
+      }
+      return;
+    }
+
+    if (e.key === 'ArrowRight' && currentIndex < questions.length - 1) {
+      e.preventDefault();
+      nextQuestion();
+      return;
+    }
+    if (e.key === 'ArrowLeft' && currentIndex > 0) {
+      e.preventDefault();
+      prevQuestion();
+      return;
+    }
+
+    if (key === 'F') {
+      e.preventDefault();
+      toggleFlag();
+      return;
+    }
+
+    if (key === 'O') {
+      e.preventDefault();
+      setShowQuestionPanel(prev => !prev);
+      return;
+    }
+  };
+
+  keyHandlerRef.current = handleKeyDown;
+
   const jumpToQuestion = (index) => {
     recordQuestionTime();
     setCurrentIndex(index);
@@ -222,6 +373,7 @@ export default function QuizPage() {
   const handleBackToTopics = () => {
     const confirmed = window.confirm(t('quiz.confirmBackToTopics'));
     if (confirmed) {
+      finishSession();
       quizStorage.clearQuizData();
       localStorage.removeItem('quiz_mode');
       localStorage.removeItem('quiz_timer_enabled');
@@ -231,12 +383,41 @@ export default function QuizPage() {
   };
 
   const handleComplete = () => {
+    finishSession();
     recordQuestionTime();
     quizStorage.saveUserAnswers(answers);
     quizStorage.saveQuestionTimes(questionTimes);
     navigate('/results');
   };
 
+  // Carry on from the progress saved in another tab or device
+  const loadRemoteSession = () => {
+    const remote = sessionConflict?.remote;
+    if (!remote) return;
+    const grades = remote.srsGrades || {};
+    setAnswers(remote.answers || {});
+    setFlagged(new Set(remote.flagged || []));
+    setCurrentIndex(Math.min(remote.currentIndex || 0, totalQuestions - 1));
+    setQuestionTimes(remote.questionTimes || {});
+    setSrsGrades(grades);
+    setSrsRevealed(new Set(Object.keys(grades)));
+    setSrsRelearn(remote.srsRelearn || {});
+    setOptionOrders(createOptionOrders(questions, remote.optionOrders));
+    if (remote.elapsedMs !== null && remote.elapsedMs !== undefined) {
+      setSessionStartTime(Date.now() - remote.elapsedMs);
+    }
+    acceptRemote(remote);
+  };
+
+  // This quiz was replaced or finished elsewhere: drop the local copy
+  const leaveSession = () => {
+    quizStorage.clearQuizData();
+    localStorage.removeItem('quiz_mode');
+    localStorage.removeItem('quiz_timer_enabled');
+    localStorage.removeItem('quiz_is_timed_mode');
+    navigate('/dashboard');
+  };
+
   const isLastQuestion = currentIndex === totalQuestions - 1;
 
   const getTotalTimeSpent = () => {
@@ -296,6 +477,13 @@ export default function QuizPage() {
 
   return (
     <div className="relative min-h-screen pb-32 md:pb-6">
+      <QuizSessionConflict
+        conflict={sessionConflict}
+        onLoadRemote={loadRemoteSession}
+        onKeepLocal={keepLocalSession}
+        onLeave={leaveSession}
+      />
+
       {/* Keyboard shortcut hint (desktop only) */}
       <div className="hidden md:flex fixed top-20 left-1/2 -translate-x-1/2 z-20 items-center gap-3 bg-white/90 backdrop-blur border border-slate-200 rounded-full px-4 py-1.5 shadow-sm text-xs text-slate-500">
         <span>{t('quiz.type')} <kbd className="px-1.5 py-0.5 bg-slate-100 border border-slate-300 rounded font-mono font-bold text-slate-700">A</kbd> <kbd className="px-1.5 py-0.5 bg-slate-100 border border-slate-300 rounded font-mono font-bold text-slate-700">B</kbd> <kbd className="px-1.5 py-0.5 bg-slate-100 border border-slate-300 rounded font-mono font-bold text-slate-700">C</kbd> <kbd className="px-1.5 py-0.5 bg-slate-100 border border-slate-300 rounded font-mono font-bold text-slate-700">D</kbd> {t('quiz.toSelect')}</span>
@@ -305,8 +493,50 @@ export default function QuizPage() {
         <span><kbd className="px-1.5 py-0.5 bg-slate-100 border border-slate-300 rounded font-mono font-bold text-slate-700">F</kbd> {t('quiz.flag')}</span>
         <span className="text-slate-300">|</span>
         <span><kbd className="px-1.5 py-0.5 bg-slate-100 border border-slate-300 rounded font-mono font-bold text-slate-700">O</kbd> {t('quiz.overview')}</span>
+        <span className="text-slate-300">|</span>
+        <button type="button" onClick={() => setShowShortcuts(true)} className="hover:text-slate-800">
+          <kbd className="px-1.5 py-0.5 bg-slate-100 border border-slate-300 rounded font-mono font-bold text-slate-700">?</kbd> {t('quiz.allShortcuts')}
+        </button>
       </div>
 
+      {showShortcuts && (
+        <div className="fixed inset-0 bg-black/50 z-[70] flex items-center justify-center p-4" onClick={() => setShowShortcuts(false)}>
+          <div
+            role="dialog"
+            aria-modal="true"
+            aria-labelledby="quiz-shortcuts-title"
+            className="bg-white rounded-2xl shadow-2xl max-w-md w-full p-6"
+            onClick={e => e.stopPropagation()}
+          >
+            <div className="flex justify-between items-center mb-4">
+              <h3 id="quiz-shortcuts-title" className="text-lg font-bold text-slate-800">{t('quiz.keyboardShortcuts')}</h3>
+              <button autoFocus onClick={() => setShowShortcuts(false)} aria-label={t('common.close')} className="text-slate-400 hover:text-slate-600 p-2 rounded-full hover:bg-slate-100">
+                <X size={20} />
+              </button>
+            </div>
+            <dl className="grid grid-cols-[auto_1fr] gap-x-4 gap-y-2 text-sm">
+              {[
+                ['A – D', t('quiz.shortcutSelect')],
+                ['↑ ↓', t('quiz.shortcutMoveOption')],
+                ['Space', t('quiz.shortcutChooseOption')],
+                ['← →', t('quiz.shortcutPrevNext')],
+                ['Enter', isSrsReview ? t('quiz.shortcutEnterSrs') : t('quiz.shortcutEnter')],
+                ...(isSrsReview ? [['1 – 4', t('quiz.shortcutGrade')]] : []),
+                ['F', t('quiz.shortcutFlag')],
+                ['O', t('quiz.shortcutOverview')],
+                ['Esc', t('quiz.shortcutClose')],
+                ['?', t('quiz.shortcutHelp')],
+              ].map(([keys, label]) => (
+                <React.Fragment key={keys}>
+                  <dt><kbd className="px-1.5 py-0.5 bg-slate-100 border border-slate-300 rounded font-mono font-bold text-slate-700 whitespace-nowrap">{keys}</kbd></dt>
+                  <dd className="text-slate-700">{label}</dd>
+                </React.Fragment>
+              ))}
+            </dl>
+          </div>
+        </div>
+      )}
+
       {/* Mobile Tools */}
       <button
         onClick={() => setShowMobileMenu(!showMobileMenu)}
@@ -351,7 +581,7 @@ export default function QuizPage() {
 
       {/* Desktop Left Sidebar */}
       <div className="hidden md:flex fixed left-8 top-40 flex-col gap-4 z-30 h-[calc(100vh-12rem)]">
-        {timerEnabled && !hideTimerUi && (
+        {timerEnabled && (!hideTimerUi || isMockPaper) && (
           <div className="bg-white rounded-2xl shadow-xl border-2 border-lab-blue p-6 w-48">
             <div className="text-center">
               <div className="flex items-center justify-center gap-2 mb-2">
@@ -387,7 +617,7 @@ export default function QuizPage() {
           <Flag size={20} /><span>{t('quiz.overview')}</span>
         </button>
         <div className="flex-1" />
-        <button onClick={prevQuestion} disabled={currentIndex === 0}
+        <button onClick={prevQuestion} disabled={currentIndex === 0} aria-label={t('quiz.previous')}
           className="flex items-center justify-center w-16 h-16 bg-lab-blue text-white rounded-full font-bold hover:bg-blue-800 disabled:bg-slate-300 disabled:cursor-not-allowed transition-all shadow-lg hover:scale-110 active:scale-95">
           <ChevronLeft size={32} />
         </button>
@@ -395,22 +625,23 @@ export default function QuizPage() {
 
       {/* Desktop Right Sidebar */}
       <div className="hidden md:flex fixed right-8 top-40 flex-col gap-4 z-30 h-[calc(100vh-12rem)]">
-        <button onClick={toggleFlag}
+        <button onClick={toggleFlag} aria-pressed={flagged.has(currentQuestion?.ID)} aria-label={t('quiz.flagQuestion')}
           className={`w-16 h-16 rounded-full flex items-center justify-center transition-all shadow-lg hover:scale-110 active:scale-95 ${flagged.has(currentQuestion?.ID) ? 'bg-amber-500 text-white hover:bg-amber-600' : 'bg-white text-amber-500 border-2 border-amber-500 hover:bg-amber-50'}`}
           title={flagged.has(currentQuestion?.ID) ? t('quiz.unflagQuestion') : t('quiz.flagQuestion')}>
           <Flag size={28} fill={flagged.has(currentQuestion?.ID) ? 'currentColor' : 'none'} />
         </button>
         <div className="flex-1" />
         {!isLastQuestion ? (
-          <button onClick={nextQuestion}
+          <button onClick={nextQuestion} aria-label={t('quiz.next')}
             className="flex items-center justify-center w-16 h-16 bg-lab-blue text-white rounded-full font-bold hover:bg-blue-800 transition-all shadow-lg hover:scale-110 active:scale-95">
             <ChevronRight size={32} />
           </button>
         ) : (
-          <button onClick={handleComplete} disabled={!allAnswered}
-            className={`flex items-center justify-center w-16 h-16 rounded-full font-bold transition-all shadow-lg hover:scale-110 active:scale-95 ${allAnswered ? 'bg-chemistry-green text-white hover:opacity-90' : 'bg-slate-300 text-slate-500 cursor-not-allowed'}`}
-            title={t('quiz.finishSubmit')}>
-            <Send size={28} />
+          <button onClick={handleSubmitClick} disabled={!canSubmit && !canStartRelearn}
+            aria-label={canStartRelearn ? tf('srs.relearnNow', { count: relearnPendingCount }) : t('quiz.finishSubmit')}
+            className={`flex items-center justify-center w-16 h-16 rounded-full font-bold transition-all shadow-lg hover:scale-110 active:scale-95 ${canStartRelearn ? 'bg-purple-600 text-white hover:bg-purple-700' : canSubmit ? 'bg-chemistry-green text-white hover:opacity-90' : 'bg-slate-300 text-slate-500 cursor-not-allowed'}`}
+            title={canStartRelearn ? tf('srs.relearnNow', { count: relearnPendingCount }) : t('quiz.finishSubmit')}>
+            {canStartRelearn ? <RotateCcw size={28} /> : <Send size={28} />}
           </button>
         )}
       </div>
@@ -419,10 +650,10 @@ export default function QuizPage() {
       {showQuestionPanel && (
         <>
           <div className="fixed inset-0 z-40" onClick={() => setShowQuestionPanel(false)} />
-          <div className="fixed left-0 top-0 h-full w-80 max-w-[90vw] bg-white/95 shadow-2xl z-50 overflow-y-auto animate-in slide-in-from-left duration-300 border-r-2 border-slate-200">
+          <div role="dialog" aria-modal="true" aria-labelledby="quiz-overview-title" className="fixed left-0 top-0 h-full w-80 max-w-[90vw] bg-white/95 shadow-2xl z-50 overflow-y-auto animate-in slide-in-from-left duration-300 border-r-2 border-slate-200">
             <div className="sticky top-0 bg-white/95 border-b p-6 flex justify-between items-center">
-              <h3 className="text-lg font-bold text-slate-800">{t('quiz.questionOverview')}</h3>
-              <button onClick={() => setShowQuestionPanel(false)} className="text-slate-400 hover:text-slate-600 p-2 rounded-full hover:bg-slate-100">
+              <h3 id="quiz-overview-title" className="text-lg font-bold text-slate-800">{t('quiz.questionOverview')}</h3>
+              <button autoFocus onClick={() => setShowQuestionPanel(false)} aria-label={t('common.close')} className="text-slate-400 hover:text-slate-600 p-2 rounded-full hover:bg-slate-100">
                 <X size={20} />
               </button>
             </div>
@@ -438,6 +669,8 @@ export default function QuizPage() {
                   const qTime = questionTimes[q.ID] || 0;
                   return (
                     <button key={q.ID} onClick={() => jumpToQuestion(idx)}
+                      aria-label={`${t('quiz.question')} ${idx + 1}: ${t(`quiz.${status}`)}`}
+                      aria-current={idx === currentIndex ? 'step' : undefined}
                       className={`aspect-square rounded-xl font-bold text-base transition-all border-2 flex flex-col items-center justify-center ${idx === currentIndex ? 'border-lab-blue ring-2 ring-lab-blue ring-offset-2' : 'border-transparent'} ${status === 'answered' ? 'bg-chemistry-green text-white hover:opacity-80' : status === 'flagged' ? 'bg-amber-500 text-white hover:opacity-80' : 'bg-slate-200 text-slate-600 hover:bg-slate-300'}`}
                       title={timerEnabled && qTime > 0 ? formatTime(qTime) : ''}>
                       <span>{idx + 1}</span>
@@ -456,10 +689,10 @@ export default function QuizPage() {
       {/* Periodic Table Modal */}
       {showPeriodicTable && (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4" onClick={() => setShowPeriodicTable(false)}>
-          <div className="bg-white rounded-2xl shadow-2xl max-w-6xl w-full max-h-[90vh] overflow-auto" onClick={e => e.stopPropagation()}>
+          <div role="dialog" aria-modal="true" aria-labelledby="quiz-periodic-title" className="bg-white rounded-2xl shadow-2xl max-w-6xl w-full max-h-[90vh] overflow-auto" onClick={e => e.stopPropagation()}>
             <div className="sticky top-0 bg-white border-b p-4 flex justify-between items-center">
-              <h3 className="text-xl font-bold text-slate-800">{t('quiz.periodicTableOfElements')}</h3>
-              <button onClick={() => setShowPeriodicTable(false)} className="text-slate-400 hover:text-slate-600 p-2 rounded-full hover:bg-slate-100"><X size={24} /></button>
+              <h3 id="quiz-periodic-title" className="text-xl font-bold text-slate-800">{t('quiz.periodicTableOfElements')}</h3>
+              <button autoFocus onClick={() => setShowPeriodicTable(false)} aria-label={t('common.close')} className="text-slate-400 hover:text-slate-600 p-2 rounded-full hover:bg-slate-100"><X size={24} /></button>
             </div>
             <div className="p-4">
               <img src="/PeriodicTable.jpg" alt={t('quiz.periodicTableAlt')} className="w-full h-auto" />
@@ -468,6 +701,17 @@ export default function QuizPage() {
         </div>
       )}
 
+      {activeRelearnId && (
+        <SRSRelearnCard
+          key={`${activeRelearnId}:${srsRelearn[activeRelearnId]?.history.length || 0}`}
+          question={questions.find(q => q.ID === activeRelearnId)}
+          entry={srsRelearn[activeRelearnId]}
+          optionOrder={optionOrders[activeRelearnId]}
+          onGrade={handleRelearnGrade}
+          onClose={() => setActiveRelearnId(null)}
+        />
+      )}
+
       {/* Main Content */}
       <div className="max-w-5xl mx-auto px-4 pt-6 pb-6">
         <div className="bg-white p-4 rounded-xl shadow-sm border border-slate-200 mb-4">
@@ -483,7 +727,7 @@ export default function QuizPage() {
           </div>
         </div>
 
-        {timerEnabled && !hideTimerUi && (
+        {timerEnabled && (!hideTimerUi || isMockPaper) && (
           <div className="md:hidden bg-white p-3 rounded-lg shadow-sm border border-slate-200 mb-4">
             <div className="flex items-center justify-between mb-2">
               <div className="flex items-center gap-2"><Timer className="text-lab-blue" size={18} /><span className="text-sm font-bold text-slate-600">{t('quiz.totalTime')}</span></div>
@@ -502,17 +746,39 @@ export default function QuizPage() {
           </div>
         )}
 
-        <div className="mb-4">
+        <div
+          ref={questionRegionRef}
+          tabIndex={-1}
+          role="group"
+          aria-label={tf('quiz.questionPosition', { current: currentIndex + 1, total: totalQuestions })}
+          className="mb-4 focus:outline-none"
+        >
           <QuestionCard
             question={currentQuestion}
             selectedOption={answers[currentQuestion.ID]}
             onSelect={handleOptionSelect}
-            showTopic={showTopic}
-            showSubtopic={showSubtopic}
-            showDseCode={showDseCode}
+            optionOrder={optionOrders[currentQuestion.ID]}
+            showTopic={showTopic && !isMockPaper}
+            showSubtopic={showSubtopic && !isMockPaper}
+            showDseCode={showDseCode && !isMockPaper}
           />
         </div>
 
+        {isSrsReview && (
+          <div className="mb-4">
+            <SRSGradePanel
+              question={currentQuestion}
+              selectedOption={answers[currentQuestion.ID]}
+              revealed={srsRevealed.has(currentQuestion.ID)}
+              grade={srsGrades[currentQuestion.ID] ?? null}
+              responseTimeMs={currentQuestionTime}
+              onReveal={revealSrsAnswer}
+              onGrade={gradeSrsCard}
+              optionOrder={optionOrders[currentQuestion.ID]}
+            />
+          </div>
+        )}
+
         <div className="flex justify-center gap-1 py-2">
           {questions.slice(0, Math.min(30, totalQuestions)).map((_, idx) => (
             <div key={idx} className={`w-2 h-2 rounded-full transition-all ${idx === currentIndex ? 'bg-lab-blue w-6' : answers[questions[idx].ID] ? 'bg-chemistry-green' : flagged.has(questions[idx].ID) ? 'bg-amber-500' : 'bg-slate-200'}`} />
@@ -524,9 +790,14 @@ export default function QuizPage() {
           <p className="text-slate-500 hidden md:block">
             💡 <span className="font-semibold">{t('quiz.tip')}</span> {t('quiz.press')} <kbd className="px-2 py-1 bg-slate-100 border border-slate-300 rounded text-xs font-mono">A</kbd>–<kbd className="px-2 py-1 bg-slate-100 border border-slate-300 rounded text-xs font-mono">D</kbd> {t('quiz.toSelect')} · <kbd className="px-2 py-1 bg-slate-100 border border-slate-300 rounded text-xs font-mono">Enter</kbd> / <kbd className="px-2 py-1 bg-slate-100 border border-slate-300 rounded text-xs font-mono">→</kbd> {t('quiz.next')} · <kbd className="px-2 py-1 bg-slate-100 border border-slate-300 rounded text-xs font-mono">F</kbd> {t('quiz.flag')} · <kbd className="px-2 py-1 bg-slate-100 border border-slate-300 rounded text-xs font-mono">O</kbd> {t('quiz.overview')}
           </p>
-          {!allAnswered && isLastQuestion && (
+          {isSrsReview && relearnPendingCount > 0 && (
+            <p className="text-purple-600 font-semibold">
+              {tf('srs.relearnPending', { count: relearnPendingCount })}
+            </p>
+          )}
+          {!canSubmit && !canStartRelearn && isLastQuestion && (
             <p className="text-amber-600 font-medium">
-              {t('quiz.pleaseAnswerAll')}
+              {isSrsReview ? t('srs.gradeThisCard') : t('quiz.pleaseAnswerAll')}
             </p>
           )}
         </div>
@@ -551,10 +822,10 @@ export default function QuizPage() {
               <span className="text-xs text-white mt-1">{t('quiz.next')}</span>
             </button>
           ) : (
-            <button onClick={handleComplete} disabled={!allAnswered}
-              className={`flex flex-col items-center justify-center py-3 px-2 rounded-lg font-bold transition-all active:scale-95 ${allAnswered ? 'bg-chemistry-green' : 'bg-slate-300 cursor-not-allowed'}`}>
-              <Send size={24} className="text-white" />
-              <span className="text-xs text-white mt-1">{t('quiz.submit')}</span>
+            <button onClick={handleSubmitClick} disabled={!canSubmit && !canStartRelearn}
+              className={`flex flex-col items-center justify-center py-3 px-2 rounded-lg font-bold transition-all active:scale-95 ${canStartRelearn ? 'bg-purple-600' : canSubmit ? 'bg-chemistry-green' : 'bg-slate-300 cursor-not-allowed'}`}>
+              {canStartRelearn ? <RotateCcw size={24} className="text-white" /> : <Send size={24} className="text-white" />}
+              <span className="text-xs text-white mt-1">{canStartRelearn ? tf('srs.relearnNow', { count: relearnPendingCount }) : t('quiz.submit')}</span>
             </button>
           )}
         </div>
@@ -8,9 +8,42 @@ import { quizService } from '../services/quizService';
 import { quizCompletionService } from '../services/quizCompletionService';
 import { calendarService } from '../services/calendarService';
 import { rewardMCQCompletion, rewardQuizQuestionTokens } from '../services/rewardLogic';
+import { normalizeGrade, getGradeConfidence } from '../services/srsAlgorithm';
+import { isOnline, queueOfflineReviews, removeFromOfflinePack } from '../services/srsOfflineService';
+import { CUSTOM_STUDY_MODES } from '../services/srsService';
+import { estimateDseLevel } from '../services/mockPaperService';
 import ChemistryLoading from '../components/ChemistryLoading';
+import MockPaperLevel from '../components/MockPaperLevel';
 import { formatHKDateKey } from '../utils/hkTime';
 
+// One review per SRS card in the session (see srsService.submitReviewSession)
+function buildSrsReviews(questions, userAnswers, questionTimes) {
+  const srsCards = JSON.parse(localStorage.getItem('quiz_srs_cards') || '[]');
+  const srsGrades = quizStorage.getSrsGrades();
+  const srsRelearn = quizStorage.getSrsRelearn();
+
+  return questions.map((question) => {
+    const card = srsCards.find(c => c.questionId === question.ID);
+    const wasCorrect = userAnswers[question.ID] === question.CorrectOption;
+    // Grade chosen in the quiz (Again/Hard/Good/Easy); fall back to
+    // Good/Again for sessions started before grading existed
+    const grade = normalizeGrade(srsGrades[question.ID] ?? wasCorrect);
+
+    return {
+      cardId: card?.id,
+      grade,
+      confidence: getGradeConfidence(grade),
+      wasCorrect,
+      userAnswer: userAnswers[question.ID],
+      correctAnswer: question.CorrectOption,
+      timeSpent: questionTimes?.[question.ID] || 0,
+      relearnHistory: srsRelearn[question.ID]?.history || [],
+      // Baseline for conflict checks if the session has to sync later
+      cardLastReviewedAt: card?.lastReviewedAt ?? null
+    };
+  }).filter(review => review.cardId); // Only include valid cards with cardId
+}
+
 /**
  * ResultsPage - OPTIMIZED VERSION with SRS Review Support
  * 
@@ -29,11 +62,14 @@ export default function ResultsPage() {
   const [saving, setSaving] = useState(false);
   const [saved, setSaved] = useState(false);
   const [saveError, setSaveError] = useState(null);
+  const [savedOffline, setSavedOffline] = useState(false);
   const hasSavedRef = useRef(false);
 
   const questions = quizStorage.getSelectedQuestions();
   const userAnswers = quizStorage.getUserAnswers();
   const questionTimes = quizStorage.getQuestionTimes();
+  const optionOrders = quizStorage.getOptionOrders();
+  const mockPaper = localStorage.getItem('quiz_mode') === 'mock-paper' ? quizStorage.getMockPaper() : null;
   
   // Generate attempt key AFTER userAnswers is defined
   const attemptKey = userAnswers && Object.keys(userAnswers).length > 0 
@@ -80,6 +116,21 @@ export default function ResultsPage() {
 
       try {
         console.log('💾 Starting optimized save...');
+
+        // No connection at the end of an SRS session: keep the reviews on
+        // the device; SRSOfflineSync replays them once we're back online
+        const isCram = quizStorage.getSrsStudyMode() === CUSTOM_STUDY_MODES.CRAM;
+        if (localStorage.getItem('quiz_mode') === 'spaced-repetition' && !isCram && !isOnline()) {
+          await queueOfflineReviews(currentUser.uid, buildSrsReviews(questions, userAnswers, questionTimes));
+          localStorage.removeItem('quiz_srs_cards');
+          localStorage.removeItem('quiz_srs_session_id');
+          setSavedOffline(true);
+          setSaved(true);
+          if (attemptKey) {
+            sessionStorage.setItem(attemptKey, 'true');
+          }
+          return;
+        }
         
         // Calculate results
         const totalQuestions = questions.length;
@@ -93,7 +144,13 @@ export default function ResultsPage() {
           ? Object.values(questionTimes).reduce((sum, time) => sum + time, 0)
           : null;
 
+        // Get quiz metadata
+        const quizMode = localStorage.getItem('quiz_mode') || 'practice';
+        const eventId = localStorage.getItem('quiz_event_id');
+        const today = formatHKDateKey(new Date());
+
         const attemptData = {
+          mode: quizMode,
           score: percentage,
           totalQuestions,
           correctAnswers,
@@ -104,18 +161,18 @@ export default function ResultsPage() {
           questionTimes,
           answers: userAnswers,
           questions,
+          optionOrders,
+          ...(mockPaper && {
+            mockPaperSource: mockPaper.source,
+            mockPaperYear: mockPaper.year,
+            estimatedLevel: estimateDseLevel(correctAnswers, totalQuestions).level,
+          }),
         };
 
         // STEP 1: Save attempt to Firestore
-        const savedAttempt = await quizService.saveAttempt(currentUser.uid, attemptData);
-        const attemptId = savedAttempt.id || `attempt_${Date.now()}`;
+        const attemptId = await quizService.saveAttempt(currentUser.uid, attemptData);
         console.log('✅ Attempt saved:', attemptId);
 
-        // Get quiz metadata
-        const quizMode = localStorage.getItem('quiz_mode') || 'practice';
-        const eventId = localStorage.getItem('quiz_event_id');
-        const today = formatHKDateKey(new Date());
-
         // Prepare completion data for calendar
         const completionData = {
           totalQuestions,
@@ -134,18 +191,13 @@ export default function ResultsPage() {
         // STEP 2: Run ALL operations in parallel (MUCH FASTER!)
         const parallelOperations = [];
 
-        // Operation 0: Token rewards (per-question + quiz bonus)
+        // Operation 0: Token rewards (per-question + quiz bonus), scored
+        // server-side from the attempt we just saved
         parallelOperations.push(
           (async () => {
             try {
-              await rewardQuizQuestionTokens(currentUser.uid, questions, userAnswers, quizMode);
-              await rewardMCQCompletion(currentUser.uid, {
-                percentage,
-                totalQuestions,
-                correctAnswers,
-                topics,
-                attemptId
-              });
+              await rewardQuizQuestionTokens(attemptId, quizMode);
+              await rewardMCQCompletion(attemptId);
             } catch (err) {
               console.error('⚠️ Token reward error:', err);
             }
@@ -158,7 +210,10 @@ export default function ResultsPage() {
             currentUser.uid,
             questions,
             userAnswers,
-            attemptId
+            attemptId,
+            // SRS sessions schedule their cards through the review submission
+            // below (or not at all when cramming), not as new mistakes
+            { createSrsCards: quizMode !== 'spaced-repetition' }
           ).catch(err => {
             console.error('⚠️ Processing error:', err);
             return { error: err };
@@ -195,22 +250,9 @@ export default function ResultsPage() {
 
         // Operation 4: Handle spaced repetition reviews (NEW - BATCH SUBMISSION)
         if (quizMode === 'spaced-repetition') {
-          // Get SRS cards from localStorage
-          const srsCards = JSON.parse(localStorage.getItem('quiz_srs_cards') || '[]');
-          
-          // Build reviews array for ALL questions in this session
-          const reviews = questions.map((question) => {
-            const card = srsCards.find(c => c.questionId === question.ID);
-            const wasCorrect = userAnswers[question.ID] === question.CorrectOption;
-            
-            return {
-              cardId: card?.id,
-              wasCorrect,
-              userAnswer: userAnswers[question.ID],
-              correctAnswer: question.CorrectOption,
-              timeSpent: questionTimes?.[question.ID] || 0
-            };
-          }).filter(review => review.cardId); // Only include valid cards with cardId
+          // Build reviews array for ALL questions in this session; a cram
+          // session leaves the schedule alone
+          const reviews = isCram ? [] : buildSrsReviews(questions, userAnswers, questionTimes);
 
           if (reviews.length > 0) {
             console.log(`📚 Submitting ${reviews.length} SRS reviews in batch...`);
@@ -222,6 +264,7 @@ export default function ResultsPage() {
                 reviews
               ).then(() => {
                 // Clear SRS data after successful submission
+                removeFromOfflinePack(currentUser.uid, reviews.map(review => review.cardId));
                 localStorage.removeItem('quiz_srs_cards');
                 localStorage.removeItem('quiz_srs_session_id');
                 console.log('✅ SRS reviews submitted and cleared');
@@ -413,17 +456,26 @@ export default function ResultsPage() {
             <path fillRule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zm3.707-9.293a1 1 0 00-1.414-1.414L9 10.586 7.707 9.293a1 1 0 00-1.414 1.414l2 2a1 1 0 001.414 0l4-4z" clipRule="evenodd" />
           </svg>
           <span className="font-semibold">
-            {localStorage.getItem('quiz_mode') === 'spaced-repetition' 
-              ? t('results.reviewsSaved') 
-              : t('results.savedToProfile')}
+            {savedOffline
+              ? t('results.reviewsQueuedOffline')
+              : quizStorage.getSrsStudyMode() === CUSTOM_STUDY_MODES.CRAM
+                ? t('results.cramSaved')
+                : localStorage.getItem('quiz_mode') === 'spaced-repetition' 
+                ? t('results.reviewsSaved') 
+                : t('results.savedToProfile')}
           </span>
         </div>
       )}
 
+      {mockPaper && (
+        <MockPaperLevel mockPaper={mockPaper} questions={questions} userAnswers={userAnswers} />
+      )}
+
       <ResultsSummary
         questions={questions}
         userAnswers={userAnswers}
         questionTimes={questionTimes}
+        optionOrders={optionOrders}
         onRestart={handleRestart}
       />
     </div>
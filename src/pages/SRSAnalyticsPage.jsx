@@ -0,0 +1,292 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import { BarChart3, ChevronLeft, Clock, Flame, RefreshCw, Target } from 'lucide-react';
+import { useAuth } from '../contexts/AuthContext';
+import { useLanguage } from '../contexts/LanguageContext';
+import ChemistryLoading from '../components/ChemistryLoading';
+import { getNow } from '../utils/timeTravel';
+import {
+  buildDueForecast,
+  buildRetentionByInterval,
+  buildEaseDistribution,
+  buildLapsesByTopic,
+  buildReviewTimeStats,
+  loadSrsAnalyticsData
+} from '../services/srsAnalyticsService';
+
+const FORECAST_RANGES = [30, 90];
+
+function formatDM(dateStr) {
+  const [, m, d] = String(dateStr || '').split('-');
+  return d && m ? `${Number(d)}/${Number(m)}` : String(dateStr || '');
+}
+
+function formatSeconds(ms) {
+  if (ms == null) return '—';
+  const seconds = ms / 1000;
+  return seconds < 60 ? `${seconds.toFixed(1)}s` : `${Math.floor(seconds / 60)}m ${Math.round(seconds % 60)}s`;
+}
+
+function formatPercent(value) {
+  return value == null ? '—' : `${Math.round(value * 100)}%`;
+}
+
+function StatTile({ icon, label, value, tone }) {
+  return (
+    <div className="bg-white rounded-xl p-4 border-2 border-slate-200">
+      <div className="flex items-center gap-2 text-xs font-black text-slate-500 uppercase tracking-widest mb-1">
+        {icon}
+        {label}
+      </div>
+      <div className={`text-3xl font-black ${tone}`}>{value}</div>
+    </div>
+  );
+}
+
+function Section({ title, subtitle, action, children }) {
+  return (
+    <div className="bg-white rounded-2xl shadow-sm border border-slate-200 p-6">
+      <div className="flex flex-col md:flex-row md:items-start md:justify-between gap-3 mb-4">
+        <div>
+          <h2 className="text-lg font-black text-slate-800">{title}</h2>
+          {subtitle && <p className="text-xs text-slate-500 mt-1">{subtitle}</p>}
+        </div>
+        {action}
+      </div>
+      {children}
+    </div>
+  );
+}
+
+// Forecast, retention and workload numbers for the signed-in user's SRS
+// cards (see srsAnalyticsService for how each is computed).
+export default function SRSAnalyticsPage() {
+  const navigate = useNavigate();
+  const { currentUser } = useAuth();
+  const { t, tf } = useLanguage();
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [forecastDays, setForecastDays] = useState(FORECAST_RANGES[0]);
+  const [reloadKey, setReloadKey] = useState(0);
+
+  useEffect(() => {
+    let cancelled = false;
+    if (!currentUser?.uid) return undefined;
+
+    loadSrsAnalyticsData(currentUser.uid)
+      .then((loaded) => {
+        if (!cancelled) setData(loaded);
+      })
+      .catch((err) => {
+        console.error('Error loading SRS analytics:', err);
+        if (!cancelled) setError(err?.message || String(err));
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [currentUser?.uid, reloadKey]);
+
+  const handleRefresh = () => {
+    setLoading(true);
+    setError(null);
+    setReloadKey(k => k + 1);
+  };
+
+  const analytics = useMemo(() => {
+    if (!data) return null;
+    const retention = buildRetentionByInterval(data.attempts);
+    const reviewed = retention.reduce((sum, row) => sum + row.reviews, 0);
+    const correct = retention.reduce((sum, row) => sum + row.correct, 0);
+    const lapsesByTopic = buildLapsesByTopic(data.cards);
+    return {
+      activeCards: data.cards.filter(card => card.isActive !== false).length,
+      retention,
+      overallRetention: reviewed > 0 ? correct / reviewed : null,
+      ease: buildEaseDistribution(data.cards),
+      lapsesByTopic,
+      totalLapses: lapsesByTopic.reduce((sum, row) => sum + row.lapses, 0),
+      time: buildReviewTimeStats(data.attempts)
+    };
+  }, [data]);
+
+  const forecast = useMemo(() => {
+    if (!data) return [];
+    return buildDueForecast(data.cards, forecastDays, getNow()).map(entry => ({
+      ...entry,
+      label: formatDM(entry.date)
+    }));
+  }, [data, forecastDays]);
+
+  if (loading) return <ChemistryLoading />;
+
+  if (error) {
+    return (
+      <div className="max-w-6xl mx-auto bg-red-50 border-2 border-red-200 rounded-xl p-4 text-red-700 font-semibold">
+        {tf('srsAnalytics.loadFailed', { reason: error })}
+      </div>
+    );
+  }
+
+  if (!analytics) return null;
+
+  const maxLapses = analytics.lapsesByTopic[0]?.lapses || 0;
+  const maxTimeBucket = Math.max(1, ...analytics.time.histogram.map(row => row.reviews));
+
+  return (
+    <div className="max-w-6xl mx-auto space-y-6">
+      <button
+        onClick={() => navigate('/notebook')}
+        className="inline-flex items-center gap-2 text-slate-700 font-bold hover:text-slate-900"
+      >
+        <ChevronLeft size={18} />
+        {t('srsAnalytics.backToNotebook')}
+      </button>
+
+      <div className="bg-gradient-to-r from-purple-600 to-pink-600 rounded-2xl shadow-xl p-6 text-white flex items-start justify-between gap-4">
+        <div>
+          <h1 className="text-3xl font-black flex items-center gap-3">
+            <BarChart3 size={28} />
+            {t('srsAnalytics.title')}
+          </h1>
+          <p className="text-purple-100 mt-1">{t('srsAnalytics.subtitle')}</p>
+        </div>
+        <button
+          onClick={handleRefresh}
+          className="p-2 rounded-lg bg-white/20 hover:bg-white/30"
+          title={t('srsAnalytics.refresh')}
+          aria-label={t('srsAnalytics.refresh')}
+        >
+          <RefreshCw size={18} />
+        </button>
+      </div>
+
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+        <StatTile icon={<BarChart3 size={14} className="text-purple-700" />} label={t('srsAnalytics.activeCards')} value={analytics.activeCards} tone="text-purple-700" />
+        <StatTile icon={<Target size={14} className="text-green-600" />} label={t('srsAnalytics.trueRetention')} value={formatPercent(analytics.overallRetention)} tone="text-green-600" />
+        <StatTile icon={<Flame size={14} className="text-red-500" />} label={t('srsAnalytics.totalLapses')} value={analytics.totalLapses} tone="text-red-500" />
+        <StatTile icon={<Clock size={14} className="text-lab-blue" />} label={t('srsAnalytics.avgTimePerReview')} value={formatSeconds(analytics.time.averageMs)} tone="text-lab-blue" />
+      </div>
+
+      <Section
+        title={t('srsAnalytics.forecastTitle')}
+        subtitle={t('srsAnalytics.forecastSubtitle')}
+        action={(
+          <div className="flex gap-2">
+            {FORECAST_RANGES.map(days => (
+              <button
+                key={days}
+                onClick={() => setForecastDays(days)}
+                aria-pressed={forecastDays === days}
+                className={`px-3 py-1 rounded-lg text-sm font-bold border-2 ${
+                  forecastDays === days ? 'border-purple-500 bg-purple-50 text-purple-700' : 'border-slate-200 text-slate-600'
+                }`}
+              >
+                {tf('srsAnalytics.days', { count: days })}
+              </button>
+            ))}
+          </div>
+        )}
+      >
+        <ResponsiveContainer width="100%" height={260}>
+          <BarChart data={forecast}>
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis dataKey="label" interval={forecastDays > 30 ? 6 : 2} tick={{ fontSize: 11 }} />
+            <YAxis allowDecimals={false} />
+            <Tooltip />
+            <Legend />
+            <Bar dataKey="overdue" name={t('srsAnalytics.overdue')} stackId="due" fill="#ef4444" />
+            <Bar dataKey="due" name={t('srsAnalytics.due')} stackId="due" fill="#8b5cf6" />
+          </BarChart>
+        </ResponsiveContainer>
+      </Section>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        <Section title={t('srsAnalytics.retentionTitle')} subtitle={t('srsAnalytics.retentionSubtitle')}>
+          <div className="space-y-3">
+            {analytics.retention.map(row => (
+              <div key={row.bucket} className="flex items-center gap-3">
+                <div className="w-14 text-xs font-bold text-slate-600 shrink-0">{row.bucket}</div>
+                <div className="flex-1 bg-slate-200 rounded-full h-3">
+                  <div
+                    className="bg-gradient-to-r from-green-400 to-emerald-500 h-3 rounded-full"
+                    style={{ width: `${Math.round((row.retention || 0) * 100)}%` }}
+                  />
+                </div>
+                <div className="w-12 text-right text-sm font-black text-slate-800">{formatPercent(row.retention)}</div>
+                <div className="w-20 text-right text-xs text-slate-500">{tf('srsAnalytics.reviewsCount', { count: row.reviews })}</div>
+              </div>
+            ))}
+          </div>
+        </Section>
+
+        <Section title={t('srsAnalytics.easeTitle')} subtitle={t('srsAnalytics.easeSubtitle')}>
+          <ResponsiveContainer width="100%" height={220}>
+            <BarChart data={analytics.ease}>
+              <CartesianGrid strokeDasharray="3 3" />
+              <XAxis dataKey="ease" tick={{ fontSize: 11 }} />
+              <YAxis allowDecimals={false} />
+              <Tooltip />
+              <Bar dataKey="cards" name={t('srsAnalytics.cards')} fill="#0ea5e9" />
+            </BarChart>
+          </ResponsiveContainer>
+        </Section>
+
+        <Section title={t('srsAnalytics.lapsesTitle')} subtitle={t('srsAnalytics.lapsesSubtitle')}>
+          {analytics.lapsesByTopic.length === 0 ? (
+            <p className="text-sm text-slate-500">{t('srsAnalytics.noData')}</p>
+          ) : (
+            <div className="space-y-2">
+              {analytics.lapsesByTopic.slice(0, 10).map(row => (
+                <div key={row.topic} className="flex items-center gap-3">
+                  <div className="w-40 text-xs text-slate-600 font-semibold truncate shrink-0" title={row.topic}>{row.topic}</div>
+                  <div className="flex-1 bg-slate-200 rounded-full h-2">
+                    <div
+                      className="bg-gradient-to-r from-red-400 to-orange-400 h-2 rounded-full"
+                      style={{ width: `${maxLapses > 0 ? (row.lapses / maxLapses) * 100 : 0}%` }}
+                    />
+                  </div>
+                  <div className="w-24 text-right text-xs font-bold text-slate-700">
+                    {tf('srsAnalytics.lapsesOfCards', { lapses: row.lapses, cards: row.cards })}
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+        </Section>
+
+        <Section
+          title={t('srsAnalytics.timeTitle')}
+          subtitle={tf('srsAnalytics.timeSubtitle', {
+            median: formatSeconds(analytics.time.medianMs),
+            total: formatSeconds(analytics.time.totalMs)
+          })}
+        >
+          {analytics.time.count === 0 ? (
+            <p className="text-sm text-slate-500">{t('srsAnalytics.noTimedReviews')}</p>
+          ) : (
+            <div className="space-y-2">
+              {analytics.time.histogram.map(row => (
+                <div key={row.bucket} className="flex items-center gap-3">
+                  <div className="w-14 text-xs font-bold text-slate-600 shrink-0">{row.bucket}</div>
+                  <div className="flex-1 bg-slate-200 rounded-full h-2">
+                    <div
+                      className="bg-lab-blue h-2 rounded-full"
+                      style={{ width: `${(row.reviews / maxTimeBucket) * 100}%` }}
+                    />
+                  </div>
+                  <div className="w-20 text-right text-xs text-slate-500">{tf('srsAnalytics.reviewsCount', { count: row.reviews })}</div>
+                </div>
+              ))}
+            </div>
+          )}
+        </Section>
+      </div>
+    </div>
+  );
+}
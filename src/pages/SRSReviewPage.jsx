@@ -1,6 +1,6 @@
 import React, { useEffect, useMemo, useRef, useState } from 'react';
 import { useNavigate, useSearchParams } from 'react-router-dom';
-import { ChevronLeft, Play } from 'lucide-react';
+import { ChevronLeft, Info, Play } from 'lucide-react';
 import { collection, getDocs, limit, query, where } from 'firebase/firestore';
 import { useLanguage } from '../contexts/LanguageContext';
 import { formatHKDateKey, getHKYearMonth, makeHKDate, parseHKDateKey } from '../utils/hkTime';
@@ -8,6 +8,9 @@ import { getNow } from '../utils/timeTravel';
 import { useAuth } from '../contexts/AuthContext';
 import { db } from '../firebase/config';
 import { quizStorage } from '../utils/quizStorage';
+import { applyDailyLimits } from '../services/srsService';
+import SRSOfflinePack from '../components/SRSOfflinePack';
+import SRSCustomStudy from '../components/SRSCustomStudy';
 
 function formatDM(dateStr) {
   const s = String(dateStr || '');
@@ -313,6 +316,12 @@ export default function SRSReviewPage({ questions = [] }) {
         return;
       }
 
+      selectedCards = await applyDailyLimits(uid, selectedCards);
+      if (selectedCards.length === 0) {
+        alert(t('srs.dailyLimitReached'));
+        return;
+      }
+
       // Prepare quiz payload
       localStorage.setItem('quiz_mode', 'spaced-repetition');
       localStorage.setItem('quiz_review_mode', 'batch');
@@ -321,6 +330,7 @@ export default function SRSReviewPage({ questions = [] }) {
         questionId: getCardQuestionId(card),
         interval: card.interval,
         easeFactor: card.easeFactor,
+        lastReviewedAt: card.lastReviewedAt || null,
       }))));
       localStorage.removeItem('quiz_event_ids');
 
@@ -361,8 +371,10 @@ export default function SRSReviewPage({ questions = [] }) {
 
   if (summaryError) {
     return (
-      <div className="max-w-3xl mx-auto px-4 py-6 text-red-700 font-semibold">
-        {summaryError}
+      <div className="max-w-3xl mx-auto px-4 py-6 space-y-4">
+        <div className="text-red-700 font-semibold">{summaryError}</div>
+        <SRSOfflinePack userId={currentUser?.uid} questions={questions} />
+        <SRSCustomStudy userId={currentUser?.uid} questions={questions} />
       </div>
     );
   }
@@ -384,6 +396,14 @@ export default function SRSReviewPage({ questions = [] }) {
             {t('calendar.noReviewSessionsFoundForDay')}
           </div>
         </div>
+
+        <div className="mt-4">
+          <SRSCustomStudy userId={currentUser?.uid} questions={questions} />
+        </div>
+
+        <div className="mt-4">
+          <SRSOfflinePack userId={currentUser?.uid} questions={questions} />
+        </div>
       </div>
     );
   }
@@ -451,6 +471,20 @@ export default function SRSReviewPage({ questions = [] }) {
           </div>
 
           <div className="p-6 space-y-5">
+            <div className="flex gap-3 rounded-xl p-4 border-2 border-purple-100 bg-purple-50/60">
+              <Info size={18} className="text-purple-600 shrink-0 mt-0.5" />
+              <div>
+                <div className="text-sm font-black text-purple-900">{t('srs.gradingLegendTitle')}</div>
+                <div className="mt-1 text-xs font-semibold text-slate-600">{t('srs.gradingLegendBody')}</div>
+                <div className="mt-2 flex flex-wrap gap-2 text-xs font-black">
+                  <span className="px-2 py-1 rounded-lg bg-red-100 text-red-700">1 · {t('srs.gradeAgain')}</span>
+                  <span className="px-2 py-1 rounded-lg bg-amber-100 text-amber-700">2 · {t('srs.gradeHard')}</span>
+                  <span className="px-2 py-1 rounded-lg bg-green-100 text-green-700">3 · {t('srs.gradeGood')}</span>
+                  <span className="px-2 py-1 rounded-lg bg-blue-100 text-blue-700">4 · {t('srs.gradeEasy')}</span>
+                </div>
+              </div>
+            </div>
+
             <div className="bg-gradient-to-r from-indigo-50 to-blue-50 rounded-xl p-5 border-2 border-indigo-200">
               <label className="block text-sm font-black text-indigo-900 mb-3">{t('srs.numberOfQuestions')}</label>
               <div className="flex items-center gap-4">
@@ -641,6 +675,14 @@ export default function SRSReviewPage({ questions = [] }) {
           </div>
         </div>
       </div>
+
+      <div className="mt-4">
+        <SRSCustomStudy userId={currentUser?.uid} questions={questions} />
+      </div>
+
+      <div className="mt-4">
+        <SRSOfflinePack userId={currentUser?.uid} questions={questions} />
+      </div>
     </div>
   );
 }
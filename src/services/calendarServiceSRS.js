@@ -352,9 +352,11 @@ export async function cleanupOldSRSEvents(userId) {
 
 /**
  * Get priority level based on SRS difficulty
+ * (an easy/medium/hard label; anything else, e.g. an older card's numeric
+ * FSRS difficulty, gets the default)
  */
 function getPriorityFromDifficulty(difficulty) {
-  switch (difficulty?.toLowerCase()) {
+  switch (typeof difficulty === 'string' ? difficulty.toLowerCase() : null) {
     case 'hard': return 'high';
     case 'medium': return 'medium';
     case 'easy': return 'low';
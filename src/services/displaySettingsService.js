@@ -0,0 +1,90 @@
+/**
+ * Display Settings - per-user readability preferences
+ *
+ * Stored on the user profile as users/{uid}.displaySettings:
+ *   highContrast  darker text, borders and focus outlines
+ *   textSize      one of TEXT_SIZES; scales every rem-based size
+ *
+ * A copy is kept in localStorage so the preference applies on the next
+ * visit before the profile has loaded. Applied as data attributes on <html>
+ * (see index.css).
+ */
+
+import { db } from '../firebase/config';
+import { doc, updateDoc } from 'firebase/firestore';
+
+export const TEXT_SIZES = ['normal', 'large', 'larger'];
+
+export const DEFAULT_DISPLAY_SETTINGS = {
+  highContrast: false,
+  textSize: 'normal'
+};
+
+const LOCAL_KEY = 'display_settings';
+
+// Only the known fields, each with a valid value, so nothing undefined or
+// stale ever reaches updateDoc or the <html> attributes
+export function normalizeDisplaySettings(raw) {
+  const source = raw && typeof raw === 'object' ? raw : {};
+  return {
+    highContrast: source.highContrast === true,
+    textSize: TEXT_SIZES.includes(source.textSize) ? source.textSize : DEFAULT_DISPLAY_SETTINGS.textSize
+  };
+}
+
+/**
+ * Settings last applied on this device
+ *
+ * @returns {Object}
+ */
+export function getLocalDisplaySettings() {
+  try {
+    return normalizeDisplaySettings(JSON.parse(localStorage.getItem(LOCAL_KEY)));
+  } catch {
+    return { ...DEFAULT_DISPLAY_SETTINGS };
+  }
+}
+
+/**
+ * Apply settings to the page and remember them on this device
+ *
+ * @param {Object} settings
+ */
+export function applyDisplaySettings(settings) {
+  const next = normalizeDisplaySettings(settings);
+  const root = document.documentElement;
+  if (next.highContrast) root.dataset.contrast = 'high';
+  else delete root.dataset.contrast;
+  if (next.textSize !== 'normal') root.dataset.textSize = next.textSize;
+  else delete root.dataset.textSize;
+  localStorage.setItem(LOCAL_KEY, JSON.stringify(next));
+}
+
+/**
+ * Update some display settings on the profile
+ *
+ * @param {string} userId - User ID
+ * @param {Object} current - Settings before the change
+ * @param {Object} patch - Fields to change
+ * @returns {Promise<Object>} The saved settings
+ */
+export async function saveDisplaySettings(userId, current, patch = {}) {
+  const next = normalizeDisplaySettings({ ...current, ...patch });
+
+  await updateDoc(doc(db, 'users', userId), {
+    displaySettings: next,
+    updatedAt: new Date().toISOString()
+  });
+
+  applyDisplaySettings(next);
+  return next;
+}
+
+export const displaySettingsService = {
+  normalizeDisplaySettings,
+  getLocalDisplaySettings,
+  applyDisplaySettings,
+  saveDisplaySettings
+};
+
+export default displaySettingsService;
@@ -0,0 +1,24 @@
+import { describe, it, expect, vi } from 'vitest';
+
+vi.mock('../firebase/config', () => ({ db: {} }));
+vi.mock('firebase/firestore', () => ({ doc: vi.fn(), updateDoc: vi.fn() }));
+
+const { normalizeDisplaySettings, DEFAULT_DISPLAY_SETTINGS } = await import('./displaySettingsService');
+
+describe('normalizeDisplaySettings', () => {
+  it('falls back to the defaults when nothing is saved', () => {
+    expect(normalizeDisplaySettings(undefined)).toEqual({ highContrast: false, textSize: 'normal' });
+    expect(normalizeDisplaySettings(null)).toEqual(DEFAULT_DISPLAY_SETTINGS);
+  });
+
+  it('never returns an undefined text size', () => {
+    expect(normalizeDisplaySettings({ highContrast: true }).textSize).toBe('normal');
+    expect(normalizeDisplaySettings({ textSize: undefined }).textSize).toBe('normal');
+    expect(normalizeDisplaySettings({ textSize: 'huge' }).textSize).toBe('normal');
+  });
+
+  it('keeps valid values and drops unknown fields', () => {
+    expect(normalizeDisplaySettings({ highContrast: true, textSize: 'larger', theme: undefined }))
+      .toEqual({ highContrast: true, textSize: 'larger' });
+  });
+});
@@ -0,0 +1,280 @@
+/**
+ * FSRS - Free Spaced Repetition Scheduler (v4.5 model)
+ *
+ * Each card carries a memory state:
+ *   stability  S - days until recall probability drops to 90%
+ *   difficulty D - 1 (easy) .. 10 (hard)
+ * and recall probability after t days is the forgetting curve
+ *   R(t, S) = (1 + FACTOR * t / S) ^ DECAY
+ *
+ * The next interval is the t at which R falls to the requested retention.
+ * The 17 weights can be fitted to a user's own review history with
+ * optimizeFsrsWeights(); otherwise the published defaults are used.
+ *
+ * Pure functions only - Firestore access lives in srsService /
+ * srsSettingsService.
+ */
+
+// Grades use the same 1-4 numbering as SRS_GRADES in srsAlgorithm
+const AGAIN = 1;
+const HARD = 2;
+const EASY = 4;
+
+const DECAY = -0.5;
+const FACTOR = 19 / 81;
+
+export const FSRS_DEFAULT_WEIGHTS = [
+  0.4872, 1.4003, 3.7145, 13.8206, 5.1618, 1.2298, 0.8975, 0.031,
+  1.6474, 0.1367, 1.0461, 2.1072, 0.0793, 0.3246, 1.587, 0.2272, 2.8755
+];
+
+// [min, max] for each weight; the optimizer never leaves these bounds
+const WEIGHT_BOUNDS = [
+  [0.1, 100], [0.1, 100], [0.1, 100], [0.1, 100],
+  [1, 10], [0.1, 5], [0.1, 5], [0, 0.5],
+  [0, 3], [0.1, 0.8], [0.01, 2.5], [0.5, 5],
+  [0.01, 0.2], [0.01, 0.9], [0.01, 2], [0, 1], [1, 4]
+];
+
+export const FSRS_CONFIG = {
+  DEFAULT_REQUEST_RETENTION: 0.9,
+  MIN_REQUEST_RETENTION: 0.7,
+  MAX_REQUEST_RETENTION: 0.97,
+  MAX_INTERVAL: 3650,                  // days
+  MIN_REVIEWS_FOR_OPTIMIZATION: 30,
+  OPTIMIZER_ITERATIONS: 40,
+  OPTIMIZER_PRIOR_STRENGTH: 5          // pulls sparse histories towards the defaults
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+/**
+ * Return a valid 17-weight array (falls back to the defaults).
+ */
+export function normalizeWeights(weights) {
+  if (!Array.isArray(weights) || weights.length !== FSRS_DEFAULT_WEIGHTS.length) {
+    return [...FSRS_DEFAULT_WEIGHTS];
+  }
+  return weights.map((w, i) => {
+    const n = Number(w);
+    return Number.isFinite(n) ? clamp(n, WEIGHT_BOUNDS[i][0], WEIGHT_BOUNDS[i][1]) : FSRS_DEFAULT_WEIGHTS[i];
+  });
+}
+
+/**
+ * Probability of recall after `elapsedDays` for a card with stability `stability`.
+ */
+export function retrievability(elapsedDays, stability) {
+  if (!(stability > 0)) return 0;
+  return Math.pow(1 + FACTOR * Math.max(0, elapsedDays) / stability, DECAY);
+}
+
+/**
+ * Days until recall probability drops to `requestRetention`.
+ */
+export function nextIntervalDays(stability, requestRetention = FSRS_CONFIG.DEFAULT_REQUEST_RETENTION) {
+  const r = clamp(
+    Number(requestRetention) || FSRS_CONFIG.DEFAULT_REQUEST_RETENTION,
+    FSRS_CONFIG.MIN_REQUEST_RETENTION,
+    FSRS_CONFIG.MAX_REQUEST_RETENTION
+  );
+  const days = (stability / FACTOR) * (Math.pow(r, 1 / DECAY) - 1);
+  return clamp(Math.round(days), 1, FSRS_CONFIG.MAX_INTERVAL);
+}
+
+function initialStability(w, grade) {
+  return Math.max(0.1, w[grade - 1]);
+}
+
+function initialDifficulty(w, grade) {
+  return clamp(w[4] - (grade - 3) * w[5], 1, 10);
+}
+
+function nextDifficulty(w, difficulty, grade) {
+  const next = difficulty - w[6] * (grade - 3);
+  // Mean reversion towards the difficulty of a "good" first answer
+  return clamp(w[7] * initialDifficulty(w, 3) + (1 - w[7]) * next, 1, 10);
+}
+
+function nextRecallStability(w, difficulty, stability, r, grade) {
+  const hardPenalty = grade === HARD ? w[15] : 1;
+  const easyBonus = grade === EASY ? w[16] : 1;
+  return stability * (
+    1 +
+    Math.exp(w[8]) *
+    (11 - difficulty) *
+    Math.pow(stability, -w[9]) *
+    (Math.exp((1 - r) * w[10]) - 1) *
+    hardPenalty *
+    easyBonus
+  );
+}
+
+function nextForgetStability(w, difficulty, stability, r) {
+  const next = w[11] *
+    Math.pow(difficulty, -w[12]) *
+    (Math.pow(stability + 1, w[13]) - 1) *
+    Math.exp((1 - r) * w[14]);
+  return Math.max(0.1, Math.min(next, stability));
+}
+
+/**
+ * Advance a memory state by one review.
+ *
+ * @param {Object|null} state - { stability, difficulty } or null for a first rating
+ * @param {number} grade - 1 (Again) .. 4 (Easy)
+ * @param {number} elapsedDays - Days since the previous rating
+ * @param {number[]} [weights]
+ * @returns {{stability: number, difficulty: number, retrievability: number|null}}
+ */
+export function nextMemoryState(state, grade, elapsedDays, weights = FSRS_DEFAULT_WEIGHTS) {
+  const w = normalizeWeights(weights);
+  const g = clamp(Math.round(Number(grade) || AGAIN), AGAIN, EASY);
+
+  if (!state || !(state.stability > 0)) {
+    return {
+      stability: initialStability(w, g),
+      difficulty: initialDifficulty(w, g),
+      retrievability: null
+    };
+  }
+
+  const difficulty = clamp(Number(state.difficulty) || initialDifficulty(w, 3), 1, 10);
+  const r = retrievability(elapsedDays, state.stability);
+  const stability = g === AGAIN
+    ? nextForgetStability(w, difficulty, state.stability, r)
+    : nextRecallStability(w, difficulty, state.stability, r, g);
+
+  return {
+    stability,
+    difficulty: nextDifficulty(w, difficulty, g),
+    retrievability: r
+  };
+}
+
+/**
+ * Elapsed days between two timestamps (ISO strings, Dates or ms).
+ */
+export function elapsedDaysBetween(from, to) {
+  const a = new Date(from).getTime();
+  const b = new Date(to).getTime();
+  if (!Number.isFinite(a) || !Number.isFinite(b)) return 0;
+  return Math.max(0, (b - a) / DAY_MS);
+}
+
+// ────────────────────────────────────────────────────────────────────────────
+// OPTIMIZER
+// ────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Mean log-loss of the model's recall predictions over review histories.
+ *
+ * @param {Array<Array<{at: number, grade: number}>>} histories - Per-card
+ *   ratings in time order; the first entry initialises the memory state.
+ */
+function historyLoss(histories, weights) {
+  let loss = 0;
+  let count = 0;
+
+  for (const events of histories) {
+    let state = null;
+    let lastAt = null;
+
+    for (const event of events) {
+      if (state) {
+        const t = elapsedDaysBetween(lastAt, event.at);
+        const r = clamp(retrievability(t, state.stability), 1e-4, 1 - 1e-4);
+        const recalled = event.grade > AGAIN;
+        loss -= recalled ? Math.log(r) : Math.log(1 - r);
+        count++;
+      }
+      state = nextMemoryState(state, event.grade, elapsedDaysBetween(lastAt ?? event.at, event.at), weights);
+      lastAt = event.at;
+    }
+  }
+
+  return count > 0 ? loss / count : 0;
+}
+
+function priorPenalty(weights, reviewCount) {
+  let penalty = 0;
+  weights.forEach((w, i) => {
+    const [min, max] = WEIGHT_BOUNDS[i];
+    const z = (w - FSRS_DEFAULT_WEIGHTS[i]) / (max - min);
+    penalty += z * z;
+  });
+  return (FSRS_CONFIG.OPTIMIZER_PRIOR_STRENGTH * penalty) / Math.max(1, reviewCount);
+}
+
+/**
+ * Fit FSRS weights to a user's review history.
+ *
+ * Coordinate (pattern) search within WEIGHT_BOUNDS, minimising prediction
+ * log-loss plus a small prior towards the default weights so a short
+ * history can't push the model anywhere extreme.
+ *
+ * @param {Array<Array<{at: number|string, grade: number}>>} histories
+ * @param {Object} [options]
+ * @param {number[]} [options.initialWeights]
+ * @param {number} [options.iterations]
+ * @returns {{weights: number[], reviewCount: number, cardCount: number,
+ *   lossBefore: number, lossAfter: number, optimized: boolean}}
+ */
+export function optimizeFsrsWeights(histories, options = {}) {
+  const cleaned = (Array.isArray(histories) ? histories : [])
+    .map(events => (Array.isArray(events) ? events : [])
+      .map(e => ({ at: new Date(e.at).getTime(), grade: clamp(Math.round(Number(e.grade) || AGAIN), AGAIN, EASY) }))
+      .filter(e => Number.isFinite(e.at))
+      .sort((a, b) => a.at - b.at))
+    .filter(events => events.length >= 2);
+
+  const reviewCount = cleaned.reduce((sum, events) => sum + events.length - 1, 0);
+  let weights = normalizeWeights(options.initialWeights);
+  const lossBefore = historyLoss(cleaned, weights);
+
+  if (reviewCount < FSRS_CONFIG.MIN_REVIEWS_FOR_OPTIMIZATION) {
+    return { weights, reviewCount, cardCount: cleaned.length, lossBefore, lossAfter: lossBefore, optimized: false };
+  }
+
+  const objective = (w) => historyLoss(cleaned, w) + priorPenalty(w, reviewCount);
+  let best = objective(weights);
+  const steps = WEIGHT_BOUNDS.map(([min, max]) => (max - min) * 0.05);
+  const iterations = options.iterations || FSRS_CONFIG.OPTIMIZER_ITERATIONS;
+
+  for (let iter = 0; iter < iterations; iter++) {
+    let improved = false;
+
+    for (let i = 0; i < weights.length; i++) {
+      for (const direction of [1, -1]) {
+        const candidate = [...weights];
+        candidate[i] = clamp(weights[i] + direction * steps[i], WEIGHT_BOUNDS[i][0], WEIGHT_BOUNDS[i][1]);
+        if (candidate[i] === weights[i]) continue;
+
+        const value = objective(candidate);
+        if (value < best) {
+          best = value;
+          weights = candidate;
+          improved = true;
+          break;
+        }
+      }
+    }
+
+    if (!improved) {
+      for (let i = 0; i < steps.length; i++) steps[i] /= 2;
+      if (steps.every((s, i) => s < (WEIGHT_BOUNDS[i][1] - WEIGHT_BOUNDS[i][0]) * 1e-4)) break;
+    }
+  }
+
+  const rounded = weights.map(w => Math.round(w * 10000) / 10000);
+  return {
+    weights: rounded,
+    reviewCount,
+    cardCount: cleaned.length,
+    lossBefore,
+    lossAfter: historyLoss(cleaned, rounded),
+    optimized: true
+  };
+}
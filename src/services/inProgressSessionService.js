@@ -0,0 +1,224 @@
+/**
+ * In-Progress Session Service
+ *
+ * Checkpoints the quiz being taken to Firestore so it can be finished on
+ * another device, or after local storage was cleared. There is one
+ * unfinished quiz per user: in_progress_sessions/{userId}.
+ *
+ * Questions are stored by ID and restored from the question bank; the rest
+ * is the QuizPage state plus the localStorage keys that describe the
+ * session (mode, SRS cards, calendar event, timer settings).
+ *
+ * Conflicts: each write bumps `revision`. A tab remembers the revision it
+ * last wrote or resumed from; if the stored session has moved on since
+ * (another tab or device wrote it, started a different quiz, or finished
+ * it), the checkpoint is refused and returned as a conflict so the tab can
+ * load the newer progress or overwrite it.
+ */
+
+import { db } from '../firebase/config';
+import { doc, getDoc, deleteDoc, runTransaction } from 'firebase/firestore';
+import { quizStorage } from '../utils/quizStorage';
+
+const COLLECTION = 'in_progress_sessions';
+
+// Unfinished quizzes older than this aren't offered for resuming
+const MAX_AGE_DAYS = 14;
+
+// localStorage keys (outside quizStorage) that a quiz session depends on
+const CONTEXT_KEYS = [
+  'quiz_mode',
+  'quiz_review_mode',
+  'quiz_srs_cards',
+  'quiz_srs_session_id',
+  'quiz_event_id',
+  'quiz_event_ids',
+  'quiz_event_phase',
+  'quiz_timer_enabled',
+  'quiz_is_timed_mode'
+];
+
+export const CONFLICT_TYPES = {
+  NEWER: 'newer',         // Same quiz, changed in another tab or device
+  REPLACED: 'replaced',   // A different quiz was started elsewhere
+  FINISHED: 'finished'    // Submitted or discarded elsewhere
+};
+
+function getQuestionId(question) {
+  return String(question?.ID ?? question?.id ?? '');
+}
+
+function isFresh(session) {
+  const updated = new Date(session?.updatedAt || 0).getTime();
+  return Date.now() - updated < MAX_AGE_DAYS * 24 * 60 * 60 * 1000;
+}
+
+/**
+ * Snapshot of the quiz in progress, ready to checkpoint
+ *
+ * @param {Object} state - QuizPage state
+ * @returns {Object} Session fields (without revision / writer)
+ */
+export function buildSessionSnapshot({
+  sessionId,
+  questions,
+  answers,
+  flagged,
+  currentIndex,
+  questionTimes,
+  srsGrades,
+  srsRelearn,
+  optionOrders,
+  sessionStartTime
+}) {
+  const context = {};
+  CONTEXT_KEYS.forEach((key) => {
+    const value = localStorage.getItem(key);
+    if (value !== null) context[key] = value;
+  });
+  const srsStudyMode = quizStorage.getSrsStudyMode();
+  const mockPaper = quizStorage.getMockPaper();
+
+  return {
+    sessionId,
+    questionIds: (questions || []).map(getQuestionId),
+    answers: answers || {},
+    flagged: Array.from(flagged || []),
+    currentIndex: currentIndex || 0,
+    questionTimes: questionTimes || {},
+    srsGrades: srsGrades || {},
+    srsRelearn: srsRelearn || {},
+    optionOrders: optionOrders || {},
+    // Time on the clock so far; the clock is paused while nobody has the quiz open
+    elapsedMs: sessionStartTime ? Math.max(0, Date.now() - sessionStartTime) : null,
+    context: { ...context, ...(srsStudyMode && { srsStudyMode }), ...(mockPaper && { mockPaper }) }
+  };
+}
+
+/**
+ * Save a checkpoint of the user's quiz
+ *
+ * @param {string} userId - User ID
+ * @param {Object} snapshot - From buildSessionSnapshot
+ * @param {Object} options
+ * @param {string} options.writerId - This tab
+ * @param {number|null} options.baseRevision - Revision this tab last saw
+ *   (null for a quiz that has never been saved)
+ * @param {boolean} [options.force] - Overwrite whatever is stored
+ * @returns {Promise<{saved: true, revision: number}|{saved: false, conflict: string, remote: Object|null}>}
+ */
+export async function checkpointSession(userId, snapshot, { writerId, baseRevision = null, force = false }) {
+  const ref = doc(db, COLLECTION, userId);
+
+  return runTransaction(db, async (transaction) => {
+    const existing = await transaction.get(ref);
+    const remote = existing.exists() ? existing.data() : null;
+
+    if (!force && baseRevision !== null) {
+      let conflict = null;
+      if (!remote) conflict = CONFLICT_TYPES.FINISHED;
+      else if (remote.sessionId !== snapshot.sessionId) conflict = CONFLICT_TYPES.REPLACED;
+      else if (remote.revision !== baseRevision) conflict = CONFLICT_TYPES.NEWER;
+      if (conflict) return { saved: false, conflict, remote };
+    }
+
+    const revision = (remote?.revision || 0) + 1;
+    const now = new Date().toISOString();
+    transaction.set(ref, {
+      ...snapshot,
+      userId,
+      revision,
+      writerId,
+      startedAt: remote?.sessionId === snapshot.sessionId ? remote.startedAt : now,
+      updatedAt: now
+    });
+    return { saved: true, revision };
+  });
+}
+
+/**
+ * The user's unfinished quiz, or null (none, or too old to resume)
+ *
+ * @param {string} userId - User ID
+ * @returns {Promise<Object|null>}
+ */
+export async function getInProgressSession(userId) {
+  if (!userId) return null;
+  const snap = await getDoc(doc(db, COLLECTION, userId));
+  if (!snap.exists()) return null;
+  const session = snap.data();
+  return isFresh(session) && session.questionIds?.length > 0 ? session : null;
+}
+
+/**
+ * Remove the user's unfinished quiz once it's submitted or abandoned
+ *
+ * Only removes it if it is still the given quiz, so finishing an old tab
+ * doesn't delete a quiz started later elsewhere.
+ *
+ * @param {string} userId - User ID
+ * @param {string} sessionId - The quiz being finished
+ */
+export async function clearInProgressSession(userId, sessionId) {
+  if (!userId) return;
+  const ref = doc(db, COLLECTION, userId);
+  const snap = await getDoc(ref);
+  if (snap.exists() && (!sessionId || snap.data().sessionId === sessionId)) {
+    await deleteDoc(ref);
+  }
+}
+
+/**
+ * Put a stored session back into localStorage so QuizPage picks it up
+ *
+ * @param {Object} session - From getInProgressSession
+ * @param {Array} questions - Loaded question bank
+ * @returns {boolean} False if some of its questions aren't in the bank
+ */
+export function restoreSessionLocally(session, questions) {
+  const questionById = new Map((questions || []).map(q => [getQuestionId(q), q]));
+  const selected = (session.questionIds || []).map(id => questionById.get(String(id)));
+  if (selected.length === 0 || selected.some(q => !q)) return false;
+
+  quizStorage.clearQuizData();
+  CONTEXT_KEYS.forEach(key => localStorage.removeItem(key));
+  const { srsStudyMode, mockPaper, ...context } = session.context || {};
+  Object.entries(context).forEach(([key, value]) => localStorage.setItem(key, value));
+  if (srsStudyMode) quizStorage.saveSrsStudyMode(srsStudyMode);
+  if (mockPaper) quizStorage.saveMockPaper(mockPaper);
+
+  quizStorage.saveSelectedQuestions(selected);
+  applySessionState(session);
+  return true;
+}
+
+/**
+ * Write a stored session's progress over the local copy of the same quiz
+ *
+ * @param {Object} session - Stored session
+ */
+export function applySessionState(session) {
+  quizStorage.saveUserAnswers(session.answers || {});
+  quizStorage.saveFlagged(new Set(session.flagged || []));
+  quizStorage.saveCurrentIndex(session.currentIndex || 0);
+  quizStorage.saveQuestionTimes(session.questionTimes || {});
+  quizStorage.saveSrsGrades(session.srsGrades || {});
+  quizStorage.saveSrsRelearn(session.srsRelearn || {});
+  quizStorage.saveOptionOrders(session.optionOrders || {});
+  if (session.elapsedMs !== null && session.elapsedMs !== undefined) {
+    quizStorage.saveSessionStart(Date.now() - session.elapsedMs);
+  }
+  quizStorage.saveSessionId(session.sessionId);
+  quizStorage.saveSessionRevision(session.revision);
+}
+
+export const inProgressSessionService = {
+  buildSessionSnapshot,
+  checkpointSession,
+  getInProgressSession,
+  clearInProgressSession,
+  restoreSessionLocally,
+  applySessionState
+};
+
+export default inProgressSessionService;
@@ -0,0 +1,167 @@
+// @vitest-environment jsdom
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+
+// in_progress_sessions, keyed by user
+const stored = new Map();
+const snap = key => ({ exists: () => stored.has(key), data: () => stored.get(key) });
+
+vi.mock('../firebase/config', () => ({ default: {}, db: {} }));
+vi.mock('firebase/firestore', () => ({
+  doc: vi.fn((db, collection, id) => id),
+  getDoc: vi.fn(async key => snap(key)),
+  deleteDoc: vi.fn(async key => { stored.delete(key); }),
+  runTransaction: vi.fn(async (db, update) => update({
+    get: async key => snap(key),
+    set: (key, data) => { stored.set(key, data); }
+  }))
+}));
+
+const {
+  buildSessionSnapshot,
+  checkpointSession,
+  getInProgressSession,
+  clearInProgressSession,
+  restoreSessionLocally,
+  CONFLICT_TYPES
+} = await import('./inProgressSessionService');
+const { quizStorage } = await import('../utils/quizStorage');
+
+const NOW = new Date('2026-03-10T04:00:00.000Z');
+const USER = 'u1';
+const BANK = [{ ID: 'Q1' }, { ID: 'Q2' }, { ID: 'Q3' }];
+
+const quizState = (extra = {}) => ({
+  sessionId: 'quiz_a',
+  questions: [BANK[0], BANK[2]],
+  answers: { Q1: 'B' },
+  flagged: new Set(['Q3']),
+  currentIndex: 1,
+  questionTimes: { Q1: 12 },
+  sessionStartTime: NOW.getTime() - 90000,
+  ...extra
+});
+
+beforeEach(() => {
+  vi.useFakeTimers();
+  vi.setSystemTime(NOW);
+  stored.clear();
+  localStorage.clear();
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+describe('buildSessionSnapshot', () => {
+  it('stores questions by ID, the time on the clock and the session context', () => {
+    localStorage.setItem('quiz_mode', 'srs');
+    localStorage.setItem('unrelated', 'x');
+    quizStorage.saveMockPaper({ source: 'generated', durationMs: 3600000 });
+
+    expect(buildSessionSnapshot(quizState())).toEqual({
+      sessionId: 'quiz_a',
+      questionIds: ['Q1', 'Q3'],
+      answers: { Q1: 'B' },
+      flagged: ['Q3'],
+      currentIndex: 1,
+      questionTimes: { Q1: 12 },
+      srsGrades: {},
+      srsRelearn: {},
+      optionOrders: {},
+      elapsedMs: 90000,
+      context: { quiz_mode: 'srs', mockPaper: { source: 'generated', durationMs: 3600000 } }
+    });
+  });
+});
+
+describe('checkpointSession', () => {
+  const save = (state, options) => checkpointSession(USER, buildSessionSnapshot(quizState(state)), options);
+
+  it('bumps the revision on each write and keeps the start time', async () => {
+    expect(await save({}, { writerId: 'tab1' })).toEqual({ saved: true, revision: 1 });
+    vi.setSystemTime(new Date('2026-03-10T04:05:00.000Z'));
+    expect(await save({ currentIndex: 0 }, { writerId: 'tab1', baseRevision: 1 })).toEqual({ saved: true, revision: 2 });
+
+    expect(stored.get(USER)).toMatchObject({
+      userId: USER,
+      writerId: 'tab1',
+      revision: 2,
+      currentIndex: 0,
+      startedAt: NOW.toISOString(),
+      updatedAt: '2026-03-10T04:05:00.000Z'
+    });
+  });
+
+  it('refuses to overwrite progress saved by another tab', async () => {
+    await save({}, { writerId: 'tab1' });
+    await save({ answers: { Q1: 'C' } }, { writerId: 'tab2', baseRevision: 1 });
+
+    const result = await save({ answers: { Q1: 'D' } }, { writerId: 'tab1', baseRevision: 1 });
+    expect(result).toMatchObject({ saved: false, conflict: CONFLICT_TYPES.NEWER, remote: { writerId: 'tab2' } });
+    expect(stored.get(USER).answers).toEqual({ Q1: 'C' });
+
+    expect(await save({ answers: { Q1: 'D' } }, { writerId: 'tab1', baseRevision: 1, force: true }))
+      .toEqual({ saved: true, revision: 3 });
+  });
+
+  it('reports a quiz started or finished elsewhere', async () => {
+    await save({ sessionId: 'quiz_b' }, { writerId: 'phone' });
+    expect(await save({}, { writerId: 'tab1', baseRevision: 1 })).toMatchObject({ saved: false, conflict: CONFLICT_TYPES.REPLACED });
+
+    stored.clear();
+    expect(await save({}, { writerId: 'tab1', baseRevision: 1 })).toMatchObject({ saved: false, conflict: CONFLICT_TYPES.FINISHED, remote: null });
+  });
+});
+
+describe('getInProgressSession', () => {
+  it('offers recent unfinished quizzes only', async () => {
+    await checkpointSession(USER, buildSessionSnapshot(quizState()), { writerId: 'tab1' });
+    expect(await getInProgressSession(USER)).toMatchObject({ sessionId: 'quiz_a' });
+
+    vi.setSystemTime(new Date('2026-03-25T04:00:00.000Z'));
+    expect(await getInProgressSession(USER)).toBeNull();
+    expect(await getInProgressSession(null)).toBeNull();
+  });
+});
+
+describe('clearInProgressSession', () => {
+  it('only removes the quiz being finished', async () => {
+    await checkpointSession(USER, buildSessionSnapshot(quizState({ sessionId: 'quiz_b' })), { writerId: 'phone' });
+
+    await clearInProgressSession(USER, 'quiz_a');
+    expect(stored.has(USER)).toBe(true);
+    await clearInProgressSession(USER, 'quiz_b');
+    expect(stored.has(USER)).toBe(false);
+  });
+});
+
+describe('restoreSessionLocally', () => {
+  it('puts the quiz back where QuizPage picks it up', async () => {
+    localStorage.setItem('quiz_mode', 'srs');
+    await checkpointSession(USER, buildSessionSnapshot(quizState()), { writerId: 'tab1' });
+    localStorage.clear();
+    localStorage.setItem('quiz_event_id', 'stale');
+    vi.setSystemTime(new Date('2026-03-11T04:00:00.000Z'));
+
+    expect(restoreSessionLocally(await getInProgressSession(USER), BANK)).toBe(true);
+    expect(quizStorage.getSelectedQuestions()).toEqual([BANK[0], BANK[2]]);
+    expect(quizStorage.getUserAnswers()).toEqual({ Q1: 'B' });
+    expect(quizStorage.getFlagged()).toEqual(new Set(['Q3']));
+    expect(quizStorage.getCurrentIndex()).toBe(1);
+    expect(quizStorage.getSessionId()).toBe('quiz_a');
+    expect(quizStorage.getSessionRevision()).toBe(1);
+    expect(quizStorage.getMockPaper()).toBeNull();
+    expect(localStorage.getItem('quiz_mode')).toBe('srs');
+    expect(localStorage.getItem('quiz_event_id')).toBeNull();
+    // The clock resumes where it stopped, not from the original start
+    expect(Date.now() - quizStorage.getSessionStart()).toBe(90000);
+  });
+
+  it('leaves the local quiz alone when a question is no longer in the bank', async () => {
+    await checkpointSession(USER, buildSessionSnapshot(quizState()), { writerId: 'tab1' });
+    quizStorage.saveSelectedQuestions([BANK[1]]);
+
+    expect(restoreSessionLocally(await getInProgressSession(USER), [BANK[0]])).toBe(false);
+    expect(quizStorage.getSelectedQuestions()).toEqual([BANK[1]]);
+  });
+});
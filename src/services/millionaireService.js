@@ -1,5 +1,23 @@
+import { toCanonicalKey } from '../utils/optionShuffle';
+
 export const MILLIONAIRE_LEVELS = 20;
 
+// Levels whose winnings are kept even after a wrong answer.
+export const MILLIONAIRE_SAFE_LEVELS = [5, 10, 15, 17];
+
+// Ladder rungs per difficulty band, easiest first. Sums to MILLIONAIRE_LEVELS.
+export const MILLIONAIRE_BANDS = [
+  { difficulty: 'easy', levels: 5 },
+  { difficulty: 'medium', levels: 7 },
+  { difficulty: 'hard', levels: 8 }
+];
+
+// Where a band-only rating sits on the 0 (trivial) – 1 (hardest) scale.
+const BAND_SCORE = { easy: 0.2, medium: 0.55, hard: 0.85 };
+
+// Below this many stored responses a p-value is too noisy to rank by.
+const MIN_STATS_RESPONSES = 20;
+
 export function isValidMillionaireQuestion(q) {
   return !!(
     q &&
@@ -22,6 +40,42 @@ function shuffle(arr) {
   return a;
 }
 
+/**
+ * Difficulty on a 0–1 scale (higher = harder), or null when the question is
+ * unrated. Uses the aggregated p-value when there's enough data, otherwise
+ * the band from question stats or the sheet's Difficulty column.
+ */
+export function getDifficultyScore(q) {
+  if (q?.PValue != null && Number(q.StatsResponses || 0) >= MIN_STATS_RESPONSES) {
+    return 1 - Number(q.PValue);
+  }
+  return BAND_SCORE[q?.Difficulty] ?? null;
+}
+
+function bandForScore(score) {
+  if (score == null) return null;
+  if (score < 0.3) return 'easy';
+  if (score < 0.6) return 'medium';
+  return 'hard';
+}
+
+// Order in which to borrow when a band runs short: unrated questions first
+// (they might be anything), then the nearest band.
+const FALLBACK_ORDER = {
+  easy: [null, 'medium', 'hard'],
+  medium: [null, 'easy', 'hard'],
+  hard: [null, 'medium', 'easy']
+};
+
+/**
+ * Pick `count` questions and order them along the ladder from easiest to
+ * hardest. Each band of rungs is filled from its own difficulty band first
+ * (randomly, so games differ), then from unrated questions, then from the
+ * closest neighbouring band. The whole ladder is then sorted by score, so a
+ * hard question borrowed into a short easy band still lands above the
+ * medium rungs; unrated questions count as their band's typical score. With
+ * no difficulty data at all this degrades to the old random pick.
+ */
 export function fetchMillionaireQuestionsFiltered(allQuestions = [], availableTopics = [], count = MILLIONAIRE_LEVELS) {
   const pool = (Array.isArray(allQuestions) ? allQuestions : [])
     .filter(isValidMillionaireQuestion)
@@ -30,13 +84,145 @@ export function fetchMillionaireQuestionsFiltered(allQuestions = [], availableTo
       return availableTopics.includes(q.Topic);
     });
 
-  const selected = shuffle(pool).slice(0, Math.min(count, pool.length));
-
-  if (selected.length < count) {
-    const err = new Error(`Not enough valid questions for Millionaire. Need ${count}, got ${selected.length}.`);
+  if (pool.length < count) {
+    const err = new Error(`Not enough valid questions for Millionaire. Need ${count}, got ${pool.length}.`);
     err.code = 'MILLIONAIRE_INSUFFICIENT_QUESTIONS';
     throw err;
   }
 
-  return selected;
-}
\ No newline at end of file
+  // band (or null for unrated) → shuffled questions with their scores
+  const buckets = new Map([['easy', []], ['medium', []], ['hard', []], [null, []]]);
+  shuffle(pool).forEach(q => {
+    const score = getDifficultyScore(q);
+    buckets.get(bandForScore(score)).push({ q, score });
+  });
+
+  // Scale band sizes if a caller asks for a shorter ladder.
+  const totalLevels = MILLIONAIRE_BANDS.reduce((sum, b) => sum + b.levels, 0);
+  let remaining = count;
+  const bandSizes = MILLIONAIRE_BANDS.map((b, i) => {
+    const size = i === MILLIONAIRE_BANDS.length - 1
+      ? remaining
+      : Math.round((b.levels / totalLevels) * count);
+    remaining -= size;
+    return size;
+  });
+
+  const selected = [];
+  MILLIONAIRE_BANDS.forEach((band, i) => {
+    const target = BAND_SCORE[band.difficulty];
+    const picked = buckets.get(band.difficulty).splice(0, bandSizes[i]);
+
+    for (const source of FALLBACK_ORDER[band.difficulty]) {
+      if (picked.length >= bandSizes[i]) break;
+      const from = buckets.get(source);
+      if (source !== null) {
+        // Borrow the neighbour's questions closest to this band's level
+        from.sort((a, b) => Math.abs(a.score - target) - Math.abs(b.score - target));
+      }
+      picked.push(...from.splice(0, bandSizes[i] - picked.length));
+    }
+
+    picked.forEach(entry => selected.push({ q: entry.q, score: entry.score ?? target }));
+  });
+
+  return selected
+    .sort((a, b) => a.score - b.score)
+    .map(entry => entry.q);
+}
+
+/**
+ * Answers with a locked-in choice added. `displayKey` is the letter on
+ * screen; it is stored under the question's ID in sheet letters.
+ *
+ * @param {Object} answers - questionId → sheet letter
+ * @param {Object} question
+ * @param {string} displayKey
+ * @param {Array<string>|null} [order] - The question's option order
+ * @returns {Object} New answers map
+ */
+export function recordMillionaireAnswer(answers, question, displayKey, order = null) {
+  return { ...answers, [question.ID]: toCanonicalKey(order, String(displayKey).toUpperCase()) };
+}
+
+/**
+ * Score the questions a game reached (up to and including `currentIndex`)
+ * for the saved attempt. The server re-grades the same answers to pay out.
+ *
+ * @param {Array<Object>} questions - The dealt ladder
+ * @param {Object} answers - questionId → sheet letter
+ * @param {number} currentIndex - Index of the last question reached
+ * @returns {{questions: Array, answers: Object, totalQuestions: number, correctAnswers: number, percentage: number, topics: Array<string>}}
+ */
+export function buildMillionaireAttempt(questions, answers, currentIndex) {
+  const attempted = questions.slice(0, Math.min(currentIndex + 1, questions.length));
+  const correctAnswers = attempted.filter((q) => {
+    const chosen = String(answers[q.ID] || '').toUpperCase();
+    return chosen && chosen === String(q.CorrectOption || '').toUpperCase();
+  }).length;
+  const totalQuestions = attempted.length;
+
+  return {
+    questions: attempted,
+    answers,
+    totalQuestions,
+    correctAnswers,
+    percentage: totalQuestions > 0 ? Math.round((correctAnswers / totalQuestions) * 100) : 0,
+    topics: [...new Set(attempted.map(q => q.Topic))].filter(Boolean)
+  };
+}
+
+// Below this many past answers the real split is mostly noise, so Ask the
+// Audience falls back to a synthetic estimate.
+export const MIN_AUDIENCE_RESPONSES = 15;
+
+function buildSyntheticDistribution(correctOption, options, random) {
+  // Generate probabilities with correct answer having 65-75% chance
+  const correctProb = 65 + random() * 10; // 65-75%
+  const remaining = 100 - correctProb;
+
+  // Distribute remaining percentage among wrong answers
+  const wrongOptions = options.filter(opt => opt !== correctOption);
+  const probs = {};
+
+  let remainingProb = remaining;
+  wrongOptions.forEach((option, index) => {
+    if (index === wrongOptions.length - 1) {
+      // Last option gets whatever is left
+      probs[option] = remainingProb;
+    } else {
+      // Random distribution between 5-15%
+      const prob = 5 + random() * 10;
+      probs[option] = Math.min(prob, remainingProb - 5); // Keep at least 5% for last option
+      remainingProb -= probs[option];
+    }
+  });
+
+  probs[correctOption] = correctProb;
+  return probs;
+}
+
+/**
+ * Ask the Audience split for one question: what past students actually
+ * picked, or a synthetic estimate favouring the answer when too few have.
+ *
+ * @param {string} correctOption - Correct display letter
+ * @param {Array<string>} options - Display letters
+ * @param {Object|null} [answerCounts] - Display letter → past picks
+ * @param {() => number} [random] - Source of randomness for the estimate
+ * @returns {{probabilities: Object, responseCount: number}} Percentages per
+ *   letter; responseCount is 0 for the synthetic estimate
+ */
+export function buildAudienceDistribution(correctOption, options, answerCounts = null, random = Math.random) {
+  const total = options.reduce((sum, opt) => sum + Number(answerCounts?.[opt] || 0), 0);
+  if (total < MIN_AUDIENCE_RESPONSES) {
+    return { probabilities: buildSyntheticDistribution(correctOption, options, random), responseCount: 0 };
+  }
+
+  // Real historical split of what past students picked
+  const probabilities = {};
+  options.forEach((opt) => {
+    probabilities[opt] = (Number(answerCounts[opt] || 0) / total) * 100;
+  });
+  return { probabilities, responseCount: total };
+}
@@ -0,0 +1,159 @@
+import { describe, it, expect } from 'vitest';
+import {
+  fetchMillionaireQuestionsFiltered,
+  getDifficultyScore,
+  recordMillionaireAnswer,
+  buildMillionaireAttempt,
+  buildAudienceDistribution,
+  MILLIONAIRE_LEVELS,
+  MIN_AUDIENCE_RESPONSES
+} from './millionaireService';
+import { applyOptionOrder, createOptionOrders } from '../utils/optionShuffle';
+
+function makeQuestion(i, extra = {}) {
+  return {
+    ID: `Q${i}-hash${i}`,
+    Topic: `Topic ${i % 3}`,
+    Question: `Question ${i}?`,
+    OptionA: 'a',
+    OptionB: 'b',
+    OptionC: 'c',
+    OptionD: 'd',
+    CorrectOption: 'ABCD'[i % 4],
+    ...extra
+  };
+}
+
+describe('Millionaire attempt', () => {
+  it('records every answer of a 20/20 game', () => {
+    const ladder = fetchMillionaireQuestionsFiltered(Array.from({ length: 30 }, (_, i) => makeQuestion(i)));
+    const orders = createOptionOrders(ladder);
+
+    // Lock in the correct display letter on every rung, as handleLockIn does
+    let answers = {};
+    ladder.forEach((q) => {
+      const shown = applyOptionOrder(q, orders[q.ID]);
+      answers = recordMillionaireAnswer(answers, shown, shown.CorrectOption, orders[q.ID]);
+    });
+
+    const attempt = buildMillionaireAttempt(ladder, answers, MILLIONAIRE_LEVELS - 1);
+    expect(attempt.totalQuestions).toBe(20);
+    expect(Object.keys(attempt.answers)).toHaveLength(20);
+    expect(attempt.correctAnswers).toBe(20);
+    expect(attempt.percentage).toBe(100);
+    ladder.forEach(q => expect(attempt.answers[q.ID]).toBe(q.CorrectOption));
+  });
+
+  it('stores answers in sheet letters', () => {
+    const q = makeQuestion(1);
+    expect(recordMillionaireAnswer({}, q, 'a', ['C', 'A', 'D', 'B'])).toEqual({ [q.ID]: 'C' });
+    expect(recordMillionaireAnswer({}, q, 'D', null)).toEqual({ [q.ID]: 'D' });
+  });
+
+  it('scores only the questions reached', () => {
+    const ladder = Array.from({ length: 20 }, (_, i) => makeQuestion(i));
+    const answers = { [ladder[0].ID]: ladder[0].CorrectOption, [ladder[1].ID]: 'X' };
+    const attempt = buildMillionaireAttempt(ladder, answers, 1);
+    expect(attempt.questions).toHaveLength(2);
+    expect(attempt.correctAnswers).toBe(1);
+    expect(attempt.percentage).toBe(50);
+    expect(attempt.topics).toEqual(['Topic 0', 'Topic 1']);
+  });
+});
+
+describe('fetchMillionaireQuestionsFiltered', () => {
+  const bank = (counts) => {
+    let i = 0;
+    return Object.entries(counts).flatMap(([difficulty, n]) => Array.from({ length: n }, () => {
+      i += 1;
+      return makeQuestion(i, difficulty === 'unrated' ? {} : { Difficulty: difficulty });
+    }));
+  };
+  const scores = ladder => ladder.map(getDifficultyScore);
+  const isSorted = values => values.every((v, i) => i === 0 || v >= values[i - 1]);
+
+  it('fills each band of rungs from its own difficulty band', () => {
+    const ladder = fetchMillionaireQuestionsFiltered(bank({ easy: 10, medium: 10, hard: 10 }));
+    expect(ladder.map(q => q.Difficulty)).toEqual([
+      ...Array(5).fill('easy'),
+      ...Array(7).fill('medium'),
+      ...Array(8).fill('hard')
+    ]);
+  });
+
+  it('ranks by measured p-value when there are enough responses', () => {
+    const questions = Array.from({ length: 20 }, (_, i) => makeQuestion(i, {
+      Difficulty: 'easy',
+      PValue: i / 20,
+      StatsResponses: 50
+    }));
+    const ladder = fetchMillionaireQuestionsFiltered(questions);
+    expect(ladder.map(q => q.PValue)).toEqual(questions.map(q => q.PValue).reverse());
+  });
+
+  it('keeps the whole ladder easy-to-hard when a band borrows', () => {
+    // The hard rungs run short and borrow easy questions
+    const ladder = fetchMillionaireQuestionsFiltered(bank({ easy: 15, medium: 3, hard: 2 }));
+    expect(ladder).toHaveLength(20);
+    expect(new Set(ladder.map(q => q.ID)).size).toBe(20);
+    expect(isSorted(scores(ladder))).toBe(true);
+    expect(ladder.slice(-2).every(q => q.Difficulty === 'hard')).toBe(true);
+  });
+
+  it('borrows unrated questions before a neighbouring band', () => {
+    const ladder = fetchMillionaireQuestionsFiltered(bank({ easy: 3, unrated: 2, medium: 7, hard: 10 }));
+    expect(ladder.slice(0, 5).filter(q => !q.Difficulty)).toHaveLength(2);
+    expect(ladder.filter(q => q.Difficulty === 'hard')).toHaveLength(8);
+  });
+
+  it('deals a random ladder when nothing is rated', () => {
+    const questions = Array.from({ length: 25 }, (_, i) => makeQuestion(i));
+    const ladder = fetchMillionaireQuestionsFiltered(questions);
+    expect(ladder).toHaveLength(MILLIONAIRE_LEVELS);
+    expect(new Set(ladder.map(q => q.ID)).size).toBe(MILLIONAIRE_LEVELS);
+  });
+
+  it('refuses a bank that is too small', () => {
+    expect(() => fetchMillionaireQuestionsFiltered(bank({ easy: 19 })))
+      .toThrow(expect.objectContaining({ code: 'MILLIONAIRE_INSUFFICIENT_QUESTIONS' }));
+  });
+});
+
+describe('Ask the Audience', () => {
+  const LETTERS = ['A', 'B', 'C', 'D'];
+  const sum = probabilities => Object.values(probabilities).reduce((a, b) => a + b, 0);
+
+  it('shows what past students actually picked', () => {
+    const { probabilities, responseCount } = buildAudienceDistribution('B', LETTERS, { A: 10, B: 25, C: 5, D: 0 });
+    expect(responseCount).toBe(40);
+    expect(probabilities).toEqual({ A: 25, B: 62.5, C: 12.5, D: 0 });
+  });
+
+  it('keeps a real split even when most students were wrong', () => {
+    const { probabilities } = buildAudienceDistribution('A', LETTERS, { A: 4, B: 16, C: 0, D: 0 });
+    expect(probabilities.B).toBeGreaterThan(probabilities.A);
+  });
+
+  it('follows the shuffled letters the player sees', () => {
+    const question = makeQuestion(1, { CorrectOption: 'A', AnswerCounts: { A: 30, B: 5, C: 3, D: 2 } });
+    const shown = applyOptionOrder(question, ['C', 'A', 'D', 'B']);
+
+    const { probabilities } = buildAudienceDistribution(shown.CorrectOption, LETTERS, shown.AnswerCounts);
+    expect(shown.CorrectOption).toBe('B');
+    expect(probabilities.B).toBe(75);
+  });
+
+  it.each([
+    ['no stats', null],
+    ['too few answers', { A: 2, B: 3, C: 1, D: MIN_AUDIENCE_RESPONSES - 7 }]
+  ])('falls back to an estimate favouring the answer with %s', (_label, counts) => {
+    [0, 0.5, 0.999].forEach((r) => {
+      const { probabilities, responseCount } = buildAudienceDistribution('C', LETTERS, counts, () => r);
+      expect(responseCount).toBe(0);
+      expect(sum(probabilities)).toBeCloseTo(100);
+      expect(probabilities.C).toBeGreaterThanOrEqual(65);
+      expect(probabilities.C).toBeLessThanOrEqual(75);
+      LETTERS.filter(l => l !== 'C').forEach(l => expect(probabilities[l]).toBeGreaterThanOrEqual(5));
+    });
+  });
+});
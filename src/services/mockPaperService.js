@@ -0,0 +1,203 @@
+/**
+ * Mock Paper Service
+ *
+ * Builds DSE Paper 1A-style mock papers from the question bank:
+ *   - assembleMockPaper(): 36 questions spread over topics in the same
+ *     proportions as the real past-paper questions in the bank
+ *   - buildPastPaper(): every question from one exam year, in paper order
+ *
+ * and turns a score into an estimated DSE level band. The bands are rough
+ * MCQ cut-offs, not HKEAA figures: real cut-offs move every year.
+ */
+
+import { getDseYear, getDseQuestionNumber } from '../utils/dseCode';
+
+export const MOCK_PAPER_CONFIG = {
+  QUESTION_COUNT: 36,
+  DURATION_MINUTES: 60
+};
+
+export const MOCK_PAPER_SOURCES = {
+  GENERATED: 'generated',
+  PAST_PAPER: 'past-paper'
+};
+
+// Lowest share of marks for each level, best first
+export const DSE_LEVEL_BANDS = [
+  { level: '5**', min: 0.85 },
+  { level: '5*', min: 0.77 },
+  { level: '5', min: 0.69 },
+  { level: '4', min: 0.57 },
+  { level: '3', min: 0.45 },
+  { level: '2', min: 0.33 },
+  { level: '1', min: 0.2 },
+  { level: 'U', min: 0 }
+];
+
+function topicNumber(topic) {
+  const match = String(topic || '').match(/^\d+/);
+  return match ? Number(match[0]) : Infinity;
+}
+
+function byTopicOrder(a, b) {
+  return topicNumber(a.Topic) - topicNumber(b.Topic)
+    || String(a.Topic || '').localeCompare(String(b.Topic || ''));
+}
+
+function shuffle(list, random) {
+  const copy = [...list];
+  for (let i = copy.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [copy[i], copy[j]] = [copy[j], copy[i]];
+  }
+  return copy;
+}
+
+/**
+ * Share of each topic in the real papers
+ *
+ * Counted over questions with an exam year in their DSEcode; if the bank
+ * has none, over the whole bank.
+ *
+ * @param {Array} questions - Question bank
+ * @returns {Object} topic -> weight (sums to 1)
+ */
+export function getTopicWeights(questions) {
+  const list = (questions || []).filter(q => q.Topic);
+  const pastPaper = list.filter(q => getDseYear(q.DSEcode));
+  const counted = pastPaper.length > 0 ? pastPaper : list;
+
+  const counts = {};
+  counted.forEach((q) => {
+    counts[q.Topic] = (counts[q.Topic] || 0) + 1;
+  });
+  return Object.fromEntries(Object.entries(counts).map(([topic, n]) => [topic, n / counted.length]));
+}
+
+/**
+ * Split `total` questions over topics by weight (largest remainder)
+ *
+ * @param {Object} weights - topic -> weight
+ * @param {number} total - Questions to place
+ * @returns {Object} topic -> question count
+ */
+export function allocateByWeight(weights, total) {
+  const entries = Object.entries(weights).filter(([, w]) => w > 0);
+  const sum = entries.reduce((acc, [, w]) => acc + w, 0);
+  if (sum === 0 || total <= 0) return {};
+
+  const exact = entries.map(([topic, w]) => ({ topic, share: (w / sum) * total }));
+  const allocation = Object.fromEntries(exact.map(({ topic, share }) => [topic, Math.floor(share)]));
+  let left = total - Object.values(allocation).reduce((acc, n) => acc + n, 0);
+
+  exact
+    .sort((a, b) => (b.share % 1) - (a.share % 1))
+    .forEach(({ topic }) => {
+      if (left <= 0) return;
+      allocation[topic] += 1;
+      left -= 1;
+    });
+  return allocation;
+}
+
+/**
+ * Assemble a Paper 1A-style mock paper
+ *
+ * Topics short of questions hand their places to the rest of the pool.
+ * Questions come out in syllabus (topic) order, like the real paper.
+ *
+ * @param {Array} questions - Question bank
+ * @param {Object} [options]
+ * @param {Array<string>} [options.topics] - Only these topics (default: all)
+ * @param {number} [options.count] - Paper length
+ * @param {Function} [options.random] - Random source, for tests
+ * @returns {Array} Selected questions
+ */
+export function assembleMockPaper(questions, {
+  topics = null,
+  count = MOCK_PAPER_CONFIG.QUESTION_COUNT,
+  random = Math.random
+} = {}) {
+  const allowed = topics ? new Set(topics) : null;
+  const pool = (questions || []).filter(q => q.Topic && (!allowed || allowed.has(q.Topic)));
+  const allocation = allocateByWeight(getTopicWeights(pool), Math.min(count, pool.length));
+
+  const byTopic = {};
+  shuffle(pool, random).forEach((q) => {
+    (byTopic[q.Topic] = byTopic[q.Topic] || []).push(q);
+  });
+
+  const selected = [];
+  Object.entries(allocation).forEach(([topic, n]) => {
+    selected.push(...(byTopic[topic] || []).slice(0, n));
+  });
+
+  if (selected.length < count) {
+    const taken = new Set(selected);
+    selected.push(...shuffle(pool.filter(q => !taken.has(q)), random).slice(0, count - selected.length));
+  }
+
+  return selected.sort(byTopicOrder);
+}
+
+/**
+ * Exam years found in the bank's DSEcodes
+ *
+ * @param {Array} questions - Question bank
+ * @returns {Array<{year: number, count: number}>} Newest first
+ */
+export function getPastPaperYears(questions) {
+  const counts = {};
+  (questions || []).forEach((q) => {
+    const year = getDseYear(q.DSEcode);
+    if (year) counts[year] = (counts[year] || 0) + 1;
+  });
+  return Object.entries(counts)
+    .map(([year, count]) => ({ year: Number(year), count }))
+    .sort((a, b) => b.year - a.year);
+}
+
+/**
+ * All questions from one exam year, in question-number order
+ *
+ * @param {Array} questions - Question bank
+ * @param {number} year - Exam year
+ * @returns {Array} Questions
+ */
+export function buildPastPaper(questions, year) {
+  return (questions || [])
+    .filter(q => getDseYear(q.DSEcode) === Number(year))
+    .sort((a, b) => (getDseQuestionNumber(a.DSEcode) ?? Infinity) - (getDseQuestionNumber(b.DSEcode) ?? Infinity)
+      || String(a.DSEcode).localeCompare(String(b.DSEcode)));
+}
+
+/**
+ * Estimated DSE level for a mock paper score
+ *
+ * @param {number} correct - Correct answers
+ * @param {number} total - Questions on the paper
+ * @returns {{level: string, min: number, max: number|null, percentage: number}}
+ *   The band's score range as fractions (max null for the top band)
+ */
+export function estimateDseLevel(correct, total) {
+  const share = total > 0 ? correct / total : 0;
+  const index = DSE_LEVEL_BANDS.findIndex(band => share >= band.min);
+  const band = DSE_LEVEL_BANDS[index];
+  return {
+    level: band.level,
+    min: band.min,
+    max: index > 0 ? DSE_LEVEL_BANDS[index - 1].min : null,
+    percentage: Math.round(share * 100)
+  };
+}
+
+export const mockPaperService = {
+  getTopicWeights,
+  allocateByWeight,
+  assembleMockPaper,
+  getPastPaperYears,
+  buildPastPaper,
+  estimateDseLevel
+};
+
+export default mockPaperService;
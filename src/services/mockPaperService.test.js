@@ -0,0 +1,135 @@
+import { describe, it, expect } from 'vitest';
+import {
+  getTopicWeights,
+  allocateByWeight,
+  assembleMockPaper,
+  getPastPaperYears,
+  buildPastPaper,
+  estimateDseLevel,
+  MOCK_PAPER_CONFIG
+} from './mockPaperService';
+
+// Deterministic stand-in for Math.random
+function seededRandom(seed = 1) {
+  let state = seed;
+  return () => {
+    state = (state * 16807) % 2147483647;
+    return (state - 1) / 2147483646;
+  };
+}
+
+// `count` questions on a topic; past-paper ones get a DSEcode
+function topicQuestions(topic, count, { pastPaper = 0 } = {}) {
+  return Array.from({ length: count }, (_, i) => ({
+    ID: `${topic}-${i}`,
+    Topic: topic,
+    DSEcode: i < pastPaper ? `DSE2018 1A Q${i + 1}` : ''
+  }));
+}
+
+const countByTopic = questions => questions.reduce((counts, q) => ({ ...counts, [q.Topic]: (counts[q.Topic] || 0) + 1 }), {});
+
+describe('getTopicWeights', () => {
+  it('weights topics by the real past-paper questions', () => {
+    const bank = [
+      ...topicQuestions('1 Planet Earth', 30, { pastPaper: 1 }),
+      ...topicQuestions('2 Microscopic World', 5, { pastPaper: 3 })
+    ];
+    expect(getTopicWeights(bank)).toEqual({ '1 Planet Earth': 0.25, '2 Microscopic World': 0.75 });
+  });
+
+  it('falls back to the whole bank without past-paper questions', () => {
+    const bank = [...topicQuestions('A', 1), ...topicQuestions('B', 3), { ID: 'no-topic' }];
+    expect(getTopicWeights(bank)).toEqual({ A: 0.25, B: 0.75 });
+  });
+});
+
+describe('allocateByWeight', () => {
+  it('hands the leftover places to the largest remainders', () => {
+    expect(allocateByWeight({ A: 1, B: 1, C: 1 }, 10)).toEqual({ A: 4, B: 3, C: 3 });
+    expect(allocateByWeight({ A: 0.5, B: 0.3, C: 0.2 }, 7)).toEqual({ A: 4, B: 2, C: 1 });
+  });
+
+  it('places nothing without weights or questions', () => {
+    expect(allocateByWeight({}, 36)).toEqual({});
+    expect(allocateByWeight({ A: 0 }, 36)).toEqual({});
+    expect(allocateByWeight({ A: 1 }, 0)).toEqual({});
+  });
+});
+
+describe('assembleMockPaper', () => {
+  const bank = [
+    ...topicQuestions('10 Organic Chemistry', 40, { pastPaper: 4 }),
+    ...topicQuestions('2 Microscopic World', 40, { pastPaper: 2 }),
+    ...topicQuestions('5 Fossil Fuels', 40, { pastPaper: 6 })
+  ];
+
+  it('builds a full paper in the past-paper topic proportions, in syllabus order', () => {
+    const paper = assembleMockPaper(bank, { random: seededRandom() });
+
+    expect(paper).toHaveLength(MOCK_PAPER_CONFIG.QUESTION_COUNT);
+    expect(new Set(paper).size).toBe(paper.length);
+    expect(countByTopic(paper)).toEqual({ '2 Microscopic World': 6, '5 Fossil Fuels': 18, '10 Organic Chemistry': 12 });
+    expect([...new Set(paper.map(q => q.Topic))]).toEqual(['2 Microscopic World', '5 Fossil Fuels', '10 Organic Chemistry']);
+  });
+
+  it('fills a short topic from the rest of the pool', () => {
+    const shortBank = [...topicQuestions('1 A', 2, { pastPaper: 2 }), ...topicQuestions('2 B', 10, { pastPaper: 2 })];
+    const paper = assembleMockPaper(shortBank, { count: 8, random: seededRandom() });
+    expect(paper).toHaveLength(8);
+    expect(countByTopic(paper)).toEqual({ '1 A': 2, '2 B': 6 });
+  });
+
+  it('sticks to the chosen topics and a pool smaller than the paper', () => {
+    const paper = assembleMockPaper(bank, { topics: ['2 Microscopic World'], random: seededRandom(7) });
+    expect(countByTopic(paper)).toEqual({ '2 Microscopic World': 36 });
+    expect(assembleMockPaper(bank.slice(0, 5))).toHaveLength(5);
+  });
+
+  it('draws different papers from different random sources', () => {
+    const ids = random => assembleMockPaper(bank, { random }).map(q => q.ID);
+    expect(ids(seededRandom(1))).toEqual(ids(seededRandom(1)));
+    expect(ids(seededRandom(1))).not.toEqual(ids(seededRandom(2)));
+  });
+});
+
+describe('past papers', () => {
+  const bank = [
+    { ID: 'a', DSEcode: 'DSE2019 1A Q12' },
+    { ID: 'b', DSEcode: '2019-1A-3' },
+    { ID: 'c', DSEcode: 'DSE2021 1A Q1' },
+    { ID: 'd', DSEcode: 'DSE2019 1A' },
+    { ID: 'e', DSEcode: '' }
+  ];
+
+  it('lists exam years newest first', () => {
+    expect(getPastPaperYears(bank)).toEqual([{ year: 2021, count: 1 }, { year: 2019, count: 3 }]);
+  });
+
+  it('replays a year in question-number order', () => {
+    expect(buildPastPaper(bank, '2019').map(q => q.ID)).toEqual(['b', 'a', 'd']);
+    expect(buildPastPaper(bank, 2010)).toEqual([]);
+  });
+});
+
+describe('estimateDseLevel', () => {
+  it.each([
+    [36, '5**', 100],
+    [31, '5**', 86],
+    [30, '5*', 83],
+    [25, '5', 69],
+    [21, '4', 58],
+    [17, '3', 47],
+    [16, '2', 44],
+    [7, 'U', 19],
+    [0, 'U', 0]
+  ])('puts %i/36 in level %s', (correct, level, percentage) => {
+    expect(estimateDseLevel(correct, 36)).toMatchObject({ level, percentage });
+  });
+
+  it('reports the score range of the band', () => {
+    expect(estimateDseLevel(22, 36)).toEqual({ level: '4', min: 0.57, max: 0.69, percentage: 61 });
+    expect(estimateDseLevel(36, 36).max).toBeNull();
+    expect(estimateDseLevel(0, 0)).toMatchObject({ level: 'U', percentage: 0 });
+  });
+});
@@ -0,0 +1,181 @@
+/**
+ * Past Paper Service
+ *
+ * Lays the question bank out by exam year and question number (read from
+ * each question's DSEcode) for the past-paper browser, and summarises the
+ * user's own attempts at each question.
+ *
+ * Cohort correct rates come from question_stats (see questionStatsService),
+ * already attached to questions as PValue / StatsResponses.
+ */
+
+import { parseDseCode } from '../utils/dseCode';
+
+const cellKey = (year, question) => `${year}-${question}`;
+
+/**
+ * Index questions by year and question number
+ *
+ * Questions whose DSEcode has no year or question number are left out and
+ * counted in `unplaced`.
+ *
+ * @param {Array} questions - Question bank
+ * @returns {{years: number[], questionNumbers: number[], cells: Map<string, Array>, unplaced: number}}
+ *   years newest first; cells keyed by getCell()
+ */
+export function buildPastPaperIndex(questions) {
+  const cells = new Map();
+  const years = new Set();
+  const questionNumbers = new Set();
+  let unplaced = 0;
+
+  (questions || []).forEach((q) => {
+    const { year, question } = parseDseCode(q.DSEcode);
+    if (!year || !question) {
+      unplaced += 1;
+      return;
+    }
+    years.add(year);
+    questionNumbers.add(question);
+    const key = cellKey(year, question);
+    if (!cells.has(key)) cells.set(key, []);
+    cells.get(key).push(q);
+  });
+
+  return {
+    years: [...years].sort((a, b) => b - a),
+    questionNumbers: [...questionNumbers].sort((a, b) => a - b),
+    cells,
+    unplaced
+  };
+}
+
+/**
+ * Questions in one cell of the grid
+ *
+ * @param {Object} index - From buildPastPaperIndex()
+ * @param {number} year
+ * @param {number} question - Question number
+ * @returns {Array}
+ */
+export function getCell(index, year, question) {
+  return index.cells.get(cellKey(year, question)) || [];
+}
+
+/**
+ * Questions in a range of years and question numbers, in paper order
+ * (newest year first, then by question number)
+ *
+ * @param {Object} index - From buildPastPaperIndex()
+ * @param {Object} [filters]
+ * @param {Array<number>} [filters.years] - Default: every year
+ * @param {number} [filters.from] - First question number (inclusive)
+ * @param {number} [filters.to] - Last question number (inclusive)
+ * @returns {Array}
+ */
+export function selectPastPaperQuestions(index, { years = index.years, from = 1, to = Infinity } = {}) {
+  const wanted = new Set(years);
+  const selected = [];
+  index.years
+    .filter(year => wanted.has(year))
+    .forEach((year) => {
+      index.questionNumbers
+        .filter(n => n >= from && n <= to)
+        .forEach((n) => {
+          selected.push(...getCell(index, year, n));
+        });
+    });
+  return selected;
+}
+
+/**
+ * At most `max` questions from a selection, spread across its years and
+ * question numbers, in interleaved order (by question number, newest year
+ * first)
+ *
+ * Cutting the paper-order list would fill the quiz from the newest years
+ * alone. Instead every year gets an equal share (places a year can't fill go
+ * to the others), and each year's share is spaced over its question numbers,
+ * staggered so the years don't all contribute the same numbers.
+ *
+ * @param {Array} selected - e.g. from selectPastPaperQuestions()
+ * @param {number} max
+ * @returns {Array}
+ */
+export function samplePastPaperQuestions(selected, max) {
+  const list = selected || [];
+  if (list.length <= max) return list;
+
+  const byYear = new Map();
+  list.forEach((q) => {
+    const { year, question } = parseDseCode(q.DSEcode);
+    if (!byYear.has(year)) byYear.set(year, []);
+    byYear.get(year).push({ q, year: year || 0, question: question || 0 });
+  });
+  const groups = [...byYear.values()]
+    .map(items => items.sort((a, b) => a.question - b.question))
+    .sort((a, b) => b[0].year - a[0].year);
+
+  const quotas = groups.map(() => 0);
+  let remaining = max;
+  while (remaining > 0) {
+    groups.forEach((items, i) => {
+      if (remaining > 0 && quotas[i] < items.length) {
+        quotas[i] += 1;
+        remaining -= 1;
+      }
+    });
+  }
+
+  const picked = groups.flatMap((items, i) => {
+    const offset = (i + 0.5) / groups.length;
+    const step = items.length / quotas[i];
+    return Array.from({ length: quotas[i] }, (_, k) => items[Math.floor((k + offset) * step)]);
+  });
+
+  return picked
+    .sort((a, b) => a.question - b.question || b.year - a.year)
+    .map(item => item.q);
+}
+
+/**
+ * The user's record on each question across their saved attempts
+ *
+ * @param {Array} attempts - From quizService.getUserAttempts() (newest first)
+ * @returns {Object} questionId -> { attempts, correct, lastCorrect, lastAnsweredAt }
+ */
+export function getQuestionHistory(attempts) {
+  const history = {};
+  (attempts || []).forEach((attempt) => {
+    if (!attempt.answers || !attempt.questions) return;
+    attempt.questions.forEach((question) => {
+      const answer = attempt.answers[question.ID];
+      if (!answer) return;
+      const isCorrect = answer === question.CorrectOption;
+      const entry = history[question.ID];
+      if (!entry) {
+        // Attempts come newest first, so the first one seen is the latest
+        history[question.ID] = {
+          attempts: 1,
+          correct: isCorrect ? 1 : 0,
+          lastCorrect: isCorrect,
+          lastAnsweredAt: attempt.timestamp || null
+        };
+        return;
+      }
+      entry.attempts += 1;
+      if (isCorrect) entry.correct += 1;
+    });
+  });
+  return history;
+}
+
+export const pastPaperService = {
+  buildPastPaperIndex,
+  getCell,
+  selectPastPaperQuestions,
+  samplePastPaperQuestions,
+  getQuestionHistory
+};
+
+export default pastPaperService;
@@ -0,0 +1,52 @@
+import { describe, it, expect } from 'vitest';
+import { buildPastPaperIndex, selectPastPaperQuestions, samplePastPaperQuestions } from './pastPaperService';
+
+const YEARS = [2024, 2023, 2022, 2021, 2020];
+
+function paper(year, count = 36) {
+  return Array.from({ length: count }, (_, i) => ({ ID: `${year}-${i + 1}`, DSEcode: `DSE${year} 1A Q${i + 1}` }));
+}
+
+const bank = YEARS.flatMap(year => paper(year));
+const index = buildPastPaperIndex(bank);
+const selected = selectPastPaperQuestions(index);
+
+const yearOf = q => Number(q.ID.split('-')[0]);
+const numberOf = q => Number(q.ID.split('-')[1]);
+
+describe('samplePastPaperQuestions', () => {
+  it('returns small selections untouched', () => {
+    const few = selected.slice(0, 10);
+    expect(samplePastPaperQuestions(few, 40)).toBe(few);
+  });
+
+  it('gives every year an equal share', () => {
+    const sample = samplePastPaperQuestions(selected, 40);
+    expect(sample).toHaveLength(40);
+    expect(new Set(sample.map(q => q.ID)).size).toBe(40);
+    YEARS.forEach((year) => {
+      expect(sample.filter(q => yearOf(q) === year)).toHaveLength(8);
+    });
+  });
+
+  it('spreads each year over the whole paper', () => {
+    const sample = samplePastPaperQuestions(selected, 40);
+    YEARS.forEach((year) => {
+      const numbers = sample.filter(q => yearOf(q) === year).map(numberOf);
+      expect(Math.min(...numbers)).toBeLessThanOrEqual(5);
+      expect(Math.max(...numbers)).toBeGreaterThanOrEqual(30);
+    });
+  });
+
+  it('interleaves years by question number', () => {
+    const numbers = samplePastPaperQuestions(selected, 40).map(numberOf);
+    expect(numbers).toEqual([...numbers].sort((a, b) => a - b));
+  });
+
+  it('gives places a short year cannot fill to the others', () => {
+    const uneven = selectPastPaperQuestions(buildPastPaperIndex([...paper(2024), ...paper(2023, 3)]));
+    const sample = samplePastPaperQuestions(uneven, 20);
+    expect(sample.filter(q => yearOf(q) === 2023)).toHaveLength(3);
+    expect(sample.filter(q => yearOf(q) === 2024)).toHaveLength(17);
+  });
+});
@@ -0,0 +1,394 @@
+/**
+ * Question Bank Service - pluggable question sources
+ *
+ * A question source describes where a bank of questions lives:
+ *   - 'csv'       : a published Google Sheet (or any remote CSV URL)
+ *   - 'bundle'    : a JSON or CSV file shipped in public/ (e.g. '/banks/school.json')
+ *   - 'firestore' : documents in a Firestore collection (default 'questions')
+ *
+ * Every source is parsed through the same row formatter, tagged with its
+ * source id, and merged into a single question list. Parsed banks are cached
+ * in IndexedDB with a content version (and ETag where readable) so the app
+ * can render from cache and refresh in the background.
+ */
+
+import Papa from 'papaparse';
+import { collection, getDocs, query, where } from 'firebase/firestore';
+import app, { auth, db } from '../firebase/config';
+import { formatQuestionRows, QUESTION_FORMAT_VERSION } from '../utils/questionParser';
+import { hashString, buildIdRemap, composeIdRemaps } from '../utils/questionId';
+import { idbGet, idbPut, STORES } from '../utils/indexedDb';
+
+export const SHEET_URL = 'https://docs.google.com/spreadsheets/d/e/2PACX-1vTK36yaUN-NMCkQNT-DAHgc6FMZPjUc0Yv3nYEK4TA9W2qE9V1TqVD10Tq98-wXQoAvKOZlwGWRSDkU/pub?gid=1182550140&single=true&output=csv';
+
+export const SOURCE_TYPES = {
+  CSV: 'csv',
+  BUNDLE: 'bundle',
+  FIRESTORE: 'firestore'
+};
+
+// Default banks loaded by the app. The master sheet is always first so its
+// question IDs stay un-prefixed (SRS cards, mistakes and comments refer to them).
+// Teacher-provided banks live in the Firestore `questions` collection and are
+// optional: if the collection is empty or unreadable the app still loads.
+export const QUESTION_SOURCES = [
+  { id: 'master', type: SOURCE_TYPES.CSV, url: SHEET_URL, label: 'DSE Master Sheet' },
+  { id: 'school', type: SOURCE_TYPES.FIRESTORE, collection: 'questions', label: 'School Question Sets', optional: true }
+];
+
+// Blank lines are kept (and skipped by the row formatter) so a row's index
+// still gives its spreadsheet row number.
+export function parseCsv(text) {
+  return new Promise((resolve, reject) => {
+    Papa.parse(text, {
+      header: true,
+      skipEmptyLines: false,
+      newline: '',
+      complete: (results) => resolve(results.data || []),
+      error: (err) => reject(err)
+    });
+  });
+}
+
+function isSameOrigin(url) {
+  try {
+    return new URL(url, window.location.href).origin === window.location.origin;
+  } catch {
+    return false;
+  }
+}
+
+// Fetch a text resource, revalidating against the cached ETag when possible.
+// If-None-Match is only sent same-origin: on a cross-origin URL (the Google
+// Sheet) it would force a CORS preflight the sheet host doesn't answer, so
+// there we rely on the content-hash version instead.
+async function fetchText(url, cached) {
+  const headers = {};
+  if (cached?.etag && isSameOrigin(url)) {
+    headers['If-None-Match'] = cached.etag;
+  }
+
+  const res = await fetch(url, { headers, cache: 'no-cache' });
+  if (res.status === 304) return { notModified: true };
+  if (!res.ok) throw new Error(`Failed to fetch ${url} (${res.status})`);
+
+  return { text: await res.text(), etag: res.headers.get('etag') || null };
+}
+
+async function loadCsvRows(source, cached) {
+  if (!source.url) throw new Error(`CSV source "${source.id}" is missing a url`);
+  const res = await fetchText(source.url, cached);
+  if (res.notModified) return res;
+  return { rows: await parseCsv(res.text), etag: res.etag, version: hashString(res.text).toString(36) };
+}
+
+async function loadBundleRows(source, cached) {
+  const path = source.path || source.url;
+  if (!path) throw new Error(`Bundle source "${source.id}" is missing a path`);
+
+  const res = await fetchText(path, cached);
+  if (res.notModified) return res;
+
+  const version = hashString(res.text).toString(36);
+  const isJson = source.format
+    ? source.format === 'json'
+    : /\.json($|\?)/i.test(path);
+
+  if (isJson) {
+    const data = JSON.parse(res.text);
+    const rows = Array.isArray(data) ? data : data?.questions;
+    if (!Array.isArray(rows)) {
+      throw new Error(`Bundle ${path} must be an array or { questions: [...] }`);
+    }
+    return { rows, etag: res.etag, version };
+  }
+
+  return { rows: await parseCsv(res.text), etag: res.etag, version };
+}
+
+async function loadFirestoreRows(source) {
+  const parts = [collection(db, source.collection || 'questions')];
+  if (source.bank) {
+    parts.push(where('bank', '==', source.bank));
+  }
+
+  const snapshot = await getDocs(query(...parts));
+  const rows = snapshot.docs
+    .map(docSnap => ({ ID: docSnap.id, ...docSnap.data() }))
+    .sort((a, b) => Number(a.order ?? 0) - Number(b.order ?? 0));
+
+  return { rows, etag: null, version: hashString(JSON.stringify(rows)).toString(36) };
+}
+
+const ROW_LOADERS = {
+  [SOURCE_TYPES.CSV]: loadCsvRows,
+  [SOURCE_TYPES.BUNDLE]: loadBundleRows,
+  [SOURCE_TYPES.FIRESTORE]: loadFirestoreRows
+};
+
+/**
+ * Normalise the argument accepted by useQuizData / loadQuestionBanks.
+ * A bare string is treated as a single CSV URL (legacy call style).
+ *
+ * @param {string|Object|Array} sources
+ * @returns {Array<Object>} Source descriptors
+ */
+export function normalizeSources(sources) {
+  if (!sources) return [];
+  const list = Array.isArray(sources) ? sources : [sources];
+  return list.map((s, i) => {
+    if (typeof s === 'string') {
+      return { id: i === 0 ? 'master' : `csv${i}`, type: SOURCE_TYPES.CSV, url: s };
+    }
+    return { type: SOURCE_TYPES.CSV, ...s, id: s.id || `source${i}` };
+  });
+}
+
+function isCurrentFormat(record) {
+  return Boolean(record) && String(record.version || '').startsWith(`${QUESTION_FORMAT_VERSION}.`);
+}
+
+function getSourceCacheKey(source) {
+  return [source.type, source.id, source.url || source.path || source.collection || '', source.bank || ''].join('|');
+}
+
+/**
+ * Load the raw (unformatted) rows of a single source, e.g. for validation.
+ *
+ * @param {Object} source - Source descriptor
+ * @returns {Promise<Array<Object>>} Raw rows keyed by column name
+ */
+export async function loadQuestionSourceRows(source) {
+  const loader = ROW_LOADERS[source.type];
+  if (!loader) throw new Error(`Unknown question source type: ${source.type}`);
+  const { rows } = await loader(source, null);
+  return rows;
+}
+
+/**
+ * Load and format a single source, reusing the cached copy when the source
+ * reports it unchanged (304 or identical content version).
+ *
+ * @param {Object} source - Source descriptor
+ * @param {Object|null} cached - Cached record { etag, version, questions }
+ * @returns {Promise<{questions: Array, etag: string|null, version: string, fromCache: boolean}>}
+ */
+export async function loadQuestionSource(source, cached = null) {
+  const loader = ROW_LOADERS[source.type];
+  if (!loader) throw new Error(`Unknown question source type: ${source.type}`);
+
+  // A copy parsed by an older formatter can't be reused, even if the sheet
+  // itself hasn't changed.
+  const usable = isCurrentFormat(cached) ? cached : null;
+
+  const res = await loader(source, usable);
+  const version = res.notModified ? usable.version : `${QUESTION_FORMAT_VERSION}.${res.version}`;
+  if (usable && (res.notModified || version === usable.version)) {
+    return { ...usable, etag: res.etag || usable.etag, fromCache: true };
+  }
+
+  const questions = formatQuestionRows(res.rows).map(q => ({
+    ...q,
+    Source: source.id,
+    SourceLabel: source.label || source.id
+  }));
+
+  return { questions, etag: res.etag, version, fromCache: false };
+}
+
+// Questions from the first source keep their IDs; questions from later
+// sources are namespaced as `${source.id}:${ID}` so two banks can never collide.
+// LegacyID gets the same prefix so buildLegacyIdRemap maps a later source's
+// old IDs onto its own questions rather than onto the first source's.
+export function namespaceQuestions(questions, source, index) {
+  if (index === 0) return questions;
+  return questions.map(q => ({
+    ...q,
+    ID: `${source.id}:${q.ID}`,
+    ...(q.LegacyID ? { LegacyID: `${source.id}:${q.LegacyID}` } : {})
+  }));
+}
+
+/**
+ * Read the last cached copy of every source and merge it, without touching
+ * the network. Returns null if any required source has never been cached.
+ *
+ * @param {string|Object|Array} sources - Source descriptors
+ * @returns {Promise<{questions: Array, version: string}|null>}
+ */
+export async function loadCachedQuestionBanks(sources) {
+  const list = normalizeSources(sources);
+  const records = (await Promise.all(list.map(s => idbGet(STORES.QUESTION_BANKS, getSourceCacheKey(s)))))
+    .map(record => (isCurrentFormat(record) ? record : null));
+
+  if (list.some((s, i) => !s.optional && !records[i])) return null;
+
+  const questions = [];
+  records.forEach((record, i) => {
+    if (record) questions.push(...namespaceQuestions(record.questions || [], list[i], i));
+  });
+
+  return {
+    questions,
+    version: records.map(r => r?.version || '-').join('.')
+  };
+}
+
+/**
+ * Load several sources and merge them into one bank.
+ *
+ * Each source is revalidated against its IndexedDB copy and the cache is
+ * refreshed with whatever changed. Optional sources that fail are skipped
+ * with a warning; a required source failing rejects the whole load.
+ *
+ * @param {string|Object|Array} sources - Source descriptors
+ * @returns {Promise<{questions: Array, sources: Array, version: string}>} Merged bank + per-source status
+ */
+export async function loadQuestionBanks(sources) {
+  const list = normalizeSources(sources);
+  const cacheKeys = list.map(getSourceCacheKey);
+  const cached = await Promise.all(cacheKeys.map(key => idbGet(STORES.QUESTION_BANKS, key)));
+  const settled = await Promise.allSettled(list.map((s, i) => loadQuestionSource(s, cached[i])));
+
+  const questions = [];
+  const status = [];
+  const versions = [];
+
+  settled.forEach((result, i) => {
+    const source = list[i];
+
+    if (result.status === 'rejected') {
+      status.push({ id: source.id, ok: false, count: 0, error: String(result.reason?.message || result.reason) });
+      versions.push('-');
+      if (!source.optional) {
+        throw result.reason instanceof Error ? result.reason : new Error(String(result.reason));
+      }
+      console.warn(`⚠️ Optional question source "${source.id}" failed to load:`, result.reason);
+      return;
+    }
+
+    const loaded = result.value;
+    if (!loaded.fromCache) {
+      idbPut(STORES.QUESTION_BANKS, cacheKeys[i], {
+        etag: loaded.etag,
+        version: loaded.version,
+        questions: loaded.questions,
+        savedAt: new Date().toISOString()
+      });
+    }
+
+    const namespaced = namespaceQuestions(loaded.questions, source, i);
+    questions.push(...namespaced);
+    versions.push(loaded.version);
+    status.push({ id: source.id, ok: true, count: namespaced.length, fromCache: loaded.fromCache });
+  });
+
+  return { questions, sources: status, version: versions.join('.') };
+}
+
+/**
+ * Diff two versions of a merged bank by question ID.
+ *
+ * `remap` maps removed IDs to the question that replaced them (same content
+ * under a new sheet ID, or an edited question with the same sheet ID).
+ *
+ * @param {Array} previous - Previously displayed questions
+ * @param {Array} next - Freshly loaded questions
+ * @returns {{added: Array<string>, changed: Array<string>, removed: Array<string>, remap: Object}} Question IDs
+ */
+export function diffQuestionBanks(previous = [], next = []) {
+  const prevById = new Map(previous.map(q => [q.ID, q]));
+  const nextIds = new Set();
+  const added = [];
+  const changed = [];
+
+  next.forEach((q) => {
+    nextIds.add(q.ID);
+    const prev = prevById.get(q.ID);
+    if (!prev) added.push(q.ID);
+    else if (JSON.stringify(prev) !== JSON.stringify(q)) changed.push(q.ID);
+  });
+
+  const removed = previous.filter(q => !nextIds.has(q.ID)).map(q => q.ID);
+
+  return { added, changed, removed, remap: buildIdRemap(previous, next) };
+}
+
+/**
+ * Remap stored question-ID references (SRS cards, mistakes, comments,
+ * attempts, ...) after the bank re-keys its questions. Runs server-side via
+ * the `remapQuestionIds` callable: every user's data for admins, only the
+ * caller's own data otherwise. Defaults to a dry run.
+ *
+ * @param {Object} remap - { [oldId]: newId }
+ * @param {Object} options
+ * @param {boolean} options.dryRun - Only count affected docs (default true)
+ * @returns {Promise<Object>} Per-collection counts
+ */
+export async function remapQuestionReferences(remap, { dryRun = true } = {}) {
+  const { getFunctions, httpsCallable } = await import('firebase/functions');
+  const functions = getFunctions(app, 'asia-east1');
+  const callable = httpsCallable(functions, 'remapQuestionIds');
+  const res = await callable({ remap, dryRun });
+  return res.data;
+}
+
+const PENDING_REMAP_KEY = 'pendingQuestionIdRemap';
+
+function readPendingRemap() {
+  try {
+    return JSON.parse(localStorage.getItem(PENDING_REMAP_KEY)) || {};
+  } catch {
+    return {};
+  }
+}
+
+// Every useQuizData instance syncs after its refresh; they share one callable
+// run instead of each sending the same map.
+let remapInFlight = null;
+
+async function sendPendingRemap() {
+  await auth.authStateReady();
+  if (!auth.currentUser) return null;
+
+  const sent = localStorage.getItem(PENDING_REMAP_KEY);
+  const pending = readPendingRemap();
+  if (Object.keys(pending).length === 0) return null;
+
+  try {
+    const res = await remapQuestionReferences(pending, { dryRun: false });
+    // A refresh that landed meanwhile added to the map; keep it for next time
+    if (localStorage.getItem(PENDING_REMAP_KEY) === sent) {
+      localStorage.removeItem(PENDING_REMAP_KEY);
+    }
+    console.log('🔁 Remapped question references:', res?.counts);
+    return res;
+  } catch (error) {
+    console.warn('⚠️ Question ID remap failed, will retry on next load:', error);
+    return null;
+  }
+}
+
+/**
+ * Move the signed-in user's SRS cards, mistakes, attempts, ... onto the IDs a
+ * bank refresh re-keyed (see diffQuestionBanks' `remap`).
+ *
+ * The map is kept in localStorage until the callable succeeds, so a refresh
+ * while signed out or offline is applied on a later load; maps from several
+ * refreshes are chained. Concurrent calls share the run already in flight.
+ *
+ * @param {Object} [remap] - { [oldId]: newId } from the latest refresh
+ * @returns {Promise<Object|null>} Callable result, or null if nothing was sent
+ */
+export function syncQuestionIdRemap(remap = {}) {
+  const pending = composeIdRemaps(readPendingRemap(), remap);
+  if (Object.keys(pending).length === 0) return remapInFlight || Promise.resolve(null);
+  localStorage.setItem(PENDING_REMAP_KEY, JSON.stringify(pending));
+
+  if (!remapInFlight) {
+    remapInFlight = sendPendingRemap().finally(() => {
+      remapInFlight = null;
+    });
+  }
+  return remapInFlight;
+}
@@ -0,0 +1,214 @@
+// @vitest-environment jsdom
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { buildLegacyIdRemap } from '../utils/questionId';
+import { QUESTION_FORMAT_VERSION } from '../utils/questionParser';
+
+const remapCallable = vi.fn();
+const idbStore = new Map();
+
+vi.mock('../firebase/config', () => ({
+  default: {},
+  db: {},
+  auth: { authStateReady: async () => {}, currentUser: { uid: 'u1' } }
+}));
+vi.mock('firebase/firestore', () => ({}));
+vi.mock('firebase/functions', () => ({
+  getFunctions: () => ({}),
+  httpsCallable: () => remapCallable
+}));
+vi.mock('../utils/indexedDb', () => ({
+  STORES: { QUESTION_BANKS: 'question_banks' },
+  idbGet: vi.fn(async (store, key) => idbStore.get(key) ?? null),
+  idbPut: vi.fn(async (store, key, value) => { idbStore.set(key, value); return true; })
+}));
+
+const {
+  namespaceQuestions,
+  syncQuestionIdRemap,
+  loadQuestionBanks,
+  loadCachedQuestionBanks,
+  diffQuestionBanks
+} = await import('./questionBankService');
+
+const school = { id: 'school' };
+
+describe('namespaceQuestions', () => {
+  it('leaves the first source untouched', () => {
+    const questions = [{ ID: 'Q1-abc', LegacyID: 'Q1-0' }];
+    expect(namespaceQuestions(questions, school, 0)).toBe(questions);
+  });
+
+  it('prefixes ID and LegacyID of later sources', () => {
+    const [q] = namespaceQuestions([{ ID: 'Q1-abc', LegacyID: 'Q1-0' }], school, 1);
+    expect(q.ID).toBe('school:Q1-abc');
+    expect(q.LegacyID).toBe('school:Q1-0');
+  });
+
+  it('keeps legacy remaps of different sources apart', () => {
+    const master = [{ ID: 'Q1-abc', LegacyID: 'Q1-0' }];
+    const extra = namespaceQuestions([{ ID: 'Q1-def', LegacyID: 'Q1-0' }], school, 1);
+    expect(buildLegacyIdRemap([...master, ...extra])).toEqual({
+      'Q1-0': 'Q1-abc',
+      'school:Q1-0': 'school:Q1-def'
+    });
+  });
+
+  it('does not invent a LegacyID', () => {
+    const [q] = namespaceQuestions([{ ID: 'Q1-abc' }], school, 1);
+    expect(q).not.toHaveProperty('LegacyID');
+  });
+});
+
+describe('diffQuestionBanks', () => {
+  it('maps re-keyed questions to their replacements', async () => {
+    const { diffQuestionBanks } = await import('./questionBankService');
+    const previous = [
+      { ID: 'Q1-aaa', SheetID: 'Q1', ContentHash: 'aaa' },
+      { ID: 'Q2-bbb', SheetID: 'Q2', ContentHash: 'bbb' },
+      { ID: 'Q3-ccc', SheetID: 'Q3', ContentHash: 'ccc' }
+    ];
+    const next = [
+      { ID: 'Q1-aaa', SheetID: 'Q1', ContentHash: 'aaa' },
+      { ID: 'Q9-bbb', SheetID: 'Q9', ContentHash: 'bbb' },
+      { ID: 'Q3-ddd', SheetID: 'Q3', ContentHash: 'ddd' }
+    ];
+    const diff = diffQuestionBanks(previous, next);
+    expect(diff.removed).toEqual(['Q2-bbb', 'Q3-ccc']);
+    expect(diff.remap).toEqual({ 'Q2-bbb': 'Q9-bbb', 'Q3-ccc': 'Q3-ddd' });
+  });
+});
+
+describe('syncQuestionIdRemap', () => {
+  it('sends one remap for concurrent callers', async () => {
+    let finish;
+    remapCallable.mockReturnValueOnce(new Promise(resolve => { finish = resolve; }));
+
+    // App, forum and profile pages each sync after the same refresh
+    const calls = [
+      syncQuestionIdRemap({ 'Q1-old': 'Q1-new' }),
+      syncQuestionIdRemap({ 'Q1-old': 'Q1-new' }),
+      syncQuestionIdRemap({})
+    ];
+    await vi.waitFor(() => expect(remapCallable).toHaveBeenCalledTimes(1));
+    finish({ data: { counts: { srsCards: 1 } } });
+
+    const results = await Promise.all(calls);
+    expect(remapCallable).toHaveBeenCalledWith({ remap: { 'Q1-old': 'Q1-new' }, dryRun: false });
+    expect(results).toEqual([{ counts: { srsCards: 1 } }, { counts: { srsCards: 1 } }, { counts: { srsCards: 1 } }]);
+    expect(localStorage.getItem('pendingQuestionIdRemap')).toBeNull();
+
+    expect(await syncQuestionIdRemap({})).toBeNull();
+    expect(remapCallable).toHaveBeenCalledTimes(1);
+  });
+
+  it('keeps a map that arrived during the run for next time', async () => {
+    let finish;
+    remapCallable.mockReturnValueOnce(new Promise(resolve => { finish = resolve; }));
+
+    const first = syncQuestionIdRemap({ 'Q2-old': 'Q2-new' });
+    await vi.waitFor(() => expect(remapCallable).toHaveBeenCalledTimes(2));
+    const second = syncQuestionIdRemap({ 'Q3-old': 'Q3-new' });
+    finish({ data: {} });
+    await Promise.all([first, second]);
+
+    expect(JSON.parse(localStorage.getItem('pendingQuestionIdRemap'))).toEqual({
+      'Q2-old': 'Q2-new',
+      'Q3-old': 'Q3-new'
+    });
+  });
+});
+
+describe('question bank cache', () => {
+  const master = { id: 'master', type: 'bundle', path: '/banks/master.json' };
+  const extra = { id: 'extra', type: 'bundle', path: '/banks/extra.json', optional: true };
+
+  const row = (id, question, correct = 'A') => ({
+    ID: id, Topic: 'Acids', Question: question, OptionA: 'a', OptionB: 'b', OptionC: 'c', OptionD: 'd', CorrectOption: correct
+  });
+
+  // Serve bank files from `files` ({ path: rows }); a matching If-None-Match gets a 304
+  function serve(files) {
+    const fetch = vi.fn(async (url, { headers } = {}) => {
+      if (!(url in files)) return { ok: false, status: 404 };
+      const etag = `"${url}:${files[url].length}"`;
+      if (headers?.['If-None-Match'] === etag) return { ok: false, status: 304 };
+      return { ok: true, status: 200, text: async () => JSON.stringify(files[url]), headers: { get: () => etag } };
+    });
+    vi.stubGlobal('fetch', fetch);
+    return fetch;
+  }
+
+  beforeEach(() => {
+    idbStore.clear();
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('renders from the cache without touching the network', async () => {
+    expect(await loadCachedQuestionBanks([master])).toBeNull();
+
+    serve({ '/banks/master.json': [row('Q1', 'First?'), row('Q2', 'Second?')] });
+    const loaded = await loadQuestionBanks([master]);
+    expect(loaded.sources).toEqual([{ id: 'master', ok: true, count: 2, fromCache: false }]);
+
+    const fetch = serve({});
+    const cached = await loadCachedQuestionBanks([master]);
+    expect(fetch).not.toHaveBeenCalled();
+    expect(cached.questions.map(q => q.ID)).toEqual(loaded.questions.map(q => q.ID));
+    expect(cached.version).toBe(loaded.version);
+  });
+
+  it('reuses the cached copy when the bank has not changed', async () => {
+    const files = { '/banks/master.json': [row('Q1', 'First?')] };
+    serve(files);
+    const first = await loadQuestionBanks([master]);
+
+    const fetch = serve(files);
+    const second = await loadQuestionBanks([master]);
+    expect(fetch.mock.calls[0][1].headers['If-None-Match']).toBeTruthy();
+    expect(second.sources[0].fromCache).toBe(true);
+    expect(second.version).toBe(first.version);
+  });
+
+  it('replaces the cached copy when the bank changes', async () => {
+    serve({ '/banks/master.json': [row('Q1', 'First?')] });
+    const first = await loadQuestionBanks([master]);
+
+    serve({ '/banks/master.json': [row('Q1', 'First?'), row('Q2', 'Second?')] });
+    const second = await loadQuestionBanks([master]);
+    expect(second.sources[0].fromCache).toBe(false);
+    expect(second.version).not.toBe(first.version);
+    expect((await loadCachedQuestionBanks([master])).questions).toHaveLength(2);
+    expect(diffQuestionBanks(first.questions, second.questions).added).toEqual([second.questions[1].ID]);
+  });
+
+  it('ignores a copy parsed by an older formatter', async () => {
+    idbStore.set('bundle|master|/banks/master.json|', {
+      etag: '"/banks/master.json:1"',
+      version: `${QUESTION_FORMAT_VERSION - 1}.abc`,
+      questions: [{ ID: 'stale' }]
+    });
+    expect(await loadCachedQuestionBanks([master])).toBeNull();
+
+    serve({ '/banks/master.json': [row('Q1', 'First?')] });
+    const loaded = await loadQuestionBanks([master]);
+    expect(loaded.sources[0].fromCache).toBe(false);
+    expect(loaded.questions[0].ID).not.toBe('stale');
+  });
+
+  it('does not wait on an optional source that was never cached or fails', async () => {
+    serve({ '/banks/master.json': [row('Q1', 'First?')] });
+    const loaded = await loadQuestionBanks([master, extra]);
+    expect(loaded.sources.map(s => [s.id, s.ok])).toEqual([['master', true], ['extra', false]]);
+
+    const cached = await loadCachedQuestionBanks([master, extra]);
+    expect(cached.questions).toHaveLength(1);
+  });
+
+  it('rejects when a required source fails', async () => {
+    serve({});
+    await expect(loadQuestionBanks([master])).rejects.toThrow(/404/);
+  });
+});
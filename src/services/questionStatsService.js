@@ -0,0 +1,127 @@
+/**
+ * Question Stats Service
+ *
+ * Reads the per-question difficulty stats aggregated by Cloud Functions
+ * (pValue, discrimination, avgTimeMs, difficulty, answer counts) and attaches
+ * them to question objects.
+ *
+ * The nightly refresh packs every question's stats into a few
+ * question_stats_summary/part_{n} docs, so the client reads those rather than
+ * one question_stats doc per question. It keeps a copy in IndexedDB and only
+ * re-reads the summary when that copy is older than STATS_TTL_MS.
+ */
+
+import { collection, getDocs } from 'firebase/firestore';
+import { db } from '../firebase/config';
+import { idbGet, idbPut, STORES } from '../utils/indexedDb';
+
+const SUMMARY_COLLECTION = 'question_stats_summary';
+const STATS_CACHE_KEY = 'all';
+const STATS_TTL_MS = 12 * 60 * 60 * 1000;
+
+export const DIFFICULTY_LEVELS = ['easy', 'medium', 'hard'];
+
+let memoryCache = null;
+let inflight = null;
+
+/**
+ * Load every question's stats.
+ *
+ * @param {Object} [options]
+ * @param {boolean} [options.force=false] - Ignore the local cache
+ * @returns {Promise<Object>} Map of questionId → stats
+ */
+export function getQuestionStats({ force = false } = {}) {
+  // Several pages mount useQuizData at once; share one read.
+  if (!force && inflight) return inflight;
+  inflight = fetchQuestionStats(force).finally(() => {
+    inflight = null;
+  });
+  return inflight;
+}
+
+function normalizeStats(data = {}) {
+  const counts = data.answerCounts || {};
+  return {
+    responses: Number(data.responses || 0),
+    pValue: data.pValue ?? null,
+    discrimination: data.discrimination ?? null,
+    avgTimeMs: data.avgTimeMs ?? null,
+    difficulty: DIFFICULTY_LEVELS.includes(data.difficulty) ? data.difficulty : null,
+    answerCounts: {
+      A: Number(counts.A || 0),
+      B: Number(counts.B || 0),
+      C: Number(counts.C || 0),
+      D: Number(counts.D || 0)
+    }
+  };
+}
+
+async function fetchQuestionStats(force) {
+  const now = Date.now();
+  if (!force && memoryCache && now - memoryCache.fetchedAt < STATS_TTL_MS) {
+    return memoryCache.stats;
+  }
+
+  if (!force) {
+    const cached = await idbGet(STORES.QUESTION_STATS, STATS_CACHE_KEY);
+    if (cached && now - cached.fetchedAt < STATS_TTL_MS) {
+      memoryCache = cached;
+      return cached.stats;
+    }
+  }
+
+  try {
+    const snapshot = await getDocs(collection(db, SUMMARY_COLLECTION));
+    const stats = {};
+    snapshot.docs.forEach(d => {
+      Object.entries(d.data()?.stats || {}).forEach(([questionId, data]) => {
+        stats[questionId] = normalizeStats(data);
+      });
+    });
+
+    memoryCache = { stats, fetchedAt: now };
+    await idbPut(STORES.QUESTION_STATS, STATS_CACHE_KEY, memoryCache);
+    return stats;
+  } catch (error) {
+    console.warn('⚠️ Could not load question stats:', error);
+    // Stale stats beat none
+    const cached = memoryCache || await idbGet(STORES.QUESTION_STATS, STATS_CACHE_KEY);
+    return cached?.stats || {};
+  }
+}
+
+/**
+ * Attach stats to questions as Difficulty / PValue / Discrimination / AvgTimeMs
+ * and AnswerCounts ({ A, B, C, D } picks in past quizzes).
+ * A measured difficulty overrides the sheet's Difficulty column; without
+ * enough data the sheet value (or null) is kept.
+ *
+ * @param {Array<Object>} questions
+ * @param {Object} stats - Map from getQuestionStats()
+ * @returns {Array<Object>} New question objects
+ */
+export function applyQuestionStats(questions, stats) {
+  if (!Array.isArray(questions)) return [];
+  if (!stats) return questions;
+  return questions.map(q => {
+    const s = stats[q.ID];
+    if (!s) return q;
+    return {
+      ...q,
+      Difficulty: s.difficulty || q.Difficulty || null,
+      PValue: s.pValue,
+      Discrimination: s.discrimination,
+      AvgTimeMs: s.avgTimeMs,
+      StatsResponses: s.responses,
+      AnswerCounts: s.answerCounts || null
+    };
+  });
+}
+
+export const questionStatsService = {
+  getQuestionStats,
+  applyQuestionStats
+};
+
+export default questionStatsService;
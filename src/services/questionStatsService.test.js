@@ -0,0 +1,33 @@
+import { describe, it, expect, vi } from 'vitest';
+
+const getDocs = vi.fn();
+const collection = vi.fn((db, name) => name);
+
+vi.mock('../firebase/config', () => ({ default: {}, db: {} }));
+vi.mock('firebase/firestore', () => ({ collection, getDocs }));
+vi.mock('../utils/indexedDb', () => ({
+  STORES: { QUESTION_STATS: 'question_stats' },
+  idbGet: vi.fn(async () => null),
+  idbPut: vi.fn(async () => true)
+}));
+
+const { getQuestionStats } = await import('./questionStatsService');
+
+const part = stats => ({ data: () => ({ stats }) });
+
+describe('getQuestionStats', () => {
+  it('reads the summary parts, not one doc per question', async () => {
+    getDocs.mockResolvedValueOnce({
+      docs: [
+        part({ 'Q1-abc': { responses: 30, pValue: 0.8, difficulty: 'easy', answerCounts: { A: 24, B: 6 } } }),
+        part({ 'school:Q2-def': { responses: 5, pValue: null, difficulty: 'bogus' } })
+      ]
+    });
+
+    const stats = await getQuestionStats({ force: true });
+
+    expect(collection).toHaveBeenCalledWith({}, 'question_stats_summary');
+    expect(stats['Q1-abc']).toMatchObject({ responses: 30, pValue: 0.8, difficulty: 'easy', answerCounts: { A: 24, B: 6, C: 0, D: 0 } });
+    expect(stats['school:Q2-def']).toMatchObject({ responses: 5, pValue: null, difficulty: null });
+  });
+});
@@ -60,8 +60,12 @@ async function upsertMistakeIndex(userId, wrongAnswers, userAnswers, attemptId)
  * 1. Records performance data for AI recommendations
  * 2. Creates SRS cards for wrong answers using JIT scheduling
  * 3. Logs completion to calendar with full metadata
+ *
+ * Pass { createSrsCards: false } for SRS review sessions: their cards are
+ * scheduled by the review submission, so a wrong answer isn't also a new
+ * mistake lapse.
  */
-export async function processQuizCompletion(userId, questions, userAnswers, attemptId = null) {
+export async function processQuizCompletion(userId, questions, userAnswers, attemptId = null, { createSrsCards = true } = {}) {
   const results = {
     performanceRecorded: false,
     srsCardsCreated: 0,
@@ -102,7 +106,9 @@ export async function processQuizCompletion(userId, questions, userAnswers, atte
       results.errors.push('Mistake index update failed: ' + error.message);
     }
     
-    if (wrongAnswers.length > 0) {
+    if (!createSrsCards) {
+      console.log('⏭️ SRS review session, cards scheduled by the review itself');
+    } else if (wrongAnswers.length > 0) {
       console.log(`📝 Found ${wrongAnswers.length} wrong answers`);
       
       try {
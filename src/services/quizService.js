@@ -34,6 +34,20 @@ export const quizService = {
         questionTimes: attemptData.questionTimes || null,
         answers: attemptData.answers || null,
         questions: attemptData.questions || null,
+        // Shuffled display order per question; answers above are sheet letters
+        optionOrders: attemptData.optionOrders || null,
+        mode: attemptData.mode || null,
+        ...(attemptData.mode === 'millionaire' && {
+          millionaireLevelReached: attemptData.millionaireLevelReached ?? null,
+          millionaireFinalReward: attemptData.millionaireFinalReward ?? null,
+          millionaireReason: attemptData.millionaireReason || null,
+          millionaireWin: Boolean(attemptData.millionaireWin),
+        }),
+        ...(attemptData.mode === 'mock-paper' && {
+          mockPaperSource: attemptData.mockPaperSource || null,
+          mockPaperYear: attemptData.mockPaperYear ?? null,
+          estimatedLevel: attemptData.estimatedLevel || null,
+        }),
       });
 
       const userRef = doc(db, 'users', userId);
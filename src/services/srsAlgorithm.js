@@ -4,12 +4,27 @@
  * CRITICAL RULES:
  * 1. Never pre-schedule multiple reviews
  * 2. Only calculate next_review_date after user submits attempt
- * 3. Failed cards ALWAYS reset to interval=1 (tomorrow)
- * 4. Ease factor decreases on failure, never increases
+ * 3. Failed cards (grade "again") ALWAYS reset to interval=1 (tomorrow)
+ * 4. Ease factor follows SM-2: hard lowers it, good keeps it, easy raises it
+ *
+ * Reviews are graded Again / Hard / Good / Easy (1–4, like Anki's buttons).
+ * A plain boolean is still accepted: true = Good, false = Again.
+ *
+ * Scheduling is pluggable (see SCHEDULERS): SM-2 below, or FSRS
+ * (fsrsAlgorithm.js), chosen per user. Every scheduler writes the shared
+ * fields (interval, easeFactor, repetitionCount, status) so a card keeps
+ * working when the user switches algorithms.
  */
 
 import { getNow } from '../utils/timeTravel';
 import { formatHKDateKey } from '../utils/hkTime';
+import {
+  nextMemoryState,
+  nextIntervalDays,
+  elapsedDaysBetween,
+  retrievability,
+  FSRS_CONFIG
+} from './fsrsAlgorithm';
 
 // SRS Constants
 const SRS_CONFIG = {
@@ -22,14 +37,39 @@ const SRS_CONFIG = {
   FIRST_SUCCESS_INTERVAL: 1,     // After first correct: 1 day
   SECOND_SUCCESS_INTERVAL: 6,    // After second correct: 6 days
   
-  // Ease factor adjustments
-  EASE_PENALTY: 0.20,            // Subtract on failure
+  // Ease factor adjustments (SM-2: EF' = EF + 0.1 - (5-q)(0.08 + (5-q)0.02))
   MIN_EASE_FACTOR: 1.3,          // Floor (never go below)
-  MAX_EASE_FACTOR: 2.5,          // Ceiling (never go above)
+  MAX_EASE_FACTOR: 3.0,          // Ceiling, so easy cards can recover past the start value
+  
+  // Grade modifiers on top of the ease-based interval
+  HARD_INTERVAL_MULTIPLIER: 1.2, // Hard: grow slowly instead of by the ease factor
+  HARD_SECOND_INTERVAL: 3,       // Hard on the second review: 3 days instead of 6
+  EASY_BONUS: 1.3,               // Easy: extra multiplier on the interval
+  EASY_FIRST_INTERVAL: 4,        // Easy on a new card skips straight to 4 days
   
   // Graduation threshold
   GRADUATION_THRESHOLD: 5,       // After 5 successful reviews, consider "mastered"
   
+  // In-session relearning: a card graded Again comes back after each step
+  // (minutes) and must be answered correctly at every step before the
+  // session can be submitted and its next interval saved
+  RELEARNING_STEPS_MINUTES: [1, 10],
+  
+  // Interval fuzz: intervals of 3+ days may land a few days either side
+  // (the load balancer picks the quietest day), so cards reviewed together
+  // don't all come back together. [from, to, fraction of days in that band]
+  FUZZ_MIN_INTERVAL: 3,
+  FUZZ_BANDS: [[2.5, 7, 0.15], [7, 20, 0.1], [20, Infinity, 0.05]],
+  
+  // Leeches: a card becomes a leech on its Nth lapse and the leech action
+  // fires again every N/2 lapses after that
+  LEECH_THRESHOLD: 8,
+  
+  // Early reviews (custom study ahead of schedule) earn credit in proportion
+  // to how much of the interval has passed; below this share a pass doesn't
+  // count as a repetition, so cramming can't graduate a card
+  EARLY_REVIEW_MIN_CREDIT: 0.5,
+  
   // Status states
   STATUS: {
     NEW: 'new',                  // Never reviewed
@@ -40,67 +80,160 @@ const SRS_CONFIG = {
 };
 
 /**
- * Calculate next interval based on SRS state and result
+ * What happens to a card when it turns into a leech
+ */
+export const LEECH_ACTIONS = {
+  TAG: 'tag',           // Flag it, keep scheduling as normal
+  SUSPEND: 'suspend',   // Take it out of reviews until restored
+  CLINIC: 'clinic'      // Hold it for a leech clinic session
+};
+
+// archiveReason for leeches taken out of rotation
+export const LEECH_ARCHIVE_REASONS = {
+  [LEECH_ACTIONS.SUSPEND]: 'leech_suspended',
+  [LEECH_ACTIONS.CLINIC]: 'leech_clinic'
+};
+
+/**
+ * Review grades, numbered like Anki's answer buttons
+ */
+export const SRS_GRADES = {
+  AGAIN: 1,   // Wrong, or right by luck: relearn tomorrow
+  HARD: 2,    // Right, but slow / unsure
+  GOOD: 3,    // Right with normal effort
+  EASY: 4     // Right instantly and confidently
+};
+
+// SM-2 response quality (0–5) for each grade
+const GRADE_QUALITY = {
+  [SRS_GRADES.AGAIN]: 2,
+  [SRS_GRADES.HARD]: 3,
+  [SRS_GRADES.GOOD]: 4,
+  [SRS_GRADES.EASY]: 5
+};
+
+// Self-reported confidence recorded with each attempt
+const GRADE_CONFIDENCE = {
+  [SRS_GRADES.AGAIN]: 'none',
+  [SRS_GRADES.HARD]: 'low',
+  [SRS_GRADES.GOOD]: 'medium',
+  [SRS_GRADES.EASY]: 'high'
+};
+
+/**
+ * Normalize a grade. Accepts 1–4, 'again' | 'hard' | 'good' | 'easy',
+ * or a legacy boolean wasCorrect.
+ *
+ * @param {number|string|boolean} value
+ * @returns {number} One of SRS_GRADES
+ */
+export function normalizeGrade(value) {
+  if (value === true) return SRS_GRADES.GOOD;
+  if (value === false || value === null || value === undefined) return SRS_GRADES.AGAIN;
+  if (typeof value === 'string') {
+    const named = SRS_GRADES[value.trim().toUpperCase()];
+    if (named) return named;
+  }
+  const n = Math.round(Number(value));
+  if (n >= SRS_GRADES.AGAIN && n <= SRS_GRADES.EASY) return n;
+  return SRS_GRADES.AGAIN;
+}
+
+/**
+ * Confidence label for a grade ('none' | 'low' | 'medium' | 'high')
+ */
+export function getGradeConfidence(grade) {
+  return GRADE_CONFIDENCE[normalizeGrade(grade)];
+}
+
+// Response-time thresholds for the suggested grade, relative to how long the
+// question takes just to read (stem + options). A 20-second answer is quick
+// for a one-line recall question but a normal pace for a long stoichiometry
+// one, so a fixed cut-off over-suggests Easy.
+const GRADE_SUGGESTION = {
+  READ_CHARS_PER_SECOND: 15,
+  EASY_READ_FRACTION: 0.5,   // Easy: answered in under half the reading time
+  HARD_READ_MULTIPLE: 4,     // Hard: over 4x the reading time...
+  HARD_MIN_SECONDS: 90       // ...and never under 90s
+};
+
+function getReadingSeconds(question) {
+  const text = ['Question', 'OptionA', 'OptionB', 'OptionC', 'OptionD']
+    .map(field => String(question?.[field] || ''))
+    .join(' ')
+    .replace(/<[^>]*>/g, ' ')
+    .replace(/&[a-z#0-9]+;/gi, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+  return text.length / GRADE_SUGGESTION.READ_CHARS_PER_SECOND;
+}
+
+/**
+ * Suggested grade from correctness and response time, used as the default
+ * button. Wrong answers are always Again; a correct answer is Good unless it
+ * was much faster (Easy) or slower (Hard) than the question's reading time.
+ * Without the question, or for questions marked hard, Easy isn't suggested.
+ *
+ * @param {boolean} wasCorrect
+ * @param {number} responseTimeMs
+ * @param {Object} [question] - The question answered (for its length)
+ * @returns {number} One of SRS_GRADES
+ */
+export function suggestGrade(wasCorrect, responseTimeMs, question = null) {
+  if (!wasCorrect) return SRS_GRADES.AGAIN;
+  const seconds = Number(responseTimeMs || 0) / 1000;
+  const readingSeconds = question ? getReadingSeconds(question) : 0;
+  if (seconds > Math.max(GRADE_SUGGESTION.HARD_MIN_SECONDS, readingSeconds * GRADE_SUGGESTION.HARD_READ_MULTIPLE)) {
+    return SRS_GRADES.HARD;
+  }
+  if (
+    seconds > 0
+    && question?.Difficulty !== 'hard'
+    && seconds <= readingSeconds * GRADE_SUGGESTION.EASY_READ_FRACTION
+  ) {
+    return SRS_GRADES.EASY;
+  }
+  return SRS_GRADES.GOOD;
+}
+
+/**
+ * SM-2 ease factor update for a grade
+ *
+ * @param {number} easeFactor - Current ease factor
+ * @param {number} grade - One of SRS_GRADES
+ * @returns {number} New ease factor, clamped to [MIN, MAX]
+ */
+export function adjustEaseFactor(easeFactor, grade) {
+  const q = GRADE_QUALITY[normalizeGrade(grade)];
+  const delta = 0.1 - (5 - q) * (0.08 + (5 - q) * 0.02);
+  const next = Number(easeFactor || SRS_CONFIG.INITIAL_EASE_FACTOR) + delta;
+  const clamped = Math.min(SRS_CONFIG.MAX_EASE_FACTOR, Math.max(SRS_CONFIG.MIN_EASE_FACTOR, next));
+  return Math.round(clamped * 100) / 100;
+}
+
+/**
+ * Calculate next interval based on SRS state and grade
  * 
  * @param {Object} currentState - Current SRS state
  * @param {number} currentState.interval - Current interval in days
  * @param {number} currentState.easeFactor - Current ease factor
  * @param {number} currentState.repetitionCount - Number of successful reviews
  * @param {string} currentState.status - Current status
- * @param {boolean} wasCorrect - Did user answer correctly?
+ * @param {number|string|boolean} grade - SRS_GRADES value (or legacy wasCorrect)
  * @returns {Object} New SRS state
  */
-export function calculateNextInterval(currentState, wasCorrect) {
+export function calculateNextInterval(currentState, grade) {
   const {
     interval = SRS_CONFIG.INITIAL_INTERVAL,
     easeFactor = SRS_CONFIG.INITIAL_EASE_FACTOR,
-    repetitionCount = SRS_CONFIG.INITIAL_REPETITION_COUNT,
-    status = SRS_CONFIG.STATUS.NEW
+    repetitionCount = SRS_CONFIG.INITIAL_REPETITION_COUNT
   } = currentState;
 
-  // SUCCESS CASE
-  if (wasCorrect) {
-    let nextInterval;
-    let nextStatus;
-    const nextRepetitionCount = repetitionCount + 1;
-    
-    // First successful review: 1 day
-    if (repetitionCount === 0) {
-      nextInterval = SRS_CONFIG.FIRST_SUCCESS_INTERVAL;
-      nextStatus = SRS_CONFIG.STATUS.LEARNING;
-    }
-    // Second successful review: 6 days
-    else if (repetitionCount === 1) {
-      nextInterval = SRS_CONFIG.SECOND_SUCCESS_INTERVAL;
-      nextStatus = SRS_CONFIG.STATUS.REVIEW;
-    }
-    // Third+ successful review: multiply by ease factor
-    else {
-      nextInterval = Math.round(interval * easeFactor);
-      nextStatus = SRS_CONFIG.STATUS.REVIEW;
-      
-      // Check for graduation
-      if (nextRepetitionCount >= SRS_CONFIG.GRADUATION_THRESHOLD) {
-        nextStatus = SRS_CONFIG.STATUS.GRADUATED;
-      }
-    }
-    
-    return {
-      interval: nextInterval,
-      easeFactor: easeFactor, // Unchanged on success
-      repetitionCount: nextRepetitionCount,
-      status: nextStatus
-    };
-  }
-  
+  const normalizedGrade = normalizeGrade(grade);
+  const newEaseFactor = adjustEaseFactor(easeFactor, normalizedGrade);
+
   // FAILURE CASE
-  else {
-    // Calculate new ease factor (decrease, but respect floor)
-    const newEaseFactor = Math.max(
-      SRS_CONFIG.MIN_EASE_FACTOR,
-      easeFactor - SRS_CONFIG.EASE_PENALTY
-    );
-    
+  if (normalizedGrade === SRS_GRADES.AGAIN) {
     return {
       interval: 1,                              // Reset to tomorrow
       easeFactor: newEaseFactor,                // Reduced ease
@@ -108,6 +241,231 @@ export function calculateNextInterval(currentState, wasCorrect) {
       status: SRS_CONFIG.STATUS.LEARNING        // Back to learning
     };
   }
+
+  // SUCCESS CASE
+  let nextInterval;
+  let nextStatus;
+  const nextRepetitionCount = repetitionCount + 1;
+
+  // First successful review: 1 day (Easy: 4 days)
+  if (repetitionCount === 0) {
+    nextInterval = normalizedGrade === SRS_GRADES.EASY
+      ? SRS_CONFIG.EASY_FIRST_INTERVAL
+      : SRS_CONFIG.FIRST_SUCCESS_INTERVAL;
+    nextStatus = normalizedGrade === SRS_GRADES.EASY
+      ? SRS_CONFIG.STATUS.REVIEW
+      : SRS_CONFIG.STATUS.LEARNING;
+  }
+  // Second successful review: 6 days (Hard: 3, Easy: 6 × bonus)
+  else if (repetitionCount === 1) {
+    if (normalizedGrade === SRS_GRADES.HARD) {
+      nextInterval = SRS_CONFIG.HARD_SECOND_INTERVAL;
+    } else if (normalizedGrade === SRS_GRADES.EASY) {
+      nextInterval = Math.round(SRS_CONFIG.SECOND_SUCCESS_INTERVAL * SRS_CONFIG.EASY_BONUS);
+    } else {
+      nextInterval = SRS_CONFIG.SECOND_SUCCESS_INTERVAL;
+    }
+    nextStatus = SRS_CONFIG.STATUS.REVIEW;
+  }
+  // Third+ successful review: multiply by ease factor
+  else {
+    if (normalizedGrade === SRS_GRADES.HARD) {
+      nextInterval = Math.round(interval * SRS_CONFIG.HARD_INTERVAL_MULTIPLIER);
+    } else if (normalizedGrade === SRS_GRADES.EASY) {
+      nextInterval = Math.round(interval * newEaseFactor * SRS_CONFIG.EASY_BONUS);
+    } else {
+      nextInterval = Math.round(interval * newEaseFactor);
+    }
+    // A successful review never shortens the interval
+    nextInterval = Math.max(nextInterval, interval + 1);
+    nextStatus = SRS_CONFIG.STATUS.REVIEW;
+
+    // Check for graduation
+    if (nextRepetitionCount >= SRS_CONFIG.GRADUATION_THRESHOLD) {
+      nextStatus = SRS_CONFIG.STATUS.GRADUATED;
+    }
+  }
+
+  return {
+    interval: nextInterval,
+    easeFactor: newEaseFactor,
+    repetitionCount: nextRepetitionCount,
+    status: nextStatus
+  };
+}
+
+// ────────────────────────────────────────────────────────────────────────────
+// SCHEDULERS
+// ────────────────────────────────────────────────────────────────────────────
+
+export const SRS_ALGORITHMS = {
+  SM2: 'sm2',
+  FSRS: 'fsrs'
+};
+
+// FSRS difficulty (1–10) <-> SM-2 ease factor, so either algorithm can pick
+// up a card the other one last scheduled. Ease 2.5 (the SM-2 start) ≈ D 5.
+function easeToDifficulty(easeFactor) {
+  const ease = Number(easeFactor) || SRS_CONFIG.INITIAL_EASE_FACTOR;
+  return Math.min(10, Math.max(1, 5 - (ease - SRS_CONFIG.INITIAL_EASE_FACTOR) * (5 / 1.2)));
+}
+
+function difficultyToEase(difficulty) {
+  const ease = SRS_CONFIG.INITIAL_EASE_FACTOR - (Number(difficulty) - 5) * (1.2 / 5);
+  const clamped = Math.min(SRS_CONFIG.MAX_EASE_FACTOR, Math.max(SRS_CONFIG.MIN_EASE_FACTOR, ease));
+  return Math.round(clamped * 100) / 100;
+}
+
+function statusAfter(grade, repetitionCount) {
+  if (grade === SRS_GRADES.AGAIN) return SRS_CONFIG.STATUS.LEARNING;
+  if (repetitionCount >= SRS_CONFIG.GRADUATION_THRESHOLD) return SRS_CONFIG.STATUS.GRADUATED;
+  return repetitionCount <= 1 ? SRS_CONFIG.STATUS.LEARNING : SRS_CONFIG.STATUS.REVIEW;
+}
+
+const sm2Scheduler = {
+  id: SRS_ALGORITHMS.SM2,
+  schedule(card, grade) {
+    return calculateNextInterval({
+      interval: card.interval,
+      easeFactor: card.easeFactor,
+      repetitionCount: card.repetitionCount,
+      status: card.status
+    }, grade);
+  }
+};
+
+// FSRS memory state is stored as fsrsStability / fsrsDifficulty /
+// fsrsRetrievability. Cards reviewed before that used plain `stability` /
+// `difficulty` / `retrievability`, and `difficulty` clashes with the
+// easy/medium/hard label read by the calendar, so those are read as a
+// fallback and dropped on the next review.
+function getFsrsMemoryState(card) {
+  const stability = Number(card.fsrsStability ?? card.stability);
+  if (!(stability > 0)) return null;
+  return { stability, difficulty: Number(card.fsrsDifficulty ?? card.difficulty) };
+}
+
+function withoutLegacyFsrsFields(card) {
+  const { stability: _stability, retrievability: _retrievability, ...rest } = card;
+  if (typeof rest.difficulty === 'number') delete rest.difficulty;
+  return rest;
+}
+
+const fsrsScheduler = {
+  id: SRS_ALGORITHMS.FSRS,
+  schedule(card, grade, { now = getNow(), weights, requestRetention } = {}) {
+    const lastAt = card.lastReviewedAt || card.createdAt || now;
+    const elapsed = elapsedDaysBetween(lastAt, now);
+
+    // Memory state from the card's last FSRS review; otherwise derive it.
+    // A card is created from a wrong quiz answer, which counts as an Again.
+    let state = null;
+    const stored = getFsrsMemoryState(card);
+    if (card.scheduler === SRS_ALGORITHMS.FSRS && stored) {
+      state = stored;
+    } else if ((card.repetitionCount || 0) > 0 && card.interval > 0) {
+      // Coming from SM-2: it planned this review for ~90% recall after `interval` days
+      state = { stability: card.interval, difficulty: easeToDifficulty(card.easeFactor) };
+    } else {
+      state = nextMemoryState(null, SRS_GRADES.AGAIN, 0, weights);
+    }
+
+    const next = nextMemoryState(state, grade, elapsed, weights);
+    const repetitionCount = grade === SRS_GRADES.AGAIN ? 0 : (card.repetitionCount || 0) + 1;
+    const interval = grade === SRS_GRADES.AGAIN
+      ? SRS_CONFIG.INITIAL_INTERVAL
+      : nextIntervalDays(next.stability, requestRetention ?? FSRS_CONFIG.DEFAULT_REQUEST_RETENTION);
+
+    return {
+      interval,
+      easeFactor: difficultyToEase(next.difficulty),
+      repetitionCount,
+      status: statusAfter(grade, repetitionCount),
+      fsrsStability: Math.round(next.stability * 10000) / 10000,
+      fsrsDifficulty: Math.round(next.difficulty * 10000) / 10000,
+      fsrsRetrievability: next.retrievability === null ? null : Math.round(next.retrievability * 10000) / 10000
+    };
+  }
+};
+
+export const SCHEDULERS = {
+  [SRS_ALGORITHMS.SM2]: sm2Scheduler,
+  [SRS_ALGORITHMS.FSRS]: fsrsScheduler
+};
+
+/**
+ * Look up a scheduler by id (unknown ids fall back to SM-2)
+ *
+ * @param {string} algorithm - One of SRS_ALGORITHMS
+ * @returns {{id: string, schedule: Function}}
+ */
+export function getScheduler(algorithm) {
+  return SCHEDULERS[algorithm] || sm2Scheduler;
+}
+
+// ────────────────────────────────────────────────────────────────────────────
+// IN-SESSION RELEARNING
+// ────────────────────────────────────────────────────────────────────────────
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Start relearning a card that was just graded Again
+ *
+ * @param {number} now - Timestamp (ms)
+ * @returns {{step: number, dueAt: number, done: boolean, history: Array}}
+ */
+export function createRelearnEntry(now = Date.now()) {
+  return {
+    step: 0,
+    dueAt: now + SRS_CONFIG.RELEARNING_STEPS_MINUTES[0] * MINUTE_MS,
+    done: false,
+    history: []
+  };
+}
+
+/**
+ * Record a relearning answer. Again restarts the steps; any other grade
+ * moves to the next step, and passing the last step finishes relearning.
+ *
+ * @param {Object} entry - From createRelearnEntry
+ * @param {number} grade - One of SRS_GRADES
+ * @param {Object} [details] - { answer, timeSpent } stored in the history
+ * @param {number} [now] - Timestamp (ms)
+ * @returns {Object} New entry
+ */
+export function advanceRelearnEntry(entry, grade, details = {}, now = Date.now()) {
+  const steps = SRS_CONFIG.RELEARNING_STEPS_MINUTES;
+  const normalizedGrade = normalizeGrade(grade);
+  const history = [
+    ...(entry?.history || []),
+    { grade: normalizedGrade, answer: details.answer || null, timeSpent: details.timeSpent || null, at: new Date(now).toISOString() }
+  ];
+
+  const step = normalizedGrade === SRS_GRADES.AGAIN ? 0 : (entry?.step || 0) + 1;
+  if (step >= steps.length) {
+    return { step, dueAt: null, done: true, history };
+  }
+  return { step, dueAt: now + steps[step] * MINUTE_MS, done: false, history };
+}
+
+/**
+ * Pick the relearning card to show next: the earliest due one, or (when
+ * `dueOnly` is false, e.g. nothing else is left) the earliest pending one.
+ *
+ * @param {Object} entries - { questionId: entry }
+ * @param {Object} [options]
+ * @param {number} [options.now]
+ * @param {boolean} [options.dueOnly=true]
+ * @returns {string|null} Question ID
+ */
+export function getNextRelearnId(entries, { now = Date.now(), dueOnly = true } = {}) {
+  const pending = Object.entries(entries || {})
+    .filter(([, entry]) => entry && !entry.done)
+    .sort((a, b) => a[1].dueAt - b[1].dueAt);
+  if (pending.length === 0) return null;
+  if (dueOnly && pending[0][1].dueAt > now) return null;
+  return pending[0][0];
 }
 
 /**
@@ -123,6 +481,74 @@ export function calculateNextReviewDate(intervalDays, fromDate = new Date()) {
   return formatHKDateKey(nextDate); // YYYY-MM-DD (HK timezone)
 }
 
+/**
+ * Range of days an interval may be fuzzed to
+ *
+ * @param {number} intervalDays - Scheduled interval
+ * @returns {{min: number, max: number}} Inclusive range (min === max: no fuzz)
+ */
+export function getFuzzRange(intervalDays) {
+  const interval = Math.max(1, Math.round(Number(intervalDays) || 1));
+  if (interval < SRS_CONFIG.FUZZ_MIN_INTERVAL) return { min: interval, max: interval };
+
+  let delta = 1;
+  for (const [from, to, fraction] of SRS_CONFIG.FUZZ_BANDS) {
+    delta += fraction * Math.max(0, Math.min(interval, to) - from);
+  }
+  delta = Math.round(delta);
+
+  return { min: Math.max(2, interval - delta), max: interval + delta };
+}
+
+/**
+ * Pick a day within the fuzz range, favouring days with fewer cards due
+ * (and, between equally busy days, the shorter interval).
+ *
+ * @param {number} intervalDays - Scheduled interval
+ * @param {Object} [options]
+ * @param {Date} [options.now] - Review time
+ * @param {Object} [options.dueCounts] - { 'YYYY-MM-DD': cards already due }
+ * @param {Function} [options.random] - Random source in [0, 1)
+ * @returns {number} Interval in days
+ */
+export function pickBalancedInterval(intervalDays, { now = getNow(), dueCounts = {}, random = Math.random } = {}) {
+  const { min, max } = getFuzzRange(intervalDays);
+  if (min === max) return min;
+
+  const candidates = [];
+  let totalWeight = 0;
+  for (let days = min; days <= max; days++) {
+    const load = Number(dueCounts[calculateNextReviewDate(days, now)] || 0);
+    const weight = 1 / ((load + 1) ** 2 * days);
+    candidates.push({ days, weight });
+    totalWeight += weight;
+  }
+
+  let pick = random() * totalWeight;
+  for (const candidate of candidates) {
+    pick -= candidate.weight;
+    if (pick <= 0) return candidate.days;
+  }
+  return candidates[candidates.length - 1].days;
+}
+
+/**
+ * Move a just-reviewed card to a load-balanced day near its interval
+ *
+ * @param {Object} card - Card returned by updateCardAfterReview({ fuzz: false })
+ * @param {Object} [options] - See pickBalancedInterval
+ * @returns {Object} Card with interval / nextReviewDate adjusted
+ */
+export function balanceCardSchedule(card, options = {}) {
+  const now = options.now || getNow();
+  const interval = pickBalancedInterval(card.interval, { ...options, now });
+  return {
+    ...card,
+    interval,
+    nextReviewDate: calculateNextReviewDate(interval, now)
+  };
+}
+
 /**
  * Check if a card is due for review
  * 
@@ -136,6 +562,20 @@ export function isCardDue(nextReviewDate, now = new Date()) {
   return reviewDate <= today;
 }
 
+/**
+ * Canonical card ID - one card per user + question
+ *
+ * Cards created before deduplication used `card_{userId}_{questionId}_{sessionId}`;
+ * mergeDuplicateSrsCards (Cloud Function) folds those into this ID.
+ *
+ * @param {string} userId - User ID
+ * @param {string} questionId - Question ID
+ * @returns {string} Card document ID
+ */
+export function getCardId(userId, questionId) {
+  return `card_${userId}_${questionId}`;
+}
+
 /**
  * Create initial SRS state for a new card
  * 
@@ -150,7 +590,7 @@ export function createNewCard(questionData) {
   
   return {
     // Identity
-    id: `card_${userId}_${questionId}_${sessionId}`,
+    id: getCardId(userId, questionId),
     userId,
     questionId,
     
@@ -179,6 +619,10 @@ export function createNewCard(questionData) {
     totalAttempts: 0,
     successfulAttempts: 0,
     failedAttempts: 0,
+    lapses: 0,
+    
+    // Later quiz mistakes folded into this card: [{ at, sessionId, attemptId }]
+    mergedMistakes: [],
     
     // Flags
     isActive: true,
@@ -190,28 +634,91 @@ export function createNewCard(questionData) {
   };
 }
 
+/**
+ * How much an early review of a card is worth
+ * 
+ * The share of the card's interval that has passed since its last review:
+ * 0 right after it, 1 on the due date. Returns null when the card is due
+ * (or has never been reviewed), i.e. the review isn't early.
+ * 
+ * @param {Object} card - Card state
+ * @param {Date} [now] - Defaults to now
+ * @returns {number|null} 0..1, or null for an on-time review
+ */
+export function getEarlyReviewCredit(card, now = getNow()) {
+  if (!card?.lastReviewedAt || !card.nextReviewDate || isCardDue(card.nextReviewDate, now)) return null;
+  const interval = Math.max(1, Number(card.interval) || SRS_CONFIG.INITIAL_INTERVAL);
+  return Math.min(1, elapsedDaysBetween(card.lastReviewedAt, now) / interval);
+}
+
+// Scale a passed early review's schedule by its credit. SM-2 only sees the
+// interval, so the growth and the ease change are scaled down; FSRS already
+// used the real elapsed time in its stability update. Either way the card
+// is never due sooner than it already was.
+function creditEarlyReview(card, state, credit, schedulerId, now) {
+  const remaining = Math.round(elapsedDaysBetween(formatHKDateKey(now), card.nextReviewDate));
+  const counts = credit >= SRS_CONFIG.EARLY_REVIEW_MIN_CREDIT;
+  let { interval, easeFactor } = state;
+  
+  if (schedulerId !== SRS_ALGORITHMS.FSRS) {
+    const elapsed = elapsedDaysBetween(card.lastReviewedAt, now);
+    const oldEase = Number(card.easeFactor) || SRS_CONFIG.INITIAL_EASE_FACTOR;
+    interval = Math.round(elapsed + credit * (state.interval - elapsed));
+    easeFactor = Math.round((oldEase + credit * (state.easeFactor - oldEase)) * 100) / 100;
+  }
+  
+  return {
+    ...state,
+    interval: Math.max(1, remaining, interval),
+    easeFactor,
+    repetitionCount: counts ? state.repetitionCount : (card.repetitionCount || 0),
+    status: counts ? state.status : (card.status || state.status)
+  };
+}
+
 /**
  * Update card state after review attempt
  * 
+ * Reviewing a card before it's due (custom study) counts as an early
+ * review: a pass gets reduced credit (see getEarlyReviewCredit), an Again
+ * is a normal lapse.
+ * 
  * @param {Object} card - Current card state
- * @param {boolean} wasCorrect - Did user answer correctly?
+ * @param {number|string|boolean} grade - SRS_GRADES value (or legacy wasCorrect)
+ * @param {Object} [options] - Scheduler settings (see srsSettingsService)
+ * @param {string} [options.algorithm] - One of SRS_ALGORITHMS (default SM-2)
+ * @param {number[]} [options.weights] - FSRS weights
+ * @param {number} [options.requestRetention] - FSRS target recall probability
+ * @param {boolean} [options.fuzz] - Fuzz the interval (default true); pass
+ *   false and call balanceCardSchedule to place the card by daily load
+ * @param {Object} [options.dueCounts] - Daily due counts for the fuzz (see
+ *   pickBalancedInterval)
+ * @param {Date|string} [options.now] - When the card was answered (default
+ *   now); reviews replayed from the offline queue are scheduled from here
  * @returns {Object} Updated card state
  */
-export function updateCardAfterReview(card, wasCorrect) {
-  const now = getNow();
+export function updateCardAfterReview(card, grade, options = {}) {
+  const now = options.now ? new Date(options.now) : getNow();
+  const normalizedGrade = normalizeGrade(grade);
+  const wasCorrect = normalizedGrade !== SRS_GRADES.AGAIN;
+  const scheduler = getScheduler(options.algorithm);
   
   // Calculate new SRS state
-  const currentState = {
-    interval: card.interval,
-    easeFactor: card.easeFactor,
-    repetitionCount: card.repetitionCount,
-    status: card.status
-  };
-  
-  const newState = calculateNextInterval(currentState, wasCorrect);
+  const { fsrsStability, fsrsDifficulty, fsrsRetrievability, ...scheduled } = scheduler.schedule(card, normalizedGrade, {
+    now,
+    weights: options.weights,
+    requestRetention: options.requestRetention
+  });
+  const earlyCredit = getEarlyReviewCredit(card, now);
+  const newState = earlyCredit !== null && wasCorrect
+    ? creditEarlyReview(card, scheduled, earlyCredit, scheduler.id, now)
+    : scheduled;
   
   // Calculate next review date
-  const nextReviewDate = calculateNextReviewDate(newState.interval, now);
+  const interval = options.fuzz === false
+    ? newState.interval
+    : pickBalancedInterval(newState.interval, { now, dueCounts: options.dueCounts });
+  const nextReviewDate = calculateNextReviewDate(interval, now);
   
   // Update performance counters
   const totalAttempts = (card.totalAttempts || 0) + 1;
@@ -221,32 +728,175 @@ export function updateCardAfterReview(card, wasCorrect) {
   const failedAttempts = !wasCorrect 
     ? (card.failedAttempts || 0) + 1 
     : (card.failedAttempts || 0);
+  // A lapse is forgetting a card that had been reviewed before
+  const lapses = (card.lapses || 0) + (!wasCorrect && card.lastReviewedAt ? 1 : 0);
   
   return {
-    ...card,
+    ...withoutLegacyFsrsFields(card),
     
     // Updated SRS state
-    interval: newState.interval,
+    interval,
     easeFactor: newState.easeFactor,
     repetitionCount: newState.repetitionCount,
     status: newState.status,
+    scheduler: scheduler.id,
+    ...(scheduler.id === SRS_ALGORITHMS.FSRS && { fsrsStability, fsrsDifficulty, fsrsRetrievability }),
     
     // Updated scheduling
     nextReviewDate,
     lastReviewedAt: now.toISOString(),
     isDue: false, // Just reviewed, not due yet
     
+    lastGrade: normalizedGrade,
+    
     // Updated attempt tracking
     currentAttemptNumber: (card.currentAttemptNumber || 0) + 1,
     totalAttempts,
     successfulAttempts,
     failedAttempts,
+    lapses,
     
     // Audit
-    updatedAt: now.toISOString()
+    updatedAt: getNow().toISOString()
   };
 }
 
+/**
+ * Fold a new quiz mistake into the user's existing card for that question
+ * 
+ * A card still waiting for its first review only records the mistake;
+ * otherwise the mistake is a lapse and is scheduled like an Again review.
+ * Archived cards come back into rotation, except leeches that were
+ * suspended or held for the clinic.
+ * 
+ * @param {Object} card - Existing card
+ * @param {Object} mistake - { sessionId, attemptId } of the quiz
+ * @param {Object} [options] - Scheduler options (see updateCardAfterReview)
+ * @returns {Object} Updated card state
+ */
+export function applyMistakeLapse(card, { sessionId = null, attemptId = null } = {}, options = {}) {
+  const now = getNow();
+  const waitingForFirstReview = !card.lastReviewedAt && card.isActive !== false;
+  const updated = waitingForFirstReview
+    ? { ...card, updatedAt: now.toISOString() }
+    : updateCardAfterReview(card, SRS_GRADES.AGAIN, options);
+  
+  const heldAsLeech = Object.values(LEECH_ARCHIVE_REASONS).includes(card.archiveReason);
+  
+  return {
+    ...updated,
+    ...(heldAsLeech
+      ? { isActive: false, isDue: false }
+      : { isActive: true, archivedAt: null, archiveReason: null }),
+    mergedMistakes: [
+      ...(Array.isArray(card.mergedMistakes) ? card.mergedMistakes : []),
+      { at: now.toISOString(), sessionId, attemptId }
+    ]
+  };
+}
+
+/**
+ * Whether a card's lapse count sets off the leech action
+ * 
+ * @param {number} lapses - Lapses after the latest review
+ * @param {number} [threshold] - Lapses that make a leech
+ * @returns {boolean}
+ */
+export function isLeechTrigger(lapses, threshold = SRS_CONFIG.LEECH_THRESHOLD) {
+  const n = Number(lapses) || 0;
+  const t = Math.max(1, Math.round(Number(threshold) || SRS_CONFIG.LEECH_THRESHOLD));
+  if (n < t) return false;
+  return (n - t) % Math.max(1, Math.ceil(t / 2)) === 0;
+}
+
+/**
+ * Mark a card as a leech if its latest lapse crossed the threshold
+ * 
+ * Suspended and clinic leeches are taken out of rotation (isActive false)
+ * with a LEECH_ARCHIVE_REASONS archiveReason.
+ * 
+ * @param {Object} card - Card after the review / lapse
+ * @param {number} previousLapses - Lapses before it
+ * @param {Object} [settings] - { leechThreshold, leechAction } (see
+ *   srsSettingsService); a null threshold turns leech detection off
+ * @returns {Object} Card, marked if it's a leech
+ */
+export function applyLeechPolicy(card, previousLapses, settings = {}) {
+  const threshold = settings.leechThreshold === undefined ? SRS_CONFIG.LEECH_THRESHOLD : settings.leechThreshold;
+  const lapses = Number(card.lapses) || 0;
+  if (threshold == null || lapses <= (Number(previousLapses) || 0) || !isLeechTrigger(lapses, threshold)) {
+    return card;
+  }
+  
+  const now = getNow().toISOString();
+  const action = Object.values(LEECH_ACTIONS).includes(settings.leechAction)
+    ? settings.leechAction
+    : LEECH_ACTIONS.TAG;
+  const leech = {
+    ...card,
+    isLeech: true,
+    leechedAt: card.leechedAt || now,
+    leechAction: action,
+    updatedAt: now
+  };
+  
+  if (LEECH_ARCHIVE_REASONS[action]) {
+    return {
+      ...leech,
+      isActive: false,
+      isDue: false,
+      archivedAt: now,
+      archiveReason: LEECH_ARCHIVE_REASONS[action]
+    };
+  }
+  return leech;
+}
+
+/**
+ * Estimated probability the user still remembers a card right now
+ * 
+ * Uses the FSRS forgetting curve for every card; SM-2 cards use their
+ * interval as the stability.
+ * 
+ * @param {Object} card - Card state
+ * @param {Date} [now] - Defaults to now
+ * @returns {number} 0..1
+ */
+export function estimateRetrievability(card, now = getNow()) {
+  const stability = getFsrsMemoryState(card)?.stability
+    ?? Math.max(1, Number(card.interval) || SRS_CONFIG.INITIAL_INTERVAL);
+  const since = card.lastReviewedAt || card.createdAt;
+  if (!since) return 1;
+  return retrievability(elapsedDaysBetween(since, now), stability);
+}
+
+/**
+ * Spread a backlog of overdue cards over the next `days` days
+ * 
+ * The cards most likely to have been forgotten come first (today), and each
+ * day gets an even share.
+ * 
+ * @param {Array} cards - Overdue cards
+ * @param {number} days - Days to spread over (1 = everything today)
+ * @param {Object} [options]
+ * @param {Date} [options.now] - Defaults to now
+ * @returns {Array<{id: string, nextReviewDate: string, retrievability: number}>}
+ */
+export function planBacklogRecovery(cards, days, { now = getNow() } = {}) {
+  const list = Array.isArray(cards) ? cards : [];
+  const spreadDays = Math.max(1, Math.round(Number(days) || 1));
+  
+  const ranked = list
+    .map(card => ({ card, retrievability: estimateRetrievability(card, now) }))
+    .sort((a, b) => a.retrievability - b.retrievability);
+  
+  return ranked.map(({ card, retrievability: r }, index) => ({
+    id: card.id,
+    nextReviewDate: calculateNextReviewDate(Math.floor((index * spreadDays) / ranked.length), now),
+    retrievability: r
+  }));
+}
+
 /**
  * Check if card should be archived (graduated)
  * 
@@ -0,0 +1,285 @@
+import { describe, it, expect } from 'vitest';
+import {
+  updateCardAfterReview,
+  suggestGrade,
+  createRelearnEntry,
+  advanceRelearnEntry,
+  getNextRelearnId,
+  planBacklogRecovery,
+  getEarlyReviewCredit,
+  isLeechTrigger,
+  applyLeechPolicy,
+  LEECH_ACTIONS,
+  LEECH_ARCHIVE_REASONS,
+  SRS_ALGORITHMS,
+  SRS_CONFIG,
+  SRS_GRADES
+} from './srsAlgorithm';
+
+const reviewedCard = {
+  id: 'u1_Q1-abc',
+  questionId: 'Q1-abc',
+  interval: 3,
+  easeFactor: 2.5,
+  repetitionCount: 1,
+  status: 'learning',
+  createdAt: '2026-01-01T00:00:00.000Z',
+  lastReviewedAt: '2026-01-01T00:00:00.000Z',
+  nextReviewDate: '2026-01-04'
+};
+
+describe('updateCardAfterReview with FSRS', () => {
+  it('stores the memory state under fsrs* fields', () => {
+    const card = updateCardAfterReview(reviewedCard, SRS_GRADES.GOOD, { algorithm: SRS_ALGORITHMS.FSRS, fuzz: false });
+    expect(card.fsrsStability).toBeGreaterThan(0);
+    expect(typeof card.fsrsDifficulty).toBe('number');
+    expect(card).not.toHaveProperty('stability');
+    expect(card).not.toHaveProperty('difficulty');
+  });
+
+  it('reads and drops the fields older FSRS cards used', () => {
+    const legacy = { ...reviewedCard, scheduler: SRS_ALGORITHMS.FSRS, stability: 3.2, difficulty: 5.1, retrievability: 0.9 };
+    const card = updateCardAfterReview(legacy, SRS_GRADES.GOOD, { algorithm: SRS_ALGORITHMS.FSRS, fuzz: false });
+    const fresh = updateCardAfterReview(
+      { ...reviewedCard, scheduler: SRS_ALGORITHMS.FSRS, fsrsStability: 3.2, fsrsDifficulty: 5.1 },
+      SRS_GRADES.GOOD,
+      { algorithm: SRS_ALGORITHMS.FSRS, fuzz: false }
+    );
+    expect(card.fsrsStability).toBe(fresh.fsrsStability);
+    expect(card).not.toHaveProperty('stability');
+    expect(card).not.toHaveProperty('difficulty');
+    expect(card).not.toHaveProperty('retrievability');
+  });
+
+  it('keeps a difficulty label', () => {
+    const card = updateCardAfterReview({ ...reviewedCard, difficulty: 'hard' }, SRS_GRADES.GOOD, { algorithm: SRS_ALGORITHMS.FSRS, fuzz: false });
+    expect(card.difficulty).toBe('hard');
+  });
+});
+
+describe('updateCardAfterReview review time', () => {
+  const answeredAt = '2026-01-05T02:00:00.000Z';
+
+  it('schedules from the time the card was answered', () => {
+    const card = updateCardAfterReview(reviewedCard, SRS_GRADES.GOOD, { fuzz: false, now: answeredAt });
+    expect(card.lastReviewedAt).toBe(answeredAt);
+    const days = (Date.parse(card.nextReviewDate) - Date.parse('2026-01-05')) / 86400000;
+    expect(days).toBe(card.interval);
+  });
+
+  it('measures FSRS elapsed time up to the answer', () => {
+    const options = { algorithm: SRS_ALGORITHMS.FSRS, fuzz: false };
+    const onTime = updateCardAfterReview(reviewedCard, SRS_GRADES.GOOD, { ...options, now: '2026-01-04T02:00:00.000Z' });
+    const late = updateCardAfterReview(reviewedCard, SRS_GRADES.GOOD, { ...options, now: '2026-02-04T02:00:00.000Z' });
+    expect(onTime.lastReviewedAt).toBe('2026-01-04T02:00:00.000Z');
+    expect(late.fsrsRetrievability).toBeLessThan(onTime.fsrsRetrievability);
+  });
+});
+
+describe('suggestGrade', () => {
+  const shortQuestion = {
+    Question: 'Which gas turns limewater milky?',
+    OptionA: 'O<sub>2</sub>', OptionB: 'CO<sub>2</sub>', OptionC: 'H<sub>2</sub>', OptionD: 'N<sub>2</sub>'
+  };
+  const longQuestion = {
+    Question: '2.00 g of a sample of impure calcium carbonate was added to 50.0 cm<sup>3</sup> of 1.00 M hydrochloric acid. '
+      + 'After the reaction was complete, the excess acid required 20.0 cm<sup>3</sup> of 0.500 M sodium hydroxide solution '
+      + 'for neutralisation. Assuming the impurities do not react with the acid, what is the percentage by mass of calcium '
+      + 'carbonate in the sample? (Relative atomic masses: C = 12.0, O = 16.0, Ca = 40.1)',
+    OptionA: '50.1 %', OptionB: '75.1 %', OptionC: '80.0 %', OptionD: '100 %'
+  };
+
+  it('is Again for a wrong answer', () => {
+    expect(suggestGrade(false, 1000, shortQuestion)).toBe(SRS_GRADES.AGAIN);
+  });
+
+  it('does not suggest Easy for a normal pace on a long question', () => {
+    expect(suggestGrade(true, 20000, longQuestion)).toBe(SRS_GRADES.GOOD);
+  });
+
+  it('suggests Easy only when answered well within the reading time', () => {
+    expect(suggestGrade(true, 1500, shortQuestion)).toBe(SRS_GRADES.EASY);
+    expect(suggestGrade(true, 10000, longQuestion)).toBe(SRS_GRADES.EASY);
+    expect(suggestGrade(true, 10000, { ...longQuestion, Difficulty: 'hard' })).toBe(SRS_GRADES.GOOD);
+  });
+
+  it('defaults a correct answer to Good without the question', () => {
+    expect(suggestGrade(true, 2000)).toBe(SRS_GRADES.GOOD);
+    expect(suggestGrade(true, 120000)).toBe(SRS_GRADES.HARD);
+  });
+
+  it('suggests Hard for slow answers, scaled by length', () => {
+    expect(suggestGrade(true, 95000, shortQuestion)).toBe(SRS_GRADES.HARD);
+    expect(suggestGrade(true, 95000, longQuestion)).toBe(SRS_GRADES.GOOD);
+  });
+});
+
+describe('in-session relearning', () => {
+  const MINUTE = 60 * 1000;
+  const start = Date.parse('2026-03-01T09:00:00.000Z');
+  const [firstStep, secondStep] = SRS_CONFIG.RELEARNING_STEPS_MINUTES;
+
+  it('brings a failed card back after the first step', () => {
+    const entry = createRelearnEntry(start);
+    expect(entry).toEqual({ step: 0, dueAt: start + firstStep * MINUTE, done: false, history: [] });
+  });
+
+  it('walks through every step before the card is done', () => {
+    let entry = createRelearnEntry(start);
+    entry = advanceRelearnEntry(entry, SRS_GRADES.GOOD, { answer: 'B', timeSpent: 4000 }, start + MINUTE);
+    expect(entry).toMatchObject({ step: 1, dueAt: start + MINUTE + secondStep * MINUTE, done: false });
+
+    entry = advanceRelearnEntry(entry, SRS_GRADES.HARD, {}, start + 12 * MINUTE);
+    expect(entry).toMatchObject({ step: 2, dueAt: null, done: true });
+    expect(entry.history).toEqual([
+      { grade: SRS_GRADES.GOOD, answer: 'B', timeSpent: 4000, at: new Date(start + MINUTE).toISOString() },
+      { grade: SRS_GRADES.HARD, answer: null, timeSpent: null, at: new Date(start + 12 * MINUTE).toISOString() }
+    ]);
+  });
+
+  it('restarts the steps on Again and keeps the history', () => {
+    let entry = advanceRelearnEntry(createRelearnEntry(start), SRS_GRADES.GOOD, {}, start + MINUTE);
+    entry = advanceRelearnEntry(entry, SRS_GRADES.AGAIN, {}, start + 12 * MINUTE);
+    expect(entry).toMatchObject({ step: 0, dueAt: start + 12 * MINUTE + firstStep * MINUTE, done: false });
+    expect(entry.history.map(h => h.grade)).toEqual([SRS_GRADES.GOOD, SRS_GRADES.AGAIN]);
+  });
+
+  it('shows the earliest due card, and waits when none is due yet', () => {
+    const entries = {
+      'Q1-abc': { step: 1, dueAt: start + 10 * MINUTE, done: false, history: [] },
+      'Q2-def': { step: 0, dueAt: start + MINUTE, done: false, history: [] },
+      'Q3-ghi': { step: 2, dueAt: null, done: true, history: [] }
+    };
+    expect(getNextRelearnId(entries, { now: start })).toBeNull();
+    expect(getNextRelearnId(entries, { now: start + 2 * MINUTE })).toBe('Q2-def');
+    expect(getNextRelearnId(entries, { now: start, dueOnly: false })).toBe('Q2-def');
+  });
+
+  it('has nothing to show once every card is done', () => {
+    expect(getNextRelearnId({ 'Q1-abc': { step: 2, dueAt: null, done: true } }, { dueOnly: false })).toBeNull();
+    expect(getNextRelearnId(null, { dueOnly: false })).toBeNull();
+  });
+});
+
+describe('planBacklogRecovery', () => {
+  const now = new Date('2026-03-10T04:00:00.000Z'); // 12:00 in Hong Kong
+  // Overdue SM-2 cards; a short interval reviewed long ago is the most forgotten
+  const overdue = (id, interval, lastReviewedAt) => ({ id, interval, lastReviewedAt, nextReviewDate: '2026-02-01' });
+  const cards = [
+    overdue('fresh', 30, '2026-02-01T00:00:00.000Z'),
+    overdue('forgotten', 1, '2026-01-01T00:00:00.000Z'),
+    overdue('fading', 5, '2026-02-10T00:00:00.000Z'),
+    overdue('shaky', 2, '2026-02-01T00:00:00.000Z')
+  ];
+
+  it('reviews the cards most likely forgotten first', () => {
+    const plan = planBacklogRecovery(cards, 2, { now });
+    expect(plan.map(p => p.id)).toEqual(['forgotten', 'shaky', 'fading', 'fresh']);
+    plan.slice(1).forEach((p, i) => expect(p.retrievability).toBeGreaterThanOrEqual(plan[i].retrievability));
+  });
+
+  it('gives each day an even share, starting today', () => {
+    const plan = planBacklogRecovery(cards, 2, { now });
+    expect(plan.map(p => p.nextReviewDate)).toEqual(['2026-03-10', '2026-03-10', '2026-03-11', '2026-03-11']);
+  });
+
+  it('puts everything on today for a one-day recovery', () => {
+    const plan = planBacklogRecovery(cards, 1, { now });
+    expect(new Set(plan.map(p => p.nextReviewDate))).toEqual(new Set(['2026-03-10']));
+    expect(planBacklogRecovery(cards, 0, { now }).every(p => p.nextReviewDate === '2026-03-10')).toBe(true);
+  });
+
+  it('leaves later days empty rather than splitting a small backlog', () => {
+    const plan = planBacklogRecovery(cards.slice(0, 2), 7, { now });
+    expect(plan.map(p => p.nextReviewDate)).toEqual(['2026-03-10', '2026-03-13']);
+    expect(planBacklogRecovery([], 7, { now })).toEqual([]);
+  });
+});
+
+describe('isLeechTrigger', () => {
+  it('fires on the Nth lapse and every N/2 lapses after that', () => {
+    const fired = Array.from({ length: 20 }, (_, i) => i + 1).filter(n => isLeechTrigger(n, 8));
+    expect(fired).toEqual([8, 12, 16, 20]);
+    expect([1, 2, 3, 4, 5].filter(n => isLeechTrigger(n, 3))).toEqual([3, 5]);
+  });
+
+  it('falls back to the default threshold for a bad one', () => {
+    expect(isLeechTrigger(SRS_CONFIG.LEECH_THRESHOLD, 'x')).toBe(true);
+    expect(isLeechTrigger(SRS_CONFIG.LEECH_THRESHOLD - 1)).toBe(false);
+  });
+});
+
+describe('applyLeechPolicy', () => {
+  const lapsed = lapses => ({ ...reviewedCard, lapses, isActive: true });
+
+  it('tags the card by default and keeps it in rotation', () => {
+    const card = applyLeechPolicy(lapsed(8), 7);
+    expect(card).toMatchObject({ isLeech: true, leechAction: LEECH_ACTIONS.TAG, isActive: true });
+    expect(card.leechedAt).toEqual(expect.any(String));
+  });
+
+  it.each([LEECH_ACTIONS.SUSPEND, LEECH_ACTIONS.CLINIC])('takes a %s leech out of rotation', (leechAction) => {
+    expect(applyLeechPolicy(lapsed(4), 3, { leechThreshold: 4, leechAction })).toMatchObject({
+      isLeech: true,
+      leechAction,
+      isActive: false,
+      isDue: false,
+      archiveReason: LEECH_ARCHIVE_REASONS[leechAction]
+    });
+  });
+
+  it('keeps the date the card first became a leech', () => {
+    const card = { ...lapsed(12), isLeech: true, leechedAt: '2026-01-02T00:00:00.000Z' };
+    expect(applyLeechPolicy(card, 11).leechedAt).toBe('2026-01-02T00:00:00.000Z');
+  });
+
+  it('leaves the card alone without a new lapse at a trigger', () => {
+    expect(applyLeechPolicy(lapsed(8), 8)).toEqual(lapsed(8));
+    expect(applyLeechPolicy(lapsed(9), 8)).toEqual(lapsed(9));
+    expect(applyLeechPolicy(lapsed(8), 7, { leechThreshold: null })).toEqual(lapsed(8));
+  });
+});
+
+describe('early reviews', () => {
+  const card = {
+    ...reviewedCard,
+    interval: 10,
+    repetitionCount: 3,
+    status: 'review',
+    lastReviewedAt: '2026-03-01T04:00:00.000Z',
+    nextReviewDate: '2026-03-11'
+  };
+  const at = day => new Date(`2026-03-${day}T04:00:00.000Z`);
+  const review = (grade, day) => updateCardAfterReview(card, grade, { fuzz: false, now: at(day) });
+
+  it('credits the share of the interval that has passed', () => {
+    expect(getEarlyReviewCredit(card, at('02'))).toBeCloseTo(0.1);
+    expect(getEarlyReviewCredit(card, at('06'))).toBeCloseTo(0.5);
+  });
+
+  it('is not early once the card is due or before its first review', () => {
+    expect(getEarlyReviewCredit(card, at('11'))).toBeNull();
+    expect(getEarlyReviewCredit({ ...card, lastReviewedAt: null }, at('02'))).toBeNull();
+  });
+
+  it('grows the interval less the earlier the review', () => {
+    const onTime = review(SRS_GRADES.GOOD, '11').interval;
+    const halfway = review(SRS_GRADES.GOOD, '06');
+    expect(halfway.interval).toBeLessThan(onTime);
+    expect(halfway.interval).toBeGreaterThan(card.interval / 2);
+    expect(halfway.repetitionCount).toBe(card.repetitionCount + 1);
+  });
+
+  it('does not count a cram right after the last review, or bring the card forward', () => {
+    const crammed = review(SRS_GRADES.EASY, '02');
+    expect(crammed.repetitionCount).toBe(card.repetitionCount);
+    expect(crammed.status).toBe(card.status);
+    expect(crammed.nextReviewDate >= card.nextReviewDate).toBe(true);
+  });
+
+  it('still lapses the card on Again', () => {
+    const failed = review(SRS_GRADES.AGAIN, '06');
+    expect(failed.interval).toBeLessThan(card.interval);
+    expect(failed.nextReviewDate < card.nextReviewDate).toBe(true);
+  });
+});
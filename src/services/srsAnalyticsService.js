@@ -0,0 +1,197 @@
+/**
+ * SRS Analytics Service
+ *
+ * Builds the numbers behind the SRS analytics page from a user's
+ * spaced_repetition_cards and review_attempts:
+ *   - due forecast for the next N days (today includes the overdue backlog)
+ *   - true retention by interval bucket: the share of reviews of cards that
+ *     had already been reviewed before (no first-look reviews) answered right
+ *   - ease factor distribution, lapses per topic, time spent per review
+ *
+ * The build* functions are pure so they can be fed any card / attempt lists.
+ */
+
+import { getNow } from '../utils/timeTravel';
+import { formatHKDateKey } from '../utils/hkTime';
+import { calculateNextReviewDate, SRS_CONFIG } from './srsAlgorithm';
+import { getAllCards, getRecentReviewAttempts } from './srsService';
+
+// [label, minimum interval in days] - each bucket runs to the next minimum
+export const INTERVAL_BUCKETS = [
+  ['1d', 1],
+  ['2–6d', 2],
+  ['1–3w', 7],
+  ['3–8w', 21],
+  ['2m+', 60]
+];
+
+export const REVIEW_TIME_BUCKETS = [
+  ['<10s', 0],
+  ['10–30s', 10000],
+  ['30–60s', 30000],
+  ['1–2m', 60000],
+  ['2m+', 120000]
+];
+
+const EASE_STEP = 0.2;
+
+function bucketIndex(buckets, value) {
+  let index = 0;
+  buckets.forEach(([, min], i) => {
+    if (value >= min) index = i;
+  });
+  return index;
+}
+
+/**
+ * Cards due on each of the next `days` days
+ *
+ * @param {Array} cards - SRS cards
+ * @param {number} days - Forecast length (e.g. 30 or 90)
+ * @param {Date} [now]
+ * @returns {Array<{date: string, due: number, overdue: number}>}
+ */
+export function buildDueForecast(cards, days, now = getNow()) {
+  const today = formatHKDateKey(now);
+  const forecast = [];
+  const byDate = new Map();
+  for (let i = 0; i < days; i++) {
+    const entry = { date: calculateNextReviewDate(i, now), due: 0, overdue: 0 };
+    forecast.push(entry);
+    byDate.set(entry.date, entry);
+  }
+
+  (cards || []).forEach((card) => {
+    if (card.isActive === false || !card.nextReviewDate) return;
+    if (card.nextReviewDate < today) {
+      forecast[0].overdue++;
+      return;
+    }
+    const entry = byDate.get(card.nextReviewDate);
+    if (entry) entry.due++;
+  });
+
+  return forecast;
+}
+
+/**
+ * True retention by the interval a card was reviewed at
+ *
+ * @param {Array} attempts - review_attempts records
+ * @returns {Array<{bucket: string, reviews: number, correct: number, retention: number|null}>}
+ */
+export function buildRetentionByInterval(attempts) {
+  const rows = INTERVAL_BUCKETS.map(([bucket]) => ({ bucket, reviews: 0, correct: 0, retention: null }));
+
+  (attempts || []).forEach((attempt) => {
+    const before = attempt?.stateBefore;
+    if (!before || before.status === SRS_CONFIG.STATUS.NEW) return;
+    const interval = Number(before.interval) || 0;
+    if (interval < 1) return;
+    const row = rows[bucketIndex(INTERVAL_BUCKETS, interval)];
+    row.reviews++;
+    if (attempt.wasCorrect) row.correct++;
+  });
+
+  rows.forEach((row) => {
+    row.retention = row.reviews > 0 ? row.correct / row.reviews : null;
+  });
+  return rows;
+}
+
+/**
+ * Active cards per ease factor band
+ *
+ * @param {Array} cards - SRS cards
+ * @returns {Array<{ease: string, cards: number}>}
+ */
+export function buildEaseDistribution(cards) {
+  const bands = [];
+  for (let ease = SRS_CONFIG.MIN_EASE_FACTOR; ease < SRS_CONFIG.MAX_EASE_FACTOR + 1e-9; ease += EASE_STEP) {
+    bands.push({ ease: ease.toFixed(1), min: ease, cards: 0 });
+  }
+
+  (cards || []).forEach((card) => {
+    if (card.isActive === false) return;
+    const ease = Number(card.easeFactor);
+    if (!Number.isFinite(ease)) return;
+    let index = Math.floor((ease - SRS_CONFIG.MIN_EASE_FACTOR + 1e-9) / EASE_STEP);
+    index = Math.min(bands.length - 1, Math.max(0, index));
+    bands[index].cards++;
+  });
+
+  return bands.map(({ ease, cards: count }) => ({ ease, cards: count }));
+}
+
+/**
+ * Lapses (forgetting a card that had been learnt) per topic
+ *
+ * @param {Array} cards - SRS cards
+ * @returns {Array<{topic: string, cards: number, lapses: number}>} Most lapses first
+ */
+export function buildLapsesByTopic(cards) {
+  const byTopic = new Map();
+  (cards || []).forEach((card) => {
+    const topic = card.topic || 'Unknown';
+    if (!byTopic.has(topic)) byTopic.set(topic, { topic, cards: 0, lapses: 0 });
+    const row = byTopic.get(topic);
+    row.cards++;
+    row.lapses += Number(card.lapses || 0);
+  });
+  return Array.from(byTopic.values())
+    .sort((a, b) => b.lapses - a.lapses || b.cards - a.cards);
+}
+
+/**
+ * Time spent per review
+ *
+ * @param {Array} attempts - review_attempts records (timeSpent in ms)
+ * @returns {{count: number, averageMs: number|null, medianMs: number|null,
+ *   totalMs: number, histogram: Array<{bucket: string, reviews: number}>}}
+ */
+export function buildReviewTimeStats(attempts) {
+  const times = (attempts || [])
+    .map(attempt => Number(attempt?.timeSpent))
+    .filter(ms => Number.isFinite(ms) && ms > 0)
+    .sort((a, b) => a - b);
+
+  const histogram = REVIEW_TIME_BUCKETS.map(([bucket]) => ({ bucket, reviews: 0 }));
+  times.forEach((ms) => {
+    histogram[bucketIndex(REVIEW_TIME_BUCKETS, ms)].reviews++;
+  });
+
+  const totalMs = times.reduce((sum, ms) => sum + ms, 0);
+  const mid = Math.floor(times.length / 2);
+  return {
+    count: times.length,
+    averageMs: times.length > 0 ? totalMs / times.length : null,
+    medianMs: times.length === 0 ? null : times.length % 2 ? times[mid] : (times[mid - 1] + times[mid]) / 2,
+    totalMs,
+    histogram
+  };
+}
+
+/**
+ * Load a user's cards and the last year of review attempts
+ *
+ * @param {string} userId - User ID
+ * @returns {Promise<{cards: Array, attempts: Array}>}
+ */
+export async function loadSrsAnalyticsData(userId) {
+  const [cards, attempts] = await Promise.all([
+    getAllCards(userId),
+    getRecentReviewAttempts(userId, 365)
+  ]);
+  return { cards, attempts };
+}
+
+export const srsAnalyticsService = {
+  buildDueForecast,
+  buildRetentionByInterval,
+  buildEaseDistribution,
+  buildLapsesByTopic,
+  buildReviewTimeStats,
+  loadSrsAnalyticsData
+};
+
+export default srsAnalyticsService;
@@ -0,0 +1,240 @@
+/**
+ * SRS Offline Service
+ *
+ * Lets a review session run with no connection:
+ *   - prefetchOfflineReviews() saves the due cards and their questions in
+ *     IndexedDB (srs_offline_packs, one pack per user)
+ *   - reviews finished offline are queued on the device (srs_review_queue,
+ *     one list per user in the order they were answered)
+ *   - flushReviewQueue() replays the queue through srsService.submitReview
+ *     once the connection is back
+ *
+ * Conflicts: a queued review remembers the card's lastReviewedAt when the
+ * session started. If the card was reviewed on another device since then,
+ * the later review wins: an offline answer older than the other device's
+ * review is dropped, a newer one is applied on top of the card's current
+ * state. Reviews of cards deleted or archived meanwhile are dropped too.
+ * Dropped reviews are reported back as conflicts.
+ */
+
+import { getNow } from '../utils/timeTravel';
+import { formatHKDateKey } from '../utils/hkTime';
+import { idbGet, idbPut, idbUpdate, STORES } from '../utils/indexedDb';
+import { getDueCards, getCard, submitReview, createReviewLoadBalancer } from './srsService';
+
+// Fired on window whenever the queue changes, so status UI can refresh
+export const OFFLINE_QUEUE_EVENT = 'srs-offline-queue-changed';
+
+export const CONFLICT_REASONS = {
+  DELETED: 'deleted',
+  ARCHIVED: 'archived',
+  SUPERSEDED: 'superseded'
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const inflightFlushes = new Map();
+
+export function isOnline() {
+  return typeof navigator === 'undefined' || navigator.onLine !== false;
+}
+
+function notifyQueueChanged(userId, queue) {
+  if (typeof window === 'undefined') return;
+  window.dispatchEvent(new CustomEvent(OFFLINE_QUEUE_EVENT, {
+    detail: { userId, pending: (queue || []).length }
+  }));
+}
+
+function getQuestionId(question) {
+  return String(question?.ID ?? question?.id ?? '');
+}
+
+/**
+ * Save the cards due now (and over the next few days) with their questions
+ *
+ * @param {string} userId - User ID
+ * @param {Array} questions - Loaded question bank
+ * @param {Object} [options]
+ * @param {number} [options.daysAhead=1] - Also take cards due this many days ahead
+ * @returns {Promise<Object>} The saved pack { fetchedAt, dueThrough, cards, questions }
+ */
+export async function prefetchOfflineReviews(userId, questions, { daysAhead = 1 } = {}) {
+  const now = getNow();
+  const asOf = new Date(now.getTime() + Math.max(0, daysAhead) * DAY_MS);
+  const dueCards = await getDueCards(userId, asOf);
+
+  const questionById = new Map((questions || []).map(q => [getQuestionId(q), q]));
+  const cards = dueCards.filter(card => questionById.has(String(card.questionId)));
+
+  const pack = {
+    userId,
+    fetchedAt: now.toISOString(),
+    dueThrough: formatHKDateKey(asOf),
+    cards,
+    questions: cards.map(card => questionById.get(String(card.questionId)))
+  };
+
+  const saved = await idbPut(STORES.SRS_OFFLINE_PACKS, userId, pack);
+  if (!saved) throw new Error('Could not save reviews on this device');
+
+  console.log(`📦 Saved ${cards.length} SRS cards for offline review (due through ${pack.dueThrough})`);
+  return pack;
+}
+
+/**
+ * The user's saved offline pack, or null
+ */
+export async function getOfflinePack(userId) {
+  if (!userId) return null;
+  return idbGet(STORES.SRS_OFFLINE_PACKS, userId);
+}
+
+/**
+ * Drop reviewed cards from the offline pack so they aren't done twice
+ *
+ * @param {string} userId - User ID
+ * @param {Array<string>} cardIds - Cards just reviewed
+ */
+export async function removeFromOfflinePack(userId, cardIds = []) {
+  const done = new Set(cardIds);
+  if (!userId || done.size === 0) return;
+
+  await idbUpdate(STORES.SRS_OFFLINE_PACKS, userId, (pack) => {
+    if (!pack) return pack;
+    const cards = (pack.cards || []).filter(card => !done.has(card.id));
+    const keep = new Set(cards.map(card => String(card.questionId)));
+    return {
+      ...pack,
+      cards,
+      questions: (pack.questions || []).filter(q => keep.has(getQuestionId(q)))
+    };
+  });
+}
+
+/**
+ * Queue a finished session's reviews on the device
+ *
+ * @param {string} userId - User ID
+ * @param {Array} reviews - Same shape as srsService.submitReviewSession, plus
+ *   cardLastReviewedAt (the card's lastReviewedAt when the session started)
+ * @returns {Promise<number>} Reviews now waiting in the queue
+ */
+export async function queueOfflineReviews(userId, reviews = []) {
+  const answeredAt = getNow().toISOString();
+  const sessionId = `offline_session_${Date.now()}`;
+  const entries = reviews
+    .filter(review => review.cardId)
+    .map((review, index) => ({
+      id: `${sessionId}_${index}`,
+      sessionId,
+      cardId: review.cardId,
+      grade: review.grade,
+      wasCorrect: review.wasCorrect,
+      confidence: review.confidence || null,
+      userAnswer: review.userAnswer ?? null,
+      correctAnswer: review.correctAnswer ?? null,
+      timeSpent: review.timeSpent || 0,
+      relearnHistory: review.relearnHistory || [],
+      cardLastReviewedAt: review.cardLastReviewedAt ?? null,
+      answeredAt
+    }));
+
+  const queue = await idbUpdate(STORES.SRS_REVIEW_QUEUE, userId, current => [...(current || []), ...entries]);
+  if (!queue) throw new Error('Could not save reviews on this device');
+
+  await removeFromOfflinePack(userId, entries.map(entry => entry.cardId));
+  console.log(`📥 Queued ${entries.length} SRS reviews offline (${queue.length} waiting)`);
+  notifyQueueChanged(userId, queue);
+  return queue.length;
+}
+
+/**
+ * Reviews waiting to be sent
+ */
+export async function getQueuedReviews(userId) {
+  if (!userId) return [];
+  return (await idbGet(STORES.SRS_REVIEW_QUEUE, userId)) || [];
+}
+
+function findConflict(entry, card) {
+  if (!card) return CONFLICT_REASONS.DELETED;
+  if (card.isActive === false) return CONFLICT_REASONS.ARCHIVED;
+  const reviewedElsewhere = card.lastReviewedAt && card.lastReviewedAt !== entry.cardLastReviewedAt;
+  if (reviewedElsewhere && card.lastReviewedAt > entry.answeredAt) return CONFLICT_REASONS.SUPERSEDED;
+  return null;
+}
+
+/**
+ * Replay queued reviews through submitReview, oldest first
+ *
+ * Stops at the first network error and leaves the rest queued. Only one
+ * flush per user runs at a time.
+ *
+ * @param {string} userId - User ID
+ * @returns {Promise<{submitted: number, conflicts: Array<{cardId: string, reason: string}>, remaining: number}>}
+ */
+export function flushReviewQueue(userId) {
+  if (inflightFlushes.has(userId)) return inflightFlushes.get(userId);
+  const flush = replayQueue(userId).finally(() => {
+    inflightFlushes.delete(userId);
+  });
+  inflightFlushes.set(userId, flush);
+  return flush;
+}
+
+async function replayQueue(userId) {
+  const queue = await getQueuedReviews(userId);
+  const result = { submitted: 0, conflicts: [], remaining: queue.length };
+  if (queue.length === 0 || !isOnline()) return result;
+
+  console.log(`📤 Replaying ${queue.length} offline SRS reviews`);
+  const loadBalancer = createReviewLoadBalancer(userId);
+
+  for (const entry of queue) {
+    try {
+      const card = await getCard(entry.cardId);
+      const conflict = findConflict(entry, card);
+      if (conflict) {
+        console.warn(`⚠️ Dropping offline review of ${entry.cardId}: ${conflict}`);
+        result.conflicts.push({ cardId: entry.cardId, reason: conflict });
+      } else {
+        await submitReview(entry.cardId, entry.grade, {
+          wasCorrect: entry.wasCorrect,
+          confidence: entry.confidence,
+          userAnswer: entry.userAnswer,
+          correctAnswer: entry.correctAnswer,
+          timeSpent: entry.timeSpent,
+          relearnHistory: entry.relearnHistory,
+          attemptedAt: entry.answeredAt,
+          offline: true,
+          loadBalancer,
+          reviewSessionId: entry.sessionId
+        });
+        result.submitted++;
+      }
+    } catch (error) {
+      console.warn('⚠️ Offline review replay stopped, will retry later:', error);
+      break;
+    }
+
+    const remaining = await idbUpdate(STORES.SRS_REVIEW_QUEUE, userId,
+      current => (current || []).filter(item => item.id !== entry.id));
+    result.remaining = (remaining || []).length;
+  }
+
+  notifyQueueChanged(userId, await getQueuedReviews(userId));
+  return result;
+}
+
+export const srsOfflineService = {
+  isOnline,
+  prefetchOfflineReviews,
+  getOfflinePack,
+  removeFromOfflinePack,
+  queueOfflineReviews,
+  getQueuedReviews,
+  flushReviewQueue
+};
+
+export default srsOfflineService;
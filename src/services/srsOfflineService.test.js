@@ -0,0 +1,168 @@
+// @vitest-environment jsdom
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+
+const idbStore = new Map();
+const idbKey = (store, key) => `${store}|${key}`;
+
+vi.mock('../utils/indexedDb', () => ({
+  STORES: { SRS_OFFLINE_PACKS: 'srs_offline_packs', SRS_REVIEW_QUEUE: 'srs_review_queue' },
+  idbGet: vi.fn(async (store, key) => idbStore.get(idbKey(store, key)) ?? null),
+  idbPut: vi.fn(async (store, key, value) => { idbStore.set(idbKey(store, key), value); return true; }),
+  idbUpdate: vi.fn(async (store, key, updater) => {
+    const next = updater(idbStore.get(idbKey(store, key)) ?? null);
+    idbStore.set(idbKey(store, key), next);
+    return next;
+  })
+}));
+vi.mock('./srsService', () => ({
+  getDueCards: vi.fn(),
+  getCard: vi.fn(),
+  submitReview: vi.fn(),
+  createReviewLoadBalancer: vi.fn(() => ({}))
+}));
+
+const {
+  prefetchOfflineReviews,
+  getOfflinePack,
+  queueOfflineReviews,
+  getQueuedReviews,
+  flushReviewQueue,
+  CONFLICT_REASONS,
+  OFFLINE_QUEUE_EVENT
+} = await import('./srsOfflineService');
+const { getDueCards, getCard, submitReview } = await import('./srsService');
+
+const NOW = new Date('2026-03-10T04:00:00.000Z');
+const USER = 'u1';
+
+const card = (id, extra = {}) => ({
+  id,
+  questionId: id.replace('card-', 'Q'),
+  isActive: true,
+  lastReviewedAt: '2026-03-01T00:00:00.000Z',
+  ...extra
+});
+
+const review = (cardId, extra = {}) => ({
+  cardId,
+  grade: 3,
+  wasCorrect: true,
+  cardLastReviewedAt: '2026-03-01T00:00:00.000Z',
+  ...extra
+});
+
+// Every card is still as it was when the session started
+function givenServerCards(cards) {
+  const byId = new Map(cards.map(c => [c.id, c]));
+  getCard.mockImplementation(async id => byId.get(id) ?? null);
+}
+
+beforeEach(() => {
+  vi.useFakeTimers();
+  vi.setSystemTime(NOW);
+  idbStore.clear();
+  vi.clearAllMocks();
+  submitReview.mockResolvedValue({});
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+  vi.unstubAllGlobals();
+});
+
+describe('prefetchOfflineReviews', () => {
+  it('saves the due cards that have a question, with those questions', async () => {
+    getDueCards.mockResolvedValue([card('card-1'), card('card-2'), card('card-3')]);
+    const questions = [{ ID: 'Q1' }, { ID: 'Q3' }, { ID: 'Q9' }];
+
+    const pack = await prefetchOfflineReviews(USER, questions, { daysAhead: 2 });
+
+    expect(getDueCards).toHaveBeenCalledWith(USER, new Date('2026-03-12T04:00:00.000Z'));
+    expect(pack).toMatchObject({ fetchedAt: NOW.toISOString(), dueThrough: '2026-03-12' });
+    expect(pack.cards.map(c => c.id)).toEqual(['card-1', 'card-3']);
+    expect(pack.questions).toEqual([{ ID: 'Q1' }, { ID: 'Q3' }]);
+    expect(await getOfflinePack(USER)).toEqual(pack);
+  });
+});
+
+describe('queueOfflineReviews', () => {
+  it('appends reviews in order and takes their cards out of the pack', async () => {
+    getDueCards.mockResolvedValue([card('card-1'), card('card-2')]);
+    await prefetchOfflineReviews(USER, [{ ID: 'Q1' }, { ID: 'Q2' }]);
+    const onChange = vi.fn();
+    window.addEventListener(OFFLINE_QUEUE_EVENT, onChange);
+
+    expect(await queueOfflineReviews(USER, [review('card-1'), { grade: 1 }])).toBe(1);
+    expect(await queueOfflineReviews(USER, [review('card-2', { grade: 1, wasCorrect: false })])).toBe(2);
+
+    expect((await getQueuedReviews(USER)).map(e => [e.cardId, e.grade])).toEqual([['card-1', 3], ['card-2', 1]]);
+    expect((await getOfflinePack(USER)).cards).toEqual([]);
+    expect(onChange.mock.calls.map(([event]) => event.detail)).toEqual([
+      { userId: USER, pending: 1 },
+      { userId: USER, pending: 2 }
+    ]);
+    window.removeEventListener(OFFLINE_QUEUE_EVENT, onChange);
+  });
+});
+
+describe('flushReviewQueue', () => {
+  it('replays the queue oldest first at the time each review was answered', async () => {
+    givenServerCards([card('card-1'), card('card-2')]);
+    await queueOfflineReviews(USER, [review('card-1')]);
+    vi.setSystemTime(new Date('2026-03-10T05:00:00.000Z'));
+    await queueOfflineReviews(USER, [review('card-2', { grade: 1 })]);
+
+    expect(await flushReviewQueue(USER)).toEqual({ submitted: 2, conflicts: [], remaining: 0 });
+    expect(submitReview.mock.calls.map(([cardId, grade, options]) => [cardId, grade, options.attemptedAt, options.offline]))
+      .toEqual([
+        ['card-1', 3, '2026-03-10T04:00:00.000Z', true],
+        ['card-2', 1, '2026-03-10T05:00:00.000Z', true]
+      ]);
+    expect(await getQueuedReviews(USER)).toEqual([]);
+  });
+
+  it('drops reviews of cards that changed on another device', async () => {
+    givenServerCards([
+      card('card-later', { lastReviewedAt: '2026-03-10T06:00:00.000Z' }),
+      card('card-earlier', { lastReviewedAt: '2026-03-10T03:00:00.000Z' }),
+      card('card-archived', { isActive: false })
+    ]);
+    await queueOfflineReviews(USER, ['card-later', 'card-earlier', 'card-archived', 'card-deleted'].map(id => review(id)));
+
+    expect(await flushReviewQueue(USER)).toEqual({
+      submitted: 1,
+      conflicts: [
+        { cardId: 'card-later', reason: CONFLICT_REASONS.SUPERSEDED },
+        { cardId: 'card-archived', reason: CONFLICT_REASONS.ARCHIVED },
+        { cardId: 'card-deleted', reason: CONFLICT_REASONS.DELETED }
+      ],
+      remaining: 0
+    });
+    expect(submitReview.mock.calls.map(([cardId]) => cardId)).toEqual(['card-earlier']);
+  });
+
+  it('stops at a network error and keeps the rest queued', async () => {
+    givenServerCards([card('card-1'), card('card-2'), card('card-3')]);
+    await queueOfflineReviews(USER, [review('card-1'), review('card-2'), review('card-3')]);
+    submitReview.mockResolvedValueOnce({}).mockRejectedValueOnce(new Error('unavailable'));
+
+    expect(await flushReviewQueue(USER)).toEqual({ submitted: 1, conflicts: [], remaining: 2 });
+    expect((await getQueuedReviews(USER)).map(e => e.cardId)).toEqual(['card-2', 'card-3']);
+
+    expect(await flushReviewQueue(USER)).toEqual({ submitted: 2, conflicts: [], remaining: 0 });
+  });
+
+  it('waits for the connection and runs one flush at a time', async () => {
+    givenServerCards([card('card-1')]);
+    await queueOfflineReviews(USER, [review('card-1')]);
+
+    vi.stubGlobal('navigator', { onLine: false });
+    expect(await flushReviewQueue(USER)).toEqual({ submitted: 0, conflicts: [], remaining: 1 });
+    vi.unstubAllGlobals();
+
+    const [first, second] = [flushReviewQueue(USER), flushReviewQueue(USER)];
+    expect(second).toBe(first);
+    await first;
+    expect(submitReview).toHaveBeenCalledTimes(1);
+  });
+});
@@ -25,14 +25,34 @@ import {
   writeBatch
 } from 'firebase/firestore';
 import { getNow } from '../utils/timeTravel';
-import { formatHKDateKey } from '../utils/hkTime';
+import { formatHKDateKey, parseHKDateKey } from '../utils/hkTime';
 import {
   createNewCard,
+  getCardId,
+  applyMistakeLapse,
   updateCardAfterReview,
+  getEarlyReviewCredit,
   isCardDue,
   shouldArchiveCard,
+  normalizeGrade,
+  getGradeConfidence,
+  getFuzzRange,
+  balanceCardSchedule,
+  calculateNextReviewDate,
+  planBacklogRecovery,
+  applyLeechPolicy,
+  LEECH_ARCHIVE_REASONS,
+  SRS_GRADES,
   SRS_CONFIG
 } from './srsAlgorithm';
+import {
+  getSrsSettings,
+  saveSrsSettings,
+  getSchedulerOptions,
+  isOnVacation,
+  getDailyProgress,
+  dailyProgressIncrement
+} from './srsSettingsService';
 
 // Collection names
 const COLLECTIONS = {
@@ -41,29 +61,76 @@ const COLLECTIONS = {
   SESSIONS: 'review_sessions'
 };
 
+// archiveReason values written by the old overdue auto-archive
+const OVERDUE_ARCHIVE_REASONS = ['overdue_7_days', 'overdue_14_days'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * How a custom study session is scheduled
+ *   - cram: practice only, nothing is submitted and intervals don't change
+ *   - early: answers are submitted; cards not yet due get early-review credit
+ */
+export const CUSTOM_STUDY_MODES = {
+  CRAM: 'cram',
+  EARLY: 'early'
+};
+
 /**
  * Create SRS cards for wrong answers from a quiz
  * 
+ * There is one card per user + question: a question the user already has
+ * a card for gets the new mistake folded into that card's schedule (see
+ * applyMistakeLapse) instead of a second card. New cards made during a
+ * vacation are first due the day after it ends.
+ * 
  * @param {string} userId - User ID
  * @param {Array} wrongQuestions - Questions answered incorrectly
  * @param {string} sessionId - Original quiz session ID
  * @param {string} attemptId - Original quiz attempt ID
- * @returns {Promise<Array>} Created cards
+ * @returns {Promise<Array>} Created and lapsed cards
  */
 export async function createCardsFromMistakes(userId, wrongQuestions, sessionId, attemptId) {
   const batch = writeBatch(db);
   const createdCards = [];
+  let lapsedCount = 0;
   
   console.log(`📝 Creating ${wrongQuestions.length} SRS cards for user ${userId}`);
   
+  // Existing cards for these questions, including legacy per-session duplicates
+  const existingCards = await getCardsByQuestionIds(userId, wrongQuestions.map(q => q.ID));
+  const existingByQuestion = new Map();
+  existingCards.forEach((card) => {
+    const key = String(card.questionId);
+    const current = existingByQuestion.get(key);
+    if (!current || preferCanonicalCard(card, current, userId)) existingByQuestion.set(key, card);
+  });
+  const settings = await getSrsSettings(userId);
+  const vacationReturnDate = isOnVacation(settings)
+    ? calculateNextReviewDate(1, parseHKDateKey(settings.vacation.end))
+    : null;
+  
   for (const question of wrongQuestions) {
-    // Check if card already exists for this user+question combination
-    const existingCardId = `card_${userId}_${question.ID}_${sessionId}`;
-    const existingCardRef = doc(db, COLLECTIONS.CARDS, existingCardId);
-    const existingCardSnap = await getDoc(existingCardRef);
+    const existing = existingByQuestion.get(String(question.ID));
     
-    if (existingCardSnap.exists()) {
-      console.log(`⚠️ Card already exists: ${existingCardId}, skipping`);
+    if (existing) {
+      const alreadyMerged = existing.sessionId === sessionId ||
+        (existing.mergedMistakes || []).some(m => m.sessionId === sessionId);
+      if (alreadyMerged) {
+        console.log(`⚠️ Mistake from ${sessionId} already on ${existing.id}, skipping`);
+        continue;
+      }
+      
+      const lapsed = applyLeechPolicy(
+        applyMistakeLapse(existing, { sessionId, attemptId }, getSchedulerOptions(settings)),
+        existing.lapses || 0,
+        settings
+      );
+      batch.set(doc(db, COLLECTIONS.CARDS, existing.id), lapsed);
+      createdCards.push(lapsed);
+      lapsedCount++;
+      
+      console.log(`🔁 Lapsed existing SRS card: ${existing.id} (review on ${lapsed.nextReviewDate})`);
       continue;
     }
     
@@ -76,6 +143,10 @@ export async function createCardsFromMistakes(userId, wrongQuestions, sessionId,
       sessionId,
       attemptId
     });
+    if (vacationReturnDate) {
+      card.nextReviewDate = vacationReturnDate;
+      card.isDue = false;
+    }
     
     batch.set(doc(db, COLLECTIONS.CARDS, card.id), card);
     createdCards.push(card);
@@ -85,25 +156,44 @@ export async function createCardsFromMistakes(userId, wrongQuestions, sessionId,
   
   if (createdCards.length > 0) {
     await batch.commit();
-    console.log(`🎉 Successfully created ${createdCards.length} SRS cards`);
+    console.log(`🎉 Successfully created ${createdCards.length - lapsedCount} SRS cards, lapsed ${lapsedCount}`);
   }
   
   return createdCards;
 }
 
+// Which of two cards for the same question new mistakes should go to:
+// the canonical ID, else an active card, else the most recently used one
+function preferCanonicalCard(candidate, current, userId) {
+  const canonicalId = getCardId(userId, candidate.questionId);
+  if ((candidate.id === canonicalId) !== (current.id === canonicalId)) return candidate.id === canonicalId;
+  if ((candidate.isActive !== false) !== (current.isActive !== false)) return candidate.isActive !== false;
+  const lastUsed = card => String(card.lastReviewedAt || card.createdAt || '');
+  return lastUsed(candidate) > lastUsed(current);
+}
+
 /**
  * Get all cards due for review (JIT query)
  * 
+ * Trimmed to what's left of the user's daily new / review caps, and empty
+ * while the user is on vacation, unless options.ignoreDailyLimits is set.
+ * 
  * @param {string} userId - User ID
  * @param {Date} asOf - Check for cards due as of this date (defaults to today)
  * @param {Object} options - Query options
  * @param {number} options.limit - Max number of due cards to return
+ * @param {boolean} options.ignoreDailyLimits - Return every due card
  * @returns {Promise<Array>} Due cards
  */
 export async function getDueCards(userId, asOf = getNow(), options = {}) {
   const today = formatHKDateKey(asOf);
   const max = Number(options?.limit);
   
+  if (!options?.ignoreDailyLimits && isOnVacation(await getSrsSettings(userId), asOf)) {
+    console.log(`🏖️ Reviews paused for vacation on ${today}`);
+    return [];
+  }
+  
   console.log(`🔍 Fetching due cards for ${userId} as of ${today}`);
   
   const queryParts = [
@@ -125,7 +215,100 @@ export async function getDueCards(userId, asOf = getNow(), options = {}) {
   
   console.log(`📊 Found ${dueCards.length} cards due for review`);
   
-  return dueCards;
+  if (options?.ignoreDailyLimits) return dueCards;
+  return applyDailyLimits(userId, dueCards, asOf);
+}
+
+/**
+ * Keep only as many cards as the user's daily caps still allow
+ * 
+ * New cards (never reviewed) and other reviews are capped separately by
+ * srsSettings.dailyNewLimit / dailyReviewLimit, minus what's been reviewed
+ * today. Order is preserved.
+ * 
+ * @param {string} userId - User ID
+ * @param {Array} cards - Candidate cards
+ * @param {Date} asOf - Day the caps apply to (defaults to today)
+ * @returns {Promise<Array>} Cards within the caps
+ */
+export async function applyDailyLimits(userId, cards, asOf = getNow()) {
+  if (!Array.isArray(cards) || cards.length === 0) return [];
+  
+  const [settings, progress] = await Promise.all([
+    getSrsSettings(userId),
+    getDailyProgress(userId, asOf)
+  ]);
+  
+  const remaining = (cap, done) => (cap == null ? Infinity : Math.max(0, cap - done));
+  let newLeft = remaining(settings.dailyNewLimit, progress.newCards);
+  let reviewsLeft = remaining(settings.dailyReviewLimit, progress.reviews);
+  
+  const allowed = cards.filter((card) => {
+    if ((card.status || SRS_CONFIG.STATUS.NEW) === SRS_CONFIG.STATUS.NEW) {
+      if (newLeft <= 0) return false;
+      newLeft--;
+      return true;
+    }
+    if (reviewsLeft <= 0) return false;
+    reviewsLeft--;
+    return true;
+  });
+  
+  if (allowed.length < cards.length) {
+    console.log(`🧢 Daily caps: ${allowed.length}/${cards.length} cards allowed today`);
+  }
+  
+  return allowed;
+}
+
+/**
+ * Load balancer for one batch of reviews
+ * 
+ * Places each reviewed card on the quietest day within its fuzz range,
+ * using srs_daily_summaries for what's already due plus the cards placed
+ * by this balancer (the summaries only catch up once the Cloud Function
+ * has run).
+ * 
+ * @param {string} userId - User ID
+ * @returns {{place: function(Object, Date=): Promise<Object>}}
+ */
+export function createReviewLoadBalancer(userId) {
+  const dueCounts = {};
+  
+  async function loadCounts(startKey, endKey) {
+    try {
+      const snap = await getDocs(query(
+        collection(db, 'users', userId, 'srs_daily_summaries'),
+        where('date', '>=', startKey),
+        where('date', '<=', endKey)
+      ));
+      snap.forEach((d) => {
+        const data = d.data() || {};
+        const dateKey = data.date || d.id;
+        if (!(dateKey in dueCounts)) dueCounts[dateKey] = Number(data.dueTotal || 0);
+      });
+    } catch (error) {
+      console.warn('⚠️ Could not load daily summaries for load balancing:', error);
+    }
+  }
+  
+  return {
+    async place(card, now = getNow()) {
+      const { min, max } = getFuzzRange(card.interval);
+      if (min === max) return card;
+      
+      const keys = [];
+      for (let days = min; days <= max; days++) keys.push(calculateNextReviewDate(days, now));
+      if (keys.some(key => !(key in dueCounts))) {
+        await loadCounts(keys[0], keys[keys.length - 1]);
+        keys.forEach((key) => { if (!(key in dueCounts)) dueCounts[key] = 0; });
+      }
+      
+      const placed = balanceCardSchedule(card, { now, dueCounts });
+      dueCounts[placed.nextReviewDate] = (dueCounts[placed.nextReviewDate] || 0) + 1;
+      return placed;
+    }
+  };
 }
 
 /**
@@ -171,25 +354,145 @@ export async function getCardsDueOnDate(userId, dateStr, options = {}) {
 
 export async function getOverdueCount(userId, asOf = getNow()) {
   const todayStr = formatHKDateKey(asOf);
-  const fourteenDaysAgo = new Date(asOf);
-  fourteenDaysAgo.setDate(fourteenDaysAgo.getDate() - 14);
-  const fourteenDaysAgoStr = formatHKDateKey(fourteenDaysAgo);
 
   const q = query(
     collection(db, COLLECTIONS.CARDS),
     where('userId', '==', userId),
     where('isActive', '==', true),
-    where('nextReviewDate', '<', todayStr),
-    where('nextReviewDate', '>=', fourteenDaysAgoStr)
+    where('nextReviewDate', '<', todayStr)
   );
 
   const snap = await getCountFromServer(q);
   return Number(snap.data().count || 0);
 }
 
+/**
+ * Re-spread the overdue backlog over the next `days` days
+ * 
+ * Cards most likely forgotten are scheduled first (see planBacklogRecovery).
+ * Cards the old 14-day rule archived as overdue are brought back too.
+ * 
+ * @param {string} userId - User ID
+ * @param {number} days - Days to spread the backlog over
+ * @param {Object} options
+ * @param {Date} options.asOf - Defaults to today
+ * @param {boolean} options.dryRun - Only return the plan
+ * @returns {Promise<{count: number, perDay: Object}>} Cards moved and how
+ *   many land on each date
+ */
+export async function recoverBacklog(userId, days, { asOf = getNow(), dryRun = false } = {}) {
+  const today = formatHKDateKey(asOf);
+  
+  const [overdueSnap, archivedCards] = await Promise.all([
+    getDocs(query(
+      collection(db, COLLECTIONS.CARDS),
+      where('userId', '==', userId),
+      where('isActive', '==', true),
+      where('nextReviewDate', '<', today)
+    )),
+    getArchivedCards(userId)
+  ]);
+  
+  const cards = [
+    ...overdueSnap.docs.map(docSnap => ({ id: docSnap.id, ...docSnap.data() })),
+    ...archivedCards.filter(card => OVERDUE_ARCHIVE_REASONS.includes(card.archiveReason))
+  ];
+  const plan = planBacklogRecovery(cards, days, { now: asOf });
+  
+  const perDay = {};
+  plan.forEach(({ nextReviewDate }) => {
+    perDay[nextReviewDate] = (perDay[nextReviewDate] || 0) + 1;
+  });
+  
+  if (!dryRun) {
+    const nowIso = new Date().toISOString();
+    for (let i = 0; i < plan.length; i += 500) {
+      const batch = writeBatch(db);
+      plan.slice(i, i + 500).forEach(({ id, nextReviewDate }) => {
+        batch.update(doc(db, COLLECTIONS.CARDS, id), {
+          nextReviewDate,
+          isDue: nextReviewDate <= today,
+          isActive: true,
+          archivedAt: null,
+          archiveReason: null,
+          recoveredAt: nowIso,
+          updatedAt: nowIso
+        });
+      });
+      await batch.commit();
+    }
+    console.log(`🧯 Re-spread ${plan.length} overdue cards over ${days} day(s)`);
+  }
+  
+  return { count: plan.length, perDay };
+}
+
+/**
+ * Pause reviews for a vacation
+ * 
+ * Cards due between start and end (inclusive) are pushed back by the
+ * vacation's length, keeping their spacing, and getDueCards returns
+ * nothing until it's over.
+ * 
+ * @param {string} userId - User ID
+ * @param {Object} range - { start, end } as YYYY-MM-DD (HK dates)
+ * @returns {Promise<number>} Number of cards shifted
+ */
+export async function startVacation(userId, { start, end } = {}) {
+  const startDate = parseHKDateKey(start);
+  const endDate = parseHKDateKey(end);
+  if (!startDate || !endDate || start > end) {
+    throw new Error('startVacation requires start <= end (YYYY-MM-DD)');
+  }
+  const lengthDays = Math.round((endDate - startDate) / DAY_MS) + 1;
+  
+  const snapshot = await getDocs(query(
+    collection(db, COLLECTIONS.CARDS),
+    where('userId', '==', userId),
+    where('isActive', '==', true),
+    where('nextReviewDate', '>=', start),
+    where('nextReviewDate', '<=', end)
+  ));
+  const cards = snapshot.docs.map(docSnap => ({ id: docSnap.id, ...docSnap.data() }));
+  
+  const nowIso = new Date().toISOString();
+  for (let i = 0; i < cards.length; i += 500) {
+    const batch = writeBatch(db);
+    cards.slice(i, i + 500).forEach((card) => {
+      batch.update(doc(db, COLLECTIONS.CARDS, card.id), {
+        nextReviewDate: calculateNextReviewDate(lengthDays, parseHKDateKey(card.nextReviewDate)),
+        vacationShiftedFrom: card.nextReviewDate,
+        isDue: false,
+        updatedAt: nowIso
+      });
+    });
+    await batch.commit();
+  }
+  
+  await saveSrsSettings(userId, {
+    vacation: { start, end, shiftedCards: cards.length, startedAt: nowIso }
+  });
+  
+  console.log(`🏖️ Vacation ${start} → ${end}: shifted ${cards.length} cards by ${lengthDays} day(s)`);
+  return cards.length;
+}
+
+/**
+ * End (or cancel) a vacation; shifted cards keep their new dates
+ * 
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} The saved settings
+ */
+export async function endVacation(userId) {
+  return saveSrsSettings(userId, { vacation: null });
+}
+
 /**
  * Archive overdue cards older than 14 days (recoverable)
  * 
+ * No longer run automatically - overdue cards are re-spread with
+ * recoverBacklog instead.
+ * 
  * @param {string} userId - User ID
  * @returns {Promise<number>} Number of archived cards
  */
@@ -299,6 +602,109 @@ export async function restoreArchivedCard(cardId) {
   
   return updatedCard;
 }
+/**
+ * Get a user's leech cards (active, suspended and waiting for the clinic)
+ * 
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} Leeches, most lapses first
+ */
+export async function getLeechCards(userId) {
+  const cardsQuery = query(
+    collection(db, COLLECTIONS.CARDS),
+    where('userId', '==', userId),
+    where('isLeech', '==', true)
+  );
+  
+  const snapshot = await getDocs(cardsQuery);
+  return snapshot.docs
+    .map(docSnap => ({ id: docSnap.id, ...docSnap.data() }))
+    .sort((a, b) => (b.lapses || 0) - (a.lapses || 0));
+}
+
+/**
+ * Put a leech back into rotation after working through it in the clinic
+ * 
+ * The card keeps its leech flag and is due again tomorrow.
+ * 
+ * @param {string} cardId - Card ID
+ * @returns {Promise<Object>} Updated card
+ */
+export async function completeLeechClinic(cardId) {
+  const now = getNow();
+  const update = {
+    isActive: true,
+    archivedAt: null,
+    archiveReason: null,
+    nextReviewDate: calculateNextReviewDate(1, now),
+    isDue: false,
+    leechClinicCompletedAt: now.toISOString(),
+    updatedAt: now.toISOString()
+  };
+  
+  await updateDoc(doc(db, COLLECTIONS.CARDS, cardId), update);
+  console.log(`🩺 Leech clinic done for ${cardId}, due ${update.nextReviewDate}`);
+  return getCard(cardId);
+}
+
+/**
+ * Clear a card's leech flag, restoring it if the leech action suspended it
+ * 
+ * @param {string} cardId - Card ID
+ * @returns {Promise<Object>} Updated card
+ */
+export async function unmarkLeech(cardId) {
+  const card = await getCard(cardId);
+  if (!card) throw new Error(`Card not found: ${cardId}`);
+  
+  const update = {
+    isLeech: false,
+    leechedAt: null,
+    leechAction: null,
+    updatedAt: new Date().toISOString()
+  };
+  if (Object.values(LEECH_ARCHIVE_REASONS).includes(card.archiveReason)) {
+    Object.assign(update, { isActive: true, archivedAt: null, archiveReason: null });
+  }
+  
+  await updateDoc(doc(db, COLLECTIONS.CARDS, cardId), update);
+  return { ...card, ...update };
+}
+
+/**
+ * Pick active cards for a custom study session, regardless of due date
+ * 
+ * Filters combine (a card must match all that are set).
+ * 
+ * @param {string} userId - User ID
+ * @param {Object} [filters]
+ * @param {Array<string>} [filters.topics] - Only these topics
+ * @param {Array<string>} [filters.subtopics] - Only these subtopics
+ * @param {number} [filters.maxEase] - Only cards with ease below this
+ * @param {number} [filters.dueWithinDays] - Only cards due within this many
+ *   days (0 = due today or overdue)
+ * @param {number} [filters.limit] - Max cards to return
+ * @param {Date} [filters.asOf] - Defaults to now
+ * @returns {Promise<Array>} Matching cards, soonest due first
+ */
+export async function getCustomStudyCards(userId, filters = {}) {
+  const { topics, subtopics, maxEase, dueWithinDays, limit: maxCards, asOf = getNow() } = filters;
+  const topicSet = Array.isArray(topics) && topics.length > 0 ? new Set(topics) : null;
+  const subtopicSet = Array.isArray(subtopics) && subtopics.length > 0 ? new Set(subtopics) : null;
+  const dueBy = Number.isFinite(dueWithinDays)
+    ? calculateNextReviewDate(Math.max(0, Math.round(dueWithinDays)), asOf)
+    : null;
+  
+  const cards = (await getAllCards(userId))
+    .filter(card => card.isActive !== false)
+    .filter(card => !topicSet || topicSet.has(card.topic))
+    .filter(card => !subtopicSet || subtopicSet.has(card.subtopic))
+    .filter(card => !Number.isFinite(maxEase) || (card.easeFactor ?? SRS_CONFIG.INITIAL_EASE_FACTOR) < maxEase)
+    .filter(card => !dueBy || String(card.nextReviewDate || '') <= dueBy)
+    .sort((a, b) => String(a.nextReviewDate || '').localeCompare(String(b.nextReviewDate || '')));
+  
+  return Number.isFinite(maxCards) && maxCards > 0 ? cards.slice(0, maxCards) : cards;
+}
+
 /**
  * Save a single card (for debugging)
  * 
@@ -407,16 +813,32 @@ export async function getCard(cardId) {
  * 
  * This is where the magic happens:
  * 1. Records the attempt
- * 2. Updates card state based on result
+ * 2. Updates card state based on the grade
  * 3. Calculates ONLY the next single review date
  * 
  * @param {string} cardId - Card ID
- * @param {boolean} wasCorrect - Did user answer correctly?
+ * @param {number|string|boolean} grade - SRS_GRADES value (Again/Hard/Good/Easy);
+ *   a boolean is treated as Good/Again for older callers
  * @param {Object} attemptData - Additional attempt data
+ * @param {boolean} [attemptData.wasCorrect] - Whether the chosen option was right
+ *   (defaults to grade !== Again)
+ * @param {string} [attemptData.confidence] - Self-rated confidence (defaults from grade)
+ * @param {number} [attemptData.timeSpent] - Response time in ms
+ * @param {Array} [attemptData.relearnHistory] - In-session relearning steps
+ *   after an Again (the session only submits once they're all passed)
+ * @param {Object} [attemptData.loadBalancer] - Shared createReviewLoadBalancer()
+ *   for a batch (a fresh one is used otherwise)
+ * @param {string} [attemptData.attemptedAt] - When the card was answered, for
+ *   reviews done offline and replayed later (defaults to now)
+ * @param {boolean} [attemptData.offline] - Replayed from the offline queue
  * @returns {Promise<Object>} Updated card and attempt record
  */
-export async function submitReview(cardId, wasCorrect, attemptData = {}) {
-  console.log(`📝 Processing review: ${cardId}, correct: ${wasCorrect}`);
+export async function submitReview(cardId, grade, attemptData = {}) {
+  const normalizedGrade = normalizeGrade(grade);
+  const wasCorrect = typeof attemptData.wasCorrect === 'boolean'
+    ? attemptData.wasCorrect
+    : normalizedGrade !== SRS_GRADES.AGAIN;
+  console.log(`📝 Processing review: ${cardId}, grade: ${normalizedGrade}, correct: ${wasCorrect}`);
   
   // 1. Get current card state
   const card = await getCard(cardId);
@@ -424,6 +846,14 @@ export async function submitReview(cardId, wasCorrect, attemptData = {}) {
     throw new Error(`Card not found: ${cardId}`);
   }
   
+  // Schedule from when the card was answered, not when an offline review is
+  // replayed (never later than now, in case the device clock ran ahead)
+  const answeredAt = new Date(attemptData.attemptedAt || NaN);
+  const reviewedAt = Number.isNaN(answeredAt.getTime()) || answeredAt > getNow() ? getNow() : answeredAt;
+  
+  // Reviewed ahead of schedule (custom study): reduced interval credit
+  const earlyCredit = getEarlyReviewCredit(card, reviewedAt);
+  
   // 2. Create attempt record (for audit trail)
   const attemptId = `attempt_${cardId}_${Date.now()}`;
   const attempt = {
@@ -435,19 +865,29 @@ export async function submitReview(cardId, wasCorrect, attemptData = {}) {
     // Attempt details
     attemptNumber: (card.currentAttemptNumber || 0) + 1,
     wasCorrect,
+    grade: normalizedGrade,
+    confidence: attemptData.confidence || getGradeConfidence(normalizedGrade),
     userAnswer: attemptData.userAnswer || null,
     correctAnswer: attemptData.correctAnswer || null,
     
     // Timing
     timeSpent: attemptData.timeSpent || null,
-    attemptedAt: new Date().toISOString(),
+    attemptedAt: reviewedAt.toISOString(),
+    offline: attemptData.offline === true,
+    earlyCredit: earlyCredit === null ? null : Math.round(earlyCredit * 100) / 100,
+    
+    // Relearning steps taken after an Again in the same session
+    relearning: attemptData.relearnHistory || [],
     
     // State before attempt (audit)
     stateBefore: {
       interval: card.interval,
       easeFactor: card.easeFactor,
       repetitionCount: card.repetitionCount,
-      status: card.status
+      status: card.status,
+      scheduler: card.scheduler || 'sm2',
+      fsrsStability: card.fsrsStability ?? card.stability ?? null,
+      fsrsDifficulty: card.fsrsDifficulty ?? (typeof card.difficulty === 'number' ? card.difficulty : null)
     },
     
     // Review session
@@ -457,15 +897,26 @@ export async function submitReview(cardId, wasCorrect, attemptData = {}) {
     createdAt: new Date().toISOString()
   };
   
-  // 3. Calculate new card state
-  const updatedCard = updateCardAfterReview(card, wasCorrect);
+  // 3. Calculate new card state with the user's scheduler (SM-2 or FSRS)
+  const settings = await getSrsSettings(card.userId);
+  const scheduled = updateCardAfterReview(card, normalizedGrade, {
+    ...getSchedulerOptions(settings),
+    fuzz: false,
+    now: reviewedAt
+  });
+  const loadBalancer = attemptData.loadBalancer || createReviewLoadBalancer(card.userId);
+  const updatedCard = applyLeechPolicy(await loadBalancer.place(scheduled, reviewedAt), card.lapses || 0, settings);
   
   // Add state after to attempt record
   attempt.stateAfter = {
     interval: updatedCard.interval,
     easeFactor: updatedCard.easeFactor,
     repetitionCount: updatedCard.repetitionCount,
-    status: updatedCard.status
+    status: updatedCard.status,
+    scheduler: updatedCard.scheduler,
+    fsrsStability: updatedCard.fsrsStability ?? null,
+    fsrsDifficulty: updatedCard.fsrsDifficulty ?? null,
+    fsrsRetrievability: updatedCard.fsrsRetrievability ?? null
   };
   
   // 4. Save both records in a batch
@@ -477,18 +928,29 @@ export async function submitReview(cardId, wasCorrect, attemptData = {}) {
   // Update card
   batch.set(doc(db, COLLECTIONS.CARDS, cardId), updatedCard);
   
+  // Count towards the answer day's new / review caps (early reviews are extra study)
+  if (earlyCredit === null) {
+    const wasNew = (card.status || SRS_CONFIG.STATUS.NEW) === SRS_CONFIG.STATUS.NEW;
+    batch.set(doc(db, 'users', card.userId), dailyProgressIncrement(wasNew, reviewedAt), { merge: true });
+  }
+  
   await batch.commit();
   
   console.log(`✅ Review processed successfully:`, {
     cardId,
+    grade: normalizedGrade,
     wasCorrect,
     nextReview: updatedCard.nextReviewDate,
     newInterval: updatedCard.interval,
     newStatus: updatedCard.status
   });
   
+  if (updatedCard.isLeech && !card.isLeech) {
+    console.log(`🩸 Card became a leech (${updatedCard.lapses} lapses, ${updatedCard.leechAction}): ${cardId}`);
+  }
+  
   // 5. Archive if graduated
-  if (shouldArchiveCard(updatedCard)) {
+  if (updatedCard.isActive !== false && shouldArchiveCard(updatedCard)) {
     console.log(`🎓 Card graduated! Archiving: ${cardId}`);
     await archiveCard(cardId);
   }
@@ -503,7 +965,7 @@ export async function submitReview(cardId, wasCorrect, attemptData = {}) {
  * Submit multiple reviews in one session
  * 
  * @param {string} userId - User ID
- * @param {Array} reviews - Array of {cardId, wasCorrect, userAnswer}
+ * @param {Array} reviews - Array of {cardId, grade, wasCorrect, confidence, userAnswer, timeSpent}
  * @param {string} sessionType - Session type identifier
  * @returns {Promise<Object>} Session summary
  */
@@ -516,20 +978,26 @@ export async function submitReviewSession(userId, reviews, sessionType = 'spaced
   let cardsCorrect = 0;
   let cardsFailed = 0;
   const results = [];
+  const loadBalancer = createReviewLoadBalancer(userId);
   
   // Process each review
   for (const review of reviews) {
     try {
-      const result = await submitReview(review.cardId, review.wasCorrect, {
+      const grade = review.grade ?? review.wasCorrect;
+      const result = await submitReview(review.cardId, grade, {
+        wasCorrect: review.wasCorrect,
+        confidence: review.confidence,
         userAnswer: review.userAnswer,
         correctAnswer: review.correctAnswer,
         timeSpent: review.timeSpent,
+        relearnHistory: review.relearnHistory,
+        loadBalancer,
         reviewSessionId: sessionId
       });
       
       results.push(result);
       
-      if (review.wasCorrect) {
+      if (result.attempt.wasCorrect) {
         cardsCorrect++;
       } else {
         cardsFailed++;
@@ -674,11 +1142,20 @@ export const srsService = {
   getCard,
   submitReview,
   submitReviewSession,
+  applyDailyLimits,
+  createReviewLoadBalancer,
+  recoverBacklog,
+  startVacation,
+  endVacation,
   getReviewStats,
   updateDueFlags,
   archiveOverdueCards,
   getArchivedCards,
   restoreArchivedCard,
+  getLeechCards,
+  completeLeechClinic,
+  unmarkLeech,
+  getCustomStudyCards,
   saveCard,
   deleteCard
 };
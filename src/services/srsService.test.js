@@ -0,0 +1,302 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+const batch = { set: vi.fn(), update: vi.fn(), commit: vi.fn(async () => {}) };
+const getDocs = vi.fn();
+const getDoc = vi.fn();
+
+vi.mock('../firebase/config', () => ({ default: {}, db: {} }));
+vi.mock('firebase/firestore', () => ({
+  collection: vi.fn((db, name) => name),
+  doc: vi.fn((db, ...path) => path.join('/')),
+  deleteField: vi.fn(),
+  getCountFromServer: vi.fn(),
+  getDoc,
+  getDocs,
+  increment: vi.fn(),
+  limit: vi.fn(),
+  orderBy: vi.fn(),
+  query: vi.fn((...parts) => parts),
+  setDoc: vi.fn(),
+  Timestamp: { now: vi.fn() },
+  updateDoc: vi.fn(),
+  deleteDoc: vi.fn(),
+  where: vi.fn((field, op, value) => ({ field, op, value })),
+  writeBatch: vi.fn(() => batch)
+}));
+
+const {
+  createCardsFromMistakes,
+  getDueCards,
+  getCustomStudyCards,
+  getLeechCards,
+  startVacation,
+  recoverBacklog
+} = await import('./srsService');
+const { getCardId, LEECH_ARCHIVE_REASONS } = await import('./srsAlgorithm');
+
+const NOW = new Date('2026-03-10T04:00:00.000Z'); // 12:00 in Hong Kong
+
+const snapshot = cards => ({ docs: cards.map(({ id, ...data }) => ({ id, data: () => data })) });
+
+const MATCHES = {
+  '==': (a, b) => a === b,
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+  '>=': (a, b) => a >= b,
+  in: (a, b) => b.includes(a)
+};
+
+// Answer queries from an in-memory card collection, applying their where()s
+function givenCards(cards) {
+  getDocs.mockImplementation(async (parts) => snapshot(cards.filter(card => parts
+    .filter(part => part?.op)
+    .every(({ field, op, value }) => MATCHES[op](card[field], value)))));
+}
+const profile = srsSettings => ({ exists: () => true, data: () => ({ srsSettings }) });
+
+let userCount = 0;
+
+// A fresh user (settings are cached per user) with no cards yet
+function givenUser(srsSettings = {}) {
+  const userId = `user${++userCount}`;
+  givenCards([]);
+  getDoc.mockResolvedValue(profile(srsSettings));
+  return userId;
+}
+
+const reviewedCard = (userId, extra = {}) => ({
+  id: getCardId(userId, 'Q1-abc'),
+  userId,
+  questionId: 'Q1-abc',
+  sessionId: 'quiz-1',
+  interval: 12,
+  easeFactor: 2.5,
+  repetitionCount: 3,
+  status: 'review',
+  lapses: 0,
+  isActive: true,
+  createdAt: '2026-01-01T00:00:00.000Z',
+  lastReviewedAt: '2026-02-20T00:00:00.000Z',
+  nextReviewDate: '2026-03-04',
+  mergedMistakes: [],
+  ...extra
+});
+
+beforeEach(() => {
+  vi.useFakeTimers();
+  vi.setSystemTime(NOW);
+  batch.set.mockClear();
+  batch.update.mockClear();
+  batch.commit.mockClear();
+});
+
+describe('createCardsFromMistakes', () => {
+  it('creates one canonical card per question', async () => {
+    const userId = givenUser();
+    const cards = await createCardsFromMistakes(userId, [{ ID: 'Q1-abc', Topic: 'Acids' }], 'quiz-1', 'attempt-1');
+
+    expect(cards).toHaveLength(1);
+    expect(cards[0]).toMatchObject({ id: `card_${userId}_Q1-abc`, questionId: 'Q1-abc', sessionId: 'quiz-1' });
+    expect(batch.set).toHaveBeenCalledWith(`spaced_repetition_cards/card_${userId}_Q1-abc`, cards[0]);
+  });
+
+  it('folds a repeat mistake into the existing card as a lapse', async () => {
+    const userId = givenUser();
+    const existing = reviewedCard(userId);
+    getDocs.mockResolvedValue(snapshot([existing]));
+
+    const [card] = await createCardsFromMistakes(userId, [{ ID: 'Q1-abc' }], 'quiz-2', 'attempt-2');
+
+    expect(batch.set).toHaveBeenCalledTimes(1);
+    expect(card.id).toBe(existing.id);
+    expect(card.lapses).toBe(1);
+    expect(card.interval).toBeLessThan(existing.interval);
+    expect(card.mergedMistakes).toEqual([{ at: NOW.toISOString(), sessionId: 'quiz-2', attemptId: 'attempt-2' }]);
+  });
+
+  it('only records the mistake on a card that has not been reviewed yet', async () => {
+    const userId = givenUser();
+    const waiting = { ...reviewedCard(userId), lastReviewedAt: null, interval: 1, repetitionCount: 0, status: 'new' };
+    getDocs.mockResolvedValue(snapshot([waiting]));
+
+    const [card] = await createCardsFromMistakes(userId, [{ ID: 'Q1-abc' }], 'quiz-2', 'attempt-2');
+    expect(card).toMatchObject({ lapses: 0, interval: 1, nextReviewDate: waiting.nextReviewDate });
+    expect(card.mergedMistakes).toHaveLength(1);
+  });
+
+  it('does not count the same quiz twice', async () => {
+    const userId = givenUser();
+    getDocs.mockResolvedValue(snapshot([
+      reviewedCard(userId, { mergedMistakes: [{ at: '2026-03-01T00:00:00.000Z', sessionId: 'quiz-2', attemptId: 'a' }] })
+    ]));
+
+    expect(await createCardsFromMistakes(userId, [{ ID: 'Q1-abc' }], 'quiz-1', 'attempt-1')).toEqual([]);
+    expect(await createCardsFromMistakes(userId, [{ ID: 'Q1-abc' }], 'quiz-2', 'attempt-2')).toEqual([]);
+    expect(batch.commit).not.toHaveBeenCalled();
+  });
+
+  it('prefers the canonical card over legacy per-quiz duplicates', async () => {
+    const userId = givenUser();
+    const legacy = reviewedCard(userId, {
+      id: `card_${userId}_Q1-abc_quiz-0`,
+      sessionId: 'quiz-0',
+      lastReviewedAt: '2026-03-01T00:00:00.000Z'
+    });
+    const canonical = reviewedCard(userId);
+    getDocs.mockResolvedValue(snapshot([legacy, canonical]));
+
+    const [card] = await createCardsFromMistakes(userId, [{ ID: 'Q1-abc' }], 'quiz-2', 'attempt-2');
+    expect(card.id).toBe(canonical.id);
+  });
+
+  it('prefers an active legacy card, then the most recently used one', async () => {
+    const userId = givenUser();
+    const archived = reviewedCard(userId, { id: 'legacy-archived', isActive: false, lastReviewedAt: '2026-03-05T00:00:00.000Z' });
+    const older = reviewedCard(userId, { id: 'legacy-older', lastReviewedAt: '2026-02-01T00:00:00.000Z' });
+    const newer = reviewedCard(userId, { id: 'legacy-newer', lastReviewedAt: '2026-02-25T00:00:00.000Z' });
+    getDocs.mockResolvedValue(snapshot([archived, older, newer]));
+
+    const [card] = await createCardsFromMistakes(userId, [{ ID: 'Q1-abc' }], 'quiz-2', 'attempt-2');
+    expect(card.id).toBe('legacy-newer');
+  });
+
+  it('brings an archived card back into rotation', async () => {
+    const userId = givenUser();
+    getDocs.mockResolvedValue(snapshot([
+      reviewedCard(userId, { isActive: false, archivedAt: '2026-03-01T00:00:00.000Z', archiveReason: 'graduated' })
+    ]));
+
+    const [card] = await createCardsFromMistakes(userId, [{ ID: 'Q1-abc' }], 'quiz-2', 'attempt-2');
+    expect(card).toMatchObject({ isActive: true, archivedAt: null, archiveReason: null });
+  });
+});
+
+describe('vacation mode', () => {
+  const vacation = { start: '2026-03-09', end: '2026-03-12' };
+
+  it('pauses due reviews until the vacation is over', async () => {
+    const userId = givenUser({ vacation });
+    givenCards([reviewedCard(userId)]);
+
+    expect(await getDueCards(userId)).toEqual([]);
+    expect(await getDueCards(userId, new Date('2026-03-13T04:00:00.000Z'))).toHaveLength(1);
+  });
+
+  it('pushes cards due during the vacation back by its length', async () => {
+    const userId = givenUser();
+    givenCards([
+      reviewedCard(userId, { id: 'before', nextReviewDate: '2026-03-08' }),
+      reviewedCard(userId, { id: 'first-day', nextReviewDate: '2026-03-09' }),
+      reviewedCard(userId, { id: 'last-day', nextReviewDate: '2026-03-12' }),
+      reviewedCard(userId, { id: 'archived', nextReviewDate: '2026-03-10', isActive: false })
+    ]);
+
+    expect(await startVacation(userId, vacation)).toBe(2);
+    expect(batch.update.mock.calls.map(([ref, patch]) => [ref, patch.nextReviewDate, patch.vacationShiftedFrom])).toEqual([
+      ['spaced_repetition_cards/first-day', '2026-03-13', '2026-03-09'],
+      ['spaced_repetition_cards/last-day', '2026-03-16', '2026-03-12']
+    ]);
+  });
+
+  it('rejects a vacation that ends before it starts', async () => {
+    await expect(startVacation(givenUser(), { start: '2026-03-12', end: '2026-03-09' })).rejects.toThrow();
+  });
+
+  it('first shows new mistakes the day after the vacation', async () => {
+    const userId = givenUser({ vacation });
+    const [card] = await createCardsFromMistakes(userId, [{ ID: 'Q2-def' }], 'quiz-1', 'attempt-1');
+    expect(card).toMatchObject({ nextReviewDate: '2026-03-13', isDue: false });
+  });
+});
+
+describe('recoverBacklog', () => {
+  it('re-spreads overdue and auto-archived cards instead of dropping them', async () => {
+    const userId = givenUser();
+    givenCards([
+      reviewedCard(userId, { id: 'overdue-1', nextReviewDate: '2026-02-01' }),
+      reviewedCard(userId, { id: 'overdue-2', nextReviewDate: '2026-03-01' }),
+      reviewedCard(userId, { id: 'auto-archived', nextReviewDate: '2026-01-20', isActive: false, archiveReason: 'overdue_14_days' }),
+      reviewedCard(userId, { id: 'graduated', nextReviewDate: '2026-01-20', isActive: false, archiveReason: 'graduated' }),
+      reviewedCard(userId, { id: 'due-today', nextReviewDate: '2026-03-10' })
+    ]);
+
+    expect(await recoverBacklog(userId, 3, { dryRun: true })).toEqual({
+      count: 3,
+      perDay: { '2026-03-10': 1, '2026-03-11': 1, '2026-03-12': 1 }
+    });
+    expect(batch.commit).not.toHaveBeenCalled();
+
+    await recoverBacklog(userId, 3);
+    const updates = Object.fromEntries(batch.update.mock.calls.map(([ref, patch]) => [ref.split('/')[1], patch]));
+    expect(Object.keys(updates).sort()).toEqual(['auto-archived', 'overdue-1', 'overdue-2']);
+    expect(updates['auto-archived']).toMatchObject({ isActive: true, archivedAt: null, archiveReason: null });
+    expect(Object.values(updates).filter(patch => patch.isDue)).toHaveLength(1);
+  });
+});
+
+describe('leeches', () => {
+  it('suspends a card when a repeat mistake makes it a leech', async () => {
+    const userId = givenUser({ leechThreshold: 4, leechAction: 'suspend' });
+    givenCards([reviewedCard(userId, { lapses: 3 })]);
+
+    const [card] = await createCardsFromMistakes(userId, [{ ID: 'Q1-abc' }], 'quiz-2', 'attempt-2');
+    expect(card).toMatchObject({ lapses: 4, isLeech: true, isActive: false, archiveReason: LEECH_ARCHIVE_REASONS.suspend });
+  });
+
+  it('keeps a held leech out of rotation on another mistake', async () => {
+    const userId = givenUser();
+    givenCards([reviewedCard(userId, {
+      lapses: 8,
+      isLeech: true,
+      isActive: false,
+      archiveReason: LEECH_ARCHIVE_REASONS.clinic
+    })]);
+
+    const [card] = await createCardsFromMistakes(userId, [{ ID: 'Q1-abc' }], 'quiz-2', 'attempt-2');
+    expect(card).toMatchObject({ lapses: 9, isActive: false, archiveReason: LEECH_ARCHIVE_REASONS.clinic });
+  });
+
+  it('lists leeches with the most lapses first', async () => {
+    const userId = givenUser();
+    givenCards([
+      reviewedCard(userId, { id: 'mild', isLeech: true, lapses: 8 }),
+      reviewedCard(userId, { id: 'fine', lapses: 20 }),
+      reviewedCard(userId, { id: 'worst', isLeech: true, lapses: 14, isActive: false })
+    ]);
+
+    expect((await getLeechCards(userId)).map(card => card.id)).toEqual(['worst', 'mild']);
+  });
+});
+
+describe('getCustomStudyCards', () => {
+  function givenDeck() {
+    const userId = givenUser();
+    givenCards([
+      reviewedCard(userId, { id: 'acid-hard', topic: 'Acids', subtopic: 'pH', easeFactor: 1.5, nextReviewDate: '2026-03-20' }),
+      reviewedCard(userId, { id: 'acid-easy', topic: 'Acids', subtopic: 'Titration', easeFactor: 2.6, nextReviewDate: '2026-03-12' }),
+      reviewedCard(userId, { id: 'acid-archived', topic: 'Acids', easeFactor: 1.3, isActive: false }),
+      reviewedCard(userId, { id: 'redox-hard', topic: 'Redox', easeFactor: 1.7, nextReviewDate: '2026-03-09' }),
+      reviewedCard(userId, { id: 'redox-new', topic: 'Redox', easeFactor: undefined, nextReviewDate: '2026-03-16' })
+    ]);
+    return userId;
+  }
+  const ids = cards => cards.map(card => card.id);
+
+  it('takes every active card regardless of due date, soonest first', async () => {
+    expect(ids(await getCustomStudyCards(givenDeck()))).toEqual(['redox-hard', 'acid-easy', 'redox-new', 'acid-hard']);
+  });
+
+  it('filters by topic, subtopic, ease and due date together', async () => {
+    const userId = givenDeck();
+    expect(ids(await getCustomStudyCards(userId, { topics: ['Acids'] }))).toEqual(['acid-easy', 'acid-hard']);
+    expect(ids(await getCustomStudyCards(userId, { subtopics: ['pH'] }))).toEqual(['acid-hard']);
+    expect(ids(await getCustomStudyCards(userId, { maxEase: 1.8 }))).toEqual(['redox-hard', 'acid-hard']);
+    expect(ids(await getCustomStudyCards(userId, { dueWithinDays: 7 }))).toEqual(['redox-hard', 'acid-easy', 'redox-new']);
+    expect(ids(await getCustomStudyCards(userId, { dueWithinDays: 0 }))).toEqual(['redox-hard']);
+    expect(ids(await getCustomStudyCards(userId, { topics: ['Redox'], maxEase: 1.8, dueWithinDays: 7 }))).toEqual(['redox-hard']);
+  });
+
+  it('caps the session size', async () => {
+    expect(ids(await getCustomStudyCards(givenDeck(), { limit: 2 }))).toEqual(['redox-hard', 'acid-easy']);
+  });
+});
@@ -0,0 +1,274 @@
+/**
+ * SRS Settings - per-user scheduler preferences
+ *
+ * Stored on the user profile as users/{uid}.srsSettings:
+ *   algorithm         'sm2' | 'fsrs'
+ *   requestRetention  FSRS target recall probability (0.7–0.97)
+ *   fsrsWeights       17 fitted weights, or null for the defaults
+ *   fsrsOptimizedAt   ISO timestamp of the last optimizer run
+ *   fsrsReviewCount   reviews the weights were fitted on
+ *   dailyNewLimit     new (never reviewed) cards per day, or null for no cap
+ *   dailyReviewLimit  other reviews per day, or null for no cap
+ *   vacation          { start, end } HK date keys while reviews are paused,
+ *                     or null (see srsService.startVacation)
+ *   leechThreshold    lapses that make a card a leech, or null to turn off
+ *   leechAction       one of LEECH_ACTIONS (tag / suspend / clinic)
+ *
+ * Reviews done so far today live beside it in users/{uid}.srsDailyProgress,
+ * keyed by HK date: { 'YYYY-MM-DD': { newCards, reviews } }.
+ */
+
+import { db } from '../firebase/config';
+import { collection, deleteField, doc, getDoc, getDocs, increment, query, updateDoc, where } from 'firebase/firestore';
+import { getNow } from '../utils/timeTravel';
+import { formatHKDateKey } from '../utils/hkTime';
+import { SRS_ALGORITHMS, SRS_CONFIG, SRS_GRADES, LEECH_ACTIONS, normalizeGrade } from './srsAlgorithm';
+import { optimizeFsrsWeights, normalizeWeights, FSRS_CONFIG } from './fsrsAlgorithm';
+
+export const DEFAULT_SRS_SETTINGS = {
+  algorithm: SRS_ALGORITHMS.SM2,
+  requestRetention: FSRS_CONFIG.DEFAULT_REQUEST_RETENTION,
+  fsrsWeights: null,
+  fsrsOptimizedAt: null,
+  fsrsReviewCount: 0,
+  dailyNewLimit: null,
+  dailyReviewLimit: null,
+  vacation: null,
+  leechThreshold: SRS_CONFIG.LEECH_THRESHOLD,
+  leechAction: LEECH_ACTIONS.TAG
+};
+
+export const MAX_DAILY_LIMIT = 9999;
+export const MIN_LEECH_THRESHOLD = 2;
+export const MAX_LEECH_THRESHOLD = 50;
+
+const cache = new Map();
+
+function normalizeSettings(raw) {
+  const settings = { ...DEFAULT_SRS_SETTINGS, ...(raw && typeof raw === 'object' ? raw : {}) };
+  if (!Object.values(SRS_ALGORITHMS).includes(settings.algorithm)) {
+    settings.algorithm = DEFAULT_SRS_SETTINGS.algorithm;
+  }
+  const retention = Number(settings.requestRetention);
+  settings.requestRetention = Number.isFinite(retention)
+    ? Math.min(FSRS_CONFIG.MAX_REQUEST_RETENTION, Math.max(FSRS_CONFIG.MIN_REQUEST_RETENTION, retention))
+    : DEFAULT_SRS_SETTINGS.requestRetention;
+  settings.fsrsWeights = Array.isArray(settings.fsrsWeights) ? normalizeWeights(settings.fsrsWeights) : null;
+  settings.dailyNewLimit = normalizeDailyLimit(settings.dailyNewLimit);
+  settings.dailyReviewLimit = normalizeDailyLimit(settings.dailyReviewLimit);
+  settings.vacation = normalizeVacation(settings.vacation);
+  settings.leechThreshold = normalizeLeechThreshold(settings.leechThreshold);
+  if (!Object.values(LEECH_ACTIONS).includes(settings.leechAction)) {
+    settings.leechAction = DEFAULT_SRS_SETTINGS.leechAction;
+  }
+  return settings;
+}
+
+const DATE_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function normalizeVacation(vacation) {
+  if (!vacation || typeof vacation !== 'object') return null;
+  const { start, end } = vacation;
+  if (!DATE_KEY_PATTERN.test(String(start)) || !DATE_KEY_PATTERN.test(String(end)) || start > end) return null;
+  return { ...vacation, start, end };
+}
+
+/**
+ * Whether reviews are paused for a vacation on the given day
+ *
+ * @param {Object} settings - SRS settings
+ * @param {Date} [asOf] - Defaults to today (HK time)
+ * @returns {boolean}
+ */
+export function isOnVacation(settings, asOf = getNow()) {
+  const vacation = settings?.vacation;
+  if (!vacation) return false;
+  const today = formatHKDateKey(asOf);
+  return today >= vacation.start && today <= vacation.end;
+}
+
+function normalizeLeechThreshold(value) {
+  if (value === null || value === '') return null;
+  const n = Math.round(Number(value));
+  return Number.isFinite(n)
+    ? Math.min(MAX_LEECH_THRESHOLD, Math.max(MIN_LEECH_THRESHOLD, n))
+    : DEFAULT_SRS_SETTINGS.leechThreshold;
+}
+
+function normalizeDailyLimit(value) {
+  if (value === null || value === '') return null;
+  const n = Math.round(Number(value));
+  return Number.isFinite(n) ? Math.min(MAX_DAILY_LIMIT, Math.max(0, n)) : null;
+}
+
+/**
+ * Get a user's SRS settings (cached for the session)
+ *
+ * @param {string} userId - User ID
+ * @param {Object} [options]
+ * @param {boolean} [options.force] - Bypass the cache
+ * @returns {Promise<Object>} Settings merged over DEFAULT_SRS_SETTINGS
+ */
+export async function getSrsSettings(userId, { force = false } = {}) {
+  if (!userId) return { ...DEFAULT_SRS_SETTINGS };
+  if (!force && cache.has(userId)) return cache.get(userId);
+
+  try {
+    const snap = await getDoc(doc(db, 'users', userId));
+    const settings = normalizeSettings(snap.exists() ? snap.data()?.srsSettings : null);
+    cache.set(userId, settings);
+    return settings;
+  } catch (error) {
+    console.error('Error loading SRS settings:', error);
+    return { ...DEFAULT_SRS_SETTINGS };
+  }
+}
+
+/**
+ * Update some SRS settings
+ *
+ * @param {string} userId - User ID
+ * @param {Object} patch - Fields to change
+ * @returns {Promise<Object>} The saved settings
+ */
+export async function saveSrsSettings(userId, patch = {}) {
+  const current = await getSrsSettings(userId);
+  const next = normalizeSettings({ ...current, ...patch });
+
+  await updateDoc(doc(db, 'users', userId), {
+    srsSettings: next,
+    updatedAt: new Date().toISOString()
+  });
+
+  cache.set(userId, next);
+  return next;
+}
+
+/**
+ * Options for srsAlgorithm.updateCardAfterReview from a settings object
+ */
+export function getSchedulerOptions(settings) {
+  const s = settings || DEFAULT_SRS_SETTINGS;
+  return {
+    algorithm: s.algorithm,
+    weights: s.fsrsWeights || undefined,
+    requestRetention: s.requestRetention
+  };
+}
+
+/**
+ * Reviews already done today, for the daily caps
+ *
+ * Older days are dropped from the profile the first time they're seen.
+ *
+ * @param {string} userId - User ID
+ * @param {Date} [asOf] - Day to read (defaults to today, HK time)
+ * @returns {Promise<{newCards: number, reviews: number}>}
+ */
+export async function getDailyProgress(userId, asOf = getNow()) {
+  const empty = { newCards: 0, reviews: 0 };
+  if (!userId) return empty;
+
+  try {
+    const todayKey = formatHKDateKey(asOf);
+    const snap = await getDoc(doc(db, 'users', userId));
+    const progress = snap.exists() ? snap.data()?.srsDailyProgress : null;
+    if (!progress || typeof progress !== 'object') return empty;
+
+    const staleKeys = Object.keys(progress).filter(key => key < todayKey);
+    if (staleKeys.length > 0) {
+      const patch = {};
+      staleKeys.forEach((key) => { patch[`srsDailyProgress.${key}`] = deleteField(); });
+      updateDoc(doc(db, 'users', userId), patch).catch(error => {
+        console.warn('Could not prune old SRS daily progress:', error);
+      });
+    }
+
+    const today = progress[todayKey] || {};
+    return {
+      newCards: Number(today.newCards || 0),
+      reviews: Number(today.reviews || 0)
+    };
+  } catch (error) {
+    console.error('Error loading SRS daily progress:', error);
+    return empty;
+  }
+}
+
+/**
+ * Profile patch counting one review towards today's caps
+ * (for a writeBatch set with merge on users/{uid})
+ *
+ * @param {boolean} wasNew - The card had never been reviewed before
+ * @param {Date} [asOf] - Review time
+ */
+export function dailyProgressIncrement(wasNew, asOf = getNow()) {
+  return {
+    srsDailyProgress: {
+      [formatHKDateKey(asOf)]: wasNew ? { newCards: increment(1) } : { reviews: increment(1) }
+    }
+  };
+}
+
+/**
+ * Fit FSRS weights to the user's own review_attempts and save them.
+ *
+ * Each card's history starts with its creation (a wrong quiz answer, i.e.
+ * an Again), followed by every review and later quiz mistake in time order.
+ *
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} Optimizer result (see optimizeFsrsWeights)
+ */
+export async function optimizeFsrsForUser(userId) {
+  const [cardsSnap, attemptsSnap, settings] = await Promise.all([
+    getDocs(query(collection(db, 'spaced_repetition_cards'), where('userId', '==', userId))),
+    getDocs(query(collection(db, 'review_attempts'), where('userId', '==', userId))),
+    getSrsSettings(userId)
+  ]);
+  const cards = cardsSnap.docs.map(d => ({ id: d.id, ...d.data() }));
+  const attempts = attemptsSnap.docs.map(d => d.data());
+
+  const byCard = new Map();
+  cards.forEach((card) => {
+    if (!card.createdAt) return;
+    const events = [{ at: card.createdAt, grade: SRS_GRADES.AGAIN }];
+    (card.mergedMistakes || []).forEach((mistake) => {
+      if (mistake?.at) events.push({ at: mistake.at, grade: SRS_GRADES.AGAIN });
+    });
+    byCard.set(card.id, events);
+  });
+  attempts.forEach((attempt) => {
+    const events = byCard.get(attempt.cardId);
+    if (!events || !attempt.attemptedAt) return;
+    events.push({
+      at: attempt.attemptedAt,
+      grade: normalizeGrade(attempt.grade ?? attempt.wasCorrect)
+    });
+  });
+
+  const result = optimizeFsrsWeights(Array.from(byCard.values()), {
+    initialWeights: settings.fsrsWeights || undefined
+  });
+
+  if (result.optimized) {
+    await saveSrsSettings(userId, {
+      fsrsWeights: result.weights,
+      fsrsOptimizedAt: new Date().toISOString(),
+      fsrsReviewCount: result.reviewCount
+    });
+  }
+
+  return result;
+}
+
+export const srsSettingsService = {
+  getSrsSettings,
+  saveSrsSettings,
+  getSchedulerOptions,
+  isOnVacation,
+  getDailyProgress,
+  dailyProgressIncrement,
+  optimizeFsrsForUser
+};
+
+export default srsSettingsService;
@@ -0,0 +1,65 @@
+import { describe, it, expect, vi } from 'vitest';
+
+const getDoc = vi.fn();
+
+vi.mock('../firebase/config', () => ({ default: {}, db: {} }));
+vi.mock('firebase/firestore', () => ({
+  collection: vi.fn(),
+  deleteField: vi.fn(),
+  doc: vi.fn((db, ...path) => path.join('/')),
+  getDoc,
+  getDocs: vi.fn(),
+  increment: vi.fn(),
+  query: vi.fn(),
+  updateDoc: vi.fn(),
+  where: vi.fn()
+}));
+
+const { DEFAULT_SRS_SETTINGS, getSrsSettings, isOnVacation } = await import('./srsSettingsService');
+
+const profile = srsSettings => ({ exists: () => true, data: () => ({ srsSettings }) });
+
+describe('daily limits', () => {
+  it('are off until the user sets them', async () => {
+    expect(DEFAULT_SRS_SETTINGS.dailyNewLimit).toBeNull();
+    expect(DEFAULT_SRS_SETTINGS.dailyReviewLimit).toBeNull();
+
+    getDoc.mockResolvedValueOnce(profile(undefined));
+    const settings = await getSrsSettings('no-settings', { force: true });
+    expect(settings.dailyNewLimit).toBeNull();
+    expect(settings.dailyReviewLimit).toBeNull();
+  });
+
+  it('keeps a limit the user opted into', async () => {
+    getDoc.mockResolvedValueOnce(profile({ dailyNewLimit: '15', dailyReviewLimit: '' }));
+    const settings = await getSrsSettings('opted-in', { force: true });
+    expect(settings.dailyNewLimit).toBe(15);
+    expect(settings.dailyReviewLimit).toBeNull();
+  });
+});
+
+describe('isOnVacation', () => {
+  const settings = { vacation: { start: '2026-03-10', end: '2026-03-15' } };
+  const at = iso => new Date(iso);
+
+  // Hong Kong is UTC+8: 15:30Z on 9 March is 23:30 there, still the day before
+  it('covers the first and last day in Hong Kong time', () => {
+    expect(isOnVacation(settings, at('2026-03-09T15:30:00.000Z'))).toBe(false);
+    expect(isOnVacation(settings, at('2026-03-09T16:00:00.000Z'))).toBe(true);
+    expect(isOnVacation(settings, at('2026-03-15T15:59:00.000Z'))).toBe(true);
+    expect(isOnVacation(settings, at('2026-03-15T16:00:00.000Z'))).toBe(false);
+  });
+
+  it('is off without a vacation', () => {
+    expect(isOnVacation({ vacation: null })).toBe(false);
+    expect(isOnVacation(null)).toBe(false);
+  });
+
+  it('drops a malformed vacation when settings load', async () => {
+    getDoc.mockResolvedValueOnce(profile({ vacation: { start: '2026-03-15', end: '2026-03-10' } }));
+    expect((await getSrsSettings('backwards-vacation', { force: true })).vacation).toBeNull();
+
+    getDoc.mockResolvedValueOnce(profile({ vacation: { start: 'soon', end: '2026-03-10' } }));
+    expect((await getSrsSettings('bad-date-vacation', { force: true })).vacation).toBeNull();
+  });
+});
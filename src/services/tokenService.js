@@ -1,119 +1,26 @@
 // ============================================================================
 // TOKEN SERVICE - Real-Time Token Economy with Anti-Cheat
 // ============================================================================
-
-import { 
-  doc, getDoc, setDoc, updateDoc, collection, addDoc, 
-  query, orderBy, limit, getDocs, runTransaction, serverTimestamp,
-  onSnapshot, increment, writeBatch
+//
+// Balances, purchases and equipped items are server-authoritative: every
+// change goes through a callable Cloud Function (see functions/index.js,
+// "Token economy") and firestore.rules rejects client writes to `tokens`,
+// `inventory` and `equipped`. This module only reads and calls.
+
+import {
+  doc, getDoc, collection, query, orderBy, limit, getDocs, onSnapshot
 } from 'firebase/firestore';
-import { db } from '../firebase/config';
-
-// ────────────────────────────────────────────────────────────────────────────
-// TRANSACTION-SAFE TOKEN OPERATIONS
-// ────────────────────────────────────────────────────────────────────────────
+import app, { db } from '../firebase/config';
 
 /**
- * Award tokens to a user with transaction safety
- * Creates entry in tokenHistory sub-collection
+ * Call a token-economy Cloud Function and return its result payload.
  */
-export async function awardTokens(userId, amount, reason, metadata = {}) {
-  try {
-    const userRef = doc(db, 'users', userId);
-    
-    await runTransaction(db, async (transaction) => {
-      const userDoc = await transaction.get(userRef);
-      
-      if (!userDoc.exists()) {
-        throw new Error('User not found');
-      }
-
-      const currentTokens = userDoc.data().tokens || 0;
-      const newTokens = currentTokens + amount;
-
-      // Update user tokens
-      transaction.update(userRef, {
-        tokens: newTokens,
-        updatedAt: serverTimestamp()
-      });
-
-      // Create history entry
-      const historyRef = doc(collection(db, 'users', userId, 'tokenHistory'));
-      transaction.set(historyRef, {
-        amount,
-        reason,
-        type: 'gain',
-        timestamp: serverTimestamp(),
-        balanceAfter: newTokens,
-        metadata
-      });
-    });
-
-    // Clean up old history records (keep only 8 most recent)
-    // Run this after transaction to avoid conflicts
-    setTimeout(() => cleanupTokenHistory(userId), 100);
-
-    return { success: true, message: `Awarded ${amount} tokens` };
-  } catch (error) {
-    console.error('Error awarding tokens:', error);
-    throw error;
-  }
-}
-
-/**
- * Deduct tokens with transaction safety (prevents double-spending)
- */
-export async function deductTokens(userId, amount, reason, metadata = {}) {
-  try {
-    const userRef = doc(db, 'users', userId);
-    
-    const result = await runTransaction(db, async (transaction) => {
-      const userDoc = await transaction.get(userRef);
-      
-      if (!userDoc.exists()) {
-        throw new Error('User not found');
-      }
-
-      const currentTokens = userDoc.data().tokens || 0;
-      
-      // Anti-cheat: Verify sufficient funds
-      if (currentTokens < amount) {
-        throw new Error('INSUFFICIENT_TOKENS');
-      }
-
-      const newTokens = currentTokens - amount;
-
-      // Update user tokens
-      transaction.update(userRef, {
-        tokens: newTokens,
-        updatedAt: serverTimestamp()
-      });
-
-      // Create history entry
-      const historyRef = doc(collection(db, 'users', userId, 'tokenHistory'));
-      transaction.set(historyRef, {
-        amount: -amount,
-        reason,
-        type: 'spend',
-        timestamp: serverTimestamp(),
-        balanceAfter: newTokens,
-        metadata
-      });
-
-      return { newBalance: newTokens };
-    });
-
-    // Clean up old history records (keep only 8 most recent)
-    setTimeout(() => cleanupTokenHistory(userId), 100);
-
-    return { success: true, newBalance: result.newBalance };
-  } catch (error) {
-    if (error.message === 'INSUFFICIENT_TOKENS') {
-      return { success: false, error: 'Not enough tokens' };
-    }
-    console.error('Error deducting tokens:', error);
-    throw error;
-  }
+export async function callTokenFunction(name, data = {}) {
+  const { getFunctions, httpsCallable } = await import('firebase/functions');
+  const functions = getFunctions(app, 'asia-east1');
+  const callable = httpsCallable(functions, name);
+  const res = await callable(data);
+  return res.data;
 }
 
 // ────────────────────────────────────────────────────────────────────────────
@@ -121,93 +28,23 @@ export async function deductTokens(userId, amount, reason, metadata = {}) {
 // ────────────────────────────────────────────────────────────────────────────
 
 /**
- * Purchase an item from the store
+ * Purchase an item from the store (price is looked up server-side)
  */
-export async function purchaseItem(userId, itemId, price) {
+export async function purchaseItem(itemId) {
   try {
-    const userRef = doc(db, 'users', userId);
-    
-    const result = await runTransaction(db, async (transaction) => {
-      const userDoc = await transaction.get(userRef);
-      
-      if (!userDoc.exists()) {
-        throw new Error('User not found');
-      }
-
-      const currentTokens = userDoc.data().tokens || 0;
-      const inventory = userDoc.data().inventory || [];
-
-      // Check if already owned
-      if (inventory.includes(itemId)) {
-        throw new Error('ALREADY_OWNED');
-      }
-
-      // Verify funds
-      if (currentTokens < price) {
-        throw new Error('INSUFFICIENT_TOKENS');
-      }
-
-      const newTokens = currentTokens - price;
-
-      // Update user
-      transaction.update(userRef, {
-        tokens: newTokens,
-        inventory: [...inventory, itemId],
-        updatedAt: serverTimestamp()
-      });
-
-      // Log transaction
-      const historyRef = doc(collection(db, 'users', userId, 'tokenHistory'));
-      transaction.set(historyRef, {
-        amount: -price,
-        reason: `Purchased: ${itemId}`,
-        type: 'spend',
-        timestamp: serverTimestamp(),
-        balanceAfter: newTokens,
-        metadata: { itemId, category: 'store_purchase' }
-      });
-
-      return { newBalance: newTokens, newInventory: [...inventory, itemId] };
-    });
-
-    return { success: true, ...result };
+    return await callTokenFunction('purchaseItem', { itemId });
   } catch (error) {
-    if (error.message === 'ALREADY_OWNED') {
-      return { success: false, error: 'You already own this item' };
-    }
-    if (error.message === 'INSUFFICIENT_TOKENS') {
-      return { success: false, error: 'Not enough tokens' };
-    }
     console.error('Error purchasing item:', error);
     throw error;
   }
 }
 
 /**
- * Equip an item (set as active profile picture, etc.)
+ * Equip an owned item in its slot (profile picture, badge or theme)
  */
-export async function equipItem(userId, itemId, slot = 'profilePic') {
+export async function equipItem(itemId) {
   try {
-    const userRef = doc(db, 'users', userId);
-    const userDoc = await getDoc(userRef);
-
-    if (!userDoc.exists()) {
-      throw new Error('User not found');
-    }
-
-    const inventory = userDoc.data().inventory || [];
-    
-    if (!inventory.includes(itemId)) {
-      return { success: false, error: 'Item not owned' };
-    }
-
-    // Update equipped item
-    await updateDoc(userRef, {
-      [`equipped.${slot}`]: itemId,
-      updatedAt: serverTimestamp()
-    });
-
-    return { success: true };
+    return await callTokenFunction('equipItem', { itemId });
   } catch (error) {
     console.error('Error equipping item:', error);
     throw error;
@@ -243,40 +80,6 @@ export async function getTokenHistory(userId, limitCount = 8) {
   }
 }
 
-/**
- * Clean up old token history records, keeping only the most recent 8
- */
-export async function cleanupTokenHistory(userId) {
-  try {
-    const historyRef = collection(db, 'users', userId, 'tokenHistory');
-    
-    // Get all records ordered by timestamp (newest first)
-    const allRecordsQuery = query(historyRef, orderBy('timestamp', 'desc'));
-    const snapshot = await getDocs(allRecordsQuery);
-    
-    // If we have more than 8 records, delete the oldest ones
-    if (snapshot.size > 8) {
-      const batch = writeBatch(db);
-      let deletedCount = 0;
-      
-      // Skip the first 8 (newest) and delete the rest
-      snapshot.docs.forEach((doc, index) => {
-        if (index >= 8) {
-          batch.delete(doc.ref);
-          deletedCount++;
-        }
-      });
-      
-      if (deletedCount > 0) {
-        await batch.commit();
-        console.log(`Cleaned up ${deletedCount} old token history records for user ${userId}`);
-      }
-    }
-  } catch (error) {
-    console.error('Error cleaning up token history:', error);
-  }
-}
-
 /**
  * Subscribe to real-time token updates
  */
@@ -339,40 +142,14 @@ export async function canClaimReward(userId, rewardKey) {
 }
 
 /**
- * Record a reward claim with cooldown
- */
-export async function recordRewardClaim(userId, rewardKey, cooldownHours = 24) {
-  try {
-    const cooldownRef = doc(db, 'users', userId, 'rewardCooldowns', rewardKey);
-    await setDoc(cooldownRef, {
-      lastClaimed: serverTimestamp(),
-      cooldownHours,
-      updatedAt: serverTimestamp()
-    });
-  } catch (error) {
-    console.error('Error recording reward claim:', error);
-  }
-}
-
-/**
- * Record multiple reward claims efficiently in one batch
+ * Claim today's daily reward (once per Hong Kong calendar day)
  */
-export async function recordRewardClaimsBatch(userId, rewardKeys = [], cooldownHours = 24) {
+export async function claimDailyReward() {
   try {
-    if (!userId || !Array.isArray(rewardKeys) || rewardKeys.length === 0) return;
-
-    const batch = writeBatch(db);
-    rewardKeys.forEach((rewardKey) => {
-      const cooldownRef = doc(db, 'users', userId, 'rewardCooldowns', rewardKey);
-      batch.set(cooldownRef, {
-        lastClaimed: serverTimestamp(),
-        cooldownHours,
-        updatedAt: serverTimestamp()
-      });
-    });
-    await batch.commit();
+    return await callTokenFunction('claimDailyReward');
   } catch (error) {
-    console.error('Error recording reward claims batch:', error);
+    console.error('Error claiming daily reward:', error);
+    throw error;
   }
 }
 
@@ -381,36 +158,13 @@ export async function recordRewardClaimsBatch(userId, rewardKeys = [], cooldownH
 // ────────────────────────────────────────────────────────────────────────────
 
 /**
- * Initialize token system for new user
+ * Grant the welcome balance to a newly created profile (idempotent)
  */
-export async function initializeUserTokens(userId, initialTokens = 100) {
+export async function initializeUserTokens() {
   try {
-    const userRef = doc(db, 'users', userId);
-    
-    await updateDoc(userRef, {
-      tokens: initialTokens,
-      inventory: [],
-      equipped: {},
-      updatedAt: serverTimestamp()
-    });
-
-    // Create welcome token entry
-    const historyRef = doc(collection(db, 'users', userId, 'tokenHistory'));
-    await setDoc(historyRef, {
-      amount: initialTokens,
-      reason: 'Welcome to ChemLeung! 🎉',
-      type: 'gain',
-      timestamp: serverTimestamp(),
-      balanceAfter: initialTokens,
-      metadata: { category: 'welcome_bonus' }
-    });
-
-    // Clean up old history records (keep only 8 most recent)
-    setTimeout(() => cleanupTokenHistory(userId), 100);
-
-    return { success: true };
+    return await callTokenFunction('initializeUserTokens');
   } catch (error) {
     console.error('Error initializing tokens:', error);
     throw error;
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,250 @@
+// Chemistry / LaTeX rendering for question-bank text.
+//
+// Runs once at parse time (questionParser) so every consumer — QuestionCard,
+// MillionaireQuiz, AttemptDetailModal — receives the same pre-rendered HTML.
+// Math is written in the sheet as \( ... \) (inline), \[ ... \] (display) or a
+// bare \ce{...} equation, and rendered with KaTeX + mhchem:
+//
+//   \(\ce{N2(g) + 3H2(g) <=> 2NH3(g)}\)    equilibria, state symbols, charges
+//   \(\Delta H = -92\ \text{kJ mol}^{-1}\)  enthalpy changes and units
+//   \(\frac{1}{2}\ce{O2}\)                  fractions
+//   \(^{14}_{6}\mathrm{C}\)                 isotopes
+//
+// Anything KaTeX can't parse falls back to the old hand-rolled isotope
+// renderer, then to the plain expression, so a typo never blanks a question.
+
+import katex from 'katex';
+import 'katex/contrib/mhchem';
+import renderA11yString from 'katex/contrib/render-a11y-string';
+
+const KATEX_OPTIONS = {
+  throwOnError: true,
+  output: 'html',
+  strict: 'ignore',
+  trust: false,
+  macros: {
+    '\\degree': '^{\\circ}'
+  }
+};
+
+const escapeHtml = (s) => String(s)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Sheet cells are HTML-ish: authors type &lt; / &gt; for arrows and <br> for
+// line breaks inside equations. Undo that before handing the source to KaTeX.
+function decodeMathSource(expr) {
+  return String(expr || '')
+    .replace(/<br\s*\/?>/gi, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&')
+    .replace(/&nbsp;/g, ' ');
+}
+
+function stripLatexTextCommands(expr) {
+  if (!expr) return '';
+  return String(expr)
+    .replace(/\\mathrm\{([^}]*)\}/g, '$1')
+    .replace(/\\text\{([^}]*)\}/g, '$1')
+    .replace(/\\,/g, ' ')
+    .replace(/\\;/g, ' ');
+}
+
+function parseLatexScript(s, i) {
+  if (i >= s.length) return { value: '', next: i };
+  if (s[i] === '{') {
+    let depth = 0;
+    let j = i;
+    for (; j < s.length; j++) {
+      const ch = s[j];
+      if (ch === '{') depth++;
+      if (ch === '}') depth--;
+      if (depth === 0) break;
+    }
+    const inner = s.slice(i + 1, j);
+    return { value: inner, next: Math.min(j + 1, s.length) };
+  }
+  return { value: s[i], next: i + 1 };
+}
+
+function renderIsotopeLatex(rawExpr) {
+  const expr = stripLatexTextCommands(rawExpr).trim();
+  const s = expr;
+
+  let i = 0;
+  let leftSup = '';
+  let leftSub = '';
+
+  if (s[i] === '^') {
+    const parsed = parseLatexScript(s, i + 1);
+    leftSup = parsed.value;
+    i = parsed.next;
+  }
+  if (s[i] === '_') {
+    const parsed = parseLatexScript(s, i + 1);
+    leftSub = parsed.value;
+    i = parsed.next;
+  }
+
+  let base = '';
+  while (i < s.length) {
+    const ch = s[i];
+    if (ch === '^' || ch === '_') break;
+    base += ch;
+    i++;
+  }
+  base = base.trim();
+
+  let rightSup = '';
+  let rightSub = '';
+  while (i < s.length) {
+    const op = s[i];
+    if (op !== '^' && op !== '_') {
+      i++;
+      continue;
+    }
+    const parsed = parseLatexScript(s, i + 1);
+    if (op === '^' && !rightSup) rightSup = parsed.value;
+    if (op === '_' && !rightSub) rightSub = parsed.value;
+    i = parsed.next;
+  }
+
+  if (!base) return null;
+
+  const hasLeft = Boolean(leftSup || leftSub);
+  const baseEsc = base.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  const supEsc = (leftSup || '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  const subEsc = (leftSub || '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  const rSupEsc = (rightSup || '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  const rSubEsc = (rightSub || '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+  if (hasLeft) {
+    const rightScripts = `${rSubEsc ? `<sub style="font-size:0.7em; line-height:0; vertical-align:-0.2em;">${rSubEsc}</sub>` : ''}${rSupEsc ? `<sup style="font-size:0.7em; line-height:0; vertical-align:0.6em;">${rSupEsc}</sup>` : ''}`;
+    return `
+      <span style="display:inline-grid; grid-template-columns:auto auto; grid-template-rows:auto auto; column-gap:2px; vertical-align:middle;">
+        <span style="grid-column:1; grid-row:1; font-size:0.7em; line-height:1; justify-self:end;">${supEsc}</span>
+        <span style="grid-column:1; grid-row:2; font-size:0.7em; line-height:1; justify-self:end;">${subEsc}</span>
+        <span style="grid-column:2; grid-row:1 / span 2; align-self:center;">${baseEsc}${rightScripts}</span>
+      </span>
+    `.trim();
+  }
+
+  const rightScripts = `${rSubEsc ? `<sub style="font-size:0.7em; line-height:0; vertical-align:-0.2em;">${rSubEsc}</sub>` : ''}${rSupEsc ? `<sup style="font-size:0.7em; line-height:0; vertical-align:0.6em;">${rSupEsc}</sup>` : ''}`;
+  return `<span>${baseEsc}${rightScripts}</span>`;
+}
+
+/**
+ * Render one LaTeX / mhchem expression to HTML.
+ *
+ * @param {string} expr - TeX source without delimiters
+ * @param {Object} [options]
+ * @param {boolean} [options.displayMode=false] - Block (\[ \]) vs inline
+ * @returns {string} HTML (never throws)
+ */
+export function renderMath(expr, { displayMode = false } = {}) {
+  const source = decodeMathSource(expr).trim();
+  if (!source) return '';
+
+  try {
+    const html = katex.renderToString(source, { ...KATEX_OPTIONS, displayMode });
+    let label = '';
+    try {
+      label = renderA11yString(source);
+    } catch {
+      // mhchem output isn't always describable; screen readers get the source
+      label = source;
+    }
+    const tag = displayMode ? 'div' : 'span';
+    return `<${tag} class="chem-math" role="math" aria-label="${escapeHtml(label)}">${html}</${tag}>`;
+  } catch {
+    const fallback = renderIsotopeLatex(source);
+    return fallback || `(${escapeHtml(stripLatexTextCommands(source))})`;
+  }
+}
+
+// Index just past the brace group that opens at `start`, or -1 if unbalanced.
+function findClosingBrace(s, start) {
+  let depth = 0;
+  for (let i = start; i < s.length; i++) {
+    if (s[i] === '\\') {
+      i++;
+      continue;
+    }
+    if (s[i] === '{') depth++;
+    if (s[i] === '}') {
+      depth--;
+      if (depth === 0) return i + 1;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Split text into plain and math segments.
+ * Recognises \( ... \), \[ ... \] and bare \ce{...} / \pu{...}.
+ *
+ * @param {string} text
+ * @returns {Array<{type: 'text'|'math', value: string, displayMode?: boolean}>}
+ */
+export function splitMathSegments(text) {
+  const s = String(text || '');
+  const segments = [];
+  let buffer = '';
+  let i = 0;
+
+  const flush = () => {
+    if (buffer) segments.push({ type: 'text', value: buffer });
+    buffer = '';
+  };
+
+  while (i < s.length) {
+    if (s[i] === '\\' && (s[i + 1] === '(' || s[i + 1] === '[')) {
+      const close = s[i + 1] === '(' ? '\\)' : '\\]';
+      const end = s.indexOf(close, i + 2);
+      if (end !== -1) {
+        flush();
+        segments.push({ type: 'math', value: s.slice(i + 2, end), displayMode: s[i + 1] === '[' });
+        i = end + 2;
+        continue;
+      }
+    }
+
+    const bare = s.slice(i).match(/^\\(ce|pu)\s*\{/);
+    if (bare) {
+      const braceStart = i + bare[0].length - 1;
+      const end = findClosingBrace(s, braceStart);
+      if (end !== -1) {
+        flush();
+        segments.push({ type: 'math', value: s.slice(i, end), displayMode: false });
+        i = end;
+        continue;
+      }
+    }
+
+    buffer += s[i];
+    i++;
+  }
+
+  flush();
+  return segments;
+}
+
+/**
+ * Render a question-bank cell: math segments go through KaTeX, everything
+ * else through `formatText` (line breaks, images, ...). Math is cut out first
+ * so text formatting can't mangle TeX (e.g. "\rightarrow" read as "\r").
+ *
+ * @param {string} text - Raw cell text
+ * @param {(plain: string) => string} [formatText] - Formatter for non-math text
+ * @returns {string} HTML
+ */
+export function renderRichText(text, formatText = (plain) => plain) {
+  return splitMathSegments(text)
+    .map(seg => (seg.type === 'math'
+      ? renderMath(seg.value, { displayMode: seg.displayMode })
+      : formatText(seg.value)))
+    .join('');
+}
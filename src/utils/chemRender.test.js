@@ -0,0 +1,105 @@
+// @vitest-environment jsdom
+import { describe, it, expect } from 'vitest';
+import { renderMath, renderRichText, splitMathSegments } from './chemRender';
+import { formatQuestionRow } from './questionParser';
+import { sanitizeQuestion } from './sanitizeHtml';
+
+function parse(html) {
+  const root = document.createElement('div');
+  root.innerHTML = html;
+  return root;
+}
+
+describe('splitMathSegments', () => {
+  it('finds inline, display and bare \\ce math', () => {
+    expect(splitMathSegments('Heat \\(\\Delta H\\) of \\[x^2\\] and \\ce{H2O} done')).toEqual([
+      { type: 'text', value: 'Heat ' },
+      { type: 'math', value: '\\Delta H', displayMode: false },
+      { type: 'text', value: ' of ' },
+      { type: 'math', value: 'x^2', displayMode: true },
+      { type: 'text', value: ' and ' },
+      { type: 'math', value: '\\ce{H2O}', displayMode: false },
+      { type: 'text', value: ' done' }
+    ]);
+  });
+
+  it('keeps nested braces inside \\ce and leaves unclosed math as text', () => {
+    expect(splitMathSegments('\\ce{SO4^{2-}}')).toEqual([
+      { type: 'math', value: '\\ce{SO4^{2-}}', displayMode: false }
+    ]);
+    expect(splitMathSegments('open \\( never closed')).toEqual([
+      { type: 'text', value: 'open \\( never closed' }
+    ]);
+  });
+});
+
+describe('renderMath', () => {
+  it('renders equilibria, state symbols and charges with KaTeX + mhchem', () => {
+    const root = parse(renderMath('\\ce{N2(g) + 3H2(g) <=> 2NH3(g)}'));
+    const math = root.querySelector('.chem-math');
+    expect(math.getAttribute('role')).toBe('math');
+    expect(math.querySelector('.katex')).not.toBeNull();
+    expect(root.textContent).toContain('NH');
+  });
+
+  it('accepts arrows typed as HTML entities in the sheet', () => {
+    const root = parse(renderMath('\\ce{A &lt;=&gt; B}'));
+    expect(root.querySelector('.katex')).not.toBeNull();
+  });
+
+  it('uses a div for display math', () => {
+    const root = parse(renderMath('\\frac{1}{2}', { displayMode: true }));
+    expect(root.firstElementChild.tagName).toBe('DIV');
+    expect(root.querySelector('.katex-display')).not.toBeNull();
+  });
+
+  it('gives screen readers a spoken label', () => {
+    const root = parse(renderMath('\\frac{1}{2}'));
+    expect(root.querySelector('.chem-math').getAttribute('aria-label')).toMatch(/1.*2/);
+  });
+
+  it('falls back instead of throwing on bad TeX', () => {
+    expect(() => renderMath('\\frac{1}{')).not.toThrow();
+    expect(parse(renderMath('\\frac{1}{')).querySelector('.katex')).toBeNull();
+
+    const isotope = parse(renderMath('^{14}_{6}\\unknown{C}'));
+    expect(isotope.textContent).toContain('14');
+    expect(isotope.textContent).toContain('6');
+  });
+
+  it('escapes the source it falls back to', () => {
+    const root = parse(renderMath('\\badcommand <img src=x onerror=alert(1)>'));
+    expect(root.querySelector('img')).toBeNull();
+  });
+
+  it('renders nothing for an empty expression', () => {
+    expect(renderMath('')).toBe('');
+    expect(renderMath('   ')).toBe('');
+  });
+});
+
+describe('renderRichText', () => {
+  it('formats only the text around the math', () => {
+    const html = renderRichText('a\\(\\rightarrow\\)b', (plain) => plain.toUpperCase());
+    const root = parse(html);
+    expect(root.querySelector('.katex')).not.toBeNull();
+    expect(root.textContent.startsWith('A')).toBe(true);
+    expect(root.textContent.endsWith('B')).toBe(true);
+  });
+
+  it('survives parsing and sanitizing as part of a question', () => {
+    const question = sanitizeQuestion(formatQuestionRow({
+      ID: 'Q1',
+      Question: 'Which equation shows \\(\\ce{2H2 + O2 -> 2H2O}\\)?',
+      OptionA: '\\(\\Delta H = -286\\ \\text{kJ mol}^{-1}\\)',
+      OptionB: '\\(^{14}_{6}\\mathrm{C}\\)',
+      OptionC: '\\(\\frac{1}{2}\\ce{O2}\\)',
+      OptionD: 'none',
+      CorrectOption: 'A'
+    }, 0));
+
+    ['Question', 'OptionA', 'OptionB', 'OptionC'].forEach((field) => {
+      expect(parse(question[field]).querySelector('.chem-math .katex')).not.toBeNull();
+    });
+  });
+});
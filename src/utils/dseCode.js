@@ -0,0 +1,60 @@
+// Reading past-paper details out of a question's DSEcode.
+//
+// Codes are typed by hand in the question sheet, so the format varies
+// ("DSE2018 1A Q12", "2018-1A-12", "2018 P2 Q3" ...). Anything that can't be
+// read comes back as null rather than a guess.
+
+const YEAR_PATTERN = /(?:^|\D)((?:19|20)\d{2})(?!\d)/;
+const PAPER_PATTERN = /(?:^|[^A-Z\d])(?:P(?:APER)?\s*)?(1A|1B)(?![A-Z\d])|(?:^|[^A-Z\d])P(?:APER)?\s*(2)(?!\d)/i;
+const QUESTION_PATTERN = /Q\.?\s*(\d{1,2})(?!\d)/i;
+const TRAILING_NUMBER_PATTERN = /(?:^|[^\d])(\d{1,2})\s*$/;
+
+/**
+ * Exam year in a DSEcode
+ *
+ * @param {string} code - DSEcode
+ * @returns {number|null}
+ */
+export function getDseYear(code) {
+  const match = String(code || '').match(YEAR_PATTERN);
+  return match ? Number(match[1]) : null;
+}
+
+/**
+ * Paper in a DSEcode ("1A", "1B" or "2")
+ *
+ * @param {string} code - DSEcode
+ * @returns {string|null}
+ */
+export function getDsePaper(code) {
+  const match = String(code || '').match(PAPER_PATTERN);
+  return match ? (match[1] || match[2]).toUpperCase() : null;
+}
+
+/**
+ * Question number in a DSEcode ("Q12", or a trailing number after the
+ * year and paper)
+ *
+ * @param {string} code - DSEcode
+ * @returns {number|null}
+ */
+export function getDseQuestionNumber(code) {
+  const text = String(code || '');
+  const match = text.match(QUESTION_PATTERN)
+    || text.replace(YEAR_PATTERN, ' ').replace(PAPER_PATTERN, ' ').match(TRAILING_NUMBER_PATTERN);
+  return match ? Number(match[1]) : null;
+}
+
+/**
+ * Year, paper and question number in a DSEcode
+ *
+ * @param {string} code - DSEcode
+ * @returns {{year: number|null, paper: string|null, question: number|null}}
+ */
+export function parseDseCode(code) {
+  return {
+    year: getDseYear(code),
+    paper: getDsePaper(code),
+    question: getDseQuestionNumber(code)
+  };
+}
@@ -0,0 +1,104 @@
+// Minimal promise wrapper around IndexedDB for offline caches.
+//
+// All object stores live in one database. To add a store, list it in STORES
+// and bump DB_VERSION; onupgradeneeded creates any store that is missing.
+
+const DB_NAME = 'chemleung_offline';
+const DB_VERSION = 3;
+
+export const STORES = {
+  QUESTION_BANKS: 'question_banks',
+  QUESTION_STATS: 'question_stats',
+  SRS_OFFLINE_PACKS: 'srs_offline_packs',
+  SRS_REVIEW_QUEUE: 'srs_review_queue'
+};
+
+let dbPromise = null;
+
+function isSupported() {
+  return typeof indexedDB !== 'undefined';
+}
+
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+export function openDatabase() {
+  if (!isSupported()) return Promise.reject(new Error('IndexedDB not supported'));
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const database = request.result;
+      Object.values(STORES).forEach((name) => {
+        if (!database.objectStoreNames.contains(name)) {
+          database.createObjectStore(name);
+        }
+      });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => {
+      dbPromise = null;
+      reject(request.error);
+    };
+  });
+
+  return dbPromise;
+}
+
+async function withStore(storeName, mode, fn) {
+  const database = await openDatabase();
+  const tx = database.transaction(storeName, mode);
+  return promisifyRequest(fn(tx.objectStore(storeName)));
+}
+
+export async function idbGet(storeName, key) {
+  try {
+    const value = await withStore(storeName, 'readonly', store => store.get(key));
+    return value === undefined ? null : value;
+  } catch (error) {
+    console.warn(`⚠️ IndexedDB read failed (${storeName}/${key}):`, error);
+    return null;
+  }
+}
+
+export async function idbPut(storeName, key, value) {
+  try {
+    await withStore(storeName, 'readwrite', store => store.put(value, key));
+    return true;
+  } catch (error) {
+    console.warn(`⚠️ IndexedDB write failed (${storeName}/${key}):`, error);
+    return false;
+  }
+}
+
+export async function idbDelete(storeName, key) {
+  try {
+    await withStore(storeName, 'readwrite', store => store.delete(key));
+    return true;
+  } catch (error) {
+    console.warn(`⚠️ IndexedDB delete failed (${storeName}/${key}):`, error);
+    return false;
+  }
+}
+
+// Read-modify-write in one transaction, so two updates of the same key
+// can't interleave and drop each other's changes. Resolves to the new value.
+export async function idbUpdate(storeName, key, updater) {
+  try {
+    const database = await openDatabase();
+    const tx = database.transaction(storeName, 'readwrite');
+    const store = tx.objectStore(storeName);
+    const current = await promisifyRequest(store.get(key));
+    const next = updater(current === undefined ? null : current);
+    await promisifyRequest(store.put(next, key));
+    return next;
+  } catch (error) {
+    console.warn(`⚠️ IndexedDB update failed (${storeName}/${key}):`, error);
+    return null;
+  }
+}
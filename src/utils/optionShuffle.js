@@ -0,0 +1,123 @@
+// Per-session option shuffling.
+//
+// An option order is an array of canonical letters in the order they are
+// shown, e.g. ['C', 'A', 'D', 'B'] puts the sheet's option C in the first
+// slot, labelled "A". Answers, attempts and stats always use the canonical
+// (sheet) letters; only the screen uses display letters. `null` means sheet
+// order.
+
+export const OPTION_KEYS = ['A', 'B', 'C', 'D'];
+
+// Explanations that name options by letter ("Option B is wrong because ...",
+// "(C) ...", "選項D") would contradict shuffled labels. A bare capital
+// letter is not enough: "A solution of ..." and chemical symbols are common.
+const LETTER_REFERENCE_PATTERNS = [
+  /\b(?:[Oo]ptions?|[Cc]hoices?|[Aa]nswers?)\s*(?:is\s+)?[:(]?\s*[A-D]\b/,
+  /\(\s*[A-D]\s*\)/,
+  /\b[A-D]\s+(?:is|are)\s+(?:not\s+)?(?:correct|incorrect|wrong|right|true|false)\b/,
+  /\b[A-D]\s*(?:,\s*[A-D]\s*)*(?:and|or)\s+[A-D]\b/,
+  /(?:選項|答案)\s*(?:是|為|为)?\s*[A-D](?![A-Za-z])/,
+  /(?<![A-Za-z])[A-D]\s*(?:項|项)/
+];
+
+function stripTags(html) {
+  return String(html || '').replace(/<[^>]*>/g, ' ');
+}
+
+/**
+ * Whether a question's explanations refer to options by their sheet letter
+ *
+ * @param {Object} question
+ * @returns {boolean}
+ */
+export function explanationCitesLetters(question) {
+  const text = [question?.Explanation, question?.ChineseExplanation].map(stripTags).join('\n');
+  return LETTER_REFERENCE_PATTERNS.some(pattern => pattern.test(text));
+}
+
+function canShuffle(question) {
+  return Boolean(question) && !question.NoShuffle && !explanationCitesLetters(question);
+}
+
+/**
+ * Random display order for a question's options
+ *
+ * Questions flagged NoShuffle in the sheet ("All of the above", "Both A and
+ * B", ...) keep their sheet order, as do questions whose explanation cites
+ * option letters, so the explanation matches the letters on screen.
+ *
+ * @param {Object} question
+ * @param {Function} [random=Math.random]
+ * @returns {Array<string>|null}
+ */
+export function createOptionOrder(question, random = Math.random) {
+  if (!canShuffle(question)) return null;
+  const order = [...OPTION_KEYS];
+  for (let i = order.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [order[i], order[j]] = [order[j], order[i]];
+  }
+  return order;
+}
+
+/**
+ * Option orders for a session, keeping any already chosen
+ *
+ * @param {Array<Object>} questions
+ * @param {Object} [existing] - Map of questionId → order
+ * @returns {Object} Map of questionId → order (sheet-order questions omitted)
+ */
+export function createOptionOrders(questions, existing = {}) {
+  const orders = {};
+  (questions || []).forEach((q) => {
+    if (!q?.ID || !canShuffle(q)) return;
+    const order = isValidOrder(existing?.[q.ID]) ? existing[q.ID] : createOptionOrder(q);
+    if (order) orders[q.ID] = order;
+  });
+  return orders;
+}
+
+function isValidOrder(order) {
+  return Array.isArray(order)
+    && order.length === OPTION_KEYS.length
+    && OPTION_KEYS.every(key => order.includes(key));
+}
+
+// Letter the student sees for a canonical option
+export function toDisplayKey(order, canonicalKey) {
+  if (!canonicalKey || !isValidOrder(order)) return canonicalKey;
+  const index = order.indexOf(canonicalKey);
+  return index === -1 ? canonicalKey : OPTION_KEYS[index];
+}
+
+// Canonical option behind a letter the student sees
+export function toCanonicalKey(order, displayKey) {
+  if (!displayKey || !isValidOrder(order)) return displayKey;
+  const index = OPTION_KEYS.indexOf(displayKey);
+  return index === -1 ? displayKey : order[index];
+}
+
+/**
+ * Copy of a question relabelled in display order: OptionA is the first option
+ * shown, and CorrectOption / AnswerCounts use display letters to match
+ *
+ * For screens that work in letters throughout (Millionaire); map answers back
+ * with toCanonicalKey before saving them.
+ *
+ * @param {Object} question
+ * @param {Array<string>|null} order
+ * @returns {Object}
+ */
+export function applyOptionOrder(question, order) {
+  if (!question || !isValidOrder(order)) return question;
+  const shown = { ...question, CorrectOption: toDisplayKey(order, question.CorrectOption) };
+  order.forEach((canonicalKey, index) => {
+    shown[`Option${OPTION_KEYS[index]}`] = question[`Option${canonicalKey}`];
+  });
+  if (question.AnswerCounts) {
+    shown.AnswerCounts = Object.fromEntries(
+      order.map((canonicalKey, index) => [OPTION_KEYS[index], question.AnswerCounts[canonicalKey]])
+    );
+  }
+  return shown;
+}
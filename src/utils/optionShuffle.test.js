@@ -0,0 +1,53 @@
+import { describe, it, expect } from 'vitest';
+import { createOptionOrder, createOptionOrders, explanationCitesLetters } from './optionShuffle';
+
+const question = (explanation, extra = {}) => ({ ID: 'Q1-abc', Explanation: explanation, ...extra });
+
+describe('explanationCitesLetters', () => {
+  it.each([
+    'Option B is wrong because the reaction is endothermic.',
+    'The answer is D.',
+    'Answer: C',
+    '(A) forms a precipitate; (B) does not.',
+    'A is incorrect: Cu is less reactive than H.',
+    'Both A and C are oxidising agents.',
+    'A, B or C would all give a white precipitate.',
+    '<b>Choice C</b> is the only weak acid.'
+  ])('flags %s', (text) => {
+    expect(explanationCitesLetters(question(text))).toBe(true);
+  });
+
+  it.each([
+    '選項B錯誤，因為反應是吸熱的。',
+    '答案是D。',
+    'C項會產生白色沉澱。'
+  ])('flags the Chinese explanation %s', (text) => {
+    expect(explanationCitesLetters(question('', { ChineseExplanation: text }))).toBe(true);
+  });
+
+  it.each([
+    'A solution of NaOH(aq) turns red litmus blue.',
+    'C<sub>2</sub>H<sub>5</sub>OH is oxidised to CH<sub>3</sub>COOH.',
+    'Vitamin C is an antioxidant found in fruit.',
+    'The molar mass of CaCO<sub>3</sub> is 100 g mol<sup>-1</sup>.',
+    '溶液呈鹼性。',
+    ''
+  ])('ignores %s', (text) => {
+    expect(explanationCitesLetters(question(text))).toBe(false);
+  });
+});
+
+describe('createOptionOrder', () => {
+  it('shuffles ordinary questions', () => {
+    expect(createOptionOrder(question('Cu is less reactive than H.'), () => 0)).toEqual(['B', 'C', 'D', 'A']);
+  });
+
+  it('keeps sheet order for NoShuffle questions and letter-citing explanations', () => {
+    expect(createOptionOrder(question('', { NoShuffle: true }))).toBeNull();
+    expect(createOptionOrder(question('Option B is wrong.'))).toBeNull();
+  });
+
+  it('drops a saved order once the explanation cites letters', () => {
+    expect(createOptionOrders([question('(A) is correct.')], { 'Q1-abc': ['D', 'C', 'B', 'A'] })).toEqual({});
+  });
+});
@@ -0,0 +1,177 @@
+// Stable, content-derived question IDs.
+//
+// A question ID is `${sheetId}-${contentHash}` (or `q-${contentHash}` when the
+// row has no sheet ID). Unlike the old `${rawId}-${index}` scheme, inserting or
+// reordering rows no longer re-keys every question below the change.
+
+// cyrb53: small, fast 53-bit string hash (no crypto needed, works in browser + Node)
+export function hashString(str, seed = 0) {
+  let h1 = 0xdeadbeef ^ seed;
+  let h2 = 0x41c6ce57 ^ seed;
+  for (let i = 0; i < str.length; i++) {
+    const ch = str.charCodeAt(i);
+    h1 = Math.imul(h1 ^ ch, 2654435761);
+    h2 = Math.imul(h2 ^ ch, 1597334677);
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+  return 4294967296 * (2097151 & h2) + (h1 >>> 0);
+}
+
+function normalizeForHash(text) {
+  return String(text || '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Hash the parts of a question that identify it: the stem and the four options.
+ * CorrectOption and explanations are deliberately excluded so fixing an answer
+ * key or improving an explanation does not change the ID.
+ *
+ * @param {Object} content - { question, optionA, optionB, optionC, optionD }
+ * @returns {string} 10-char base36 hash
+ */
+export function computeContentHash({ question, optionA, optionB, optionC, optionD }) {
+  const canonical = [question, optionA, optionB, optionC, optionD]
+    .map(normalizeForHash)
+    .join('␟');
+  return hashString(canonical).toString(36).padStart(10, '0').slice(-10);
+}
+
+export function buildStableQuestionId(sheetId, contentHash) {
+  const id = String(sheetId || '').trim();
+  return id ? `${id}-${contentHash}` : `q-${contentHash}`;
+}
+
+export function buildLegacyQuestionId(sheetId, index) {
+  const id = String(sheetId || '').trim();
+  return id ? `${id}-${index}` : `q-${index}`;
+}
+
+/**
+ * Make IDs unique within a bank and flag duplicated content.
+ *
+ * - Rows whose content hash matches an earlier row get `DuplicateOf` set to
+ *   the earlier row's ID.
+ * - Rows that would end up with an identical ID (same sheet ID and same
+ *   content) are suffixed `~2`, `~3`, ... in bank order.
+ *
+ * @param {Array<Object>} questions - Formatted questions with ID + ContentHash
+ * @returns {{questions: Array<Object>, duplicates: Array<Object>}}
+ */
+export function dedupeQuestionIds(questions = []) {
+  const seenIds = new Map();
+  const firstByHash = new Map();
+  const duplicates = [];
+
+  const result = questions.map((q) => {
+    let id = q.ID;
+    const count = (seenIds.get(q.ID) || 0) + 1;
+    seenIds.set(q.ID, count);
+    if (count > 1) id = `${q.ID}~${count}`;
+
+    const next = id === q.ID ? q : { ...q, ID: id };
+
+    if (q.ContentHash) {
+      const first = firstByHash.get(q.ContentHash);
+      if (first) {
+        duplicates.push({ id, duplicateOf: first.ID, sheetId: q.SheetID || '', row: q.Row ?? null });
+        return { ...next, DuplicateOf: first.ID };
+      }
+      firstByHash.set(q.ContentHash, next);
+    }
+
+    return next;
+  });
+
+  if (duplicates.length > 0) {
+    console.warn(`⚠️ ${duplicates.length} duplicate question(s) detected in bank`, duplicates);
+  }
+
+  return { questions: result, duplicates };
+}
+
+/**
+ * Build an old→new ID map for data stored under the legacy `${rawId}-${index}`
+ * scheme, using the LegacyID recorded on each question of the current bank.
+ *
+ * @param {Array<Object>} questions - Current bank
+ * @returns {Object} { [legacyId]: stableId }
+ */
+export function buildLegacyIdRemap(questions = []) {
+  const remap = {};
+  questions.forEach((q) => {
+    if (q?.LegacyID && q.ID && q.LegacyID !== q.ID) {
+      remap[q.LegacyID] = q.ID;
+    }
+  });
+  return remap;
+}
+
+/**
+ * Build an old→new ID map between two versions of a bank.
+ *
+ * Matching order for each previous question whose ID disappeared:
+ *   1. same content hash (row moved or sheet ID renamed)
+ *   2. same sheet ID, when that sheet ID is unique in both versions (content edited)
+ *
+ * @param {Array<Object>} previous - Previous bank
+ * @param {Array<Object>} current - Current bank
+ * @returns {Object} { [oldId]: newId }
+ */
+export function buildIdRemap(previous = [], current = []) {
+  const currentIds = new Set(current.map(q => q.ID));
+  const byHash = new Map();
+  const bySheetId = new Map();
+
+  current.forEach((q) => {
+    if (q.ContentHash && !byHash.has(q.ContentHash)) byHash.set(q.ContentHash, q);
+    if (q.SheetID) bySheetId.set(q.SheetID, (bySheetId.get(q.SheetID) || []).concat(q));
+  });
+
+  const previousSheetCounts = new Map();
+  previous.forEach((q) => {
+    if (q.SheetID) previousSheetCounts.set(q.SheetID, (previousSheetCounts.get(q.SheetID) || 0) + 1);
+  });
+
+  const remap = {};
+  previous.forEach((q) => {
+    if (!q?.ID || currentIds.has(q.ID)) return;
+
+    const hashMatch = q.ContentHash ? byHash.get(q.ContentHash) : null;
+    if (hashMatch) {
+      remap[q.ID] = hashMatch.ID;
+      return;
+    }
+
+    const sheetMatches = q.SheetID ? bySheetId.get(q.SheetID) || [] : [];
+    if (sheetMatches.length === 1 && previousSheetCounts.get(q.SheetID) === 1) {
+      remap[q.ID] = sheetMatches[0].ID;
+    }
+  });
+
+  return remap;
+}
+
+/**
+ * Chain two old→new ID maps, so data still stored under an ID from the first
+ * map ends up at its ID after the second.
+ *
+ * @param {Object} first - { [oldId]: midId }
+ * @param {Object} second - { [midId]: newId }
+ * @returns {Object} { [oldId]: newId }, without identity entries
+ */
+export function composeIdRemaps(first = {}, second = {}) {
+  const remap = {};
+  Object.entries(first).forEach(([oldId, midId]) => {
+    remap[oldId] = second[midId] || midId;
+  });
+  Object.entries(second).forEach(([oldId, newId]) => {
+    if (!(oldId in remap)) remap[oldId] = newId;
+  });
+  Object.keys(remap).forEach((oldId) => {
+    if (remap[oldId] === oldId) delete remap[oldId];
+  });
+  return remap;
+}
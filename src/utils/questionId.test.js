@@ -0,0 +1,17 @@
+import { describe, it, expect } from 'vitest';
+import { composeIdRemaps } from './questionId';
+
+describe('composeIdRemaps', () => {
+  it('chains IDs through both maps', () => {
+    expect(composeIdRemaps({ a: 'b' }, { b: 'c', x: 'y' })).toEqual({ a: 'c', b: 'c', x: 'y' });
+  });
+
+  it('drops IDs that end up where they started', () => {
+    expect(composeIdRemaps({ a: 'b' }, { b: 'a' })).toEqual({ b: 'a' });
+  });
+
+  it('handles missing maps', () => {
+    expect(composeIdRemaps(undefined, { a: 'b' })).toEqual({ a: 'b' });
+    expect(composeIdRemaps({ a: 'b' })).toEqual({ a: 'b' });
+  });
+});
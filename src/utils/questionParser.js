@@ -0,0 +1,204 @@
+// Shared question-row formatting used by every question source.
+// Turns a raw row (CSV, JSON bundle or Firestore doc) into the question shape
+// the rest of the app expects (ID, Topic, Question, OptionA–D, ...).
+
+import {
+  computeContentHash,
+  buildStableQuestionId,
+  buildLegacyQuestionId,
+  dedupeQuestionIds
+} from './questionId';
+import { renderRichText } from './chemRender';
+
+// Bump whenever formatQuestionRow's output changes, so cached banks re-parse.
+export const QUESTION_FORMAT_VERSION = 6;
+
+export function getRowValue(row, name) {
+  if (!row) return "";
+  const key = Object.keys(row).find(k => k.trim().toLowerCase() === name.toLowerCase());
+  const value = key !== undefined ? row[key] : null;
+  return value === null || value === undefined ? "" : String(value);
+}
+
+// Convert any type of line break to <br>
+function nl2br(text) {
+  if (!text) return "";
+  const normalized = String(text)
+    .replace(/\\\\r\\\\n/g, '\n')
+    .replace(/\\\\n/g, '\n')
+    .replace(/\\\\r/g, '\n')
+    .replace(/\\r\\n/g, '\n')
+    .replace(/\\n/g, '\n')
+    .replace(/\\r/g, '\n')
+    .replace(/\r\n/g, '\n')
+    .replace(/\n/g, '\n')
+    .replace(/\r/g, '\n');
+  return normalized.split(/\r\n|\r|\n/).join('<br>');
+}
+
+function stripWrappingQuotes(text) {
+  if (text === null || text === undefined) return "";
+  const s = String(text);
+  if (s.length >= 2 && s.startsWith('"') && s.endsWith('"')) {
+    return s.slice(1, -1);
+  }
+  return s;
+}
+
+// Convert {image:URL} or (image:URL) into <img> tags for rendering via dangerouslySetInnerHTML
+function embedImages(text, variant = 'large') {
+  if (!text) return "";
+  const s = String(text);
+  const imgRegexGlobal = /[{(]\s*image\s*:\s*([^})]+?)\s*[})]/gi;
+  return s.replace(imgRegexGlobal, (_m, url) => {
+    const safeUrl = String(url || '').trim();
+    if (!safeUrl) return '';
+    const escaped = safeUrl.replace(/"/g, '&quot;');
+
+    const sizeClass =
+      variant === 'option'
+        ? 'max-h-[160px]'
+        : 'max-h-[320px]';
+
+    const minHeightStyle =
+      variant === 'option'
+        ? 'min-height:120px;'
+        : 'min-height:200px;';
+
+    const wrapperStyle = `${minHeightStyle}align-items:flex-start;`;
+    const imgStyle = `${minHeightStyle}display:block;`;
+
+    return `
+      <span class="inline-flex items-center gap-2 align-middle" style="${wrapperStyle}">
+        <img
+          src="${escaped}"
+          alt="Question diagram"
+          loading="lazy"
+          decoding="async"
+          referrerpolicy="no-referrer"
+          data-quiz-image="true"
+          style="${imgStyle}"
+          class="max-w-[calc(100%-3rem)] h-auto ${sizeClass} object-contain rounded-lg border border-slate-200 my-3"
+        />
+        <button
+          type="button"
+          aria-label="Enlarge image"
+          title="Enlarge"
+          data-enlarge-image="true"
+          data-image-src="${escaped}"
+          class="inline-flex h-9 w-9 flex-shrink-0 items-center justify-center rounded-full bg-white shadow-md ring-1 ring-slate-200 text-slate-700 hover:bg-slate-50 hover:text-slate-900"
+        >
+          <svg xmlns="http://www.w3.org/2000/svg" width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+            <path d="M15 3h6v6" />
+            <path d="M9 21H3v-6" />
+            <path d="M21 3l-7 7" />
+            <path d="M3 21l7-7" />
+          </svg>
+        </button>
+      </span>
+    `.trim();
+  });
+}
+
+// Remove option prefix (A. B. C. D.) from the beginning
+function removePrefix(text) {
+  if (!text) return "";
+  // Remove patterns like "A. ", "B. ", "C. ", "D. " from the start
+  return text.replace(/^[A-D]\.\s*/i, '');
+}
+
+// Line breaks + images for the non-math parts of a cell.
+function formatCellText(text, variant) {
+  return renderRichText(text, plain => embedImages(nl2br(plain), variant));
+}
+
+// Optional sheet `Difficulty` column: easy/medium/hard (or E/M/H, or 1–5).
+function normalizeDifficulty(value) {
+  const v = String(value || '').trim().toLowerCase();
+  if (!v) return null;
+  if (['easy', 'e'].includes(v)) return 'easy';
+  if (['medium', 'med', 'm'].includes(v)) return 'medium';
+  if (['hard', 'h'].includes(v)) return 'hard';
+  const n = Number(v);
+  if (Number.isFinite(n) && n >= 1 && n <= 5) {
+    if (n <= 2) return 'easy';
+    if (n < 4) return 'medium';
+    return 'hard';
+  }
+  return null;
+}
+
+// Sheet checkbox / yes-no cells
+function parseFlag(value) {
+  return ['true', 'yes', 'y', '1', 'x'].includes(String(value || '').trim().toLowerCase());
+}
+
+export function isEmptyRow(row) {
+  return Object.values(row || {}).join('').trim().length === 0;
+}
+
+/**
+ * Format a single raw row into a question object.
+ *
+ * @param {Object} row - Raw row keyed by sheet column name (case-insensitive)
+ * @param {number} index - Position of the row within its bank (blank rows excluded)
+ * @param {number} [rowNumber] - 1-based spreadsheet row number, for reporting
+ * @returns {Object} Formatted question
+ */
+export function formatQuestionRow(row, index, rowNumber = null) {
+  const getVal = (name) => getRowValue(row, name);
+
+  const rawQuestion = stripWrappingQuotes(getVal('Question') || getVal('QuestionText'));
+  const rawOptions = ['OptionA', 'OptionB', 'OptionC', 'OptionD']
+    .map(name => removePrefix(stripWrappingQuotes(getVal(name))));
+
+  // Stable ID: sheet ID + content hash, so inserting/reordering rows in the
+  // sheet doesn't re-key questions. LegacyID keeps the old `${rawId}-${index}`
+  // form around for migrating data stored under it.
+  const rawId = getVal('ID').trim();
+  const contentHash = computeContentHash({
+    question: rawQuestion,
+    optionA: rawOptions[0],
+    optionB: rawOptions[1],
+    optionC: rawOptions[2],
+    optionD: rawOptions[3]
+  });
+
+  return {
+    ID: buildStableQuestionId(rawId, contentHash),
+    SheetID: rawId,
+    ContentHash: contentHash,
+    LegacyID: buildLegacyQuestionId(rawId, index),
+    Row: rowNumber,
+    Topic: getVal('Topic') || "Uncategorized",
+    Subtopic: getVal('Subtopic') || "",
+    Question: formatCellText(rawQuestion, 'large'),
+    OptionA: formatCellText(rawOptions[0], 'option'),
+    OptionB: formatCellText(rawOptions[1], 'option'),
+    OptionC: formatCellText(rawOptions[2], 'option'),
+    OptionD: formatCellText(rawOptions[3], 'option'),
+    CorrectOption: getVal('CorrectOption').toUpperCase().trim(),
+    Explanation: formatCellText(stripWrappingQuotes(getVal('Explanation')), 'large'),
+    ChineseExplanation: formatCellText(stripWrappingQuotes(getVal('ChineseExplanation')), 'large'),
+    DSEcode: getVal('DSEcode') || getVal('DSECode'),
+    Difficulty: normalizeDifficulty(getVal('Difficulty')),
+    // Options (or the explanation) refer to letters, e.g. "All of the above",
+    // so keep them in sheet order
+    NoShuffle: parseFlag(getVal('NoShuffle'))
+  };
+}
+
+/**
+ * Format a list of raw rows, skipping fully blank rows and making IDs unique.
+ *
+ * @param {Array<Object>} rows - Raw rows (header row excluded)
+ * @returns {Array<Object>} Formatted questions
+ */
+export function formatQuestionRows(rows = []) {
+  const formatted = (Array.isArray(rows) ? rows : [])
+    .map((row, i) => ({ row, rowNumber: i + 2 })) // +1 for 1-based, +1 for header row
+    .filter(({ row }) => !isEmptyRow(row))
+    .map(({ row, rowNumber }, index) => formatQuestionRow(row, index, rowNumber));
+
+  return dedupeQuestionIds(formatted).questions;
+}
@@ -0,0 +1,35 @@
+import { describe, it, expect, vi } from 'vitest';
+import { formatQuestionRows, isEmptyRow } from './questionParser';
+
+vi.mock('../firebase/config', () => ({ default: {}, db: {} }));
+vi.mock('firebase/firestore', () => ({}));
+
+const { parseCsv } = await import('../services/questionBankService');
+
+const CSV = [
+  'ID,Topic,Question,OptionA,OptionB,OptionC,OptionD,CorrectOption',
+  'Q1,Acids,First?,a,b,c,d,A',
+  '',
+  'Q2,Acids,"Second,',
+  'over two lines?",a,b,c,d,B',
+  ',,,,,,,',
+  'Q3,Acids,Third?,a,b,c,d,C',
+  ''
+].join('\n');
+
+describe('question row numbers', () => {
+  it('keep counting blank sheet rows', async () => {
+    const rows = await parseCsv(CSV);
+    const questions = formatQuestionRows(rows);
+    expect(questions.map(q => [q.SheetID, q.Row])).toEqual([
+      ['Q1', 2],
+      ['Q2', 4],
+      ['Q3', 6]
+    ]);
+  });
+
+  it('treat a row of empty cells as blank', () => {
+    expect(isEmptyRow({ ID: '', Question: '  ' })).toBe(true);
+    expect(isEmptyRow({ ID: 'Q1' })).toBe(false);
+  });
+});
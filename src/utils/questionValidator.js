@@ -0,0 +1,268 @@
+// Question bank validator.
+//
+// Runs over RAW rows (before formatting) so it can catch problems the
+// formatter would otherwise hide: missing/invalid CorrectOption, empty
+// options, broken {image:...} tags, unbalanced \( \) / \[ \] LaTeX and
+// markup the HTML sanitizer would strip.
+//
+// Kept dependency-free so it can run both in the browser (admin report page)
+// and in Node (validate-question-bank.js).
+
+export const SEVERITY = {
+  ERROR: 'error',
+  WARNING: 'warning'
+};
+
+const OPTION_KEYS = ['OptionA', 'OptionB', 'OptionC', 'OptionD'];
+const VALID_ANSWERS = ['A', 'B', 'C', 'D'];
+
+function getVal(row, name) {
+  const key = Object.keys(row || {}).find(k => k.trim().toLowerCase() === name.toLowerCase());
+  const value = key !== undefined ? row[key] : null;
+  return value === null || value === undefined ? '' : String(value);
+}
+
+function issue(severity, code, field, message) {
+  return { severity, code, field, message };
+}
+
+function checkImageTags(text, field) {
+  const issues = [];
+  const s = String(text || '');
+
+  // Every "{image:" / "(image:" opener must be closed and carry a URL
+  const openerRegex = /[{(]\s*image\s*:/gi;
+  let match;
+  while ((match = openerRegex.exec(s)) !== null) {
+    const opener = match[0][0];
+    const closer = opener === '{' ? '}' : ')';
+    const rest = s.slice(match.index + match[0].length);
+    const end = rest.indexOf(closer);
+
+    if (end === -1) {
+      issues.push(issue(SEVERITY.ERROR, 'image_unclosed', field, `Image tag opened with "${opener}" is never closed`));
+      continue;
+    }
+
+    const url = rest.slice(0, end).trim();
+    if (!url) {
+      issues.push(issue(SEVERITY.ERROR, 'image_empty_url', field, 'Image tag has no URL'));
+    } else if (!/^(https?:\/\/|\/)/i.test(url)) {
+      issues.push(issue(SEVERITY.ERROR, 'image_bad_url', field, `Image URL must be http(s) or site-relative: "${url}"`));
+    } else if (/["<>\s]/.test(url)) {
+      issues.push(issue(SEVERITY.ERROR, 'image_bad_url', field, `Image URL contains quotes, spaces or angle brackets: "${url}"`));
+    }
+  }
+
+  return issues;
+}
+
+function countToken(s, token) {
+  return s.split(token).length - 1;
+}
+
+function checkLatex(text, field) {
+  const issues = [];
+  const s = String(text || '');
+
+  const pairs = [['\\(', '\\)'], ['\\[', '\\]']];
+  for (const [open, close] of pairs) {
+    const opens = countToken(s, open);
+    const closes = countToken(s, close);
+    if (opens !== closes) {
+      issues.push(issue(
+        SEVERITY.ERROR,
+        'latex_unbalanced',
+        field,
+        `Unbalanced LaTeX delimiters: ${opens} × "${open}" vs ${closes} × "${close}"`
+      ));
+    }
+  }
+
+  // Brace balance inside each inline expression
+  const exprRegex = /\\\(([\s\S]+?)\\\)|\\\[([\s\S]+?)\\\]/g;
+  let match;
+  while ((match = exprRegex.exec(s)) !== null) {
+    const expr = match[1] ?? match[2] ?? '';
+    let depth = 0;
+    let broken = false;
+    for (const ch of expr) {
+      if (ch === '{') depth++;
+      if (ch === '}') depth--;
+      if (depth < 0) {
+        broken = true;
+        break;
+      }
+    }
+    if (broken || depth !== 0) {
+      issues.push(issue(SEVERITY.WARNING, 'latex_braces', field, `Unbalanced braces in LaTeX expression "${expr.trim()}"`));
+    }
+  }
+
+  return issues;
+}
+
+// The app's sanitizer strips these at load time; flag them so the cell gets
+// fixed instead of silently rendering differently from what the author typed.
+const UNSAFE_HTML_PATTERNS = [
+  [/<\s*(script|style|iframe|object|embed|link|meta|form|input)\b/i, tag => `<${tag[1].toLowerCase()}> tags are not allowed`],
+  [/<[^>]*\son[a-z]+\s*=/i, () => 'Inline event handlers (on...=) are not allowed'],
+  [/javascript\s*:/i, () => 'javascript: URLs are not allowed'],
+  [/url\s*\(/i, () => 'CSS url() is not allowed']
+];
+
+function checkUnsafeHtml(text, field) {
+  const issues = [];
+  const s = String(text || '');
+  for (const [pattern, describe] of UNSAFE_HTML_PATTERNS) {
+    const match = s.match(pattern);
+    if (match) issues.push(issue(SEVERITY.ERROR, 'html_unsafe', field, `${describe(match)} (will be stripped)`));
+  }
+  return issues;
+}
+
+function stripPrefix(text) {
+  return String(text || '').replace(/^[A-D]\.\s*/i, '').trim();
+}
+
+/**
+ * Validate a single raw row.
+ *
+ * @param {Object} row - Raw row keyed by sheet column name
+ * @returns {Array<Object>} Issues ({ severity, code, field, message })
+ */
+export function validateQuestionRow(row) {
+  const issues = [];
+
+  const question = getVal(row, 'Question') || getVal(row, 'QuestionText');
+  if (!question.trim()) {
+    issues.push(issue(SEVERITY.ERROR, 'question_missing', 'Question', 'Question text is empty'));
+  }
+
+  const correct = getVal(row, 'CorrectOption').trim().toUpperCase();
+  if (!correct) {
+    issues.push(issue(SEVERITY.ERROR, 'answer_missing', 'CorrectOption', 'CorrectOption is empty'));
+  } else if (!VALID_ANSWERS.includes(correct)) {
+    issues.push(issue(SEVERITY.ERROR, 'answer_invalid', 'CorrectOption', `CorrectOption "${correct}" is not one of A–D`));
+  }
+
+  const optionTexts = OPTION_KEYS.map(key => stripPrefix(getVal(row, key)));
+  optionTexts.forEach((text, i) => {
+    if (!text) {
+      issues.push(issue(SEVERITY.ERROR, 'option_empty', OPTION_KEYS[i], `${OPTION_KEYS[i]} is empty`));
+    }
+  });
+
+  const seen = new Map();
+  optionTexts.forEach((text, i) => {
+    if (!text) return;
+    const norm = text.replace(/\s+/g, ' ').toLowerCase();
+    if (seen.has(norm)) {
+      issues.push(issue(
+        SEVERITY.WARNING,
+        'option_duplicate',
+        OPTION_KEYS[i],
+        `${OPTION_KEYS[i]} is identical to ${OPTION_KEYS[seen.get(norm)]}`
+      ));
+    } else {
+      seen.set(norm, i);
+    }
+  });
+
+  const richFields = [
+    ['Question', question],
+    ...OPTION_KEYS.map(key => [key, getVal(row, key)]),
+    ['Explanation', getVal(row, 'Explanation')],
+    ['ChineseExplanation', getVal(row, 'ChineseExplanation')]
+  ];
+  for (const [field, text] of richFields) {
+    if (!text) continue;
+    issues.push(...checkImageTags(text, field));
+    issues.push(...checkLatex(text, field));
+    issues.push(...checkUnsafeHtml(text, field));
+  }
+
+  if (!getVal(row, 'ID').trim()) {
+    issues.push(issue(SEVERITY.WARNING, 'id_missing', 'ID', 'No sheet ID; question ID will be derived from content only'));
+  }
+  if (!getVal(row, 'Topic').trim()) {
+    issues.push(issue(SEVERITY.WARNING, 'topic_missing', 'Topic', 'Topic is empty (will show as "Uncategorized")'));
+  }
+  if (!(getVal(row, 'DSEcode') || getVal(row, 'DSECode')).trim()) {
+    issues.push(issue(SEVERITY.WARNING, 'dsecode_missing', 'DSEcode', 'DSEcode is empty'));
+  }
+  if (!getVal(row, 'Explanation').trim()) {
+    issues.push(issue(SEVERITY.WARNING, 'explanation_missing', 'Explanation', 'Explanation is empty'));
+  }
+
+  return issues;
+}
+
+/**
+ * Validate a whole bank of raw rows.
+ *
+ * @param {Array<Object>} rows - Raw rows (header row excluded), including
+ *   blank rows so that row numbers line up with the sheet
+ * @returns {{summary: Object, rows: Array<Object>}} Per-row report; only rows
+ *   with at least one issue are listed. Row numbers are 1-based spreadsheet
+ *   rows (row 1 is the header).
+ */
+export function validateQuestionBank(rows = []) {
+  const list = Array.isArray(rows) ? rows : [];
+  const report = [];
+  const idRows = new Map();
+  const questionRows = new Map();
+  let checked = 0;
+
+  list.forEach((row, i) => {
+    if (Object.values(row || {}).join('').trim().length === 0) return;
+    checked += 1;
+
+    const rowNumber = i + 2;
+    const issues = validateQuestionRow(row);
+
+    const sheetId = getVal(row, 'ID').trim();
+    if (sheetId) {
+      if (idRows.has(sheetId)) {
+        issues.push(issue(SEVERITY.WARNING, 'id_duplicate', 'ID', `Sheet ID "${sheetId}" also used on row ${idRows.get(sheetId)}`));
+      } else {
+        idRows.set(sheetId, rowNumber);
+      }
+    }
+
+    const questionKey = (getVal(row, 'Question') || getVal(row, 'QuestionText')).replace(/\s+/g, ' ').trim();
+    if (questionKey) {
+      if (questionRows.has(questionKey)) {
+        issues.push(issue(SEVERITY.WARNING, 'question_duplicate', 'Question', `Same question text as row ${questionRows.get(questionKey)}`));
+      } else {
+        questionRows.set(questionKey, rowNumber);
+      }
+    }
+
+    if (issues.length === 0) return;
+
+    report.push({
+      row: rowNumber,
+      id: sheetId,
+      dseCode: getVal(row, 'DSEcode') || getVal(row, 'DSECode'),
+      topic: getVal(row, 'Topic'),
+      errors: issues.filter(x => x.severity === SEVERITY.ERROR).length,
+      warnings: issues.filter(x => x.severity === SEVERITY.WARNING).length,
+      issues
+    });
+  });
+
+  const errorCount = report.reduce((sum, r) => sum + r.errors, 0);
+  const warningCount = report.reduce((sum, r) => sum + r.warnings, 0);
+
+  return {
+    summary: {
+      rowsChecked: checked,
+      rowsWithErrors: report.filter(r => r.errors > 0).length,
+      rowsWithWarnings: report.filter(r => r.warnings > 0).length,
+      errors: errorCount,
+      warnings: warningCount
+    },
+    rows: report
+  };
+}
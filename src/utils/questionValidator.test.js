@@ -0,0 +1,19 @@
+import { describe, it, expect } from 'vitest';
+import Papa from 'papaparse';
+import { validateQuestionBank } from './questionValidator';
+
+const CSV = [
+  'ID,Topic,Subtopic,Question,OptionA,OptionB,OptionC,OptionD,CorrectOption,Explanation,DSEcode',
+  'Q1,Acids,pH,First?,a,b,c,d,A,Because.,2019-Q1',
+  '',
+  'Q2,Acids,pH,Second?,a,b,c,d,E,Because.,2019-Q2'
+].join('\n');
+
+describe('validateQuestionBank', () => {
+  it('reports sheet row numbers across blank rows', () => {
+    const { data } = Papa.parse(CSV, { header: true, skipEmptyLines: false, newline: '' });
+    const report = validateQuestionBank(data);
+    expect(report.summary.rowsChecked).toBe(2);
+    expect(report.rows.map(r => [r.id, r.row])).toEqual([['Q2', 4]]);
+  });
+});
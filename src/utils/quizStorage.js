@@ -7,7 +7,14 @@ const STORAGE_KEYS = {
   FLAGGED: 'quiz_flagged',
   CURRENT_INDEX: 'quiz_current_index',
   TIMER_ENABLED: 'quiz_timer_enabled',
-  SESSION_START: 'quiz_session_start'
+  SESSION_START: 'quiz_session_start',
+  SRS_GRADES: 'quiz_srs_grades',
+  SRS_RELEARN: 'quiz_srs_relearn',
+  SRS_STUDY_MODE: 'quiz_srs_study_mode',
+  MOCK_PAPER: 'quiz_mock_paper',
+  OPTION_ORDERS: 'quiz_option_orders',
+  SESSION_ID: 'quiz_session_id',
+  SESSION_REVISION: 'quiz_session_revision'
 };
 
 export const quizStorage = {
@@ -80,6 +87,80 @@ export const quizStorage = {
     return data ? parseInt(data) : null;
   },
 
+  // Save SRS review grades ({ questionId: 1–4 })
+  saveSrsGrades: (grades) => {
+    localStorage.setItem(STORAGE_KEYS.SRS_GRADES, JSON.stringify(grades));
+  },
+
+  getSrsGrades: () => {
+    const data = localStorage.getItem(STORAGE_KEYS.SRS_GRADES);
+    return data ? JSON.parse(data) : {};
+  },
+
+  // Save in-session relearning state ({ questionId: { step, dueAt, done, history } })
+  saveSrsRelearn: (entries) => {
+    localStorage.setItem(STORAGE_KEYS.SRS_RELEARN, JSON.stringify(entries));
+  },
+
+  getSrsRelearn: () => {
+    const data = localStorage.getItem(STORAGE_KEYS.SRS_RELEARN);
+    return data ? JSON.parse(data) : {};
+  },
+
+  // Custom study session mode (CUSTOM_STUDY_MODES in srsService); unset
+  // for a normal review session
+  saveSrsStudyMode: (mode) => {
+    localStorage.setItem(STORAGE_KEYS.SRS_STUDY_MODE, mode);
+  },
+
+  getSrsStudyMode: () => {
+    return localStorage.getItem(STORAGE_KEYS.SRS_STUDY_MODE);
+  },
+
+  // Mock paper settings: { source: 'generated' | 'past-paper', year, durationMs }
+  saveMockPaper: (config) => {
+    localStorage.setItem(STORAGE_KEYS.MOCK_PAPER, JSON.stringify(config));
+  },
+
+  getMockPaper: () => {
+    const data = localStorage.getItem(STORAGE_KEYS.MOCK_PAPER);
+    return data ? JSON.parse(data) : null;
+  },
+
+  // Shuffled option orders ({ questionId: ['C', 'A', 'D', 'B'] }, see optionShuffle)
+  saveOptionOrders: (orders) => {
+    localStorage.setItem(STORAGE_KEYS.OPTION_ORDERS, JSON.stringify(orders));
+  },
+
+  getOptionOrders: () => {
+    const data = localStorage.getItem(STORAGE_KEYS.OPTION_ORDERS);
+    return data ? JSON.parse(data) : {};
+  },
+
+  // Identifies this quiz for resuming on another device; created on first use
+  getSessionId: () => {
+    let id = localStorage.getItem(STORAGE_KEYS.SESSION_ID);
+    if (!id) {
+      id = `quiz_${Date.now()}_${Math.random().toString(36).slice(2, 9)}`;
+      localStorage.setItem(STORAGE_KEYS.SESSION_ID, id);
+    }
+    return id;
+  },
+
+  saveSessionId: (id) => {
+    localStorage.setItem(STORAGE_KEYS.SESSION_ID, id);
+  },
+
+  // Revision of the Firestore checkpoint this device last wrote or resumed
+  saveSessionRevision: (revision) => {
+    localStorage.setItem(STORAGE_KEYS.SESSION_REVISION, revision.toString());
+  },
+
+  getSessionRevision: () => {
+    const data = localStorage.getItem(STORAGE_KEYS.SESSION_REVISION);
+    return data ? parseInt(data) : null;
+  },
+
   // Clear all quiz data (use when starting new quiz)
   clearQuizData: () => {
     Object.values(STORAGE_KEYS).forEach(key => {
@@ -95,5 +176,8 @@ export const quizStorage = {
     localStorage.removeItem(STORAGE_KEYS.CURRENT_INDEX);
     localStorage.removeItem(STORAGE_KEYS.TIMER_ENABLED);
     localStorage.removeItem(STORAGE_KEYS.SESSION_START);
+    localStorage.removeItem(STORAGE_KEYS.SRS_GRADES);
+    localStorage.removeItem(STORAGE_KEYS.SRS_RELEARN);
+    localStorage.removeItem(STORAGE_KEYS.OPTION_ORDERS);
   }
 };
\ No newline at end of file
@@ -0,0 +1,141 @@
+// Allow-list HTML sanitizer for the question HTML we inject with
+// dangerouslySetInnerHTML (sheet cells after questionParser): line breaks,
+// images, the enlarge button, KaTeX spans and a restricted set of inline
+// styles. Forum posts are user text and are rendered as plain React text.
+//
+// Anything not on the list (script, style, iframe, form, event handlers,
+// javascript: URLs, url() in styles, ...) is dropped.
+
+import DOMPurify from 'dompurify';
+
+const QUESTION_TAGS = [
+  'a', 'b', 'br', 'button', 'code', 'div', 'em', 'hr', 'i', 'img', 'li', 'ol',
+  'p', 'small', 'span', 'strong', 'sub', 'sup', 'table', 'tbody', 'td', 'th',
+  'thead', 'tr', 'u', 'ul',
+  // enlarge-image icon
+  'svg', 'path',
+  // KaTeX (html output) draws stretchy arrows and radicals with inline SVG
+  'line', 'g'
+];
+
+const QUESTION_ATTRS = [
+  'alt', 'aria-hidden', 'aria-label', 'class', 'colspan', 'decoding', 'height',
+  'href', 'loading', 'referrerpolicy', 'role', 'rowspan', 'src', 'style',
+  'title', 'type', 'width',
+  'd', 'fill', 'preserveAspectRatio', 'stroke', 'stroke-linecap',
+  'stroke-linejoin', 'stroke-width', 'viewBox', 'x1', 'x2', 'xmlns', 'y1', 'y2'
+];
+
+// The only data-* attributes our own markup relies on.
+const QUESTION_DATA_ATTRS = new Set(['data-quiz-image', 'data-enlarge-image', 'data-image-src']);
+
+// Layout properties used by KaTeX and the image/isotope markup. No positioning
+// or backgrounds, so a cell can't overlay the page or pull in remote assets.
+const ALLOWED_STYLE_PROPS = new Set([
+  'align-items', 'align-self', 'border-bottom-width', 'border-right-width',
+  'border-top-width', 'color', 'column-gap', 'display', 'font-size', 'grid-column',
+  'grid-row', 'grid-template-columns', 'grid-template-rows', 'height',
+  'justify-self', 'left', 'line-height', 'margin', 'margin-bottom',
+  'margin-left', 'margin-right', 'margin-top', 'max-height', 'max-width',
+  'min-height', 'min-width', 'padding', 'padding-bottom', 'padding-left',
+  'padding-right', 'padding-top', 'top', 'vertical-align', 'width'
+]);
+
+const UNSAFE_STYLE_VALUE = /url\s*\(|expression\s*\(|javascript:|@import|\\|[<>]/i;
+
+const SAFE_URL = /^(?:https?:|\/(?!\/)|#)/i;
+
+export function sanitizeStyle(style) {
+  return String(style || '')
+    .split(';')
+    .map(decl => {
+      const idx = decl.indexOf(':');
+      if (idx === -1) return null;
+      const prop = decl.slice(0, idx).trim().toLowerCase();
+      const value = decl.slice(idx + 1).trim();
+      if (!ALLOWED_STYLE_PROPS.has(prop) || !value || UNSAFE_STYLE_VALUE.test(value)) return null;
+      return `${prop}:${value}`;
+    })
+    .filter(Boolean)
+    .join(';');
+}
+
+// Our hooks live on a private instance so they don't leak into any other
+// DOMPurify user on the page (the global instance is shared by every import).
+let purifier = null;
+
+function getPurifier() {
+  if (purifier) return purifier;
+  purifier = DOMPurify(window);
+
+  purifier.addHook('uponSanitizeAttribute', (node, data) => {
+    const name = data.attrName;
+
+    if (name.startsWith('data-') && !QUESTION_DATA_ATTRS.has(name)) {
+      data.keepAttr = false;
+      return;
+    }
+
+    if (name === 'style') {
+      const cleaned = sanitizeStyle(data.attrValue);
+      if (cleaned) data.attrValue = cleaned;
+      else data.keepAttr = false;
+      return;
+    }
+
+    if ((name === 'src' || name === 'href' || name === 'data-image-src') && !SAFE_URL.test(String(data.attrValue).trim())) {
+      data.keepAttr = false;
+    }
+  });
+
+  purifier.addHook('afterSanitizeAttributes', (node) => {
+    // Links in question text always open in a new tab without an opener.
+    if (node.tagName === 'A' && node.getAttribute('href')) {
+      node.setAttribute('target', '_blank');
+      node.setAttribute('rel', 'noopener noreferrer');
+    }
+    if (node.tagName === 'BUTTON') {
+      node.setAttribute('type', 'button');
+    }
+  });
+
+  return purifier;
+}
+
+/**
+ * Sanitize a fragment of question HTML (Question, OptionA–D, Explanation, ...).
+ *
+ * @param {string} html
+ * @returns {string} Safe HTML
+ */
+export function sanitizeQuestionHtml(html) {
+  if (html === null || html === undefined || html === '') return '';
+  return getPurifier().sanitize(String(html), {
+    ALLOWED_TAGS: QUESTION_TAGS,
+    ALLOWED_ATTR: [...QUESTION_ATTRS, ...QUESTION_DATA_ATTRS, 'target', 'rel'],
+    ALLOW_DATA_ATTR: false,
+    ALLOW_ARIA_ATTR: false,
+    ALLOW_UNKNOWN_PROTOCOLS: false
+  });
+}
+
+const QUESTION_HTML_FIELDS = [
+  'Question', 'OptionA', 'OptionB', 'OptionC', 'OptionD',
+  'Explanation', 'ChineseExplanation'
+];
+
+/**
+ * Return a copy of a question with every HTML field sanitized.
+ */
+export function sanitizeQuestion(question) {
+  if (!question) return question;
+  const next = { ...question };
+  QUESTION_HTML_FIELDS.forEach(field => {
+    if (typeof next[field] === 'string') next[field] = sanitizeQuestionHtml(next[field]);
+  });
+  return next;
+}
+
+export function sanitizeQuestions(questions) {
+  return Array.isArray(questions) ? questions.map(sanitizeQuestion) : [];
+}
@@ -0,0 +1,128 @@
+// @vitest-environment jsdom
+import { describe, it, expect } from 'vitest';
+import DOMPurify from 'dompurify';
+import {
+  sanitizeQuestionHtml,
+  sanitizeQuestion,
+  sanitizeStyle
+} from './sanitizeHtml';
+
+// Parse the output the way the browser will when it is injected.
+function parse(html) {
+  const root = document.createElement('div');
+  root.innerHTML = html;
+  return root;
+}
+
+function hasEventHandler(root) {
+  return [root, ...root.querySelectorAll('*')].some(el => (
+    [...el.attributes].some(attr => attr.name.toLowerCase().startsWith('on'))
+  ));
+}
+
+const HOSTILE_HTML = [
+  '<script>alert(1)</script>',
+  '<img src=x onerror="alert(1)">',
+  '<svg onload="alert(1)"><path d="M0 0"/></svg>',
+  '<a href="javascript:alert(1)">x</a>',
+  '<a href=" JaVaScRiPt:alert(1)">x</a>',
+  '<iframe src="https://evil.example"></iframe>',
+  '<style>body{display:none}</style>',
+  '<form action="https://evil.example"><input name="q"></form>',
+  '<div style="background:url(javascript:alert(1))">x</div>',
+  '<span style="width:expression(alert(1))">x</span>',
+  '<img src="data:image/svg+xml;base64,PHN2ZyBvbmxvYWQ9YWxlcnQoMSk+">',
+  '<button data-image-src="javascript:alert(1)" data-enlarge-image="true">x</button>',
+  '<math><mtext><table><mglyph><style><img src=x onerror=alert(1)>',
+  '<noscript><p title="</noscript><img src=x onerror=alert(1)>">',
+  '<svg><foreignObject><img src=x onerror=alert(1)></foreignObject></svg>',
+  '<details open ontoggle="alert(1)">x</details>',
+  '<object data="javascript:alert(1)"></object>',
+  '<meta http-equiv="refresh" content="0;url=https://evil.example">'
+];
+
+describe('sanitizeQuestionHtml', () => {
+  it.each(HOSTILE_HTML)('neutralises %s', (payload) => {
+    const root = parse(sanitizeQuestionHtml(payload));
+    expect(root.querySelector('script, style, iframe, form, input, object, embed, meta, foreignObject, math, noscript')).toBeNull();
+    expect(hasEventHandler(root)).toBe(false);
+    root.querySelectorAll('[href], [src], [data-image-src]').forEach((el) => {
+      ['href', 'src', 'data-image-src'].forEach((name) => {
+        const value = el.getAttribute(name);
+        if (value !== null) expect(value.trim()).toMatch(/^(https?:|\/(?!\/)|#)/i);
+      });
+    });
+    root.querySelectorAll('[style]').forEach((el) => {
+      expect(el.getAttribute('style')).not.toMatch(/url\s*\(|expression\s*\(|javascript:/i);
+    });
+  });
+
+  it('keeps the markup questionParser produces', () => {
+    const html = 'Line 1<br>H<sub>2</sub>O<br><span class="inline-flex items-center gap-2" style="min-height:200px;align-items:flex-start;">'
+      + '<img src="https://example.com/a.png" alt="Question diagram" loading="lazy" data-quiz-image="true" style="min-height:200px;display:block;">'
+      + '<button data-enlarge-image="true" data-image-src="https://example.com/a.png" aria-label="Enlarge image">+</button></span>';
+    const root = parse(sanitizeQuestionHtml(html));
+
+    expect(root.querySelectorAll('br')).toHaveLength(2);
+    expect(root.querySelector('sub').textContent).toBe('2');
+    const img = root.querySelector('img');
+    expect(img.getAttribute('src')).toBe('https://example.com/a.png');
+    expect(img.getAttribute('data-quiz-image')).toBe('true');
+    const button = root.querySelector('button');
+    expect(button.getAttribute('data-image-src')).toBe('https://example.com/a.png');
+    expect(button.getAttribute('type')).toBe('button');
+    expect(root.querySelector('span').getAttribute('style')).toContain('min-height:200px');
+  });
+
+  it('drops unknown data attributes and opens links safely', () => {
+    const root = parse(sanitizeQuestionHtml('<a href="https://example.com" data-x="1">link</a>'));
+    const link = root.querySelector('a');
+    expect(link.hasAttribute('data-x')).toBe(false);
+    expect(link.getAttribute('target')).toBe('_blank');
+    expect(link.getAttribute('rel')).toBe('noopener noreferrer');
+  });
+
+  it('leaves the shared DOMPurify instance without our hooks', () => {
+    sanitizeQuestionHtml('<a href="https://example.com">link</a>');
+    const root = parse(DOMPurify.sanitize('<a href="https://example.com" style="position:fixed">link</a>'));
+    const link = root.querySelector('a');
+    expect(link.hasAttribute('target')).toBe(false);
+    expect(link.getAttribute('style')).toBe('position:fixed');
+  });
+
+  it('returns an empty string for empty input', () => {
+    expect(sanitizeQuestionHtml(null)).toBe('');
+    expect(sanitizeQuestionHtml(undefined)).toBe('');
+    expect(sanitizeQuestionHtml('')).toBe('');
+  });
+});
+
+describe('sanitizeStyle', () => {
+  it('keeps allowed layout properties only', () => {
+    expect(sanitizeStyle('display:block; position:fixed; top:0; background:red'))
+      .toBe('display:block;top:0');
+  });
+
+  it('drops values that can load or run anything', () => {
+    expect(sanitizeStyle('width:expression(alert(1))')).toBe('');
+    expect(sanitizeStyle('height:url(https://evil.example/x.png)')).toBe('');
+    expect(sanitizeStyle('color:\\6a avascript')).toBe('');
+  });
+});
+
+describe('sanitizeQuestion', () => {
+  it('sanitizes every HTML field and leaves the rest alone', () => {
+    const question = sanitizeQuestion({
+      ID: 'Q1-abc',
+      Question: '<img src=x onerror=alert(1)>Stem',
+      OptionA: '<script>alert(1)</script>A',
+      Explanation: '<a href="javascript:alert(1)">why</a>',
+      CorrectOption: 'A'
+    });
+    expect(question.ID).toBe('Q1-abc');
+    expect(question.CorrectOption).toBe('A');
+    expect(question.Question).not.toMatch(/onerror/i);
+    expect(question.OptionA).toBe('A');
+    expect(question.Explanation).not.toMatch(/javascript:/i);
+  });
+});
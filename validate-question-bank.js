@@ -0,0 +1,61 @@
+/**
+ * Question Bank Lint Script
+ *
+ * Validates a question-bank CSV (same columns as the master Google Sheet)
+ * and prints a per-row report of errors and warnings.
+ *
+ * Usage:
+ *   node validate-question-bank.js path/to/bank.csv [--json] [--errors-only]
+ *
+ * Exit code is 1 when any row has errors, so it can gate a CI step.
+ */
+
+import { readFileSync } from 'node:fs';
+import process from 'node:process';
+import Papa from 'papaparse';
+import { validateQuestionBank, SEVERITY } from './src/utils/questionValidator.js';
+
+function main() {
+  const args = process.argv.slice(2);
+  const file = args.find(a => !a.startsWith('--'));
+  const asJson = args.includes('--json');
+  const errorsOnly = args.includes('--errors-only');
+
+  if (!file) {
+    console.error('Usage: node validate-question-bank.js <bank.csv> [--json] [--errors-only]');
+    process.exit(2);
+  }
+
+  const csv = readFileSync(file, 'utf8');
+  // Keep blank lines: validateQuestionBank skips them itself, and dropping
+  // them here would shift the row numbers it reports
+  const parsed = Papa.parse(csv, { header: true, skipEmptyLines: false, newline: '' });
+  const report = validateQuestionBank(parsed.data);
+
+  if (errorsOnly) {
+    report.rows = report.rows
+      .map(r => ({ ...r, issues: r.issues.filter(i => i.severity === SEVERITY.ERROR) }))
+      .filter(r => r.issues.length > 0);
+  }
+
+  if (asJson) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    for (const r of report.rows) {
+      const label = [`Row ${r.row}`, r.id && `ID ${r.id}`, r.dseCode && r.dseCode].filter(Boolean).join(' · ');
+      console.log(label);
+      for (const i of r.issues) {
+        const tag = i.severity === SEVERITY.ERROR ? '  ❌ error  ' : '  ⚠️  warning';
+        console.log(`${tag} [${i.field}] ${i.message}`);
+      }
+    }
+
+    const s = report.summary;
+    console.log('');
+    console.log(`📊 ${s.rowsChecked} rows checked · ${s.errors} errors (${s.rowsWithErrors} rows) · ${s.warnings} warnings (${s.rowsWithWarnings} rows)`);
+  }
+
+  process.exit(report.summary.errors > 0 ? 1 : 0);
+}
+
+main();
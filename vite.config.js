@@ -4,5 +4,7 @@ import tailwindcss from '@tailwindcss/vite';
 
 export default defineConfig({
   plugins: [react(), tailwindcss()],
+  test: {
+    include: ['src/**/*.test.{js,jsx}', 'functions/**/*.test.js'],
+  },
 });
-